@@ -1,5 +1,7 @@
 import User from "../models/user.js";
 import Role from "../models/role.js";
+import Branch from "../models/branches.js";
+import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 
@@ -7,7 +9,7 @@ import bcrypt from "bcryptjs";
 
 export const registerUser = async (req, res) => {
     try {
-        const { name, lastname, contact_number, email, password, role, status } = req.body;
+        const { name, lastname, contact_number, email, password, role, status, branch } = req.body;
 
         // Validate required fields
         if (!name || !lastname || !contact_number || !email || !password || !role) {
@@ -45,6 +47,11 @@ export const registerUser = async (req, res) => {
             return res.status(400).json({ message: "Status must be 'active' or 'inactive'" });
         }
 
+        // Validate the home branch if provided
+        if (branch && (!mongoose.Types.ObjectId.isValid(branch) || !(await Branch.findById(branch)))) {
+            return res.status(400).json({ message: "Invalid branch ID" });
+        }
+
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
@@ -56,6 +63,7 @@ export const registerUser = async (req, res) => {
             email,
             password: hashedPassword,
             role: roleDoc._id,
+            branch: branch || null,
             status: status || 'active'
         });
 
@@ -79,6 +87,7 @@ export const registerUser = async (req, res) => {
                 contact_number: newUser.contact_number,
                 email: newUser.email,
                 role: newUser.role.name,
+                branch: newUser.branch,
                 status: newUser.status
             }
         });
@@ -140,7 +149,7 @@ export const loginUser = async (req, res) => {
 // GET AUTHENTICATED USER
 export const getAuthenticatedUser = async (req, res) => {
     try {
-        const user = await User.findById(req.user.id).select("-password");
+        const user = await User.findById(req.user.id).select("-password").populate("branch", "name");
         if (!user) {
             return res.status(404).json({ message: "User not found" });
         }
@@ -1,16 +1,9 @@
 import Branch from "../models/branches.js";
-
-async function generateBranchId() {
-    const lastBranch = await Branch.findOne().sort({ id: -1 });
-
-    if (!lastBranch || !/^Br\d{2}$/.test(lastBranch.id)) {
-        return "Br01";
-    }
-
-    const lastNumber = parseInt(lastBranch.id.substring(2), 10);
-    const nextNumber = (lastNumber + 1).toString().padStart(2, "0");
-    return `Br${nextNumber}`;
-}
+import Sale from "../models/sales.js";
+import Purchase from "../models/purchase.js";
+import PurchaseOrder from "../models/purchaseOrder.js";
+import User from "../models/user.js";
+import { getNextNumber } from "../utils/numbering.js";
 
 // Field validation
 function validateBranchData(data, isUpdate = false) {
@@ -59,6 +52,20 @@ function validateBranchData(data, isUpdate = false) {
         }
     }
 
+    // Validate receipt settings
+    if (data.receipt !== undefined) {
+        const receipt = data.receipt || {};
+        if (receipt.width !== undefined && ![58, 80].includes(receipt.width)) {
+            errors.receipt = "Receipt width must be 58 or 80";
+        } else if (receipt.logo && (typeof receipt.logo !== "string" || !/^data:image\/(png|jpeg);base64,/.test(receipt.logo))) {
+            errors.receipt = "Receipt logo must be a PNG or JPEG data URI";
+        } else if (receipt.logo && receipt.logo.length > 90000) {
+            errors.receipt = "Receipt logo must be smaller than 64 KB";
+        } else if ((receipt.header && receipt.header.length > 300) || (receipt.footer && receipt.footer.length > 300)) {
+            errors.receipt = "Receipt header and footer must be up to 300 characters";
+        }
+    }
+
     return {
         isValid: Object.keys(errors).length === 0,
         errors
@@ -95,7 +102,7 @@ export const getBranchesById = async (req, res) => {
 // Create a new branch
 export const postBranches = async (req, res) => {
     try {
-        const { name, location, status, phone, address } = req.body;
+        const { name, location, status, phone, address, receipt } = req.body;
         
         // Validate data
         const validation = validateBranchData(req.body);
@@ -114,14 +121,15 @@ export const postBranches = async (req, res) => {
             });
         }
         
-        const id = await generateBranchId();
+        const id = await getNextNumber("branch");
         const newBranch = new Branch({ 
             id, 
             name, 
             location, 
             status, 
             phone, 
-            address 
+            address,
+            receipt
         });
         
         await newBranch.save();
@@ -170,10 +178,19 @@ export const updateBranches = async (req, res) => {
             }
         }
 
+        // Receipt settings are merged field by field so a partial update keeps the stored logo, header and footer
+        const { receipt, ...fields } = req.body;
+        const update = { ...fields };
+        if (receipt) {
+            ["width", "logo", "header", "footer"].forEach(field => {
+                if (receipt[field] !== undefined) update[`receipt.${field}`] = receipt[field];
+            });
+        }
+
         // Update branch
         const updatedBranch = await Branch.findByIdAndUpdate(
             req.params.id,
-            req.body,
+            { $set: update },
             { new: true, runValidators: true }
         );
 
@@ -187,6 +204,17 @@ export const updateBranches = async (req, res) => {
 // Delete a branch
 export const deleteBranches = async (req, res) => {
     try {
+        // A branch with sales, purchases, purchase orders or users assigned cannot be deleted
+        const [sales, purchases, purchaseOrders, users] = await Promise.all([
+            Sale.exists({ branch: req.params.id }),
+            Purchase.exists({ branch: req.params.id }),
+            PurchaseOrder.exists({ branch: req.params.id }),
+            User.exists({ branch: req.params.id })
+        ]);
+        if (sales || purchases || purchaseOrders || users) {
+            return res.status(409).json({ message: "Cannot delete a branch that has sales, purchases, purchase orders or users assigned" });
+        }
+
         const deletedBranch = await Branch.findByIdAndDelete(req.params.id);
 
         if (!deletedBranch) {
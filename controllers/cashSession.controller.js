@@ -0,0 +1,483 @@
+import CashSession from '../models/cashSession.js';
+import mongoose from 'mongoose';
+import { checkPermission } from '../utils/permissions.js';
+import { getNextNumber } from '../utils/numbering.js';
+import { getPaymentMethodLabel } from '../utils/payments.js';
+import { runInTransaction } from '../utils/transactions.js';
+import { findOpenCashSession, summarizeCashSession } from '../utils/cashSessions.js';
+import { resolveBranch } from '../utils/branches.js';
+import PDFDocument from 'pdfkit';
+
+// Formatear fecha y hora para mostrar
+const formatDateTime = (date) => {
+  if (!date) return null;
+  try {
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return "Invalid Date";
+    const day = d.getDate().toString().padStart(2, '0');
+    const month = (d.getMonth() + 1).toString().padStart(2, '0');
+    const hours = d.getHours().toString().padStart(2, '0');
+    const minutes = d.getMinutes().toString().padStart(2, '0');
+    return `${day}/${month}/${d.getFullYear()} ${hours}:${minutes}`;
+  } catch (error) {
+    console.error("Error formatting date:", error);
+    return "Error";
+  }
+};
+
+// Redondear a centavos para comparar montos sin errores de punto flotante
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Solo quien abrió el turno (o un administrador) registra movimientos y lo cierra
+const canOperate = (req, cashSession) => {
+    const userId = cashSession.user && cashSession.user._id ? cashSession.user._id : cashSession.user;
+    return String(userId) === String(req.user.id) || (req.user.role && req.user.role.name === 'admin');
+};
+
+// Buscar un turno con sus datos para mostrar
+const findCashSession = (id) => CashSession.findById(id)
+    .populate("branch", "name address")
+    .populate("user", "name lastname email")
+    .populate("closedBy", "name lastname");
+
+// Formatear un turno. El resumen se calcula en vivo para los turnos abiertos; los cerrados
+// muestran los totales guardados al cerrar
+const formatCashSession = (cashSession, summary = null) => {
+    const closed = cashSession.status === 'closed';
+    const paymentTotals = closed ? cashSession.paymentTotals : summary ? summary.paymentTotals : [];
+
+    return {
+        _id: cashSession._id,
+        id: cashSession.id,
+        branch: cashSession.branch ? cashSession.branch.name || null : null,
+        branchId: cashSession.branch ? cashSession.branch._id || cashSession.branch : null,
+        user: cashSession.user && cashSession.user.name !== undefined ? `${cashSession.user.name || ''} ${cashSession.user.lastname || ''}`.trim() : null,
+        userId: cashSession.user ? cashSession.user._id || cashSession.user : null,
+        status: cashSession.status,
+        openedAt: formatDateTime(cashSession.openedAt),
+        openingFloat: cashSession.openingFloat || 0,
+        movements: (cashSession.movements || []).map(movement => ({
+            _id: movement._id,
+            type: movement.type,
+            amount: movement.amount,
+            reason: movement.reason,
+            date: formatDateTime(movement.date)
+        })),
+        ...(summary ? {
+            salesCount: summary.salesCount,
+            salesTotal: summary.salesTotal,
+            customerPaymentsCount: summary.customerPaymentsCount,
+            cashSales: summary.cashSales,
+            cashCustomerPayments: summary.cashCustomerPayments,
+            cashIn: summary.cashIn,
+            cashOut: summary.cashOut
+        } : {}),
+        paymentTotals: (paymentTotals || []).map(total => ({
+            method: total.method,
+            methodName: getPaymentMethodLabel(total.method),
+            amount: total.amount
+        })),
+        expectedCash: closed ? cashSession.expectedCash : summary ? summary.expectedCash : null,
+        countedCash: closed ? cashSession.countedCash : null,
+        difference: closed ? cashSession.difference : null,
+        closedAt: formatDateTime(cashSession.closedAt),
+        closedBy: cashSession.closedBy && cashSession.closedBy.name !== undefined ? `${cashSession.closedBy.name || ''} ${cashSession.closedBy.lastname || ''}`.trim() : null,
+        closingNotes: cashSession.closingNotes || null
+    };
+};
+
+// Obtener los turnos de caja
+export const getCashSessions = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_cash_sessions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        let filter = {};
+
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        if (req.query.branchId && mongoose.Types.ObjectId.isValid(req.query.branchId)) {
+            filter.branch = req.query.branchId;
+        }
+
+        if (req.query.userId && mongoose.Types.ObjectId.isValid(req.query.userId)) {
+            filter.user = req.query.userId;
+        }
+
+        // Filtro por fecha de apertura si se especifica
+        if (req.query.startDate && req.query.endDate) {
+            filter.openedAt = {
+                $gte: new Date(req.query.startDate),
+                $lte: new Date(req.query.endDate)
+            };
+        }
+
+        const cashSessions = await CashSession.find(filter)
+            .populate("branch", "name address")
+            .populate("user", "name lastname email")
+            .populate("closedBy", "name lastname")
+            .sort({ openedAt: -1 });
+
+        res.status(200).json(cashSessions.map(cashSession => formatCashSession(cashSession)));
+    } catch (error) {
+        console.error("Error fetching cash sessions:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Obtener el turno abierto del usuario actual
+export const getCurrentCashSession = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "operate_cash_sessions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const openSession = await findOpenCashSession(req.user.id);
+        if (!openSession) {
+            return res.status(404).json({ message: "No open cash session" });
+        }
+
+        const cashSession = await findCashSession(openSession._id);
+        const summary = await summarizeCashSession(cashSession);
+
+        res.status(200).json(formatCashSession(cashSession, summary));
+    } catch (error) {
+        console.error("Error fetching current cash session:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Obtener un turno de caja por ID
+export const getCashSessionById = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_cash_sessions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid cash session ID format" });
+        }
+
+        const cashSession = await findCashSession(id);
+        if (!cashSession) {
+            return res.status(404).json({ message: "Cash session not found" });
+        }
+
+        const summary = await summarizeCashSession(cashSession);
+
+        res.status(200).json(formatCashSession(cashSession, summary));
+    } catch (error) {
+        console.error("Error fetching cash session:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Abrir un turno de caja en una sede (por defecto la del usuario) con una base de efectivo
+export const openCashSession = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "operate_cash_sessions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { branchId, openingFloat } = req.body;
+
+        if (typeof openingFloat !== "number" || openingFloat < 0) {
+            return res.status(400).json({ message: "Opening float must be a number greater than or equal to 0" });
+        }
+
+        const { branch, status: branchStatus, error: branchError } = await resolveBranch(branchId, req.user.id);
+        if (branchError) {
+            return res.status(branchStatus).json({ message: branchError });
+        }
+
+        const openSession = await findOpenCashSession(req.user.id);
+        if (openSession) {
+            return res.status(409).json({ message: "You already have an open cash session", cashSession: openSession.id });
+        }
+
+        const newSession = new CashSession({
+            id: await getNextNumber('cash_session'),
+            branch: branch._id,
+            user: req.user.id,
+            openingFloat: roundAmount(openingFloat),
+            openedAt: new Date()
+        });
+
+        try {
+            await newSession.save();
+        } catch (error) {
+            // El índice único evita dos turnos abiertos si llegan dos aperturas a la vez
+            if (error.code === 11000 && error.keyPattern && error.keyPattern.user) {
+                return res.status(409).json({ message: "You already have an open cash session" });
+            }
+            throw error;
+        }
+
+        const cashSession = await findCashSession(newSession._id);
+
+        res.status(201).json({
+            message: "Cash session opened successfully",
+            cashSession: formatCashSession(cashSession, await summarizeCashSession(cashSession))
+        });
+    } catch (error) {
+        console.error("Error opening cash session:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Registrar una entrada o salida de efectivo (base adicional, caja menor, retiros)
+export const addCashMovement = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "operate_cash_sessions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { type, amount, reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid cash session ID format" });
+        }
+
+        if (!['in', 'out'].includes(type)) {
+            return res.status(400).json({ message: "Movement type must be 'in' or 'out'" });
+        }
+
+        if (typeof amount !== "number" || amount <= 0) {
+            return res.status(400).json({ message: "Amount must be a number greater than 0" });
+        }
+
+        if (!reason || typeof reason !== "string" || reason.trim() === "") {
+            return res.status(400).json({ message: "A reason is required for cash movements" });
+        }
+
+        const cashSession = await CashSession.findById(id);
+        if (!cashSession) {
+            return res.status(404).json({ message: "Cash session not found" });
+        }
+
+        if (!canOperate(req, cashSession)) {
+            return res.status(403).json({ message: "Only the user who opened the cash session can register movements" });
+        }
+
+        if (cashSession.status !== 'open') {
+            return res.status(409).json({ message: "Cash session is closed" });
+        }
+
+        // Un retiro no puede sacar más efectivo del que debería haber en el cajón
+        if (type === 'out') {
+            const summary = await summarizeCashSession(cashSession);
+            if (roundAmount(amount) > summary.expectedCash) {
+                return res.status(400).json({
+                    message: "Cash out exceeds the cash available in the drawer",
+                    available: summary.expectedCash,
+                    requested: roundAmount(amount)
+                });
+            }
+        }
+
+        // La condición sobre el estado evita agregar movimientos a un turno que se cerró entretanto
+        const updated = await CashSession.findOneAndUpdate(
+            { _id: id, status: 'open' },
+            { $push: { movements: { type, amount: roundAmount(amount), reason: reason.trim(), date: new Date(), createdBy: req.user.id } } },
+            { new: true }
+        );
+
+        if (!updated) {
+            return res.status(409).json({ message: "Cash session is closed" });
+        }
+
+        const updatedSession = await findCashSession(id);
+
+        res.status(201).json({
+            message: "Cash movement registered successfully",
+            cashSession: formatCashSession(updatedSession, await summarizeCashSession(updatedSession))
+        });
+    } catch (error) {
+        console.error("Error registering cash movement:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Cerrar un turno con el efectivo contado y guardar el arqueo
+export const closeCashSession = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "operate_cash_sessions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { countedCash, notes } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid cash session ID format" });
+        }
+
+        if (typeof countedCash !== "number" || countedCash < 0) {
+            return res.status(400).json({ message: "Counted cash must be a number greater than or equal to 0" });
+        }
+
+        const cashSession = await CashSession.findById(id);
+        if (!cashSession) {
+            return res.status(404).json({ message: "Cash session not found" });
+        }
+
+        if (!canOperate(req, cashSession)) {
+            return res.status(403).json({ message: "Only the user who opened the cash session can close it" });
+        }
+
+        if (cashSession.status !== 'open') {
+            return res.status(409).json({ message: "Cash session is already closed" });
+        }
+
+        // El cierre escribe primero sobre el turno: una venta o abono simultáneo entra en
+        // conflicto con la transacción y queda por fuera del turno, o queda incluida en el arqueo
+        const closed = await runInTransaction(async (session) => {
+            const closing = await CashSession.findOneAndUpdate(
+                { _id: id, status: 'open' },
+                { $set: { status: 'closed', closedAt: new Date(), closedBy: req.user.id } },
+                { new: true, session }
+            );
+
+            if (!closing) {
+                return null;
+            }
+
+            const summary = await summarizeCashSession(closing, session);
+            closing.expectedCash = summary.expectedCash;
+            closing.countedCash = roundAmount(countedCash);
+            closing.difference = roundAmount(countedCash - summary.expectedCash);
+            closing.paymentTotals = summary.paymentTotals;
+            closing.closingNotes = notes || null;
+
+            await closing.save({ session });
+            return closing;
+        });
+
+        if (!closed) {
+            return res.status(409).json({ message: "Cash session is already closed" });
+        }
+
+        const closedSession = await findCashSession(id);
+
+        res.status(200).json({
+            message: "Cash session closed successfully",
+            cashSession: formatCashSession(closedSession, await summarizeCashSession(closedSession))
+        });
+    } catch (error) {
+        console.error("Error closing cash session:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Exportar el reporte de cierre (o el parcial de un turno abierto) a PDF
+export const exportCashSessionReportToPDF = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_cash_sessions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid cash session ID format" });
+        }
+
+        const cashSession = await findCashSession(id);
+        if (!cashSession) {
+            return res.status(404).json({ message: "Cash session not found" });
+        }
+
+        const data = formatCashSession(cashSession, await summarizeCashSession(cashSession));
+        const money = (amount) => `$${(amount || 0).toFixed(2)}`;
+
+        // Crear documento PDF
+        const doc = new PDFDocument({ margin: 50 });
+
+        // Configurar encabezados para descarga del archivo
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=cash_session_${data.id}.pdf`);
+
+        // Pipe PDF a la respuesta
+        doc.pipe(res);
+
+        // Estilo del documento
+        doc.fontSize(20).text(data.status === 'closed' ? 'Cash Register Closing Report' : 'Cash Register Report (Open)', { align: 'center' });
+        doc.moveDown();
+        doc.fontSize(12).text(`Session #: ${data.id}`, { align: 'right' });
+        doc.fontSize(10).text(`Branch: ${data.branch || 'N/A'}`, { align: 'right' });
+        doc.fontSize(10).text(`Cashier: ${data.user || 'N/A'}`, { align: 'right' });
+        doc.fontSize(10).text(`Opened: ${data.openedAt}`, { align: 'right' });
+        if (data.closedAt) {
+            doc.fontSize(10).text(`Closed: ${data.closedAt}${data.closedBy ? ` by ${data.closedBy}` : ''}`, { align: 'right' });
+        }
+        doc.moveDown();
+
+        // Totales por medio de pago
+        doc.fontSize(14).text('Totals by Payment Method');
+        doc.moveDown(0.5);
+        if (data.paymentTotals.length === 0) {
+            doc.fontSize(10).text('No payments registered');
+        }
+        data.paymentTotals.forEach(total => {
+            const y = doc.y;
+            doc.fontSize(10).text(total.methodName, 50, y, { width: 250 });
+            doc.text(money(total.amount), 300, y, { width: 250, align: 'right' });
+        });
+        doc.fontSize(10).text(`Sales: ${data.salesCount} - ${money(data.salesTotal)}`, 50);
+        doc.fontSize(10).text(`Customer payments: ${data.customerPaymentsCount}`);
+        doc.moveDown();
+
+        // Arqueo de efectivo
+        doc.fontSize(14).text('Cash Count');
+        doc.moveDown(0.5);
+        const cashRows = [
+            ['Opening float', money(data.openingFloat)],
+            ['Cash sales', money(data.cashSales)],
+            ['Cash customer payments', money(data.cashCustomerPayments)],
+            ['Cash in', money(data.cashIn)],
+            ['Cash out', `-${money(data.cashOut)}`],
+            ['Expected cash', money(data.expectedCash)]
+        ];
+        if (data.status === 'closed') {
+            cashRows.push(['Counted cash', money(data.countedCash)]);
+            cashRows.push(['Difference', `${data.difference < 0 ? '-' : ''}${money(Math.abs(data.difference))}`]);
+        }
+        cashRows.forEach(([label, value]) => {
+            const y = doc.y;
+            doc.fontSize(10).text(label, 50, y, { width: 250 });
+            doc.text(value, 300, y, { width: 250, align: 'right' });
+        });
+        doc.moveDown();
+
+        // Movimientos de efectivo
+        if (data.movements.length > 0) {
+            doc.fontSize(14).text('Cash Movements', 50);
+            doc.moveDown(0.5);
+            data.movements.forEach(movement => {
+                const y = doc.y;
+                doc.fontSize(10).text(`${movement.date} - ${movement.type === 'in' ? 'In' : 'Out'}: ${movement.reason}`, 50, y, { width: 380 });
+                const bottom = doc.y;
+                doc.text(`${movement.type === 'out' ? '-' : ''}${money(movement.amount)}`, 430, y, { width: 120, align: 'right' });
+                doc.y = Math.max(bottom, doc.y);
+            });
+            doc.moveDown();
+        }
+
+        if (data.closingNotes) {
+            doc.fontSize(12).text('Notes', 50, doc.y, { underline: true });
+            doc.fontSize(10).text(data.closingNotes);
+        }
+
+        // Finalizar PDF
+        doc.end();
+    } catch (error) {
+        console.error("Error exporting cash session report to PDF:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
@@ -1,18 +1,8 @@
 import Category from "../models/category.js";
 import mongoose from "mongoose";
 import { checkPermission } from "../utils/permissions.js";
-
-async function generateCategoryId() {
-    const lastCategory = await Category.findOne().sort({ id: -1 });
-
-    if (!lastCategory || !/^Ca\d{2}$/.test(lastCategory.id)) {
-        return "Ca01";
-    }
-
-    const lastNumber = parseInt(lastCategory.id.substring(2), 10);
-    const nextNumber = (lastNumber + 1).toString().padStart(2, "0");
-    return `Ca${nextNumber}`;
-}
+import { getNextNumber } from "../utils/numbering.js";
+import { validateTax } from "../utils/taxes.js";
 
 // Get all categories
 export const getCategories = async (req, res) => {
@@ -22,7 +12,7 @@ export const getCategories = async (req, res) => {
         }
 
         const categories = await Category.find()
-            .select("id name description status");
+            .select("id name description taxType taxRate status");
 
         res.status(200).json(categories);
     } catch (error) {
@@ -45,7 +35,7 @@ export const getOneCategory = async (req, res) => {
         }
 
         const category = await Category.findById(id)
-            .select("id name description status");
+            .select("id name description taxType taxRate status");
 
         if (!category) {
             return res.status(404).json({ message: "Category not found" });
@@ -65,7 +55,7 @@ export const postCategory = async (req, res) => {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const { name, description, status } = req.body;
+        const { name, description, status, taxType, taxRate } = req.body;
 
         if (!name || !description || !status) {
             return res.status(400).json({ message: "All fields are required" });
@@ -83,16 +73,23 @@ export const postCategory = async (req, res) => {
             return res.status(400).json({ message: "Status must be 'active' or 'inactive'" });
         }
 
+        const taxError = validateTax(taxType, taxRate);
+        if (taxError) {
+            return res.status(400).json({ message: taxError });
+        }
+
         const existingCategory = await Category.findOne({ name: name.trim().toLowerCase() });
         if (existingCategory) {
             return res.status(409).json({ message: "Category name already exists" });
         }
 
-        const id = await generateCategoryId();
+        const id = await getNextNumber("category");
         const newCategory = new Category({
             id,
             name: name.trim(),
             description,
+            taxType: taxType || "none",
+            taxRate: taxType && taxType !== "none" ? taxRate : 0,
             status
         });
 
@@ -112,7 +109,7 @@ export const putCategory = async (req, res) => {
         }
 
         const { id } = req.params;
-        const { name, description, status } = req.body;
+        const { name, description, status, taxType, taxRate } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ message: "Invalid category ID" });
@@ -130,6 +127,11 @@ export const putCategory = async (req, res) => {
             return res.status(400).json({ message: "Status must be 'active' or 'inactive'" });
         }
 
+        const taxError = validateTax(taxType, taxRate);
+        if (taxError) {
+            return res.status(400).json({ message: taxError });
+        }
+
         if (name) {
             const existingCategory = await Category.findOne({
                 name: name.trim().toLowerCase(),
@@ -145,12 +147,18 @@ export const putCategory = async (req, res) => {
         if (name) updateData.name = name.trim();
         if (description) updateData.description = description;
         if (status) updateData.status = status;
+        if (taxType) {
+            updateData.taxType = taxType;
+            updateData.taxRate = taxType === "none" ? 0 : taxRate;
+        } else if (taxRate !== undefined) {
+            updateData.taxRate = taxRate;
+        }
 
         const updatedCategory = await Category.findByIdAndUpdate(
             id,
             updateData,
             { new: true, runValidators: true }
-        ).select("id name description status");
+        ).select("id name description taxType taxRate status");
 
         if (!updatedCategory) {
             return res.status(404).json({ message: "Category not found" });
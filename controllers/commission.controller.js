@@ -0,0 +1,427 @@
+import CommissionRule from '../models/commissionRule.js';
+import Role from '../models/role.js';
+import User from '../models/user.js';
+import Category from '../models/category.js';
+import mongoose from 'mongoose';
+import { checkPermission } from '../utils/permissions.js';
+import { buildCommissionReport } from '../utils/commissions.js';
+import Excel from 'exceljs';
+
+// Validar un porcentaje de comisión
+const isValidRate = (rate) => typeof rate === "number" && rate >= 0 && rate <= 100;
+
+// Validar los datos de una regla; en una actualización solo se validan los campos enviados
+const validateRuleData = async (data, isUpdate = false) => {
+    const errors = [];
+
+    if (!isUpdate) {
+        if ((data.role && data.user) || (!data.role && !data.user)) {
+            errors.push("A commission rule applies to either a role or a user");
+        } else if (data.role && (!mongoose.Types.ObjectId.isValid(data.role) || !(await Role.exists({ _id: data.role })))) {
+            errors.push("Role not found");
+        } else if (data.user && (!mongoose.Types.ObjectId.isValid(data.user) || !(await User.exists({ _id: data.user })))) {
+            errors.push("User not found");
+        }
+    }
+
+    if (!isUpdate || data.rate !== undefined) {
+        if (!isValidRate(data.rate)) {
+            errors.push("Rate must be a percentage between 0 and 100");
+        }
+    }
+
+    if (data.categoryRates !== undefined) {
+        if (!Array.isArray(data.categoryRates)) {
+            errors.push("Category rates must be an array");
+        } else {
+            const seen = new Set();
+            for (let i = 0; i < data.categoryRates.length; i++) {
+                const item = data.categoryRates[i];
+                if (!item || !mongoose.Types.ObjectId.isValid(item.category)) {
+                    errors.push(`Invalid category ID at index ${i}`);
+                } else if (seen.has(item.category.toString())) {
+                    errors.push(`Duplicated category at index ${i}`);
+                } else if (!isValidRate(item.rate)) {
+                    errors.push(`Rate at index ${i} must be a percentage between 0 and 100`);
+                } else {
+                    seen.add(item.category.toString());
+                }
+            }
+
+            if (errors.length === 0 && seen.size > 0) {
+                const found = await Category.countDocuments({ _id: { $in: [...seen] } });
+                if (found !== seen.size) {
+                    errors.push("One or more categories were not found");
+                }
+            }
+        }
+    }
+
+    if (data.status !== undefined && !['active', 'inactive'].includes(data.status)) {
+        errors.push("Status must be either 'active' or 'inactive'");
+    }
+
+    return errors;
+};
+
+// Buscar una regla con sus datos para mostrar
+const findRule = (id) => CommissionRule.findById(id)
+    .populate("role", "name")
+    .populate("user", "name lastname email")
+    .populate("categoryRates.category", "name");
+
+// Formatear una regla de comisión
+const formatRule = (rule) => ({
+    _id: rule._id,
+    scope: rule.user ? 'user' : 'role',
+    role: rule.role ? rule.role.name || null : null,
+    roleId: rule.role ? rule.role._id || rule.role : null,
+    user: rule.user && rule.user.name !== undefined ? `${rule.user.name || ''} ${rule.user.lastname || ''}`.trim() : null,
+    userId: rule.user ? rule.user._id || rule.user : null,
+    rate: rule.rate,
+    categoryRates: (rule.categoryRates || []).map(item => ({
+        categoryId: item.category ? item.category._id || item.category : null,
+        category: item.category ? item.category.name || null : null,
+        rate: item.rate
+    })),
+    status: rule.status
+});
+
+// Obtener las reglas de comisión
+export const getCommissionRules = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_commissions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const rules = await CommissionRule.find()
+            .populate("role", "name")
+            .populate("user", "name lastname email")
+            .populate("categoryRates.category", "name")
+            .sort({ createdAt: -1 });
+
+        res.status(200).json(rules.map(formatRule));
+    } catch (error) {
+        console.error("Error fetching commission rules:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Crear una regla de comisión para un rol o un usuario
+export const createCommissionRule = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "manage_commissions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { role, user, rate, categoryRates, status } = req.body;
+
+        const errors = await validateRuleData(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Validation failed", errors });
+        }
+
+        const existing = await CommissionRule.findOne(role ? { role } : { user });
+        if (existing) {
+            return res.status(409).json({ message: `A commission rule already exists for this ${role ? 'role' : 'user'}`, ruleId: existing._id });
+        }
+
+        const newRule = new CommissionRule({
+            role: role || null,
+            user: user || null,
+            rate,
+            categoryRates: categoryRates || [],
+            status: status || 'active'
+        });
+
+        await newRule.save();
+
+        res.status(201).json({
+            message: "Commission rule created successfully",
+            rule: formatRule(await findRule(newRule._id))
+        });
+    } catch (error) {
+        console.error("Error creating commission rule:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Actualizar el porcentaje, los porcentajes por categoría o el estado de una regla
+export const updateCommissionRule = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "manage_commissions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { rate, categoryRates, status } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid commission rule ID format" });
+        }
+
+        const errors = await validateRuleData({ rate, categoryRates, status }, true);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Validation failed", errors });
+        }
+
+        const rule = await CommissionRule.findById(id);
+        if (!rule) {
+            return res.status(404).json({ message: "Commission rule not found" });
+        }
+
+        if (rate !== undefined) rule.rate = rate;
+        if (categoryRates !== undefined) rule.categoryRates = categoryRates;
+        if (status !== undefined) rule.status = status;
+
+        await rule.save();
+
+        res.status(200).json({
+            message: "Commission rule updated successfully",
+            rule: formatRule(await findRule(id))
+        });
+    } catch (error) {
+        console.error("Error updating commission rule:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Eliminar una regla de comisión
+export const deleteCommissionRule = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "manage_commissions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid commission rule ID format" });
+        }
+
+        const deletedRule = await CommissionRule.findByIdAndDelete(id);
+        if (!deletedRule) {
+            return res.status(404).json({ message: "Commission rule not found" });
+        }
+
+        res.status(200).json({ message: "Commission rule deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting commission rule:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Validar los filtros del reporte de comisiones
+const parseReportFilters = (query) => {
+    const { startDate, endDate, sellerId, branchId } = query;
+
+    if ((startDate && isNaN(new Date(startDate).getTime())) || (endDate && isNaN(new Date(endDate).getTime()))) {
+        return { error: "Invalid date range" };
+    }
+
+    if (sellerId && !mongoose.Types.ObjectId.isValid(sellerId)) {
+        return { error: "Invalid seller ID" };
+    }
+
+    if (branchId && !mongoose.Types.ObjectId.isValid(branchId)) {
+        return { error: "Invalid branch ID" };
+    }
+
+    return { startDate, endDate, sellerId, branchId };
+};
+
+// Reporte de ventas y comisiones por vendedor en un periodo
+export const getCommissionReport = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_commissions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const filters = parseReportFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ message: filters.error });
+        }
+
+        const report = await buildCommissionReport(filters);
+
+        res.status(200).json({
+            period: {
+                startDate: filters.startDate || null,
+                endDate: filters.endDate || null
+            },
+            ...report
+        });
+    } catch (error) {
+        console.error("Error generating commission report:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Exportar el reporte de comisiones a Excel
+export const exportCommissionReportToExcel = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_commissions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const filters = parseReportFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ message: filters.error });
+        }
+
+        const { startDate, endDate } = filters;
+        const report = await buildCommissionReport(filters);
+
+        if (report.sellers.length === 0) {
+            return res.status(404).json({ message: "No sales found for the specified criteria" });
+        }
+
+        // Crear libro Excel
+        const workbook = new Excel.Workbook();
+
+        // Añadir información de cabecera
+        workbook.creator = 'IceSoft';
+        workbook.created = new Date();
+        workbook.modified = new Date();
+
+        // Crear hoja de trabajo
+        const worksheet = workbook.addWorksheet('Commissions');
+
+        // Añadir título y filtros aplicados
+        worksheet.mergeCells('A1:H1');
+        const titleCell = worksheet.getCell('A1');
+        titleCell.value = 'Commission Report';
+        titleCell.font = { size: 16, bold: true };
+        titleCell.alignment = { horizontal: 'center' };
+
+        let currentRow = 2;
+
+        worksheet.mergeCells(`A${currentRow}:H${currentRow}`);
+        worksheet.getCell(`A${currentRow}`).value = `Generated: ${new Date().toLocaleDateString()}`;
+        worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'center' };
+        currentRow++;
+
+        if (startDate && endDate) {
+            worksheet.mergeCells(`A${currentRow}:H${currentRow}`);
+            worksheet.getCell(`A${currentRow}`).value = `Period: ${new Date(startDate).toLocaleDateString()} - ${new Date(endDate).toLocaleDateString()}`;
+            worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'center' };
+            currentRow++;
+        }
+
+        // Espacio antes de la tabla
+        currentRow++;
+
+        // Configurar encabezados de tabla
+        const headerRow = currentRow;
+        worksheet.getRow(headerRow).values = [
+            'Seller', 'Role', 'Sales', 'Sales Total', 'Returns', 'Commission Base', 'Rate', 'Commission'
+        ];
+
+        // Estilo para encabezados
+        const headerStyle = {
+            font: { bold: true, color: { argb: 'FFFFFFFF' } },
+            fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4F81BD' } },
+            border: {
+                top: { style: 'thin' },
+                left: { style: 'thin' },
+                bottom: { style: 'thin' },
+                right: { style: 'thin' }
+            },
+            alignment: { horizontal: 'center' }
+        };
+
+        // Aplicar estilo a encabezados
+        worksheet.getRow(headerRow).eachCell((cell) => {
+            cell.fill = headerStyle.fill;
+            cell.font = headerStyle.font;
+            cell.border = headerStyle.border;
+            cell.alignment = headerStyle.alignment;
+        });
+
+        // Configurar ancho de columnas
+        worksheet.columns = [
+            { key: 'seller', width: 28 },
+            { key: 'role', width: 14 },
+            { key: 'salesCount', width: 10 },
+            { key: 'salesTotal', width: 15 },
+            { key: 'returnsTotal', width: 12 },
+            { key: 'commissionBase', width: 17 },
+            { key: 'rate', width: 10 },
+            { key: 'commission', width: 14 }
+        ];
+
+        // Una fila por vendedor
+        currentRow++;
+        report.sellers.forEach(row => {
+            worksheet.addRow({
+                seller: row.seller,
+                role: row.role || '-',
+                salesCount: row.salesCount,
+                salesTotal: row.salesTotal,
+                returnsTotal: row.returnsTotal,
+                commissionBase: row.commissionBase,
+                rate: row.ruleId ? `${row.rate}%` : 'No rule',
+                commission: row.commission
+            });
+            currentRow++;
+        });
+
+        // Formato para columnas numéricas
+        worksheet.getColumn('salesTotal').numFmt = '$#,##0.00';
+        worksheet.getColumn('returnsTotal').numFmt = '$#,##0.00';
+        worksheet.getColumn('commissionBase').numFmt = '$#,##0.00';
+        worksheet.getColumn('commission').numFmt = '$#,##0.00';
+
+        // Añadir fila de total
+        currentRow++;
+        worksheet.mergeCells(`A${currentRow}:G${currentRow}`);
+        worksheet.getCell(`A${currentRow}`).value = 'Total Commissions:';
+        worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'right' };
+        worksheet.getCell(`A${currentRow}`).font = { bold: true };
+        worksheet.getCell(`H${currentRow}`).value = report.totals.commission;
+        worksheet.getCell(`H${currentRow}`).numFmt = '$#,##0.00';
+        worksheet.getCell(`H${currentRow}`).font = { bold: true };
+
+        // Hoja con el detalle por categoría de cada vendedor
+        const categoriesSheet = workbook.addWorksheet('By Category');
+        categoriesSheet.columns = [
+            { header: 'Seller', key: 'seller', width: 28 },
+            { header: 'Category', key: 'category', width: 25 },
+            { header: 'Commission Base', key: 'base', width: 17 },
+            { header: 'Rate', key: 'rate', width: 10 },
+            { header: 'Commission', key: 'commission', width: 14 }
+        ];
+        categoriesSheet.getRow(1).eachCell((cell) => {
+            cell.fill = headerStyle.fill;
+            cell.font = headerStyle.font;
+            cell.border = headerStyle.border;
+            cell.alignment = headerStyle.alignment;
+        });
+
+        report.sellers.forEach(row => {
+            row.categories.forEach(entry => {
+                categoriesSheet.addRow({
+                    seller: row.seller,
+                    category: entry.category,
+                    base: entry.base,
+                    rate: `${entry.rate}%`,
+                    commission: entry.commission
+                });
+            });
+        });
+
+        categoriesSheet.getColumn('base').numFmt = '$#,##0.00';
+        categoriesSheet.getColumn('commission').numFmt = '$#,##0.00';
+
+        // Configurar encabezados para descarga del archivo
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=commission_report_${Date.now()}.xlsx`);
+
+        // Enviar Excel como respuesta
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (error) {
+        console.error("Error exporting commission report to Excel:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
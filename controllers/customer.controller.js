@@ -1,6 +1,8 @@
 import Customer from "../models/customer.js";
+import PriceList from "../models/priceList.js";
 import mongoose from "mongoose";
 import { checkPermission } from "../utils/permissions.js";
+import { DOCUMENT_TYPES } from "../utils/einvoice.js";
 
 // Función para formatear la fecha
 const formatDate = (date) => {
@@ -12,6 +14,70 @@ const formatDate = (date) => {
   });
 };
 
+// Validar el documento de identificación enviado para un cliente
+const validateDocument = (documentType, documentNumber) => {
+  if (documentType !== undefined && documentType !== null && !DOCUMENT_TYPES[documentType]) {
+    return `Document type must be: ${Object.keys(DOCUMENT_TYPES).join(", ")}`;
+  }
+
+  if (documentNumber !== undefined && documentNumber !== null && !/^[A-Za-z0-9-]{3,20}$/.test(documentNumber)) {
+    return "Document number must have between 3 and 20 letters, digits or dashes";
+  }
+
+  if (documentType && !documentNumber) {
+    return "Document number is required for the selected document type";
+  }
+
+  return null;
+};
+
+// Validar el cupo y el plazo de crédito enviados para un cliente
+const validateCredit = (creditLimit, creditDays) => {
+  if (creditLimit !== undefined && (typeof creditLimit !== "number" || creditLimit < 0)) {
+    return "Credit limit must be a number greater than or equal to 0";
+  }
+
+  if (creditDays !== undefined && (!Number.isInteger(creditDays) || creditDays < 0 || creditDays > 365)) {
+    return "Credit days must be an integer between 0 and 365";
+  }
+
+  return null;
+};
+
+// Validar la lista de precios enviada para un cliente (null la quita)
+const validatePriceList = async (priceList) => {
+  if (priceList === undefined || priceList === null) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(priceList)) {
+    return "Invalid price list ID";
+  }
+
+  if (!(await PriceList.exists({ _id: priceList }))) {
+    return "Price list not found";
+  }
+
+  return null;
+};
+
+// Formatear un cliente para las respuestas
+const formatCustomer = (customer) => ({
+  id: customer._id,
+  name: customer.name,
+  lastname: customer.lastname,
+  email: customer.email,
+  phone: customer.phone,
+  documentType: customer.documentType || null,
+  documentNumber: customer.documentNumber || null,
+  creditLimit: customer.creditLimit || 0,
+  creditDays: customer.creditDays !== undefined ? customer.creditDays : 30,
+  balance: customer.balance || 0,
+  availableCredit: Math.max((customer.creditLimit || 0) - (customer.balance || 0), 0),
+  priceList: customer.priceList && customer.priceList.name !== undefined ? customer.priceList.name : null,
+  priceListId: customer.priceList ? customer.priceList._id || customer.priceList : null,
+  status: customer.status,
+  createdAt: formatDate(customer.createdAt)
+});
+
 // Obtener todos los clientes
 export const getCustomers = async (req, res) => {
     try {
@@ -20,18 +86,11 @@ export const getCustomers = async (req, res) => {
         }
 
         const customers = await Customer.find()
-            .select("name lastname email phone status createdAt");
+            .select("name lastname email phone documentType documentNumber creditLimit creditDays balance priceList status createdAt")
+            .populate("priceList", "name");
 
         // Formatear fechas en la respuesta
-        const formattedCustomers = customers.map(customer => ({
-            id: customer._id,
-            name: customer.name,
-            lastname: customer.lastname,
-            email: customer.email,
-            phone: customer.phone,
-            status: customer.status,
-            createdAt: formatDate(customer.createdAt)
-        }));
+        const formattedCustomers = customers.map(formatCustomer);
 
         res.status(200).json(formattedCustomers);
     } catch (error) {
@@ -54,21 +113,14 @@ export const getCustomerById = async (req, res) => {
         }
 
         const customer = await Customer.findById(id)
-            .select("id name lastname email phone status createdAt");
+            .select("id name lastname email phone documentType documentNumber creditLimit creditDays balance priceList status createdAt")
+            .populate("priceList", "name");
 
         if (!customer) {
             return res.status(404).json({ message: "Customer not found" });
         }
 
-        const formattedCustomer = {
-            id: customer._id,
-            name: customer.name,
-            lastname: customer.lastname,
-            email: customer.email,
-            phone: customer.phone,
-            status: customer.status,
-            createdAt: formatDate(customer.createdAt)
-        };
+        const formattedCustomer = formatCustomer(customer);
 
         res.status(200).json(formattedCustomer);
     } catch (error) {
@@ -84,7 +136,7 @@ export const createCustomer = async (req, res) => {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const { name, lastname, email, phone, status } = req.body;
+        const { name, lastname, email, phone, documentType, documentNumber, creditLimit, creditDays, priceList, status } = req.body;
 
         // Validar campos obligatorios
         if (!name || !lastname || !email || !phone) {
@@ -108,11 +160,31 @@ export const createCustomer = async (req, res) => {
             return res.status(400).json({ message: "Status must be either 'active' or 'inactive'" });
         }
 
+        const documentError = validateDocument(documentType, documentNumber);
+        if (documentError) {
+            return res.status(400).json({ message: documentError });
+        }
+
+        const creditError = validateCredit(creditLimit, creditDays);
+        if (creditError) {
+            return res.status(400).json({ message: creditError });
+        }
+
+        const priceListError = await validatePriceList(priceList);
+        if (priceListError) {
+            return res.status(400).json({ message: priceListError });
+        }
+
         const newCustomer = new Customer({
             name,
             lastname,
             email,
             phone,
+            documentType: documentType || (documentNumber ? "13" : null),
+            documentNumber: documentNumber || null,
+            creditLimit: creditLimit !== undefined ? creditLimit : 0,
+            creditDays: creditDays !== undefined ? creditDays : 30,
+            priceList: priceList || null,
             status: status || 'active',
             createdAt: new Date(),
         });
@@ -120,15 +192,7 @@ export const createCustomer = async (req, res) => {
         await newCustomer.save();
         res.status(201).json({ 
             message: "Customer created successfully", 
-            customer: {
-                id: newCustomer._id,
-                name: newCustomer.name,
-                lastname: newCustomer.lastname,
-                email: newCustomer.email,
-                phone: newCustomer.phone,
-                status: newCustomer.status,
-                createdAt: formatDate(newCustomer.createdAt),
-            }
+            customer: formatCustomer(newCustomer)
         });
     } catch (error) {
         console.error("Error creating customer:", error);
@@ -144,7 +208,7 @@ export const updateCustomer = async (req, res) => {
         }
 
         const { id } = req.params;
-        const { name, lastname, email, phone, status } = req.body;
+        const { name, lastname, email, phone, documentType, documentNumber, creditLimit, creditDays, priceList, status } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ message: "Invalid customer ID" });
@@ -169,11 +233,26 @@ export const updateCustomer = async (req, res) => {
             return res.status(400).json({ message: "Status must be either 'active' or 'inactive'" });
         }
 
+        const documentError = validateDocument(documentType, documentNumber);
+        if (documentError) {
+            return res.status(400).json({ message: documentError });
+        }
+
+        const creditError = validateCredit(creditLimit, creditDays);
+        if (creditError) {
+            return res.status(400).json({ message: creditError });
+        }
+
+        const priceListError = await validatePriceList(priceList);
+        if (priceListError) {
+            return res.status(400).json({ message: priceListError });
+        }
+
         const updatedCustomer = await Customer.findByIdAndUpdate(
             id,
-            { name, lastname, email, phone, status },
+            { name, lastname, email, phone, documentType, documentNumber, creditLimit, creditDays, priceList, status },
             { new: true, runValidators: true }
-        );
+        ).populate("priceList", "name");
 
         if (!updatedCustomer) {
             return res.status(404).json({ message: "Customer not found" });
@@ -181,15 +260,7 @@ export const updateCustomer = async (req, res) => {
 
         res.status(200).json({ 
             message: "Customer updated successfully", 
-            customer: {
-                id: updatedCustomer._id,
-                name: updatedCustomer.name,
-                lastname: updatedCustomer.lastname,
-                email: updatedCustomer.email,
-                phone: updatedCustomer.phone,
-                status: updatedCustomer.status,
-                createdAt: formatDate(updatedCustomer.createdAt),
-            }
+            customer: formatCustomer(updatedCustomer)
         });
     } catch (error) {
         console.error("Error updating customer:", error);
@@ -210,12 +281,19 @@ export const deleteCustomer = async (req, res) => {
             return res.status(400).json({ message: "Invalid customer ID" });
         }
 
-        const deletedCustomer = await Customer.findByIdAndDelete(id);
+        const customer = await Customer.findById(id);
 
-        if (!deletedCustomer) {
+        if (!customer) {
             return res.status(404).json({ message: "Customer not found" });
         }
 
+        // Las ventas a crédito pendientes quedarían sin cliente al que cobrarlas
+        if (customer.balance > 0) {
+            return res.status(409).json({ message: "A customer with a pending balance cannot be deleted", balance: customer.balance });
+        }
+
+        await Customer.findByIdAndDelete(id);
+
         res.status(200).json({ message: "Customer deleted successfully" });
     } catch (error) {
         console.error("Error deleting customer:", error);
@@ -253,15 +331,7 @@ export const updateCustomerStatus = async (req, res) => {
 
         res.status(200).json({ 
             message: "Customer status updated successfully", 
-            customer: {
-                id: updatedCustomer._id,
-                name: updatedCustomer.name,
-                lastname: updatedCustomer.lastname,
-                email: updatedCustomer.email,
-                phone: updatedCustomer.phone,
-                status: updatedCustomer.status,
-                createdAt: formatDate(updatedCustomer.createdAt),
-            }
+            customer: formatCustomer(updatedCustomer)
         });
     } catch (error) {
         console.error("Error updating customer status:", error);
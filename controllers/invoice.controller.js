@@ -0,0 +1,315 @@
+import Invoice from '../models/invoice.js';
+import Sale from '../models/sales.js';
+import mongoose from 'mongoose';
+import { checkPermission } from '../utils/permissions.js';
+import { issueInvoice, renderInvoicePDF, ensureElectronicInvoice } from '../utils/invoices.js';
+import { getInvoiceQRCode } from '../utils/einvoice.js';
+import { submitElectronicInvoice } from '../utils/dian.js';
+import { sendMail, validateRecipients, collectPDF } from '../utils/mail.js';
+import { invoiceEmail } from '../utils/mailTemplates.js';
+import PDFDocument from 'pdfkit';
+
+// Formatear fecha para mostrar
+const formatDate = (date) => {
+  if (!date) return null;
+  try {
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return "Invalid Date";
+    const day = d.getDate().toString().padStart(2, '0');
+    const month = (d.getMonth() + 1).toString().padStart(2, '0');
+    const year = d.getFullYear();
+    return `${day}/${month}/${year}`;
+  } catch (error) {
+    console.error("Error formatting date:", error);
+    return "Error";
+  }
+};
+
+// Formatear una factura para el listado
+const formatInvoice = (invoice) => {
+    const customer = invoice.snapshot && invoice.snapshot.customer ? invoice.snapshot.customer : {};
+    return {
+        _id: invoice._id,
+        number: invoice.number,
+        sale: invoice.snapshot ? invoice.snapshot.saleId : null,
+        saleId: invoice.sale,
+        customer: `${customer.name || ''} ${customer.lastname || ''}`.trim() || 'Unknown Customer',
+        customerId: invoice.customer,
+        date: formatDate(invoice.snapshot && invoice.snapshot.date ? invoice.snapshot.date : invoice.issuedAt),
+        issuedAt: invoice.issuedAt,
+        total: invoice.snapshot ? invoice.snapshot.total || 0 : 0,
+        cufe: invoice.electronic ? invoice.electronic.cufe || null : null,
+        electronicStatus: invoice.electronic ? invoice.electronic.status || null : null,
+        reprintCount: invoice.reprintCount || 0,
+        lastReprintedAt: invoice.reprints && invoice.reprints.length > 0
+            ? invoice.reprints[invoice.reprints.length - 1].at
+            : null
+    };
+};
+
+// Buscar la factura de una venta. Las facturas emitidas antes de guardar la copia se registran
+// con los datos actuales, y las anteriores a la facturación electrónica reciben su XML
+const findSaleInvoice = async (saleId) => {
+    let invoice = await Invoice.findOne({ sale: saleId });
+
+    if (!invoice) {
+        const sale = await Sale.findById(saleId)
+            .populate("customer", "name lastname email phone documentType documentNumber")
+            .populate("products.product", "name");
+
+        if (!sale || !sale.invoiceID) {
+            return null;
+        }
+
+        return issueInvoice(sale, sale.customer, [], null);
+    }
+
+    return ensureElectronicInvoice(invoice);
+};
+
+// Obtener las facturas emitidas
+export const getInvoices = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_invoices")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        let filter = {};
+
+        // Filtro por fecha de emisión si se especifica
+        if (req.query.startDate && req.query.endDate) {
+            filter.issuedAt = {
+                $gte: new Date(req.query.startDate),
+                $lte: new Date(req.query.endDate)
+            };
+        }
+
+        // Filtro por cliente si se especifica
+        if (req.query.customerId && mongoose.Types.ObjectId.isValid(req.query.customerId)) {
+            filter.customer = req.query.customerId;
+        }
+
+        // Implementar paginación opcional
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const skip = (page - 1) * limit;
+
+        const total = await Invoice.countDocuments(filter);
+
+        const invoices = await Invoice.find(filter)
+            .sort({ issuedAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        res.status(200).json({
+            invoices: invoices.map(invoice => formatInvoice(invoice)),
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching invoices:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Volver a descargar la factura de una venta tal como se emitió, marcada como copia
+export const reprintInvoice = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_invoices")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        let invoice = await findSaleInvoice(id);
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found for this sale" });
+        }
+
+        // Registrar la reimpresión
+        invoice = await Invoice.findByIdAndUpdate(
+            invoice._id,
+            {
+                $push: { reprints: { at: new Date(), by: req.user.id } },
+                $inc: { reprintCount: 1 }
+            },
+            { new: true }
+        );
+
+        const qrCode = await getInvoiceQRCode(invoice);
+
+        // Crear PDF de la copia (las páginas se conservan para poner la marca de agua al final)
+        const doc = new PDFDocument({ margin: 50, bufferPages: true });
+
+        // Configurar encabezados para descarga del archivo
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=invoice_${invoice.number}_copy.pdf`);
+
+        // Pipe PDF a la respuesta
+        doc.pipe(res);
+
+        renderInvoicePDF(doc, invoice, { copy: true, qrCode });
+
+        // Finalizar PDF
+        doc.end();
+    } catch (error) {
+        console.error("Error reprinting invoice:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Descargar el XML UBL 2.1 de la factura electrónica de una venta
+export const downloadInvoiceXML = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_invoices")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        const invoice = await findSaleInvoice(id);
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found for this sale" });
+        }
+
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename=invoice_${invoice.number}.xml`);
+        res.send(invoice.electronic.xml);
+    } catch (error) {
+        console.error("Error downloading invoice XML:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Reenviar a la DIAN una factura electrónica pendiente o rechazada
+export const submitInvoice = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "generate_invoice")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        const invoice = await findSaleInvoice(id);
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found for this sale" });
+        }
+
+        if (invoice.electronic.status === 'accepted') {
+            return res.status(409).json({
+                message: "This invoice was already accepted",
+                trackId: invoice.electronic.trackId
+            });
+        }
+
+        const submitted = await submitElectronicInvoice(invoice);
+
+        res.status(200).json({
+            message: submitted.electronic.status === 'accepted'
+                ? "Invoice accepted"
+                : "Invoice was not accepted",
+            invoice: formatInvoice(submitted),
+            trackId: submitted.electronic.trackId || null,
+            response: submitted.electronic.message || null
+        });
+    } catch (error) {
+        console.error("Error submitting invoice:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Enviar por correo la factura de una venta (PDF y XML) al cliente o a los destinatarios indicados
+export const sendInvoice = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "send_invoices")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        const invoice = await findSaleInvoice(id);
+
+        if (!invoice) {
+            return res.status(404).json({ message: "Invoice not found for this sale" });
+        }
+
+        // Por defecto se envía al correo del cliente tal como quedó en la factura
+        const customer = invoice.snapshot && invoice.snapshot.customer ? invoice.snapshot.customer : {};
+        const recipients = (req.body || {}).to || customer.email;
+
+        const recipientsError = validateRecipients(recipients);
+        if (recipientsError) {
+            return res.status(400).json({ message: recipientsError });
+        }
+
+        // Generar el PDF en memoria para adjuntarlo
+        const qrCode = await getInvoiceQRCode(invoice);
+        const doc = new PDFDocument({ margin: 50 });
+        const pdf = collectPDF(doc);
+        renderInvoicePDF(doc, invoice, { qrCode });
+        doc.end();
+
+        const attachments = [
+            { filename: `invoice_${invoice.number}.pdf`, content: await pdf, contentType: 'application/pdf' }
+        ];
+        if (invoice.electronic && invoice.electronic.xml) {
+            attachments.push({ filename: `invoice_${invoice.number}.xml`, content: invoice.electronic.xml, contentType: 'application/xml' });
+        }
+
+        const { subject, html } = invoiceEmail({
+            customerName: `${customer.name || ''} ${customer.lastname || ''}`.trim(),
+            number: invoice.number,
+            date: formatDate(invoice.snapshot && invoice.snapshot.date ? invoice.snapshot.date : invoice.issuedAt),
+            total: invoice.snapshot ? invoice.snapshot.total : 0
+        });
+
+        const log = await sendMail({
+            type: 'invoice',
+            reference: invoice.number,
+            to: recipients,
+            subject,
+            html,
+            attachments,
+            userId: req.user.id
+        });
+
+        if (log.status === 'failed') {
+            return res.status(502).json({ message: "Invoice email could not be sent", error: log.error, logId: log._id });
+        }
+
+        res.status(200).json({
+            message: log.status === 'logged'
+                ? `Invoice was not delivered: the ${log.transport} mail transport only logs messages`
+                : "Invoice sent successfully",
+            status: log.status,
+            to: log.to,
+            logId: log._id
+        });
+    } catch (error) {
+        console.error("Error sending invoice:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
@@ -0,0 +1,44 @@
+import MailLog from "../models/mailLog.js";
+import { checkPermission } from "../utils/permissions.js";
+
+// Obtener el registro de correos enviados
+export const getMailLogs = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_mail_logs")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        let filter = {};
+
+        // Filtros opcionales por tipo, estado y destinatario
+        if (req.query.type) filter.type = req.query.type;
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.to) filter.to = req.query.to;
+
+        // Implementar paginación opcional
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const skip = (page - 1) * limit;
+
+        const total = await MailLog.countDocuments(filter);
+
+        const logs = await MailLog.find(filter)
+            .populate("sentBy", "name lastname")
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        res.status(200).json({
+            logs,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching mail logs:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
@@ -0,0 +1,90 @@
+import Counter from "../models/counter.js";
+import { checkPermission } from "../utils/permissions.js";
+import { DOCUMENT_SEQUENCES, formatNumber, syncCounters } from "../utils/numbering.js";
+
+// Format a counter with the last and next numbers it issues
+function formatCounter(counter) {
+    return {
+        key: counter.key,
+        prefix: counter.prefix,
+        padding: counter.padding,
+        lastNumber: counter.seq > 0 ? formatNumber(counter, counter.seq) : null,
+        nextNumber: formatNumber(counter, counter.seq + 1),
+        updatedAt: counter.updatedAt
+    };
+}
+
+// Get all document sequences
+export const getCounters = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_numbering")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        // Make sure every document type has its counter
+        await syncCounters();
+
+        const counters = await Counter.find({ key: { $in: Object.keys(DOCUMENT_SEQUENCES) } }).sort({ key: 1 });
+
+        res.status(200).json(counters.map(formatCounter));
+    } catch (error) {
+        console.error("Error fetching counters:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Update the prefix, padding or next number of a document sequence
+export const updateCounter = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "update_numbering")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { key } = req.params;
+        const { prefix, padding, nextNumber } = req.body;
+
+        if (!DOCUMENT_SEQUENCES[key]) {
+            return res.status(404).json({ message: "Document sequence not found" });
+        }
+
+        if (prefix !== undefined && (typeof prefix !== "string" || !/^[A-Za-z0-9-]{0,10}$/.test(prefix))) {
+            return res.status(400).json({ message: "Prefix must be up to 10 letters, numbers or dashes" });
+        }
+
+        if (padding !== undefined && (!Number.isInteger(padding) || padding < 1 || padding > 10)) {
+            return res.status(400).json({ message: "Padding must be an integer between 1 and 10" });
+        }
+
+        if (nextNumber !== undefined && (!Number.isInteger(nextNumber) || nextNumber < 1)) {
+            return res.status(400).json({ message: "Next number must be a positive integer" });
+        }
+
+        await syncCounters();
+
+        const update = {};
+        if (prefix !== undefined) update.prefix = prefix;
+        if (padding !== undefined) update.padding = padding;
+
+        const filter = { key };
+        if (nextNumber !== undefined) {
+            // Going back would reissue numbers already in use
+            filter.seq = { $lt: nextNumber };
+            update.seq = nextNumber - 1;
+        }
+
+        const counter = await Counter.findOneAndUpdate(filter, { $set: update }, { new: true });
+
+        if (!counter) {
+            const current = await Counter.findOne({ key });
+            return res.status(409).json({
+                message: "Next number must be greater than the last number issued",
+                lastNumber: current.seq
+            });
+        }
+
+        res.status(200).json({ message: "Document sequence updated successfully", counter: formatCounter(counter) });
+    } catch (error) {
+        console.error("Error updating counter:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
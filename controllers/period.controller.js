@@ -0,0 +1,205 @@
+import AccountingPeriod from '../models/accountingPeriod.js';
+import { checkPermission } from '../utils/permissions.js';
+import { formatPeriod } from '../utils/periods.js';
+
+// Formatear un periodo para las respuestas
+const formatAccountingPeriod = (period, { withOverrides = false } = {}) => ({
+    _id: period._id,
+    period: formatPeriod(period),
+    year: period.year,
+    month: period.month,
+    status: period.status,
+    closedAt: period.closedAt || null,
+    closedBy: period.closedBy && period.closedBy.name !== undefined
+        ? `${period.closedBy.name || ''} ${period.closedBy.lastname || ''}`.trim()
+        : null,
+    reopenedAt: period.reopenedAt || null,
+    reopenedBy: period.reopenedBy && period.reopenedBy.name !== undefined
+        ? `${period.reopenedBy.name || ''} ${period.reopenedBy.lastname || ''}`.trim()
+        : null,
+    notes: period.notes || null,
+    overridesCount: (period.overrides || []).length,
+    ...(withOverrides ? {
+        overrides: (period.overrides || []).map(override => ({
+            action: override.action,
+            documentType: override.documentType,
+            documentId: override.document,
+            reference: override.reference || null,
+            user: override.user && override.user.name !== undefined
+                ? `${override.user.name || ''} ${override.user.lastname || ''}`.trim()
+                : null,
+            userId: override.user ? override.user._id || override.user : null,
+            date: override.date
+        }))
+    } : {})
+});
+
+// Validar el año y el mes de la ruta
+const parsePeriodParams = (params) => {
+    const year = parseInt(params.year);
+    const month = parseInt(params.month);
+
+    if (!Number.isInteger(year) || year < 2000 || year > 9999 || !Number.isInteger(month) || month < 1 || month > 12) {
+        return { error: "Invalid period: year must have four digits and month must be between 1 and 12" };
+    }
+
+    return { year, month };
+};
+
+// Obtener los periodos cerrados o reabiertos
+export const getAccountingPeriods = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_periods")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const filter = {};
+
+        if (req.query.year) {
+            filter.year = parseInt(req.query.year);
+        }
+
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const periods = await AccountingPeriod.find(filter)
+            .populate("closedBy", "name lastname")
+            .populate("reopenedBy", "name lastname")
+            .sort({ year: -1, month: -1 });
+
+        res.status(200).json(periods.map(period => formatAccountingPeriod(period)));
+    } catch (error) {
+        console.error("Error fetching accounting periods:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Obtener un periodo con el registro de cambios hechos estando cerrado
+export const getAccountingPeriod = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_periods")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { year, month, error } = parsePeriodParams(req.params);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const period = await AccountingPeriod.findOne({ year, month })
+            .populate("closedBy", "name lastname")
+            .populate("reopenedBy", "name lastname")
+            .populate("overrides.user", "name lastname");
+
+        // Un mes que nunca se ha cerrado está abierto
+        if (!period) {
+            return res.status(200).json({ period: formatPeriod({ year, month }), year, month, status: 'open', overrides: [] });
+        }
+
+        res.status(200).json(formatAccountingPeriod(period, { withOverrides: true }));
+    } catch (error) {
+        console.error("Error fetching accounting period:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Cerrar un mes ya terminado
+export const closeAccountingPeriod = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "close_periods")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { year, month, error } = parsePeriodParams(req.params);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        // El mes en curso todavía recibe ventas y compras
+        const now = new Date();
+        if (year > now.getFullYear() || (year === now.getFullYear() && month >= now.getMonth() + 1)) {
+            return res.status(400).json({ message: "Only months that have already ended can be closed" });
+        }
+
+        const { notes } = req.body || {};
+
+        // Solo cambia si no estaba cerrado; si no existe se crea cerrado
+        const period = await AccountingPeriod.findOneAndUpdate(
+            { year, month, status: { $ne: 'closed' } },
+            {
+                $set: {
+                    status: 'closed',
+                    closedAt: new Date(),
+                    closedBy: req.user.id,
+                    ...(notes !== undefined ? { notes: notes || null } : {})
+                }
+            },
+            { new: true, upsert: true }
+        ).catch(error => {
+            // El índice único rechaza crear otro documento para un mes que ya estaba cerrado
+            if (error.code === 11000) return null;
+            throw error;
+        });
+
+        if (!period) {
+            return res.status(409).json({ message: "Accounting period is already closed", period: formatPeriod({ year, month }) });
+        }
+
+        await period.populate([
+            { path: "closedBy", select: "name lastname" },
+            { path: "reopenedBy", select: "name lastname" }
+        ]);
+
+        res.status(200).json({
+            message: "Accounting period closed successfully",
+            period: formatAccountingPeriod(period)
+        });
+    } catch (error) {
+        console.error("Error closing accounting period:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Reabrir un mes cerrado
+export const reopenAccountingPeriod = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "reopen_periods")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { year, month, error } = parsePeriodParams(req.params);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const { notes } = req.body || {};
+
+        const period = await AccountingPeriod.findOneAndUpdate(
+            { year, month, status: 'closed' },
+            {
+                $set: {
+                    status: 'open',
+                    reopenedAt: new Date(),
+                    reopenedBy: req.user.id,
+                    ...(notes !== undefined ? { notes: notes || null } : {})
+                }
+            },
+            { new: true }
+        )
+            .populate("closedBy", "name lastname")
+            .populate("reopenedBy", "name lastname");
+
+        if (!period) {
+            return res.status(409).json({ message: "Accounting period is not closed", period: formatPeriod({ year, month }) });
+        }
+
+        res.status(200).json({
+            message: "Accounting period reopened successfully",
+            period: formatAccountingPeriod(period)
+        });
+    } catch (error) {
+        console.error("Error reopening accounting period:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
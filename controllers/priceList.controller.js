@@ -0,0 +1,324 @@
+import PriceList from "../models/priceList.js";
+import Product from "../models/product.js";
+import Customer from "../models/customer.js";
+import mongoose from "mongoose";
+import { checkPermission } from "../utils/permissions.js";
+import { getNextNumber } from "../utils/numbering.js";
+import { getListPrice } from "../utils/priceLists.js";
+
+// Validate a fixed price or a percentage of the base price (exactly one of them)
+function validatePriceRule(rule, label, errors, { required = true } = {}) {
+    const hasPrice = rule.price !== undefined && rule.price !== null;
+    const hasPercentage = rule.percentage !== undefined && rule.percentage !== null;
+
+    if (hasPrice && hasPercentage) {
+        errors.push(`${label}: send either a price or a percentage, not both`);
+    } else if (!hasPrice && !hasPercentage && required) {
+        errors.push(`${label}: a price or a percentage is required`);
+    }
+
+    if (hasPrice && (typeof rule.price !== "number" || rule.price < 0)) {
+        errors.push(`${label}: price must be a number greater than or equal to 0`);
+    }
+
+    if (hasPercentage && (typeof rule.percentage !== "number" || rule.percentage <= 0)) {
+        errors.push(`${label}: percentage must be a positive number`);
+    }
+}
+
+// Validate price list data (merged with the existing price list on updates)
+async function validatePriceListData(data) {
+    const errors = [];
+
+    if (!data.name || typeof data.name !== "string" || data.name.trim() === "") {
+        errors.push("Name is required");
+    }
+
+    if (data.percentage !== undefined && (typeof data.percentage !== "number" || data.percentage <= 0)) {
+        errors.push("Percentage must be a positive number");
+    }
+
+    if (data.status && !["active", "inactive"].includes(data.status)) {
+        errors.push("Status must be 'active' or 'inactive'");
+    }
+
+    const items = data.items || [];
+    if (!Array.isArray(items)) {
+        errors.push("Items must be an array");
+        return errors;
+    }
+
+    items.forEach((item, i) => {
+        if (!item || !item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
+            errors.push(`Invalid product ID at index ${i}`);
+            return;
+        }
+
+        // A product may rely only on its tiers and use the list percentage below them
+        const tiers = item.tiers || [];
+        validatePriceRule(item, `Item ${i}`, errors, { required: !Array.isArray(tiers) || tiers.length === 0 });
+
+        if (!Array.isArray(tiers)) {
+            errors.push(`Item ${i}: tiers must be an array`);
+            return;
+        }
+
+        tiers.forEach((tier, j) => {
+            if (!tier || !Number.isInteger(tier.minQuantity) || tier.minQuantity < 2) {
+                errors.push(`Item ${i}, tier ${j}: minimum quantity must be an integer of at least 2`);
+                return;
+            }
+            validatePriceRule(tier, `Item ${i}, tier ${j}`, errors);
+        });
+
+        if (new Set(tiers.map(tier => tier && tier.minQuantity)).size !== tiers.length) {
+            errors.push(`Item ${i}: tiers must have different minimum quantities`);
+        }
+    });
+
+    const productIds = items.map(item => item && item.product ? item.product.toString() : null).filter(Boolean);
+    if (new Set(productIds).size !== productIds.length) {
+        errors.push("Each product can appear only once in a price list");
+    } else if (productIds.length > 0 && errors.length === 0) {
+        const found = await Product.countDocuments({ _id: { $in: productIds } });
+        if (found !== productIds.length) {
+            errors.push("Some products were not found");
+        }
+    }
+
+    return errors;
+}
+
+// Build the stored fields from the request body
+function buildPriceListFields(data) {
+    const rule = (entry) => ({
+        price: entry.price !== undefined ? entry.price : null,
+        percentage: entry.percentage !== undefined ? entry.percentage : null
+    });
+
+    return {
+        name: data.name.trim(),
+        description: data.description ? data.description.trim() : "",
+        percentage: data.percentage !== undefined ? data.percentage : 100,
+        items: (data.items || []).map(item => ({
+            product: item.product._id || item.product,
+            ...rule(item),
+            tiers: (item.tiers || [])
+                .map(tier => ({ minQuantity: tier.minQuantity, ...rule(tier) }))
+                .sort((a, b) => a.minQuantity - b.minQuantity)
+        })),
+        isDefault: Boolean(data.isDefault),
+        status: data.status || "active"
+    };
+}
+
+// Only one price list can be the default one
+async function clearOtherDefaults(fields, id = null) {
+    if (fields.isDefault) {
+        await PriceList.updateMany({ isDefault: true, ...(id ? { _id: { $ne: id } } : {}) }, { $set: { isDefault: false } });
+    }
+}
+
+// Get all price lists
+export const getPriceLists = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_price_lists")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const filter = {};
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const priceLists = await PriceList.find(filter)
+            .populate("items.product", "name price")
+            .sort({ name: 1 });
+
+        res.status(200).json(priceLists);
+    } catch (error) {
+        console.error("Error fetching price lists:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Get price list by ID
+export const getPriceListById = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_price_lists")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid price list ID" });
+        }
+
+        const priceList = await PriceList.findById(id).populate("items.product", "name price");
+
+        if (!priceList) {
+            return res.status(404).json({ message: "Price list not found" });
+        }
+
+        res.status(200).json(priceList);
+    } catch (error) {
+        console.error("Error fetching price list:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Get the price of every active product in a price list for a given quantity
+export const getPriceListPrices = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_price_lists")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const quantity = req.query.quantity !== undefined ? parseInt(req.query.quantity) : 1;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid price list ID" });
+        }
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            return res.status(400).json({ message: "Quantity must be a positive integer" });
+        }
+
+        const priceList = await PriceList.findById(id);
+        if (!priceList) {
+            return res.status(404).json({ message: "Price list not found" });
+        }
+
+        const filter = { status: "active" };
+        if (req.query.productId && mongoose.Types.ObjectId.isValid(req.query.productId)) {
+            filter._id = req.query.productId;
+        }
+
+        const products = await Product.find(filter).select("id name price").sort({ name: 1 });
+
+        res.status(200).json({
+            priceList: { id: priceList._id, name: priceList.name },
+            quantity,
+            products: products.map(product => ({
+                productId: product._id,
+                id: product.id,
+                name: product.name,
+                basePrice: product.price || 0,
+                price: getListPrice(priceList, product, quantity)
+            }))
+        });
+    } catch (error) {
+        console.error("Error fetching price list prices:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Create a new price list
+export const postPriceList = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "manage_price_lists")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const errors = await validatePriceListData(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Validation failed", errors });
+        }
+
+        const fields = buildPriceListFields(req.body);
+
+        const existingName = await PriceList.findOne({ name: fields.name });
+        if (existingName) {
+            return res.status(409).json({ message: "A price list with this name already exists" });
+        }
+
+        await clearOtherDefaults(fields);
+
+        const id = await getNextNumber("price_list");
+        const newPriceList = new PriceList({ id, ...fields });
+
+        await newPriceList.save();
+        res.status(201).json({ message: "Price list created successfully", priceList: newPriceList });
+    } catch (error) {
+        console.error("Error creating price list:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Update a price list
+export const updatePriceList = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "manage_price_lists")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid price list ID" });
+        }
+
+        const priceList = await PriceList.findById(id);
+        if (!priceList) {
+            return res.status(404).json({ message: "Price list not found" });
+        }
+
+        // Validate the resulting price list, not just the fields being sent
+        const merged = { ...priceList.toObject(), ...req.body };
+        const errors = await validatePriceListData(merged);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Validation failed", errors });
+        }
+
+        const fields = buildPriceListFields(merged);
+
+        const existingName = await PriceList.findOne({ name: fields.name, _id: { $ne: id } });
+        if (existingName) {
+            return res.status(409).json({ message: "A price list with this name already exists" });
+        }
+
+        await clearOtherDefaults(fields, id);
+
+        priceList.set(fields);
+        await priceList.save();
+
+        res.status(200).json({ message: "Price list updated successfully", priceList });
+    } catch (error) {
+        console.error("Error updating price list:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Delete a price list
+export const deletePriceList = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "manage_price_lists")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid price list ID" });
+        }
+
+        // Customers keep their list until they are moved to another one
+        const assignedCustomers = await Customer.countDocuments({ priceList: id });
+        if (assignedCustomers > 0) {
+            return res.status(409).json({ message: "Cannot delete a price list assigned to customers", customers: assignedCustomers });
+        }
+
+        const deletedPriceList = await PriceList.findByIdAndDelete(id);
+
+        if (!deletedPriceList) {
+            return res.status(404).json({ message: "Price list not found" });
+        }
+
+        res.status(200).json({ message: "Price list deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting price list:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
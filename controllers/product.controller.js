@@ -3,18 +3,8 @@ import Category from "../models/category.js";
 import Provider from "../models/provider.js"
 import mongoose from "mongoose";
 import { checkPermission } from "../utils/permissions.js";
-
-async function generateProductId() {
-    const lastProduct = await Product.findOne().sort({ _id: -1 });
-
-    if (!lastProduct || !/^Pr\d{2}$/.test(lastProduct.id)) {
-        return "Pr01";
-    }
-
-    const lastNumber = parseInt(lastProduct.id.substring(2), 10);
-    const nextNumber = (lastNumber + 1).toString().padStart(2, "0");
-    return `Pr${nextNumber}`;
-}
+import { getNextNumber } from "../utils/numbering.js";
+import { validateTax } from "../utils/taxes.js";
 
 // Función para formatear fecha a YYYY-MM-DD
 function formatDate(date) {
@@ -27,9 +17,20 @@ function formatPrice(price) {
     return `$${price.toLocaleString('es-CO')}`;
 }
 
-// Función para formatear las fechas y precios en los productos
-function formatProduct(product) {
+// Función para formatear las fechas y precios en los productos. El costo y el margen solo se
+// incluyen para los roles que pueden ver costos
+function formatProduct(product, { showCost = false } = {}) {
     const formattedProduct = product.toObject ? product.toObject() : { ...product };
+
+    if (showCost) {
+        const cost = formattedProduct.cost || 0;
+        const price = formattedProduct.price || 0;
+        formattedProduct.cost = cost;
+        formattedProduct.margin = price - cost;
+        formattedProduct.marginPercentage = price > 0 ? Math.round(((price - cost) / price) * 10000) / 100 : 0;
+    } else {
+        delete formattedProduct.cost;
+    }
     
     if (formattedProduct.batchDate) {
         formattedProduct.batchDate = formatDate(new Date(formattedProduct.batchDate));
@@ -46,6 +47,21 @@ function formatProduct(product) {
     return formattedProduct;
 }
 
+// Validar el costo enviado: solo lo pueden definir los roles que pueden ver costos
+function validateCost(cost, canViewCosts) {
+    if (cost === undefined) return null;
+
+    if (!canViewCosts) {
+        return { status: 403, message: "You are not allowed to set product costs" };
+    }
+
+    if (typeof cost !== "number" || cost < 0) {
+        return { status: 400, message: "Cost must be a number greater than or equal to 0" };
+    }
+
+    return null;
+}
+
 // Get all products
 export const getProducts = async (req, res) => {
     try {
@@ -54,12 +70,13 @@ export const getProducts = async (req, res) => {
         }
 
         const products = await Product.find()
-            .select("id name price stock minimumStock status category provider batchDate expirationDate")
+            .select("id name price cost taxType taxRate stock minimumStock status category provider batchDate expirationDate")
             .populate("category", "name")
             .populate("provider", "name"); 
 
         // Formatear fechas y precios
-        const formattedProducts = products.map(product => formatProduct(product));
+        const showCost = await checkPermission(req.user.roleId, "view_costs");
+        const formattedProducts = products.map(product => formatProduct(product, { showCost }));
 
         res.status(200).json(formattedProducts);
     } catch (error) {
@@ -82,7 +99,7 @@ export const getProductById = async (req, res) => {
         }
 
         const product = await Product.findById(id)
-            .select("id name price stock minimumStock status category provider batchDate expirationDate")
+            .select("id name price cost taxType taxRate stock minimumStock status category provider batchDate expirationDate")
             .populate("category", "name")
             .populate("provider", "name");
 
@@ -91,7 +108,8 @@ export const getProductById = async (req, res) => {
         }
 
         // Formatear fechas y precios
-        const formattedProduct = formatProduct(product);
+        const showCost = await checkPermission(req.user.roleId, "view_costs");
+        const formattedProduct = formatProduct(product, { showCost });
 
         res.status(200).json(formattedProduct);
     } catch (error) {
@@ -106,7 +124,7 @@ export const postProduct = async (req, res) => {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const { name, category, provider, price, stock, minimumStock, status, batchDate, expirationDate } = req.body;
+        const { name, category, provider, price, cost, stock, minimumStock, status, batchDate, expirationDate, taxType, taxRate } = req.body;
 
         if (!name || !category || !provider || price === undefined || stock === undefined || minimumStock === undefined || !status || !batchDate || !expirationDate) {
             return res.status(400).json({ message: "All fields are required" });
@@ -135,6 +153,13 @@ export const postProduct = async (req, res) => {
             return res.status(400).json({ message: "Price must be a positive number" });
         }
 
+        // Costo del stock inicial; luego lo actualizan las compras con el promedio ponderado
+        const showCost = await checkPermission(req.user.roleId, "view_costs");
+        const costError = validateCost(cost, showCost);
+        if (costError) {
+            return res.status(costError.status).json({ message: costError.message });
+        }
+
         // Validación para stock mínimo: debe ser menor o igual a 300
         if (!Number.isInteger(minimumStock) || minimumStock > 300) {
             return res.status(400).json({ message: "Minimum stock must be less than or equal to 300 units" });
@@ -148,6 +173,12 @@ export const postProduct = async (req, res) => {
         if (!["active", "inactive"].includes(status)) {
             return res.status(400).json({ message: "Status must be 'active' or 'inactive'" });
         }
+
+        // Impuesto propio del producto (opcional, si no se usa el de la categoría)
+        const taxError = validateTax(taxType, taxRate);
+        if (taxError) {
+            return res.status(400).json({ message: taxError });
+        }
         
         // Validar fechas
         const batchDateObj = new Date(batchDate);
@@ -165,13 +196,16 @@ export const postProduct = async (req, res) => {
             return res.status(400).json({ message: "Expiration date must be after batch date" });
         }
 
-        const id = await generateProductId();
+        const id = await getNextNumber("product");
         const newProduct = new Product({
             id,
             name,
             category,
             provider,
             price,
+            cost: cost !== undefined ? cost : 0,
+            taxType: taxType || null,
+            taxRate: taxType ? (taxType === "none" ? 0 : taxRate) : null,
             batchDate: batchDateObj,
             expirationDate: expirationDateObj,
             stock,
@@ -182,7 +216,7 @@ export const postProduct = async (req, res) => {
         await newProduct.save();
         
         // Formatear fechas y precios en la respuesta
-        const savedProduct = formatProduct(newProduct);
+        const savedProduct = formatProduct(newProduct, { showCost });
         
         res.status(201).json({ message: "Product created successfully", product: savedProduct });
     } catch (error) {
@@ -199,7 +233,7 @@ export const updateProduct = async (req, res) => {
         }
 
         const { id } = req.params;
-        const { name, category, provider, price, stock, minimumStock, status, batchDate, expirationDate } = req.body;
+        const { name, category, provider, price, cost, stock, minimumStock, status, batchDate, expirationDate, taxType, taxRate } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ message: "Invalid product ID" });
@@ -234,6 +268,19 @@ export const updateProduct = async (req, res) => {
             return res.status(400).json({ message: "Price must be a positive number" });
         }
 
+        // Corrección manual del costo promedio
+        const showCost = await checkPermission(req.user.roleId, "view_costs");
+        const costError = validateCost(cost, showCost);
+        if (costError) {
+            return res.status(costError.status).json({ message: costError.message });
+        }
+
+        // Validar el impuesto propio; taxType null vuelve a usar el de la categoría
+        const taxError = validateTax(taxType, taxRate);
+        if (taxError) {
+            return res.status(400).json({ message: taxError });
+        }
+
         // Validación para minimumStock y stock
         // Si se actualiza el minimumStock, verificar que sea menor o igual a 300
         let newMinimumStock = existingProduct.minimumStock;
@@ -285,6 +332,13 @@ export const updateProduct = async (req, res) => {
         if (categoryId) updateData.category = categoryId;
         if (providerId) updateData.provider = providerId;
         if (price !== undefined) updateData.price = price;
+        if (cost !== undefined) updateData.cost = cost;
+        if (taxType !== undefined) {
+            updateData.taxType = taxType;
+            updateData.taxRate = taxType ? (taxType === "none" ? 0 : taxRate) : null;
+        } else if (taxRate !== undefined) {
+            updateData.taxRate = taxRate;
+        }
         if (stock !== undefined) updateData.stock = stock;
         if (minimumStock !== undefined) updateData.minimumStock = minimumStock;
         if (status) updateData.status = status;
@@ -296,12 +350,12 @@ export const updateProduct = async (req, res) => {
             updateData,
             { new: true, runValidators: true }
         )
-            .select("id name price stock minimumStock status category provider batchDate expirationDate")
+            .select("id name price cost taxType taxRate stock minimumStock status category provider batchDate expirationDate")
             .populate("category", "name")
             .populate("provider", "name");
 
         // Formatear fechas y precios en la respuesta
-        const formattedProduct = formatProduct(updatedProduct);
+        const formattedProduct = formatProduct(updatedProduct, { showCost });
         
         res.status(200).json({ message: "Product updated successfully", product: formattedProduct });
     } catch (error) {
@@ -0,0 +1,251 @@
+import Promotion from "../models/promotion.js";
+import Category from "../models/category.js";
+import Product from "../models/product.js";
+import mongoose from "mongoose";
+import { checkPermission } from "../utils/permissions.js";
+import { getNextNumber } from "../utils/numbering.js";
+
+// Validate promotion data (merged with the existing promotion on updates)
+async function validatePromotionData(data) {
+    const errors = [];
+
+    if (!data.name || typeof data.name !== "string" || data.name.trim() === "") {
+        errors.push("Name is required");
+    }
+
+    if (!["percentage", "fixed_amount", "buy_x_get_y"].includes(data.type)) {
+        errors.push("Type must be 'percentage', 'fixed_amount' or 'buy_x_get_y'");
+    }
+
+    if (data.type === "percentage" && (typeof data.value !== "number" || data.value <= 0 || data.value > 100)) {
+        errors.push("Percentage value must be between 0 and 100");
+    }
+
+    if (data.type === "fixed_amount" && (typeof data.value !== "number" || data.value <= 0)) {
+        errors.push("Fixed amount value must be a positive number");
+    }
+
+    if (data.type === "buy_x_get_y") {
+        if (!Number.isInteger(data.buyQuantity) || data.buyQuantity <= 0) {
+            errors.push("Buy quantity must be a positive integer");
+        }
+        if (!Number.isInteger(data.freeQuantity) || data.freeQuantity <= 0) {
+            errors.push("Free quantity must be a positive integer");
+        }
+    }
+
+    const startDate = new Date(data.startDate);
+    const endDate = new Date(data.endDate);
+    if (!data.startDate || isNaN(startDate.getTime())) {
+        errors.push("Start date is invalid");
+    }
+    if (!data.endDate || isNaN(endDate.getTime())) {
+        errors.push("End date is invalid");
+    }
+    if (startDate > endDate) {
+        errors.push("End date must be after start date");
+    }
+
+    if (data.couponCode !== undefined && data.couponCode !== null &&
+        (typeof data.couponCode !== "string" || !/^[A-Za-z0-9_-]{3,30}$/.test(data.couponCode.trim()))) {
+        errors.push("Coupon code must be 3 to 30 letters, numbers, dashes or underscores");
+    }
+
+    if (data.status && !["active", "inactive"].includes(data.status)) {
+        errors.push("Status must be 'active' or 'inactive'");
+    }
+
+    // Validate referenced categories and products
+    for (const [field, Model] of [["categories", Category], ["products", Product]]) {
+        const ids = data[field] || [];
+        if (!Array.isArray(ids)) {
+            errors.push(`${field} must be an array`);
+            continue;
+        }
+        if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            errors.push(`Invalid ID in ${field}`);
+            continue;
+        }
+        const found = await Model.countDocuments({ _id: { $in: ids } });
+        if (found !== new Set(ids.map(id => id.toString())).size) {
+            errors.push(`Some ${field} were not found`);
+        }
+    }
+
+    return errors;
+}
+
+// Build the stored fields from the request body
+function buildPromotionFields(data) {
+    return {
+        name: data.name.trim(),
+        type: data.type,
+        value: data.type === "buy_x_get_y" ? 0 : data.value,
+        buyQuantity: data.type === "buy_x_get_y" ? data.buyQuantity : undefined,
+        freeQuantity: data.type === "buy_x_get_y" ? data.freeQuantity : undefined,
+        couponCode: data.couponCode ? data.couponCode.trim().toUpperCase() : undefined,
+        startDate: new Date(data.startDate),
+        endDate: new Date(data.endDate),
+        categories: data.categories || [],
+        products: data.products || [],
+        status: data.status || "active"
+    };
+}
+
+// Get all promotions
+export const getPromotions = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_promotions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const filter = {};
+
+        // Only promotions in force today
+        if (req.query.current === "true") {
+            const now = new Date();
+            filter.status = "active";
+            filter.startDate = { $lte: now };
+            filter.endDate = { $gte: now };
+        }
+
+        const promotions = await Promotion.find(filter)
+            .populate("categories", "name")
+            .populate("products", "name");
+
+        res.status(200).json(promotions);
+    } catch (error) {
+        console.error("Error fetching promotions:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Get promotion by ID
+export const getPromotionById = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_promotions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid promotion ID" });
+        }
+
+        const promotion = await Promotion.findById(id)
+            .populate("categories", "name")
+            .populate("products", "name");
+
+        if (!promotion) {
+            return res.status(404).json({ message: "Promotion not found" });
+        }
+
+        res.status(200).json(promotion);
+    } catch (error) {
+        console.error("Error fetching promotion:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Create a new promotion
+export const postPromotion = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "create_promotions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const errors = await validatePromotionData(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Validation failed", errors });
+        }
+
+        const fields = buildPromotionFields(req.body);
+
+        if (fields.couponCode) {
+            const existingCoupon = await Promotion.findOne({ couponCode: fields.couponCode });
+            if (existingCoupon) {
+                return res.status(409).json({ message: "Coupon code already in use" });
+            }
+        }
+
+        const id = await getNextNumber("promotion");
+        const newPromotion = new Promotion({ id, ...fields });
+
+        await newPromotion.save();
+        res.status(201).json({ message: "Promotion created successfully", promotion: newPromotion });
+    } catch (error) {
+        console.error("Error creating promotion:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Update a promotion
+export const updatePromotion = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "update_promotions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid promotion ID" });
+        }
+
+        const promotion = await Promotion.findById(id);
+        if (!promotion) {
+            return res.status(404).json({ message: "Promotion not found" });
+        }
+
+        // Validate the resulting promotion, not just the fields being sent
+        const merged = { ...promotion.toObject(), ...req.body };
+        const errors = await validatePromotionData(merged);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Validation failed", errors });
+        }
+
+        const fields = buildPromotionFields(merged);
+
+        if (fields.couponCode) {
+            const existingCoupon = await Promotion.findOne({ couponCode: fields.couponCode, _id: { $ne: id } });
+            if (existingCoupon) {
+                return res.status(409).json({ message: "Coupon code already in use" });
+            }
+        }
+
+        promotion.set(fields);
+        await promotion.save();
+
+        res.status(200).json({ message: "Promotion updated successfully", promotion });
+    } catch (error) {
+        console.error("Error updating promotion:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Delete a promotion
+export const deletePromotion = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "delete_promotions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid promotion ID" });
+        }
+
+        const deletedPromotion = await Promotion.findByIdAndDelete(id);
+
+        if (!deletedPromotion) {
+            return res.status(404).json({ message: "Promotion not found" });
+        }
+
+        res.status(200).json({ message: "Promotion deleted successfully" });
+    } catch (error) {
+        console.error("Error deleting promotion:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
@@ -1,18 +1,9 @@
 import Provider from "../models/provider.js";
+import Purchase from "../models/purchase.js";
+import PurchaseOrder from "../models/purchaseOrder.js";
 import mongoose from "mongoose";
 import { checkPermission } from "../utils/permissions.js";
-
-async function generateProviderId() {
-    const lastProvider = await Provider.findOne().sort({ _id: -1 });
-
-    if (!lastProvider || !/^Pr\d{2}$/.test(lastProvider.id)) {
-        return "Pr01";
-    }
-
-    const lastNumber = parseInt(lastProvider.id.substring(2), 10);
-    const nextNumber = (lastNumber + 1).toString().padStart(2, "0");
-    return `Pr${nextNumber}`;
-}
+import { getNextNumber } from "../utils/numbering.js";
 
 // Get all providers
 export const getProviders = async (req, res) => {
@@ -94,7 +85,7 @@ export const postProvider = async (req, res) => {
             return res.status(400).json({ message: "A provider with this email already exists" });
         }
 
-        const id = await generateProviderId();
+        const id = await getNextNumber("provider");
         const newProvider = new Provider({
             id,
             name,
@@ -191,6 +182,13 @@ export const deleteProvider = async (req, res) => {
             return res.status(400).json({ message: "Invalid provider ID" });
         }
 
+        // Purchases and purchase orders keep a reference to their provider
+        const purchases = await Purchase.countDocuments({ provider: id });
+        const purchaseOrders = await PurchaseOrder.countDocuments({ provider: id });
+        if (purchases > 0 || purchaseOrders > 0) {
+            return res.status(409).json({ message: "Cannot delete a provider that has purchases or purchase orders", purchases, purchaseOrders });
+        }
+
         const deletedProvider = await Provider.findByIdAndDelete(id);
 
         if (!deletedProvider) {
@@ -1,22 +1,20 @@
 import mongoose from "mongoose";
 import Purchase from "../models/purchase.js";
 import Product from "../models/product.js";
+import Branch from "../models/branches.js";
+import Provider from "../models/provider.js";
 import { checkPermission } from "../utils/permissions.js";
+import { getNextNumber } from "../utils/numbering.js";
+import { resolveBranch, groupByBranchStages } from "../utils/branches.js";
+import { PeriodLockError, checkPeriodLock, logPeriodOverrides } from "../utils/periods.js";
+import { StockError, receiveStock } from "../utils/stock.js";
+import { runInTransaction } from "../utils/transactions.js";
+import { findPurchaseProvider, isDuplicateInvoice, groupReceivedByProduct } from "../utils/purchases.js";
+import { sendMail, validateRecipients, collectPDF } from "../utils/mail.js";
+import { reportEmail } from "../utils/mailTemplates.js";
 import PDFDocument from "pdfkit";
 import ExcelJS from "exceljs";
 
-// Function to generate purchase ID
-async function generatePurchaseId() {
-    const lastPurchase = await Purchase.findOne().sort({ createdAt: -1 });
-    if (!lastPurchase || !/^Pu\d{2}$/.test(lastPurchase.id)) {
-        return "Pu01";
-    }
-
-    const lastNumber = parseInt(lastPurchase.id.substring(2), 10);
-    const nextNumber = (lastNumber + 1).toString().padStart(2, "0");
-    return `Pu${nextNumber}`;
-}
-
 // Validate purchase data
 function validatePurchaseData(data, isUpdate = false) {
     const errors = [];
@@ -54,10 +52,129 @@ function validatePurchaseData(data, isUpdate = false) {
     if (data.details !== undefined && (typeof data.details !== "string" || data.details.trim() === "")) {
         errors.push("Details must be a non-empty string");
     }
+
+    errors.push(...validateInvoiceData(data));
     
     return errors;
 }
 
+// Validate the supplier invoice fields if provided
+function validateInvoiceData(data) {
+    const errors = [];
+
+    if (data.invoiceNumber !== undefined && data.invoiceNumber !== null &&
+        (typeof data.invoiceNumber !== "string" || data.invoiceNumber.trim() === "")) {
+        errors.push("Invoice number must be a non-empty string");
+    }
+
+    if (data.invoiceDate !== undefined && data.invoiceDate !== null) {
+        const dateRegex = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d{3})?Z)?$/;
+        if (!dateRegex.test(data.invoiceDate) && !(data.invoiceDate instanceof Date)) {
+            errors.push("Invalid invoice date format. Use YYYY-MM-DD or ISO format");
+        }
+    }
+
+    return errors;
+}
+
+// Format the dates of a purchase for the responses
+function formatPurchaseDates(purchase) {
+    const purchaseObj = purchase.toObject();
+    if (purchaseObj.purchaseDate) {
+        purchaseObj.purchaseDate = new Date(purchaseObj.purchaseDate).toISOString().split('T')[0];
+    }
+    if (purchaseObj.invoiceDate) {
+        purchaseObj.invoiceDate = new Date(purchaseObj.invoiceDate).toISOString().split('T')[0];
+    }
+    return purchaseObj;
+}
+
+// Validate the purchase lines with the unit cost paid for each one; without a price the product's
+// current average cost is used. Returns { lines, total } or { status, error }
+async function buildPurchaseLines(products) {
+    // Validate if products array exists and is not empty
+    if (!Array.isArray(products) || products.length === 0) {
+        return { status: 400, error: "At least one product is required" };
+    }
+
+    // Initialize total
+    let total = 0;
+    let lines = [];
+
+    // Validate and process each product
+    for (let i = 0; i < products.length; i++) {
+        const item = products[i];
+        
+        // Check product ID
+        if (!item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
+            return { status: 400, error: `Invalid product ID at index ${i}` };
+        }
+
+        // Find product in database
+        const foundProduct = await Product.findById(item.product);
+        if (!foundProduct) {
+            return { status: 404, error: `Product not found at index ${i}` };
+        }
+
+        // Validate quantity
+        if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+            return { status: 400, error: `Invalid quantity at index ${i}` };
+        }
+
+        // Validate unit cost
+        if (item.price !== undefined && (typeof item.price !== 'number' || item.price < 0)) {
+            return { status: 400, error: `Invalid price at index ${i}` };
+        }
+
+        // Calculate item total
+        const itemPrice = item.price !== undefined ? item.price : foundProduct.cost || 0;
+        const itemTotal = itemPrice * item.quantity;
+        
+        // Add to validated products
+        lines.push({
+            product: item.product,
+            quantity: item.quantity,
+            price: itemPrice,
+            total: itemTotal
+        });
+        
+        // Add to overall total
+        total += itemTotal;
+    }
+
+    return { lines, total };
+}
+
+// Units and cost value entering the inventory per product when the lines change (negative when
+// they are taken back). Products deleted since the purchase are skipped, there is no stock left to reconcile.
+// Without withCost the value is null and only the stock moves, leaving the average cost as it is
+async function getPurchaseStockChanges(previousLines, newLines = [], { withCost = true } = {}) {
+    const previous = groupReceivedByProduct(previousLines);
+    const current = groupReceivedByProduct(newLines);
+    const productIds = [...new Set([...previous.keys(), ...current.keys()])];
+    const existing = await Product.find({ _id: { $in: productIds } }).select("_id");
+
+    const empty = { quantity: 0, value: 0 };
+    const changes = new Map();
+    existing.forEach(product => {
+        const productId = product._id.toString();
+        const before = previous.get(productId) || empty;
+        const after = current.get(productId) || empty;
+        const change = { quantity: after.quantity - before.quantity, value: withCost ? after.value - before.value : null };
+        if (change.quantity !== 0 || (withCost && change.value !== 0)) changes.set(productId, change);
+    });
+
+    return changes;
+}
+
+// Apply the stock changes of a purchase, updating each product's weighted average cost.
+// Taking back units fails if they were already sold
+async function applyPurchaseStockChanges(changes, session) {
+    for (const [productId, { quantity, value }] of changes) {
+        await receiveStock(productId, quantity, value, session);
+    }
+}
+
 // GET: Retrieve all purchases
 export const getPurchases = async (req, res) => {
     try {        
@@ -65,18 +182,27 @@ export const getPurchases = async (req, res) => {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const purchases = await Purchase.find()
-            .select("id total details purchaseDate product")
-            .populate("product", "name");
+        // Optional branch, provider and invoice number filters
+        let filter = {};
+        if (req.query.branchId && mongoose.Types.ObjectId.isValid(req.query.branchId)) {
+            filter.branch = req.query.branchId;
+        }
+        if (req.query.providerId && mongoose.Types.ObjectId.isValid(req.query.providerId)) {
+            filter.provider = req.query.providerId;
+        }
+        if (req.query.invoiceNumber) {
+            filter.invoiceNumber = req.query.invoiceNumber.trim();
+        }
 
-        // Format the date in the response
-        const formattedPurchases = purchases.map(purchase => {
-            const purchaseObj = purchase.toObject();
-            if (purchaseObj.purchaseDate) {
-                purchaseObj.purchaseDate = new Date(purchaseObj.purchaseDate).toISOString().split('T')[0];
-            }
-            return purchaseObj;
-        });
+        const purchases = await Purchase.find(filter)
+            .select("id total details purchaseDate product branch provider invoiceNumber invoiceDate purchaseOrder")
+            .populate("product", "name")
+            .populate("branch", "name")
+            .populate("provider", "name")
+            .populate("purchaseOrder", "id");
+
+        // Format the dates in the response
+        const formattedPurchases = purchases.map(formatPurchaseDates);
 
         res.status(200).json(formattedPurchases);
     } catch (error) {
@@ -99,18 +225,18 @@ export const getPurchaseById = async (req, res) => {
         }
 
         const purchase = await Purchase.findById(id)
-            .select("id total details purchaseDate")
-            .populate("product", "name price");
+            .select("id total details purchaseDate branch provider invoiceNumber invoiceDate purchaseOrder")
+            .populate("product", "name price")
+            .populate("branch", "name address")
+            .populate("provider", "name email contact_number")
+            .populate("purchaseOrder", "id status");
 
         if (!purchase) {
             return res.status(404).json({ message: "Purchase not found" });
         }
 
-        // Format the date in the response
-        const formattedPurchase = purchase.toObject();
-        if (formattedPurchase.purchaseDate) {
-            formattedPurchase.purchaseDate = new Date(formattedPurchase.purchaseDate).toISOString().split('T')[0];
-        }
+        // Format the dates in the response
+        const formattedPurchase = formatPurchaseDates(purchase);
 
         res.status(200).json(formattedPurchase);
     } catch (error) {
@@ -126,79 +252,79 @@ export const postPurchase = async (req, res) => {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const { products, details, purchaseDate } = req.body;
+        const { products, details, purchaseDate, branchId, providerId, invoiceNumber, invoiceDate } = req.body;
 
-        // Validate if products array exists and is not empty
-        if (!Array.isArray(products) || products.length === 0) {
-            return res.status(400).json({ message: "At least one product is required" });
+        const invoiceErrors = validateInvoiceData(req.body);
+        if (invoiceErrors.length > 0) {
+            return res.status(400).json({ message: "Validation failed", errors: invoiceErrors });
         }
 
-        // Initialize total
-        let total = 0;
-        let validatedProducts = [];
+        const { provider, status: providerStatus, error: providerError } = await findPurchaseProvider(providerId);
+        if (providerError) {
+            return res.status(providerStatus).json({ message: providerError });
+        }
 
-        // Validate and process each product
-        for (let i = 0; i < products.length; i++) {
-            const item = products[i];
-            
-            // Check product ID
-            if (!item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
-                return res.status(400).json({ message: `Invalid product ID at index ${i}` });
-            }
+        if (await isDuplicateInvoice(provider._id, invoiceNumber)) {
+            return res.status(409).json({ message: "This provider already has a purchase with this invoice number" });
+        }
 
-            // Find product in database
-            const foundProduct = await Product.findById(item.product);
-            if (!foundProduct) {
-                return res.status(404).json({ message: `Product not found at index ${i}` });
-            }
+        const { lines, total, status: linesStatus, error: linesError } = await buildPurchaseLines(products);
+        if (linesError) {
+            return res.status(linesStatus).json({ message: linesError });
+        }
 
-            // Validate quantity
-            if (!item.quantity || typeof item.quantity !== 'number' || item.quantity <= 0) {
-                return res.status(400).json({ message: `Invalid quantity at index ${i}` });
-            }
+        // Purchases dated in a closed accounting period need the reopen permission
+        const lockedPeriods = await checkPeriodLock([purchaseDate ? new Date(purchaseDate) : new Date()], req.user);
 
-            // Calculate item total
-            const itemPrice = foundProduct.price;
-            const itemTotal = itemPrice * item.quantity;
-            
-            // Add to validated products
-            validatedProducts.push({
-                product: item.product,
-                quantity: item.quantity,
-                price: itemPrice,
-                total: itemTotal
-            });
-            
-            // Add to overall total
-            total += itemTotal;
+        // The purchase belongs to the given branch or to the user's home branch
+        const { branch, status: branchStatus, error: branchError } = await resolveBranch(branchId, req.user.id);
+        if (branchError) {
+            return res.status(branchStatus).json({ message: branchError });
         }
 
-        // Generate purchase ID
-        const id = await generatePurchaseId();
-
-        // Create new purchase
+        // Create new purchase (the ID is assigned inside the transaction)
         const newPurchase = new Purchase({
-            id,
-            products: validatedProducts,
+            products: lines,
             details: details || "Purchase details not provided",
             purchaseDate: purchaseDate || new Date(),
-            total
+            branch: branch._id,
+            provider: provider._id,
+            invoiceNumber: invoiceNumber ? invoiceNumber.trim() : null,
+            invoiceDate: invoiceDate || null,
+            total,
+            stockReceived: true,
+            costTracked: true
+        });
+
+        // Save the purchase and receive its quantities into inventory as a single unit
+        await runInTransaction(async (session) => {
+            // Numbering inside the transaction so a rollback doesn't skip a number
+            newPurchase.id = await getNextNumber("purchase", session);
+            await newPurchase.save({ session });
+
+            // Each line enters at its unit cost, updating the weighted average cost
+            for (const [productId, { quantity, value }] of groupReceivedByProduct(lines)) {
+                await receiveStock(productId, quantity, value, session);
+            }
         });
 
-        // Save to database
-        await newPurchase.save();
+        await logPeriodOverrides(lockedPeriods, { action: "create", documentType: "purchase", document: newPurchase._id, reference: newPurchase.id, userId: req.user.id });
 
         // Format the response
-        const formattedPurchase = newPurchase.toObject();
-        if (formattedPurchase.purchaseDate) {
-            formattedPurchase.purchaseDate = new Date(formattedPurchase.purchaseDate).toISOString().split('T')[0];
-        }
+        const formattedPurchase = formatPurchaseDates(newPurchase);
 
         res.status(201).json({ 
             message: "Purchase created successfully", 
             purchase: formattedPurchase 
         });
     } catch (error) {
+        if (error instanceof PeriodLockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        // Another purchase took the same invoice number in the meantime
+        if (error.code === 11000) {
+            return res.status(409).json({ message: "This provider already has a purchase with this invoice number" });
+        }
         console.error("Error creating purchase:", error);
         res.status(500).json({ message: "Server error", details: error.message });
     }
@@ -212,7 +338,7 @@ export const updatePurchase = async (req, res) => {
         }
 
         const { id } = req.params;
-        const { product, purchaseDate, total, details } = req.body;
+        const { product, products, purchaseDate, total, details, branchId, providerId, invoiceNumber, invoiceDate } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ message: "Invalid purchase ID format" });
@@ -224,6 +350,19 @@ export const updatePurchase = async (req, res) => {
             return res.status(400).json({ message: "Validation failed", errors: validationErrors });
         }
 
+        const existingPurchase = await Purchase.findById(id);
+        if (!existingPurchase) {
+            return res.status(404).json({ message: "Purchase not found" });
+        }
+
+        // Goods received from a purchase order are tracked on the order's lines
+        if (existingPurchase.purchaseOrder && (products !== undefined || providerId !== undefined)) {
+            return res.status(409).json({ message: "Products and provider of a purchase received from a purchase order cannot be changed", purchaseOrderId: existingPurchase.purchaseOrder });
+        }
+
+        // Neither the current nor the new date can be in a closed accounting period
+        const lockedPeriods = await checkPeriodLock([existingPurchase.purchaseDate, purchaseDate ? new Date(purchaseDate) : null], req.user);
+
         let updateFields = {};
 
         // Check and update product if provided
@@ -235,9 +374,58 @@ export const updatePurchase = async (req, res) => {
             updateFields.product = product;
         }
 
+        // Replace the lines if provided: stock is reconciled with the quantities already received
+        // (only for purchases that added them to stock)
+        let stockChanges = new Map();
+        if (products !== undefined) {
+            const { lines, total: linesTotal, status: linesStatus, error: linesError } = await buildPurchaseLines(products);
+            if (linesError) {
+                return res.status(linesStatus).json({ message: linesError });
+            }
+            // Purchases priced before costing move only the stock, not the average cost
+            if (existingPurchase.stockReceived) {
+                stockChanges = await getPurchaseStockChanges(existingPurchase.products, lines, { withCost: existingPurchase.costTracked });
+            }
+            updateFields.products = lines;
+            updateFields.total = linesTotal;
+        }
+
+        // Check and update branch if provided
+        if (branchId !== undefined) {
+            if (!mongoose.Types.ObjectId.isValid(branchId)) {
+                return res.status(400).json({ message: "Invalid branch ID format" });
+            }
+            const existingBranch = await Branch.findById(branchId);
+            if (!existingBranch) {
+                return res.status(404).json({ message: "Branch not found" });
+            }
+            updateFields.branch = branchId;
+        }
+
+        // Check and update provider if provided
+        if (providerId !== undefined) {
+            const { provider, status: providerStatus, error: providerError } = await findPurchaseProvider(providerId);
+            if (providerError) {
+                return res.status(providerStatus).json({ message: providerError });
+            }
+            updateFields.provider = provider._id;
+        }
+
+        if (invoiceNumber !== undefined) updateFields.invoiceNumber = invoiceNumber ? invoiceNumber.trim() : null;
+        if (invoiceDate !== undefined) updateFields.invoiceDate = invoiceDate || null;
+
+        // The resulting provider and invoice number pair must stay unique
+        if (providerId !== undefined || invoiceNumber !== undefined) {
+            const resultingProvider = providerId !== undefined ? updateFields.provider : existingPurchase.provider;
+            const resultingInvoice = invoiceNumber !== undefined ? updateFields.invoiceNumber : existingPurchase.invoiceNumber;
+            if (await isDuplicateInvoice(resultingProvider, resultingInvoice, existingPurchase._id)) {
+                return res.status(409).json({ message: "This provider already has a purchase with this invoice number" });
+            }
+        }
+
         // Update other fields if provided
         if (purchaseDate !== undefined) updateFields.purchaseDate = purchaseDate;
-        if (total !== undefined) updateFields.total = total;
+        if (total !== undefined && products === undefined) updateFields.total = total;
         if (details !== undefined) updateFields.details = details;
         
         // Check if there are fields to update
@@ -245,25 +433,34 @@ export const updatePurchase = async (req, res) => {
             return res.status(400).json({ message: "No valid fields to update" });
         }
 
-        const updatedPurchase = await Purchase.findByIdAndUpdate(id, updateFields, {
-            new: true,
-            runValidators: true
-        })
-            .select("id product purchaseDate total details")
-            .populate("product", "name");
+        // Removing received quantities fails if the stock was already sold
+        existingPurchase.set(updateFields);
+        await runInTransaction(async (session) => {
+            await applyPurchaseStockChanges(stockChanges, session);
+            await existingPurchase.save({ session });
+        });
 
-        if (!updatedPurchase) {
-            return res.status(404).json({ message: "Purchase not found" });
-        }
+        const updatedPurchase = await Purchase.findById(id)
+            .select("id products purchaseDate total details branch provider invoiceNumber invoiceDate")
+            .populate("products.product", "name")
+            .populate("branch", "name")
+            .populate("provider", "name");
 
-        // Format the date in the response
-        const formattedPurchase = updatedPurchase.toObject();
-        if (formattedPurchase.purchaseDate) {
-            formattedPurchase.purchaseDate = new Date(formattedPurchase.purchaseDate).toISOString().split('T')[0];
-        }
+        await logPeriodOverrides(lockedPeriods, { action: "update", documentType: "purchase", document: updatedPurchase._id, reference: updatedPurchase.id, userId: req.user.id });
+
+        // Format the dates in the response
+        const formattedPurchase = formatPurchaseDates(updatedPurchase);
 
         res.status(200).json({ message: "Purchase updated successfully", purchase: formattedPurchase });
     } catch (error) {
+        if (error instanceof PeriodLockError || error instanceof StockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+
+        if (error.code === 11000) {
+            return res.status(409).json({ message: "This provider already has a purchase with this invoice number" });
+        }
+
         console.error("Error updating purchase:", error);
         
         // Handle Mongoose validation errors
@@ -289,14 +486,36 @@ export const deletePurchase = async (req, res) => {
             return res.status(400).json({ message: "Invalid purchase ID format" });
         }
 
-        const deletedPurchase = await Purchase.findByIdAndDelete(id);
+        const purchase = await Purchase.findById(id);
 
-        if (!deletedPurchase) {
+        if (!purchase) {
             return res.status(404).json({ message: "Purchase not found" });
         }
 
+        if (purchase.purchaseOrder) {
+            return res.status(409).json({ message: "Cannot delete a purchase received from a purchase order", purchaseOrderId: purchase.purchaseOrder });
+        }
+
+        // Purchases of a closed accounting period can only be deleted with the reopen permission
+        const lockedPeriods = await checkPeriodLock([purchase.purchaseDate], req.user);
+
+        // Take the received quantities back out of inventory; fails if they were already sold.
+        // Purchases that never added stock have nothing to reverse
+        const stockChanges = purchase.stockReceived
+            ? await getPurchaseStockChanges(purchase.products, [], { withCost: purchase.costTracked })
+            : new Map();
+        await runInTransaction(async (session) => {
+            await applyPurchaseStockChanges(stockChanges, session);
+            await Purchase.deleteOne({ _id: purchase._id }, { session });
+        });
+
+        await logPeriodOverrides(lockedPeriods, { action: "delete", documentType: "purchase", document: purchase._id, reference: purchase.id, userId: req.user.id });
+
         res.status(200).json({ message: "Purchase deleted successfully" });
     } catch (error) {
+        if (error instanceof PeriodLockError || error instanceof StockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
         console.error("Error deleting purchase:", error);
         res.status(500).json({ message: "Server error" });
     }
@@ -304,264 +523,302 @@ export const deletePurchase = async (req, res) => {
 
 // ===== EXPORT FUNCTIONS =====
 
-// GET: Generate a PDF report of purchases
-export const generatePdfReport = async (req, res) => {
-    try {
-        if (!checkPermission(req.user.role, "view_purchases")) {
-            return res.status(403).json({ message: "Unauthorized access" });
-        }
+// Purchases of the report for the given filters (date range, product, branch and provider)
+async function findReportPurchases({ startDate, endDate, productId, branchId, providerId }) {
+    // Build query object based on filters
+    let query = {};
+    
+    // Add date range filter
+    if (startDate || endDate) {
+        query.purchaseDate = {};
+        if (startDate) query.purchaseDate.$gte = new Date(startDate);
+        if (endDate) query.purchaseDate.$lte = new Date(endDate);
+    }
+    
+    // Add product filter
+    if (productId && mongoose.Types.ObjectId.isValid(productId)) {
+        query.product = productId;
+    }
 
-        // Parse query parameters for filtering
-        const { startDate, endDate, productId } = req.query;
-        
-        // Build query object based on filters
-        let query = {};
-        
-        // Add date range filter
-        if (startDate || endDate) {
-            query.purchaseDate = {};
-            if (startDate) query.purchaseDate.$gte = new Date(startDate);
-            if (endDate) query.purchaseDate.$lte = new Date(endDate);
+    // Add branch filter
+    if (branchId && mongoose.Types.ObjectId.isValid(branchId)) {
+        query.branch = branchId;
+    }
+
+    // Add provider filter
+    if (providerId && mongoose.Types.ObjectId.isValid(providerId)) {
+        query.provider = providerId;
+    }
+    
+    // Fetch purchases with filters
+    return Purchase.find(query)
+        .sort({ purchaseDate: -1 })
+        .populate("product", "name price")
+        .populate("branch", "name")
+        .populate("provider", "name");
+}
+
+// Company name shown on the purchases report
+const companyName = "IceSoft"; // Puedes obtener esto de una configuración
+
+// Create the purchases report document
+function createPurchaseReportDocument() {
+    return new PDFDocument({
+        margin: 50,
+        size: 'A4',
+        info: {
+            Title: 'Informe de Compras',
+            Author: companyName,
+            Subject: 'Informe de Compras',
+            Keywords: 'compras, informe, pdf',
+            Creator: 'IceSoft System',
+            Producer: 'PDFKit'
         }
-        
-        // Add product filter
-        if (productId && mongoose.Types.ObjectId.isValid(productId)) {
-            query.product = productId;
+    });
+}
+
+// Draw the purchases report on the PDF document
+async function renderPurchaseReportPDF(doc, purchases, { startDate, endDate, productId, branchId, providerId }) {
+    // Define colors
+    const primaryColor = '#336699';
+    const secondaryColor = '#f5f5f5';
+    const textColor = '#333333';
+    const headerTextColor = '#ffffff';
+    const borderColor = '#cccccc';
+    
+    // Función para formatear la moneda en formato colombiano
+    const formatCOP = (amount) => {
+        return new Intl.NumberFormat('es-CO', { 
+            style: 'currency', 
+            currency: 'COP',
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(amount);
+    };
+    
+    // Obtener hora actual correcta
+    const now = new Date();
+    const formattedDate = now.toLocaleDateString('es-CO');
+    const formattedTime = now.toLocaleTimeString('es-CO');
+    
+    // Add header with title
+    doc.rect(50, 50, doc.page.width - 100, 80)
+       .fillAndStroke(primaryColor, primaryColor);
+    
+    doc.fillColor(headerTextColor)
+       .font('Helvetica-Bold')
+       .fontSize(24)
+       .text(companyName, 70, 70);
+       
+    doc.fontSize(16)
+       .text('Informe de Compras', 70, 100);
+    
+    // Add date
+    doc.font('Helvetica')
+       .fontSize(10)
+       .fillColor(headerTextColor)
+       .text(`Generado: ${formattedDate} ${formattedTime}`, 
+             70, 120, { align: 'left' });
+       
+    // Add report info section
+    doc.rect(50, 150, doc.page.width - 100, 85)
+       .fillAndStroke(secondaryColor, borderColor);
+       
+    doc.fillColor(textColor)
+       .fontSize(12)
+       .font('Helvetica-Bold')
+       .text('Parámetros del Informe:', 70, 160);
+       
+    doc.font('Helvetica')
+       .fontSize(10);
+    
+    let infoY = 180;
+    
+    doc.text(`Período: ${startDate ? new Date(startDate).toLocaleDateString('es-CO') : 'Inicio'} a ${endDate ? new Date(endDate).toLocaleDateString('es-CO') : 'Fin'}`, 70, infoY);
+    infoY += 15;
+    
+    if (productId) {
+        const product = await Product.findById(productId);
+        if (product) {
+            doc.text(`Producto: ${product.name}`, 70, infoY);
+            infoY += 15;
         }
+    } else {
+        doc.text('Producto: Todos', 70, infoY);
+        infoY += 15;
+    }
+
+    const branch = branchId && mongoose.Types.ObjectId.isValid(branchId) ? await Branch.findById(branchId) : null;
+    doc.text(`Sucursal: ${branch ? branch.name : 'Todas'}`, 70, infoY);
+    infoY += 15;
+
+    const provider = providerId && mongoose.Types.ObjectId.isValid(providerId) ? await Provider.findById(providerId) : null;
+    doc.text(`Proveedor: ${provider ? provider.name : 'Todos'}`, 70, infoY);
+    infoY += 15;
+    
+    // Add simplified summary section
+    const totalAmount = purchases.reduce((sum, purchase) => sum + purchase.total, 0);
+    
+    doc.rect(50, 255, doc.page.width - 100, 60)
+       .fillAndStroke('#e6f7ff', borderColor);
+       
+    doc.fillColor(textColor)
+       .fontSize(14)
+       .font('Helvetica-Bold')
+       .text('Resumen', 70, 265);
+       
+    doc.font('Helvetica')
+       .fontSize(10);
+       
+    doc.text(`Total de Compras: ${purchases.length}`, 70, 285);
+    doc.text(`Total: ${formatCOP(totalAmount)}`, 70, 300);
+    
+    // Add table header (más compacto para reducir páginas)
+    const tableTop = 335;
+    const tableHeaders = ['ID', 'Fecha', 'Proveedor', 'Factura', 'Total'];
+    const colWidths = [70, 80, 150, 100, 100];
+    const totalCol = tableHeaders.length - 1;
+    
+    // Draw table header background
+    doc.rect(50, tableTop, doc.page.width - 100, 20)
+       .fillAndStroke(primaryColor, primaryColor);
+    
+    // Draw table header text
+    let currentX = 50;
+    tableHeaders.forEach((header, i) => {
+        doc.font('Helvetica-Bold')
+           .fontSize(10)
+           .fillColor(headerTextColor)
+           .text(header, currentX + 5, tableTop + 6, { width: colWidths[i], align: i === totalCol ? 'right' : 'left' });
+        currentX += colWidths[i];
+    });
+    
+    // Draw table rows
+    let y = tableTop + 20;
+    
+    for (let i = 0; i < purchases.length; i++) {
+        const purchase = purchases[i];
         
-        // Fetch purchases with filters
-        const purchases = await Purchase.find(query)
-            .sort({ purchaseDate: -1 })
-            .populate("product", "name price");
+        // Add new page if necessary
+        if (y > 700) {
+            doc.addPage();
+            y = 50;
             
-        if (purchases.length === 0) {
-            return res.status(404).json({ message: "No purchases found for the specified criteria" });
+            // Add table header in new page
+            doc.rect(50, y, doc.page.width - 100, 20)
+               .fillAndStroke(primaryColor, primaryColor);
+            
+            currentX = 50;
+            tableHeaders.forEach((header, i) => {
+                doc.font('Helvetica-Bold')
+                   .fontSize(10)
+                   .fillColor(headerTextColor)
+                   .text(header, currentX + 5, y + 6, { width: colWidths[i], align: i === totalCol ? 'right' : 'left' });
+                currentX += colWidths[i];
+            });
+            
+            y += 20;
         }
         
-        // Fetch company info
-        const companyName = "IceSoft"; // Puedes obtener esto de una configuración
-        
-        // Create PDF document with better styling
-        const doc = new PDFDocument({
-            margin: 50,
-            size: 'A4',
-            info: {
-                Title: 'Informe de Compras',
-                Author: companyName,
-                Subject: 'Informe de Compras',
-                Keywords: 'compras, informe, pdf',
-                Creator: 'IceSoft System',
-                Producer: 'PDFKit'
-            }
-        });
+        // Alternate row colors
+        if (i % 2 === 0) {
+            doc.rect(50, y, doc.page.width - 100, 20)
+               .fillAndStroke('#f9f9f9', borderColor);
+        } else {
+            doc.rect(50, y, doc.page.width - 100, 20)
+               .fillAndStroke('#ffffff', borderColor);
+        }
         
-        // Set response headers
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename=informe-compras-${Date.now()}.pdf`);
+        // Add row data
+        doc.font('Helvetica')
+           .fontSize(9)
+           .fillColor(textColor);
         
-        // Pipe the PDF document to the response
-        doc.pipe(res);
+        currentX = 50;
         
-        // Define colors
-        const primaryColor = '#336699';
-        const secondaryColor = '#f5f5f5';
-        const textColor = '#333333';
-        const headerTextColor = '#ffffff';
-        const borderColor = '#cccccc';
+        // ID
+        doc.text(purchase.id, currentX + 5, y + 6, { width: colWidths[0], align: 'left' });
+        currentX += colWidths[0];
         
-        // Función para formatear la moneda en formato colombiano
-        const formatCOP = (amount) => {
-            return new Intl.NumberFormat('es-CO', { 
-                style: 'currency', 
-                currency: 'COP',
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0
-            }).format(amount);
-        };
+        // Date
+        const formattedDate = new Date(purchase.purchaseDate).toLocaleDateString('es-CO');
+        doc.text(formattedDate, currentX + 5, y + 6, { width: colWidths[1], align: 'left' });
+        currentX += colWidths[1];
         
-        // Obtener hora actual correcta
-        const now = new Date();
-        const formattedDate = now.toLocaleDateString('es-CO');
-        const formattedTime = now.toLocaleTimeString('es-CO');
+        // Provider
+        const providerName = purchase.provider ? purchase.provider.name : 'Sin proveedor';
+        doc.text(providerName, currentX + 5, y + 6, { width: colWidths[2], align: 'left' });
+        currentX += colWidths[2];
+
+        // Supplier invoice
+        doc.text(purchase.invoiceNumber || '-', currentX + 5, y + 6, { width: colWidths[3], align: 'left' });
+        currentX += colWidths[3];
         
-        // Add header with title
-        doc.rect(50, 50, doc.page.width - 100, 80)
-           .fillAndStroke(primaryColor, primaryColor);
+        // Total (formato colombiano)
+        doc.text(formatCOP(purchase.total), currentX + 5, y + 6, { width: colWidths[4], align: 'right' });
         
-        doc.fillColor(headerTextColor)
-           .font('Helvetica-Bold')
-           .fontSize(24)
-           .text(companyName, 70, 70);
-           
-        doc.fontSize(16)
-           .text('Informe de Compras', 70, 100);
+        y += 20;
+    }
+    
+    // Add footer
+    const pageCount = doc.bufferedPageRange().count;
+    for (let i = 0; i < pageCount; i++) {
+        doc.switchToPage(i);
         
-        // Add date
+        // Add page number
         doc.font('Helvetica')
-           .fontSize(10)
-           .fillColor(headerTextColor)
-           .text(`Generado: ${formattedDate} ${formattedTime}`, 
-                 70, 120, { align: 'left' });
-           
-        // Add report info section
-        doc.rect(50, 150, doc.page.width - 100, 70)
-           .fillAndStroke(secondaryColor, borderColor);
-           
-        doc.fillColor(textColor)
-           .fontSize(12)
-           .font('Helvetica-Bold')
-           .text('Parámetros del Informe:', 70, 160);
-           
+           .fontSize(8)
+           .fillColor('#999999')
+           .text(
+             `Página ${i + 1} de ${pageCount}`,
+             50,
+             doc.page.height - 50,
+             { align: 'center', width: doc.page.width - 100 }
+           );
+        
+        // Add footer line
+        doc.moveTo(50, doc.page.height - 60)
+           .lineTo(doc.page.width - 50, doc.page.height - 60)
+           .stroke(borderColor);
+        
+        // Add company footer
         doc.font('Helvetica')
-           .fontSize(10);
-        
-        let infoY = 180;
-        
-        doc.text(`Período: ${startDate ? new Date(startDate).toLocaleDateString('es-CO') : 'Inicio'} a ${endDate ? new Date(endDate).toLocaleDateString('es-CO') : 'Fin'}`, 70, infoY);
-        infoY += 15;
-        
-        if (productId) {
-            const product = await Product.findById(productId);
-            if (product) {
-                doc.text(`Producto: ${product.name}`, 70, infoY);
-                infoY += 15;
-            }
-        } else {
-            doc.text('Producto: Todos', 70, infoY);
-            infoY += 15;
+           .fontSize(8)
+           .fillColor('#666666')
+           .text(
+             `${companyName} - Sistema de Gestión de Compras`,
+             50,
+             doc.page.height - 40,
+             { align: 'center', width: doc.page.width - 100 }
+           );
+    }
+}
+
+// GET: Generate a PDF report of purchases
+export const generatePdfReport = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_purchases")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        // Fetch purchases with the query filters
+        const purchases = await findReportPurchases(req.query);
+            
+        if (purchases.length === 0) {
+            return res.status(404).json({ message: "No purchases found for the specified criteria" });
         }
         
-        // Add simplified summary section
-        const totalAmount = purchases.reduce((sum, purchase) => sum + purchase.total, 0);
-        
-        doc.rect(50, 240, doc.page.width - 100, 60)
-           .fillAndStroke('#e6f7ff', borderColor);
-           
-        doc.fillColor(textColor)
-           .fontSize(14)
-           .font('Helvetica-Bold')
-           .text('Resumen', 70, 250);
-           
-        doc.font('Helvetica')
-           .fontSize(10);
-           
-        doc.text(`Total de Compras: ${purchases.length}`, 70, 270);
-        doc.text(`Total: ${formatCOP(totalAmount)}`, 70, 285);
-        
-        // Add table header (más compacto para reducir páginas)
-        const tableTop = 320;
-        const tableHeaders = ['ID', 'Fecha', 'Producto', 'Total'];
-        const colWidths = [80, 100, 200, 120];
-        
-        // Draw table header background
-        doc.rect(50, tableTop, doc.page.width - 100, 20)
-           .fillAndStroke(primaryColor, primaryColor);
-        
-        // Draw table header text
-        let currentX = 50;
-        tableHeaders.forEach((header, i) => {
-            doc.font('Helvetica-Bold')
-               .fontSize(10)
-               .fillColor(headerTextColor)
-               .text(header, currentX + 5, tableTop + 6, { width: colWidths[i], align: i === 3 ? 'right' : 'left' });
-            currentX += colWidths[i];
-        });
+        // Create PDF document with better styling
+        const doc = createPurchaseReportDocument();
         
-        // Draw table rows
-        let y = tableTop + 20;
+        // Set response headers
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=informe-compras-${Date.now()}.pdf`);
         
-        for (let i = 0; i < purchases.length; i++) {
-            const purchase = purchases[i];
-            
-            // Add new page if necessary
-            if (y > 700) {
-                doc.addPage();
-                y = 50;
-                
-                // Add table header in new page
-                doc.rect(50, y, doc.page.width - 100, 20)
-                   .fillAndStroke(primaryColor, primaryColor);
-                
-                currentX = 50;
-                tableHeaders.forEach((header, i) => {
-                    doc.font('Helvetica-Bold')
-                       .fontSize(10)
-                       .fillColor(headerTextColor)
-                       .text(header, currentX + 5, y + 6, { width: colWidths[i], align: i === 3 ? 'right' : 'left' });
-                    currentX += colWidths[i];
-                });
-                
-                y += 20;
-            }
-            
-            // Alternate row colors
-            if (i % 2 === 0) {
-                doc.rect(50, y, doc.page.width - 100, 20)
-                   .fillAndStroke('#f9f9f9', borderColor);
-            } else {
-                doc.rect(50, y, doc.page.width - 100, 20)
-                   .fillAndStroke('#ffffff', borderColor);
-            }
-            
-            // Add row data
-            doc.font('Helvetica')
-               .fontSize(9)
-               .fillColor(textColor);
-            
-            currentX = 50;
-            
-            // ID
-            doc.text(purchase.id, currentX + 5, y + 6, { width: colWidths[0], align: 'left' });
-            currentX += colWidths[0];
-            
-            // Date
-            const formattedDate = new Date(purchase.purchaseDate).toLocaleDateString('es-CO');
-            doc.text(formattedDate, currentX + 5, y + 6, { width: colWidths[1], align: 'left' });
-            currentX += colWidths[1];
-            
-            // Product
-            const productName = purchase.product ? purchase.product.name : 'Desconocido';
-            doc.text(productName, currentX + 5, y + 6, { width: colWidths[2], align: 'left' });
-            currentX += colWidths[2];
-            
-            // Total (formato colombiano)
-            doc.text(formatCOP(purchase.total), currentX + 5, y + 6, { width: colWidths[3], align: 'right' });
-            
-            y += 20;
-        }
+        // Pipe the PDF document to the response
+        doc.pipe(res);
         
-        // Add footer
-        const pageCount = doc.bufferedPageRange().count;
-        for (let i = 0; i < pageCount; i++) {
-            doc.switchToPage(i);
-            
-            // Add page number
-            doc.font('Helvetica')
-               .fontSize(8)
-               .fillColor('#999999')
-               .text(
-                 `Página ${i + 1} de ${pageCount}`,
-                 50,
-                 doc.page.height - 50,
-                 { align: 'center', width: doc.page.width - 100 }
-               );
-            
-            // Add footer line
-            doc.moveTo(50, doc.page.height - 60)
-               .lineTo(doc.page.width - 50, doc.page.height - 60)
-               .stroke(borderColor);
-            
-            // Add company footer
-            doc.font('Helvetica')
-               .fontSize(8)
-               .fillColor('#666666')
-               .text(
-                 `${companyName} - Sistema de Gestión de Compras`,
-                 50,
-                 doc.page.height - 40,
-                 { align: 'center', width: doc.page.width - 100 }
-               );
-        }
+        await renderPurchaseReportPDF(doc, purchases, req.query);
         
         // Finalize PDF
         doc.end();
@@ -572,6 +829,63 @@ export const generatePdfReport = async (req, res) => {
     }
 };
 
+// POST: Email the purchases PDF report to a list of recipients
+export const sendPdfReport = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_purchases")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { recipients, message, ...filters } = req.body;
+
+        const recipientsError = validateRecipients(recipients);
+        if (recipientsError) {
+            return res.status(400).json({ message: recipientsError });
+        }
+
+        const purchases = await findReportPurchases(filters);
+
+        if (purchases.length === 0) {
+            return res.status(404).json({ message: "No purchases found for the specified criteria" });
+        }
+
+        // Build the PDF in memory to attach it
+        const doc = createPurchaseReportDocument();
+        const pdf = collectPDF(doc);
+        await renderPurchaseReportPDF(doc, purchases, filters);
+        doc.end();
+
+        const period = `${filters.startDate ? new Date(filters.startDate).toLocaleDateString('es-CO') : 'Inicio'} a ${filters.endDate ? new Date(filters.endDate).toLocaleDateString('es-CO') : 'Fin'}`;
+        const { subject, html } = reportEmail({ title: 'Informe de Compras', period, message });
+
+        const log = await sendMail({
+            type: 'purchase_report',
+            reference: `Informe de compras ${period}`,
+            to: recipients,
+            subject,
+            html,
+            attachments: [{ filename: `informe-compras-${Date.now()}.pdf`, content: await pdf, contentType: 'application/pdf' }],
+            userId: req.user.id
+        });
+
+        if (log.status === 'failed') {
+            return res.status(502).json({ message: "Purchases report email could not be sent", error: log.error, logId: log._id });
+        }
+
+        res.status(200).json({
+            message: log.status === 'logged'
+                ? `Purchases report was not delivered: the ${log.transport} mail transport only logs messages`
+                : "Purchases report sent successfully",
+            status: log.status,
+            to: log.to,
+            logId: log._id
+        });
+    } catch (error) {
+        console.error("Error sending purchases PDF report:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
 // GET: Generate Excel report of purchases
 export const generateExcelReport = async (req, res) => {
     try {
@@ -580,27 +894,10 @@ export const generateExcelReport = async (req, res) => {
         }
 
         // Parse query parameters for filtering
-        const { startDate, endDate, productId } = req.query;
+        const { startDate, endDate, productId, branchId, providerId } = req.query;
         
-        // Build query object based on filters
-        let query = {};
-        
-        // Add date range filter
-        if (startDate || endDate) {
-            query.purchaseDate = {};
-            if (startDate) query.purchaseDate.$gte = new Date(startDate);
-            if (endDate) query.purchaseDate.$lte = new Date(endDate);
-        }
-        
-        // Add product filter
-        if (productId && mongoose.Types.ObjectId.isValid(productId)) {
-            query.product = productId;
-        }
-        
-        // Fetch purchases with filters
-        const purchases = await Purchase.find(query)
-            .sort({ purchaseDate: -1 })
-            .populate("product", "name price");
+        // Fetch purchases with the same filters as the PDF report
+        const purchases = await findReportPurchases(req.query);
             
         if (purchases.length === 0) {
             return res.status(404).json({ message: "No purchases found for the specified criteria" });
@@ -685,7 +982,8 @@ export const generateExcelReport = async (req, res) => {
         worksheet.columns = [
             { header: 'ID Compra', key: 'id', width: 15 },
             { header: 'Fecha', key: 'date', width: 15 },
-            { header: 'Producto', key: 'product', width: 30 },
+            { header: 'Proveedor', key: 'provider', width: 30 },
+            { header: 'Factura', key: 'invoice', width: 18 },
             { header: 'Total', key: 'total', width: 20 }
         ];
         
@@ -694,14 +992,14 @@ export const generateExcelReport = async (req, res) => {
         const formattedDateTime = now.toLocaleString('es-CO');
         
         // Add title
-        worksheet.mergeCells('A1:D2');
+        worksheet.mergeCells('A1:E2');
         const titleCell = worksheet.getCell('A1');
         titleCell.value = 'Informe de Compras - IceSoft';
         titleCell.style = titleStyle;
         worksheet.getRow(1).height = 30;
         
         // Add report information
-        worksheet.mergeCells('A3:D3');
+        worksheet.mergeCells('A3:E3');
         const infoCell = worksheet.getCell('A3');
         infoCell.value = `Período: ${startDate ? new Date(startDate).toLocaleDateString('es-CO') : 'Inicio'} a ${endDate ? new Date(endDate).toLocaleDateString('es-CO') : 'Fin'}`;
         infoCell.style = {
@@ -711,7 +1009,7 @@ export const generateExcelReport = async (req, res) => {
         
         if (productId) {
             const product = await Product.findById(productId);
-            worksheet.mergeCells('A4:D4');
+            worksheet.mergeCells('A4:E4');
             const productCell = worksheet.getCell('A4');
             productCell.value = `Producto: ${product ? product.name : 'No encontrado'}`;
             productCell.style = {
@@ -719,7 +1017,7 @@ export const generateExcelReport = async (req, res) => {
                 alignment: { horizontal: 'left', vertical: 'middle' }
             };
         } else {
-            worksheet.mergeCells('A4:D4');
+            worksheet.mergeCells('A4:E4');
             const productCell = worksheet.getCell('A4');
             productCell.value = 'Producto: Todos';
             productCell.style = {
@@ -728,8 +1026,18 @@ export const generateExcelReport = async (req, res) => {
             };
         }
         
+        // Add branch filter
+        const branch = branchId && mongoose.Types.ObjectId.isValid(branchId) ? await Branch.findById(branchId) : null;
+        worksheet.mergeCells('A6:E6');
+        const branchCell = worksheet.getCell('A6');
+        branchCell.value = `Sucursal: ${branch ? branch.name : 'Todas'}`;
+        branchCell.style = {
+            font: { size: 10 },
+            alignment: { horizontal: 'left', vertical: 'middle' }
+        };
+        
         // Add generation date
-        worksheet.mergeCells('A5:D5');
+        worksheet.mergeCells('A5:E5');
         const dateCell = worksheet.getCell('A5');
         dateCell.value = `Generado: ${formattedDateTime}`;
         dateCell.style = {
@@ -737,31 +1045,41 @@ export const generateExcelReport = async (req, res) => {
             alignment: { horizontal: 'left', vertical: 'middle' }
         };
         
+        // Add provider filter
+        const provider = providerId && mongoose.Types.ObjectId.isValid(providerId) ? await Provider.findById(providerId) : null;
+        worksheet.mergeCells('A7:E7');
+        const providerCell = worksheet.getCell('A7');
+        providerCell.value = `Proveedor: ${provider ? provider.name : 'Todos'}`;
+        providerCell.style = {
+            font: { size: 10 },
+            alignment: { horizontal: 'left', vertical: 'middle' }
+        };
+        
         // Add simplified summary section
         const totalAmount = purchases.reduce((sum, purchase) => sum + purchase.total, 0);
         
-        worksheet.mergeCells('A7:D7');
-        const summaryTitle = worksheet.getCell('A7');
+        worksheet.mergeCells('A8:E8');
+        const summaryTitle = worksheet.getCell('A8');
         summaryTitle.value = 'Resumen';
         summaryTitle.style = subtitleStyle;
         
-        worksheet.mergeCells('A8:C8');
-        worksheet.getCell('A8').value = 'Total de Compras:';
-        worksheet.getCell('A8').style = {
+        worksheet.mergeCells('A9:D9');
+        worksheet.getCell('A9').value = 'Total de Compras:';
+        worksheet.getCell('A9').style = {
             font: { bold: true },
             alignment: { horizontal: 'right' }
         };
-        worksheet.getCell('D8').value = purchases.length;
+        worksheet.getCell('E9').value = purchases.length;
         
-        worksheet.mergeCells('A9:C9');
-        worksheet.getCell('A9').value = 'Total:';
-        worksheet.getCell('A9').style = {
+        worksheet.mergeCells('A10:D10');
+        worksheet.getCell('A10').value = 'Total:';
+        worksheet.getCell('A10').style = {
             font: { bold: true },
             alignment: { horizontal: 'right' }
         };
-        worksheet.getCell('D9').value = totalAmount;
+        worksheet.getCell('E10').value = totalAmount;
         // Formato de moneda colombiana
-        worksheet.getCell('D9').numFmt = '"$"#,##0_-;[Red]-"$"#,##0_-';
+        worksheet.getCell('E10').numFmt = '"$"#,##0_-;[Red]-"$"#,##0_-';
         
         // Add space before table
         const tableStartRow = 12;
@@ -779,7 +1097,8 @@ export const generateExcelReport = async (req, res) => {
             const row = worksheet.addRow({
                 id: purchase.id,
                 date: new Date(purchase.purchaseDate),
-                product: purchase.product ? purchase.product.name : 'Desconocido',
+                provider: purchase.provider ? purchase.provider.name : 'Sin proveedor',
+                invoice: purchase.invoiceNumber || '-',
                 total: purchase.total
             });
             
@@ -809,11 +1128,11 @@ export const generateExcelReport = async (req, res) => {
         worksheet.getColumn('total').alignment = { horizontal: 'right' };
         
         // Add totals row
-        const totalsRow = worksheet.addRow(['Total', '', '', totalAmount]);
+        const totalsRow = worksheet.addRow(['Total', '', '', '', totalAmount]);
         totalsRow.eachCell((cell) => {
             cell.style = totalStyle;
         });
-        worksheet.getCell(`D${rowNumber}`).numFmt = '"$"#,##0_-;[Red]-"$"#,##0_-';
+        worksheet.getCell(`E${rowNumber}`).numFmt = '"$"#,##0_-;[Red]-"$"#,##0_-';
         
         // Create table with proper structure
         const tableName = 'PurchasesTable';
@@ -829,20 +1148,22 @@ export const generateExcelReport = async (req, res) => {
             columns: [
                 { name: 'ID Compra' },
                 { name: 'Fecha' },
-                { name: 'Producto' },
+                { name: 'Proveedor' },
+                { name: 'Factura' },
                 { name: 'Total' }
             ],
             rows: purchases.map(purchase => [
                 purchase.id,
                 new Date(purchase.purchaseDate),
-                purchase.product ? purchase.product.name : 'Desconocido',
+                purchase.provider ? purchase.provider.name : 'Sin proveedor',
+                purchase.invoiceNumber || '-',
                 purchase.total
             ])
         });
         
         // Add footer
         const footerRow = rowNumber + 2;
-        worksheet.mergeCells(`A${footerRow}:D${footerRow}`);
+        worksheet.mergeCells(`A${footerRow}:E${footerRow}`);
         const footerCell = worksheet.getCell(`A${footerRow}`);
         footerCell.value = 'IceSoft - Sistema de Gestión de Compras';
         footerCell.style = {
@@ -872,7 +1193,7 @@ export const getPurchaseStatistics = async (req, res) => {
         }
 
         // Parse query parameters for filtering
-        const { startDate, endDate, period = 'monthly' } = req.query;
+        const { startDate, endDate, branchId, providerId, period = 'monthly' } = req.query;
         
         // Build date range filter
         let dateFilter = {};
@@ -889,6 +1210,15 @@ export const getPurchaseStatistics = async (req, res) => {
             dateFilter = { $gte: startDateDefault, $lte: endDateDefault };
         }
 
+        // Aggregations don't cast ObjectIds, so the branch and provider filters are converted here
+        const match = { purchaseDate: dateFilter };
+        if (branchId && mongoose.Types.ObjectId.isValid(branchId)) {
+            match.branch = new mongoose.Types.ObjectId(branchId);
+        }
+        if (providerId && mongoose.Types.ObjectId.isValid(providerId)) {
+            match.provider = new mongoose.Types.ObjectId(providerId);
+        }
+
         // Determine grouping format based on period
         let dateFormat, dateField;
         if (period === 'daily') {
@@ -914,11 +1244,7 @@ export const getPurchaseStatistics = async (req, res) => {
 
         // Run aggregation query
         const statistics = await Purchase.aggregate([
-            {
-                $match: {
-                    purchaseDate: dateFilter
-                }
-            },
+            { $match: match },
             {
                 $group: {
                     _id: dateField,
@@ -947,11 +1273,7 @@ export const getPurchaseStatistics = async (req, res) => {
 
         // Calculate overall statistics
         const overall = await Purchase.aggregate([
-            {
-                $match: {
-                    purchaseDate: dateFilter
-                }
-            },
+            { $match: match },
             {
                 $group: {
                     _id: null,
@@ -976,11 +1298,7 @@ export const getPurchaseStatistics = async (req, res) => {
 
         // Get top products by purchase amount
         const topProducts = await Purchase.aggregate([
-            {
-                $match: {
-                    purchaseDate: dateFilter
-                }
-            },
+            { $match: match },
             {
                 $group: {
                     _id: '$product',
@@ -1019,6 +1337,62 @@ export const getPurchaseStatistics = async (req, res) => {
             }
         ]);
 
+        // Totals by branch to compare stores
+        const purchasesByBranch = await Purchase.aggregate([
+            { $match: match },
+            ...groupByBranchStages({
+                totalAmount: { $sum: '$total' },
+                avgAmount: { $avg: '$total' }
+            }),
+            {
+                $addFields: {
+                    totalAmount: { $round: ['$totalAmount', 2] },
+                    avgAmount: { $round: ['$avgAmount', 2] }
+                }
+            },
+            { $sort: { totalAmount: -1 } }
+        ]);
+
+        // Totals by provider to compare suppliers
+        const purchasesByProvider = await Purchase.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$provider',
+                    count: { $sum: 1 },
+                    totalAmount: { $sum: '$total' },
+                    avgAmount: { $avg: '$total' },
+                    lastPurchaseDate: { $max: '$purchaseDate' }
+                }
+            },
+            {
+                $lookup: {
+                    from: 'providers',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'providerInfo'
+                }
+            },
+            {
+                $unwind: {
+                    path: '$providerInfo',
+                    preserveNullAndEmptyArrays: true
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    providerId: '$_id',
+                    providerName: { $ifNull: ['$providerInfo.name', 'No Provider'] },
+                    count: 1,
+                    totalAmount: { $round: ['$totalAmount', 2] },
+                    avgAmount: { $round: ['$avgAmount', 2] },
+                    lastPurchaseDate: 1
+                }
+            },
+            { $sort: { totalAmount: -1 } }
+        ]);
+
         // Return the complete statistics
         res.status(200).json({
             overall: overall.length > 0 ? overall[0] : {
@@ -1030,6 +1404,8 @@ export const getPurchaseStatistics = async (req, res) => {
             },
             periodStats: statistics,
             topProducts,
+            purchasesByBranch,
+            purchasesByProvider,
             period,
             dateRange: {
                 startDate: dateFilter.$gte ? dateFilter.$gte.toISOString().split('T')[0] : null,
@@ -0,0 +1,815 @@
+import mongoose from "mongoose";
+import PurchaseOrder from "../models/purchaseOrder.js";
+import Purchase from "../models/purchase.js";
+import Product from "../models/product.js";
+import { checkPermission } from "../utils/permissions.js";
+import { getNextNumber } from "../utils/numbering.js";
+import { resolveBranch } from "../utils/branches.js";
+import { PeriodLockError, checkPeriodLock, logPeriodOverrides } from "../utils/periods.js";
+import { receiveStock } from "../utils/stock.js";
+import { groupQuantitiesByProduct } from "../utils/sales.js";
+import { runInTransaction } from "../utils/transactions.js";
+import { findPurchaseProvider, isDuplicateInvoice } from "../utils/purchases.js";
+import { sendMail, validateRecipients, collectPDF } from "../utils/mail.js";
+import { purchaseOrderEmail } from "../utils/mailTemplates.js";
+import PDFDocument from "pdfkit";
+
+// Thrown inside the receipt transaction when another request changed the order first
+class PurchaseOrderError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "PurchaseOrderError";
+        this.status = 409;
+    }
+}
+
+// Manual status changes (partially_received and received are set by goods receipts)
+const STATUS_TRANSITIONS = {
+    draft: ['sent', 'cancelled'],
+    sent: ['cancelled'],
+    partially_received: ['closed'],
+    received: ['closed'],
+    closed: [],
+    cancelled: []
+};
+
+// Orders that can still receive goods
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+// Date fields that record when each manual status was reached
+const STATUS_DATES = { sent: 'sentAt', closed: 'closedAt', cancelled: 'cancelledAt' };
+
+// Format a date as YYYY-MM-DD for the responses
+const formatDate = (date) => date ? new Date(date).toISOString().split('T')[0] : null;
+
+// Validate a date field; returns the date or an error message
+const parseDate = (value, label) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        return { error: `${label} is invalid` };
+    }
+    return { date };
+};
+
+// Format a purchase order for the responses
+const formatPurchaseOrder = (order) => ({
+    _id: order._id,
+    id: order.id,
+    provider: order.provider ? order.provider.name || 'Unknown Provider' : 'Unknown Provider',
+    providerId: order.provider ? order.provider._id || order.provider : null,
+    branch: order.branch ? order.branch.name || null : null,
+    branchId: order.branch ? order.branch._id || order.branch : null,
+    products: (order.products || []).map(item => ({
+        productId: item.product ? item.product._id || item.product : null,
+        product: item.product ? item.product.name || 'Unknown Product' : 'Unknown Product',
+        quantity: item.quantity || 0,
+        receivedQuantity: item.receivedQuantity || 0,
+        pendingQuantity: Math.max((item.quantity || 0) - (item.receivedQuantity || 0), 0),
+        price: item.price || 0,
+        total: item.total || 0
+    })),
+    total: order.total || 0,
+    orderDate: formatDate(order.orderDate),
+    expectedDate: formatDate(order.expectedDate),
+    notes: order.notes || null,
+    status: order.status,
+    sentAt: order.sentAt || null,
+    closedAt: order.closedAt || null,
+    cancelledAt: order.cancelledAt || null,
+    receipts: (order.receipts || []).map(receipt => ({
+        purchaseId: receipt.purchase ? receipt.purchase._id || receipt.purchase : null,
+        purchase: receipt.purchase ? receipt.purchase.id || null : null,
+        date: formatDate(receipt.date),
+        invoiceNumber: receipt.invoiceNumber || null,
+        products: (receipt.products || []).map(item => ({
+            productId: item.product ? item.product._id || item.product : null,
+            product: item.product ? item.product.name || 'Unknown Product' : 'Unknown Product',
+            quantity: item.quantity
+        })),
+        user: receipt.user && receipt.user.name !== undefined
+            ? `${receipt.user.name || ''} ${receipt.user.lastname || ''}`.trim()
+            : null
+    }))
+});
+
+// Find a purchase order with the data to show
+const findPurchaseOrder = (id) => PurchaseOrder.findById(id)
+    .populate("provider", "name email contact_number address")
+    .populate("branch", "name address")
+    .populate("products.product", "name")
+    .populate("receipts.purchase", "id")
+    .populate("receipts.products.product", "name")
+    .populate("receipts.user", "name lastname");
+
+// Validate the ordered lines; the unit price defaults to the product's current average cost.
+// Returns { lines } or { status, error }
+const buildOrderLines = async (products) => {
+    if (!Array.isArray(products) || products.length === 0) {
+        return { status: 400, error: "At least one product is required" };
+    }
+
+    for (let i = 0; i < products.length; i++) {
+        const item = products[i];
+
+        if (!item || !item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
+            return { status: 400, error: `Invalid product ID at index ${i}` };
+        }
+
+        if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+            return { status: 400, error: `Invalid quantity at index ${i}` };
+        }
+
+        if (item.price !== undefined && (typeof item.price !== 'number' || item.price < 0)) {
+            return { status: 400, error: `Invalid price at index ${i}` };
+        }
+    }
+
+    // Each product goes on a single line so receipts can be matched to it
+    const productIds = products.map(item => item.product.toString());
+    if (new Set(productIds).size !== productIds.length) {
+        return { status: 400, error: "Each product can appear only once in a purchase order" };
+    }
+
+    const productsData = await Product.find({ _id: { $in: productIds } });
+    const missing = productIds.findIndex(productId => !productsData.some(p => p._id.toString() === productId));
+    if (missing !== -1) {
+        return { status: 404, error: `Product not found at index ${missing}` };
+    }
+
+    const lines = products.map(item => {
+        const product = productsData.find(p => p._id.toString() === item.product.toString());
+        return {
+            product: item.product,
+            quantity: item.quantity,
+            price: item.price !== undefined ? item.price : product.cost || 0
+        };
+    });
+
+    return { lines };
+};
+
+// Draw a purchase order on the PDF document
+const renderPurchaseOrderPDF = (doc, order) => {
+    const primaryColor = '#336699';
+    const borderColor = '#cccccc';
+    const textColor = '#333333';
+
+    // Colombian currency format
+    const formatCOP = (amount) => new Intl.NumberFormat('es-CO', {
+        style: 'currency',
+        currency: 'COP',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 0
+    }).format(amount);
+
+    const formatDisplayDate = (date) => date ? new Date(date).toLocaleDateString('es-CO') : '-';
+
+    // Header
+    doc.rect(50, 50, doc.page.width - 100, 70)
+       .fillAndStroke(primaryColor, primaryColor);
+
+    doc.fillColor('#ffffff')
+       .font('Helvetica-Bold')
+       .fontSize(22)
+       .text('IceSoft', 70, 65);
+
+    doc.fontSize(14)
+       .text(`Orden de Compra ${order.id}`, 70, 95);
+
+    // Provider and order information
+    const provider = order.provider || {};
+    doc.fillColor(textColor)
+       .fontSize(12)
+       .font('Helvetica-Bold')
+       .text('Proveedor', 50, 140);
+
+    doc.font('Helvetica')
+       .fontSize(10)
+       .text(`Nombre: ${provider.name || 'Desconocido'}`, 50, 158)
+       .text(`Correo: ${provider.email || 'N/A'}`, 50, 172)
+       .text(`Teléfono: ${provider.contact_number || 'N/A'}`, 50, 186)
+       .text(`Dirección: ${provider.address || 'N/A'}`, 50, 200);
+
+    doc.font('Helvetica-Bold')
+       .fontSize(12)
+       .text('Orden', 330, 140);
+
+    doc.font('Helvetica')
+       .fontSize(10)
+       .text(`Fecha: ${formatDisplayDate(order.orderDate)}`, 330, 158)
+       .text(`Entrega esperada: ${formatDisplayDate(order.expectedDate)}`, 330, 172)
+       .text(`Entregar en: ${order.branch ? order.branch.name : 'N/A'}`, 330, 186);
+
+    // Products table
+    const tableTop = 235;
+    const tableHeaders = ['Producto', 'Cantidad', 'Precio Unitario', 'Total'];
+    const colWidths = [215, 70, 110, 100];
+
+    const drawHeader = (y) => {
+        doc.rect(50, y, doc.page.width - 100, 20)
+           .fillAndStroke(primaryColor, primaryColor);
+
+        let currentX = 50;
+        tableHeaders.forEach((header, i) => {
+            doc.font('Helvetica-Bold')
+               .fontSize(10)
+               .fillColor('#ffffff')
+               .text(header, currentX + 5, y + 6, { width: colWidths[i] - 10, align: i === 0 ? 'left' : 'right' });
+            currentX += colWidths[i];
+        });
+    };
+
+    drawHeader(tableTop);
+    let y = tableTop + 20;
+
+    order.products.forEach((item, index) => {
+        // Continue on a new page when this one is full
+        if (y > 700) {
+            doc.addPage();
+            y = 50;
+            drawHeader(y);
+            y += 20;
+        }
+
+        doc.rect(50, y, doc.page.width - 100, 20)
+           .fillAndStroke(index % 2 === 0 ? '#f9f9f9' : '#ffffff', borderColor);
+
+        const values = [
+            item.product ? item.product.name || 'Desconocido' : 'Desconocido',
+            (item.quantity || 0).toString(),
+            formatCOP(item.price || 0),
+            formatCOP(item.total || 0)
+        ];
+
+        let currentX = 50;
+        values.forEach((value, i) => {
+            doc.font('Helvetica')
+               .fontSize(9)
+               .fillColor(textColor)
+               .text(value, currentX + 5, y + 6, { width: colWidths[i] - 10, align: i === 0 ? 'left' : 'right' });
+            currentX += colWidths[i];
+        });
+
+        y += 20;
+    });
+
+    // Total
+    doc.font('Helvetica-Bold')
+       .fontSize(12)
+       .fillColor(textColor)
+       .text(`Total: ${formatCOP(order.total || 0)}`, 50, y + 15, { width: doc.page.width - 100, align: 'right' });
+
+    if (order.notes) {
+        doc.font('Helvetica-Bold')
+           .fontSize(11)
+           .text('Notas', 50, y + 45);
+        doc.font('Helvetica')
+           .fontSize(10)
+           .text(order.notes, 50, y + 62, { width: doc.page.width - 100 });
+    }
+};
+
+// GET: Retrieve all purchase orders
+export const getPurchaseOrders = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_purchase_orders")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        // Optional status, provider and branch filters
+        let filter = {};
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+        if (req.query.providerId && mongoose.Types.ObjectId.isValid(req.query.providerId)) {
+            filter.provider = req.query.providerId;
+        }
+        if (req.query.branchId && mongoose.Types.ObjectId.isValid(req.query.branchId)) {
+            filter.branch = req.query.branchId;
+        }
+
+        const orders = await PurchaseOrder.find(filter)
+            .populate("provider", "name")
+            .populate("branch", "name")
+            .populate("products.product", "name")
+            .sort({ orderDate: -1 });
+
+        res.status(200).json(orders.map(formatPurchaseOrder));
+    } catch (error) {
+        console.error("Error fetching purchase orders:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// GET: Retrieve a single purchase order with its receipts
+export const getPurchaseOrderById = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_purchase_orders")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase order ID format" });
+        }
+
+        const order = await findPurchaseOrder(id);
+
+        if (!order) {
+            return res.status(404).json({ message: "Purchase order not found" });
+        }
+
+        res.status(200).json(formatPurchaseOrder(order));
+    } catch (error) {
+        console.error("Error fetching purchase order:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// POST: Create a draft purchase order
+export const createPurchaseOrder = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "manage_purchase_orders")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { providerId, branchId, products, orderDate, expectedDate, notes } = req.body;
+
+        const { provider, status: providerStatus, error: providerError } = await findPurchaseProvider(providerId);
+        if (providerError) {
+            return res.status(providerStatus).json({ message: providerError });
+        }
+
+        // The goods go to the given branch or to the user's home branch
+        const { branch, status: branchStatus, error: branchError } = await resolveBranch(branchId, req.user.id);
+        if (branchError) {
+            return res.status(branchStatus).json({ message: branchError });
+        }
+
+        const { lines, status: linesStatus, error: linesError } = await buildOrderLines(products);
+        if (linesError) {
+            return res.status(linesStatus).json({ message: linesError });
+        }
+
+        let date = new Date();
+        if (orderDate !== undefined) {
+            const parsed = parseDate(orderDate, "Order date");
+            if (parsed.error) {
+                return res.status(400).json({ message: parsed.error });
+            }
+            date = parsed.date;
+        }
+
+        let expected = null;
+        if (expectedDate) {
+            const parsed = parseDate(expectedDate, "Expected date");
+            if (parsed.error) {
+                return res.status(400).json({ message: parsed.error });
+            }
+            if (parsed.date < date) {
+                return res.status(400).json({ message: "Expected date must be after the order date" });
+            }
+            expected = parsed.date;
+        }
+
+        const newOrder = new PurchaseOrder({
+            id: await getNextNumber("purchase_order"),
+            provider: provider._id,
+            branch: branch._id,
+            products: lines,
+            orderDate: date,
+            expectedDate: expected,
+            notes: notes || null,
+            createdBy: req.user.id
+        });
+
+        await newOrder.save();
+
+        const savedOrder = await findPurchaseOrder(newOrder._id);
+
+        res.status(201).json({
+            message: "Purchase order created successfully",
+            purchaseOrder: formatPurchaseOrder(savedOrder)
+        });
+    } catch (error) {
+        console.error("Error creating purchase order:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// PUT: Update a purchase order (only while it is a draft)
+export const updatePurchaseOrder = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "manage_purchase_orders")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { providerId, branchId, products, orderDate, expectedDate, notes } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase order ID format" });
+        }
+
+        const order = await PurchaseOrder.findById(id);
+
+        if (!order) {
+            return res.status(404).json({ message: "Purchase order not found" });
+        }
+
+        if (order.status !== 'draft') {
+            return res.status(409).json({ message: "Only draft purchase orders can be modified", status: order.status });
+        }
+
+        if (providerId !== undefined) {
+            const { provider, status: providerStatus, error: providerError } = await findPurchaseProvider(providerId);
+            if (providerError) {
+                return res.status(providerStatus).json({ message: providerError });
+            }
+            order.provider = provider._id;
+        }
+
+        if (branchId !== undefined) {
+            const { branch, status: branchStatus, error: branchError } = await resolveBranch(branchId, req.user.id);
+            if (branchError) {
+                return res.status(branchStatus).json({ message: branchError });
+            }
+            order.branch = branch._id;
+        }
+
+        if (products !== undefined) {
+            const { lines, status: linesStatus, error: linesError } = await buildOrderLines(products);
+            if (linesError) {
+                return res.status(linesStatus).json({ message: linesError });
+            }
+            order.products = lines;
+        }
+
+        if (orderDate !== undefined) {
+            const parsed = parseDate(orderDate, "Order date");
+            if (parsed.error) {
+                return res.status(400).json({ message: parsed.error });
+            }
+            order.orderDate = parsed.date;
+        }
+
+        if (expectedDate !== undefined) {
+            if (expectedDate) {
+                const parsed = parseDate(expectedDate, "Expected date");
+                if (parsed.error) {
+                    return res.status(400).json({ message: parsed.error });
+                }
+                order.expectedDate = parsed.date;
+            } else {
+                order.expectedDate = null;
+            }
+        }
+
+        if (order.expectedDate && order.expectedDate < order.orderDate) {
+            return res.status(400).json({ message: "Expected date must be after the order date" });
+        }
+
+        if (notes !== undefined) order.notes = notes || null;
+
+        await order.save();
+
+        const updatedOrder = await findPurchaseOrder(id);
+
+        res.status(200).json({
+            message: "Purchase order updated successfully",
+            purchaseOrder: formatPurchaseOrder(updatedOrder)
+        });
+    } catch (error) {
+        console.error("Error updating purchase order:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// PATCH: Mark a purchase order as sent, closed or cancelled
+export const updatePurchaseOrderStatus = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "manage_purchase_orders")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { status } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase order ID format" });
+        }
+
+        if (!Object.keys(STATUS_DATES).includes(status)) {
+            return res.status(400).json({ message: "Status must be 'sent', 'closed' or 'cancelled'" });
+        }
+
+        const order = await PurchaseOrder.findById(id);
+
+        if (!order) {
+            return res.status(404).json({ message: "Purchase order not found" });
+        }
+
+        // The condition on the current status prevents contradictory simultaneous changes
+        const allowedFrom = Object.keys(STATUS_TRANSITIONS).filter(from => STATUS_TRANSITIONS[from].includes(status));
+        const updated = await PurchaseOrder.findOneAndUpdate(
+            { _id: id, status: { $in: allowedFrom } },
+            { $set: { status, [STATUS_DATES[status]]: new Date() } },
+            { new: true }
+        );
+
+        if (!updated) {
+            return res.status(409).json({
+                message: `A ${order.status} purchase order cannot be marked as ${status}`,
+                status: order.status
+            });
+        }
+
+        const updatedOrder = await findPurchaseOrder(id);
+
+        res.status(200).json({
+            message: "Purchase order status updated successfully",
+            purchaseOrder: formatPurchaseOrder(updatedOrder)
+        });
+    } catch (error) {
+        console.error("Error updating purchase order status:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// POST: Record a goods receipt; only the quantities that arrived enter the inventory
+export const receivePurchaseOrder = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "receive_purchase_orders")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { products, date, invoiceNumber, invoiceDate, details } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase order ID format" });
+        }
+
+        const order = await PurchaseOrder.findById(id);
+
+        if (!order) {
+            return res.status(404).json({ message: "Purchase order not found" });
+        }
+
+        if (!RECEIVABLE_STATUSES.includes(order.status)) {
+            return res.status(409).json({ message: "Only sent or partially received purchase orders can receive goods", status: order.status });
+        }
+
+        if (!Array.isArray(products) || products.length === 0) {
+            return res.status(400).json({ message: "At least one product is required" });
+        }
+
+        for (let i = 0; i < products.length; i++) {
+            const item = products[i];
+            if (!item || !item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
+                return res.status(400).json({ message: `Invalid product ID at index ${i}` });
+            }
+            if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+                return res.status(400).json({ message: `Invalid quantity at index ${i}` });
+            }
+        }
+
+        if (invoiceNumber !== undefined && invoiceNumber !== null && (typeof invoiceNumber !== 'string' || invoiceNumber.trim() === '')) {
+            return res.status(400).json({ message: "Invoice number must be a non-empty string" });
+        }
+
+        let receiptDate = new Date();
+        if (date !== undefined) {
+            const parsed = parseDate(date, "Receipt date");
+            if (parsed.error) {
+                return res.status(400).json({ message: parsed.error });
+            }
+            receiptDate = parsed.date;
+        }
+
+        let supplierInvoiceDate = null;
+        if (invoiceDate) {
+            const parsed = parseDate(invoiceDate, "Invoice date");
+            if (parsed.error) {
+                return res.status(400).json({ message: parsed.error });
+            }
+            supplierInvoiceDate = parsed.date;
+        }
+
+        // Received quantities can't exceed what is still pending on each line
+        const received = groupQuantitiesByProduct(products);
+        for (const [productId, quantity] of received) {
+            const line = order.products.find(item => item.product.toString() === productId);
+            if (!line) {
+                return res.status(400).json({ message: "Product is not part of this purchase order", productId });
+            }
+            const pending = line.quantity - line.receivedQuantity;
+            if (quantity > pending) {
+                return res.status(400).json({ message: "Received quantity exceeds the pending quantity", productId, pending, received: quantity });
+            }
+        }
+
+        if (await isDuplicateInvoice(order.provider, invoiceNumber)) {
+            return res.status(409).json({ message: "This provider already has a purchase with this invoice number" });
+        }
+
+        // The receipt is recorded as a purchase, so it is subject to the accounting period locks
+        const lockedPeriods = await checkPeriodLock([receiptDate], req.user);
+
+        // Lines of the purchase at the price agreed on the order
+        const purchaseLines = [...received].map(([productId, quantity]) => {
+            const line = order.products.find(item => item.product.toString() === productId);
+            return { product: line.product, quantity, price: line.price };
+        });
+
+        const newPurchase = new Purchase({
+            products: purchaseLines,
+            total: purchaseLines.reduce((sum, line) => sum + line.price * line.quantity, 0),
+            details: details || `Goods receipt of purchase order ${order.id}`,
+            purchaseDate: receiptDate,
+            branch: order.branch,
+            provider: order.provider,
+            invoiceNumber: invoiceNumber ? invoiceNumber.trim() : null,
+            invoiceDate: supplierInvoiceDate,
+            purchaseOrder: order._id,
+            stockReceived: true,
+            costTracked: true
+        });
+
+        order.products.forEach(line => {
+            line.receivedQuantity += received.get(line.product.toString()) || 0;
+        });
+        const fullyReceived = order.products.every(line => line.receivedQuantity >= line.quantity);
+        const receiptCount = order.receipts.length;
+
+        // The purchase, the stock and the order are updated as a single unit
+        await runInTransaction(async (session) => {
+            newPurchase.id = await getNextNumber("purchase", session);
+            await newPurchase.save({ session });
+
+            // Received goods enter at the agreed price, updating the weighted average cost
+            for (const line of purchaseLines) {
+                await receiveStock(line.product, line.quantity, line.quantity * line.price, session);
+            }
+
+            // Fails if another receipt or a status change got there first
+            const updated = await PurchaseOrder.findOneAndUpdate(
+                { _id: id, status: { $in: RECEIVABLE_STATUSES }, receipts: { $size: receiptCount } },
+                {
+                    $set: {
+                        products: order.products,
+                        status: fullyReceived ? 'received' : 'partially_received'
+                    },
+                    $push: {
+                        receipts: {
+                            purchase: newPurchase._id,
+                            date: receiptDate,
+                            invoiceNumber: newPurchase.invoiceNumber,
+                            products: purchaseLines.map(line => ({ product: line.product, quantity: line.quantity })),
+                            user: req.user.id
+                        }
+                    }
+                },
+                { new: true, session }
+            );
+            if (!updated) {
+                throw new PurchaseOrderError("Purchase order was changed by another request, try again");
+            }
+        });
+
+        await logPeriodOverrides(lockedPeriods, { action: "create", documentType: "purchase", document: newPurchase._id, reference: newPurchase.id, userId: req.user.id });
+
+        const updatedOrder = await findPurchaseOrder(id);
+
+        res.status(201).json({
+            message: "Goods receipt recorded successfully",
+            purchaseOrder: formatPurchaseOrder(updatedOrder),
+            purchaseId: newPurchase._id,
+            purchase: newPurchase.id
+        });
+    } catch (error) {
+        if (error instanceof PurchaseOrderError || error instanceof PeriodLockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        // Another purchase took the same invoice number in the meantime
+        if (error.code === 11000) {
+            return res.status(409).json({ message: "This provider already has a purchase with this invoice number" });
+        }
+        console.error("Error receiving purchase order:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// GET: Export a purchase order to PDF
+export const exportPurchaseOrderToPDF = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_purchase_orders")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase order ID format" });
+        }
+
+        const order = await findPurchaseOrder(id);
+
+        if (!order) {
+            return res.status(404).json({ message: "Purchase order not found" });
+        }
+
+        const doc = new PDFDocument({ margin: 50, size: 'A4' });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=purchase_order_${order.id}.pdf`);
+
+        doc.pipe(res);
+        renderPurchaseOrderPDF(doc, order);
+        doc.end();
+    } catch (error) {
+        console.error("Error exporting purchase order to PDF:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// POST: Email the purchase order PDF to the provider; a draft order is marked as sent
+export const sendPurchaseOrder = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "manage_purchase_orders")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { to, message } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase order ID format" });
+        }
+
+        const order = await findPurchaseOrder(id);
+
+        if (!order) {
+            return res.status(404).json({ message: "Purchase order not found" });
+        }
+
+        if (order.status === 'cancelled') {
+            return res.status(409).json({ message: "A cancelled purchase order cannot be sent", status: order.status });
+        }
+
+        // By default it goes to the provider's email
+        const recipients = to || (order.provider ? order.provider.email : null);
+
+        const recipientsError = validateRecipients(recipients);
+        if (recipientsError) {
+            return res.status(400).json({ message: recipientsError });
+        }
+
+        // Build the PDF in memory to attach it
+        const doc = new PDFDocument({ margin: 50, size: 'A4' });
+        const pdf = collectPDF(doc);
+        renderPurchaseOrderPDF(doc, order);
+        doc.end();
+
+        const { subject, html } = purchaseOrderEmail({
+            providerName: order.provider ? order.provider.name : null,
+            number: order.id,
+            date: new Date(order.orderDate).toLocaleDateString('es-CO'),
+            expectedDate: order.expectedDate ? new Date(order.expectedDate).toLocaleDateString('es-CO') : null,
+            total: order.total,
+            message
+        });
+
+        const log = await sendMail({
+            type: 'purchase_order',
+            reference: order.id,
+            to: recipients,
+            subject,
+            html,
+            attachments: [{ filename: `purchase_order_${order.id}.pdf`, content: await pdf, contentType: 'application/pdf' }],
+            userId: req.user.id
+        });
+
+        if (log.status === 'failed') {
+            return res.status(502).json({ message: "Purchase order email could not be sent", error: log.error, logId: log._id });
+        }
+
+        // A message that was only logged never reached the provider
+        if (log.status === 'sent') {
+            await PurchaseOrder.updateOne({ _id: id, status: 'draft' }, { $set: { status: 'sent', sentAt: new Date() } });
+        }
+
+        res.status(200).json({
+            message: log.status === 'logged'
+                ? `Purchase order was not delivered: the ${log.transport} mail transport only logs messages`
+                : "Purchase order sent successfully",
+            status: log.status,
+            to: log.to,
+            logId: log._id
+        });
+    } catch (error) {
+        console.error("Error sending purchase order:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
@@ -0,0 +1,630 @@
+import Quotation from '../models/quotation.js';
+import Sale from '../models/sales.js';
+import Product from '../models/product.js';
+import Customer from '../models/customer.js';
+import mongoose from 'mongoose';
+import { checkPermission } from '../utils/permissions.js';
+import { getNextNumber } from '../utils/numbering.js';
+import { getTaxLabel } from '../utils/taxes.js';
+import { StockError, findProductsWithStock } from '../utils/stock.js';
+import { ResolutionError } from '../utils/resolutions.js';
+import { CreditError } from '../utils/receivables.js';
+import { resolveBranch } from '../utils/branches.js';
+import { resolveCustomerPriceList } from '../utils/priceLists.js';
+import { PeriodLockError, checkPeriodLock, logPeriodOverrides } from '../utils/periods.js';
+import { validateSaleProducts, groupQuantitiesByProduct, calculateSaleTotal, buildSaleLines, prepareSalePayments, registerSale } from '../utils/sales.js';
+import PDFDocument from 'pdfkit';
+
+// Error lanzado dentro de la transacción cuando otra petición ya convirtió la cotización
+class QuotationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "QuotationError";
+        this.status = 409;
+    }
+}
+
+// Cambios de estado permitidos (expired lo asigna el sistema al vencer la validez)
+const STATUS_TRANSITIONS = {
+    draft: ['sent', 'accepted'],
+    sent: ['accepted'],
+    accepted: [],
+    expired: []
+};
+
+// Formatear fecha para mostrar
+const formatDate = (date) => {
+  if (!date) return null;
+  try {
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return "Invalid Date";
+    const day = d.getDate().toString().padStart(2, '0');
+    const month = (d.getMonth() + 1).toString().padStart(2, '0');
+    const year = d.getFullYear();
+    return `${day}/${month}/${year}`;
+  } catch (error) {
+    console.error("Error formatting date:", error);
+    return "Error";
+  }
+};
+
+// Marcar como vencidas las cotizaciones no convertidas cuya validez ya pasó
+const expireQuotations = async (filter = {}) => {
+    await Quotation.updateMany(
+        { ...filter, status: { $in: ['draft', 'sent', 'accepted'] }, sale: null, validUntil: { $lt: new Date() } },
+        { $set: { status: 'expired' } }
+    );
+};
+
+// Formatear una cotización para las respuestas
+const formatQuotation = (quotation) => ({
+    _id: quotation._id,
+    id: quotation.id,
+    customer: quotation.customer ? `${quotation.customer.name || ''} ${quotation.customer.lastname || ''}` : 'Unknown Customer',
+    customerId: quotation.customer ? quotation.customer._id : null,
+    products: (quotation.products || []).map(item => ({
+        productId: item.product ? item.product._id : null,
+        product: item.product ? item.product.name || 'Unknown Product' : 'Unknown Product',
+        quantity: item.quantity || 0,
+        price: item.price || 0,
+        listPrice: item.listPrice !== undefined ? item.listPrice : null,
+        discount: item.discount || 0,
+        total: item.total || 0,
+        taxType: item.taxType || 'none',
+        taxRate: item.taxRate || 0,
+        tax: item.tax || 0
+    })),
+    priceListId: quotation.priceList || null,
+    couponCode: quotation.couponCode || null,
+    date: formatDate(quotation.date),
+    validUntil: formatDate(quotation.validUntil),
+    subtotal: quotation.subtotal || 0,
+    discountTotal: quotation.discountTotal || 0,
+    taxes: (quotation.taxes || []).map(tax => ({
+        taxType: tax.taxType,
+        rate: tax.rate,
+        name: getTaxLabel(tax.taxType, tax.rate),
+        base: tax.base || 0,
+        amount: tax.amount || 0
+    })),
+    taxTotal: quotation.taxTotal || 0,
+    total: quotation.total || 0,
+    notes: quotation.notes || null,
+    status: quotation.status,
+    converted: Boolean(quotation.sale),
+    saleId: quotation.sale || null,
+    convertedAt: quotation.convertedAt || null
+});
+
+// Buscar una cotización con sus datos para mostrar
+const findQuotation = (id) => Quotation.findById(id)
+    .populate("customer", "name lastname email phone")
+    .populate("products.product", "name");
+
+// Validar la fecha de validez: debe ser posterior a la fecha de la cotización
+const validateValidUntil = (validUntil, date) => {
+    const validity = new Date(validUntil);
+    if (!validUntil || isNaN(validity.getTime())) {
+        return "Valid until date is invalid";
+    }
+    if (validity < date) {
+        return "Valid until date must be after the quotation date";
+    }
+    return null;
+};
+
+// Calcular las líneas cotizadas con promociones e impuestos (los productos deben existir)
+const buildQuotationLines = async (products, date, couponCode, pricing) => {
+    const productIds = [...groupQuantitiesByProduct(products).keys()];
+    const productsData = await Product.find({ _id: { $in: productIds } });
+
+    const missing = productIds.find(productId => !productsData.some(p => p._id.toString() === productId));
+    if (missing) {
+        return { error: "Product not found", status: 404, productId: missing };
+    }
+
+    return buildSaleLines(products, productsData, date, couponCode, pricing);
+};
+
+// Obtener las cotizaciones
+export const getQuotations = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_quotations")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        await expireQuotations();
+
+        let filter = {};
+
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        if (req.query.customerId && mongoose.Types.ObjectId.isValid(req.query.customerId)) {
+            filter.customer = req.query.customerId;
+        }
+
+        const quotations = await Quotation.find(filter)
+            .populate("customer", "name lastname")
+            .populate("products.product", "name")
+            .sort({ date: -1 });
+
+        res.status(200).json(quotations.map(formatQuotation));
+    } catch (error) {
+        console.error("Error fetching quotations:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Obtener una cotización por ID
+export const getQuotationById = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_quotations")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid quotation ID format" });
+        }
+
+        await expireQuotations({ _id: id });
+
+        const quotation = await findQuotation(id);
+
+        if (!quotation) {
+            return res.status(404).json({ message: "Quotation not found" });
+        }
+
+        res.status(200).json(formatQuotation(quotation));
+    } catch (error) {
+        console.error("Error fetching quotation:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Crear una cotización
+export const createQuotation = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "create_quotations")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { customer, products, couponCode, date, validUntil, notes } = req.body;
+
+        if (!customer) {
+            return res.status(400).json({ message: "Customer is required" });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(customer)) {
+            return res.status(400).json({ message: "Invalid customer ID" });
+        }
+
+        const validationErrors = validateSaleProducts(products);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ message: "Validation failed", errors: validationErrors });
+        }
+
+        const quotationDate = date ? new Date(date) : new Date();
+        const validityError = validateValidUntil(validUntil, quotationDate);
+        if (validityError) {
+            return res.status(400).json({ message: validityError });
+        }
+
+        const customerExists = await Customer.findById(customer);
+        if (!customerExists) {
+            return res.status(404).json({ message: "Customer not found" });
+        }
+
+        // Precios de la lista del cliente y promociones a la fecha de la cotización; el stock se
+        // verifica al convertirla
+        const priceList = await resolveCustomerPriceList(customerExists);
+        const canOverride = await checkPermission(req.user.roleId, "override_prices");
+        const { lines, error, status, productId } = await buildQuotationLines(products, quotationDate, couponCode, { priceList, canOverride });
+        if (error) {
+            return res.status(status).json({ message: error, ...(productId ? { productId } : {}) });
+        }
+
+        const newQuotation = new Quotation({
+            id: await getNextNumber('quotation'),
+            customer,
+            products: lines,
+            priceList: priceList ? priceList._id : null,
+            couponCode: couponCode || undefined,
+            date: quotationDate,
+            validUntil: new Date(validUntil),
+            notes: notes || null,
+            createdBy: req.user.id
+        });
+
+        await newQuotation.save();
+
+        const savedQuotation = await findQuotation(newQuotation._id);
+
+        res.status(201).json({
+            message: "Quotation created successfully",
+            quotation: formatQuotation(savedQuotation)
+        });
+    } catch (error) {
+        console.error("Error creating quotation:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Actualizar una cotización (solo mientras es borrador)
+export const updateQuotation = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "update_quotations")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { products, couponCode, validUntil, notes } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid quotation ID format" });
+        }
+
+        await expireQuotations({ _id: id });
+
+        const quotation = await Quotation.findById(id);
+
+        if (!quotation) {
+            return res.status(404).json({ message: "Quotation not found" });
+        }
+
+        if (quotation.status !== 'draft') {
+            return res.status(409).json({ message: "Only draft quotations can be modified", status: quotation.status });
+        }
+
+        if (validUntil !== undefined) {
+            const validityError = validateValidUntil(validUntil, quotation.date);
+            if (validityError) {
+                return res.status(400).json({ message: validityError });
+            }
+            quotation.validUntil = new Date(validUntil);
+        }
+
+        // Recalcular las líneas si cambian los productos o el cupón
+        if (products !== undefined || couponCode !== undefined) {
+            const newProducts = products !== undefined
+                ? products
+                : quotation.products.map(item => ({ product: item.product, quantity: item.quantity, price: item.price }));
+
+            const validationErrors = validateSaleProducts(newProducts);
+            if (validationErrors.length > 0) {
+                return res.status(400).json({ message: "Validation failed", errors: validationErrors });
+            }
+
+            // Si solo cambia el cupón se conservan los precios ya cotizados
+            const newCoupon = couponCode !== undefined ? couponCode : quotation.couponCode;
+            const priceList = await resolveCustomerPriceList(await Customer.findById(quotation.customer));
+            const canOverride = products === undefined || await checkPermission(req.user.roleId, "override_prices");
+            const { lines, error, status, productId } = await buildQuotationLines(newProducts, quotation.date, newCoupon, { priceList, canOverride });
+            if (error) {
+                return res.status(status).json({ message: error, ...(productId ? { productId } : {}) });
+            }
+
+            quotation.products = lines;
+            quotation.priceList = priceList ? priceList._id : null;
+            quotation.couponCode = newCoupon || undefined;
+        }
+
+        if (notes !== undefined) quotation.notes = notes || null;
+
+        await quotation.save();
+
+        const updatedQuotation = await findQuotation(id);
+
+        res.status(200).json({
+            message: "Quotation updated successfully",
+            quotation: formatQuotation(updatedQuotation)
+        });
+    } catch (error) {
+        console.error("Error updating quotation:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Cambiar el estado de una cotización (enviada o aceptada)
+export const updateQuotationStatus = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "update_quotations")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { status } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid quotation ID format" });
+        }
+
+        if (!['sent', 'accepted'].includes(status)) {
+            return res.status(400).json({ message: "Status must be 'sent' or 'accepted'" });
+        }
+
+        await expireQuotations({ _id: id });
+
+        const quotation = await Quotation.findById(id);
+
+        if (!quotation) {
+            return res.status(404).json({ message: "Quotation not found" });
+        }
+
+        // La condición sobre el estado actual evita cambios simultáneos contradictorios
+        const allowedFrom = Object.keys(STATUS_TRANSITIONS).filter(from => STATUS_TRANSITIONS[from].includes(status));
+        const updated = await Quotation.findOneAndUpdate(
+            { _id: id, status: { $in: allowedFrom } },
+            { $set: { status } },
+            { new: true }
+        );
+
+        if (!updated) {
+            return res.status(409).json({
+                message: `A ${quotation.status} quotation cannot be marked as ${status}`,
+                status: quotation.status
+            });
+        }
+
+        const updatedQuotation = await findQuotation(id);
+
+        res.status(200).json({
+            message: "Quotation status updated successfully",
+            quotation: formatQuotation(updatedQuotation)
+        });
+    } catch (error) {
+        console.error("Error updating quotation status:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Convertir una cotización aceptada en venta con los precios cotizados
+export const convertQuotation = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "convert_quotations")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { payments, createInvoice, credit, dueDate, branchId } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid quotation ID format" });
+        }
+
+        await expireQuotations({ _id: id });
+
+        const quotation = await Quotation.findById(id);
+
+        if (!quotation) {
+            return res.status(404).json({ message: "Quotation not found" });
+        }
+
+        if (quotation.sale) {
+            return res.status(409).json({ message: "Quotation was already converted", saleId: quotation.sale });
+        }
+
+        if (quotation.status !== 'accepted') {
+            return res.status(409).json({ message: "Only accepted quotations can be converted", status: quotation.status });
+        }
+
+        const customer = await Customer.findById(quotation.customer);
+        if (!customer) {
+            return res.status(404).json({ message: "Customer not found" });
+        }
+
+        // La venta queda en la sucursal de quien la convierte, como al crear una venta
+        const { branch, status: branchStatus, error: branchError } = await resolveBranch(branchId, req.user.id, { useCashSession: true });
+        if (branchError) {
+            return res.status(branchStatus).json({ message: branchError });
+        }
+
+        // Las mismas verificaciones de stock que al crear una venta
+        const requestedQuantities = groupQuantitiesByProduct(quotation.products);
+        const productsData = await findProductsWithStock(requestedQuantities);
+
+        // Se respetan los precios, descuentos e impuestos cotizados
+        const lines = quotation.products.map(item => ({
+            product: item.product,
+            quantity: item.quantity,
+            price: item.price,
+            listPrice: item.listPrice !== undefined ? item.listPrice : null,
+            discount: item.discount || 0,
+            promotion: item.promotion || null,
+            total: item.total,
+            taxType: item.taxType,
+            taxRate: item.taxRate,
+            tax: item.tax
+        }));
+
+        // Una venta con fecha en un periodo cerrado solo la registra quien puede reabrirlo
+        const saleDate = new Date();
+        const lockedPeriods = await checkPeriodLock([saleDate], req.user);
+
+        const paymentValidation = prepareSalePayments({ payments, credit, dueDate }, calculateSaleTotal(lines), customer, saleDate);
+        if (paymentValidation.errors.length > 0) {
+            return res.status(400).json({ message: "Invalid payments", errors: paymentValidation.errors });
+        }
+
+        const newSale = new Sale({
+            customer: quotation.customer,
+            products: lines,
+            couponCode: quotation.couponCode || undefined,
+            priceList: quotation.priceList || null,
+            payments: paymentValidation.payments,
+            credit: paymentValidation.credit,
+            dueDate: paymentValidation.dueDate,
+            balance: paymentValidation.balance,
+            // La comisión es de quien hizo la cotización
+            seller: quotation.createdBy || req.user.id,
+            branch: branch._id,
+            date: saleDate
+        });
+
+        // La venta y la marca de conversión se guardan juntas: si otra petición la convirtió
+        // primero, la transacción se revierte
+        const { numberingWarning } = await registerSale({
+            sale: newSale,
+            customer,
+            productsData,
+            requestedQuantities,
+            createInvoice,
+            userId: req.user.id,
+            afterSave: async (session) => {
+                const converted = await Quotation.findOneAndUpdate(
+                    { _id: id, status: 'accepted', sale: null },
+                    { $set: { sale: newSale._id, convertedAt: new Date() } },
+                    { new: true, session }
+                );
+                if (!converted) {
+                    throw new QuotationError("Quotation was already converted");
+                }
+            }
+        });
+
+        await logPeriodOverrides(lockedPeriods, { action: 'create', documentType: 'sale', document: newSale._id, reference: newSale.id, userId: req.user.id });
+
+        const convertedQuotation = await findQuotation(id);
+
+        res.status(201).json({
+            message: "Quotation converted to sale successfully",
+            quotation: formatQuotation(convertedQuotation),
+            saleId: newSale._id,
+            sale: newSale.id,
+            invoiceID: newSale.invoiceID || null,
+            ...(numberingWarning ? { numberingWarning } : {})
+        });
+    } catch (error) {
+        if (error instanceof StockError || error instanceof ResolutionError || error instanceof CreditError || error instanceof QuotationError || error instanceof PeriodLockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        console.error("Error converting quotation:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Exportar una cotización a PDF
+export const exportQuotationToPDF = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_quotations")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid quotation ID format" });
+        }
+
+        await expireQuotations({ _id: id });
+
+        const quotation = await findQuotation(id);
+
+        if (!quotation) {
+            return res.status(404).json({ message: "Quotation not found" });
+        }
+
+        // Crear documento PDF
+        const doc = new PDFDocument({ margin: 50 });
+
+        // Configurar encabezados para descarga del archivo
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=quotation_${quotation.id}.pdf`);
+
+        // Pipe PDF a la respuesta
+        doc.pipe(res);
+
+        // Estilo del documento
+        doc.fontSize(20).text('Quotation', { align: 'center' });
+        doc.moveDown();
+        doc.fontSize(12).text(`Quotation #: ${quotation.id}`, { align: 'right' });
+        doc.fontSize(12).text(`Date: ${formatDate(quotation.date)}`, { align: 'right' });
+        doc.fontSize(12).text(`Valid until: ${formatDate(quotation.validUntil)}`, { align: 'right' });
+        doc.moveDown();
+
+        // Información del cliente con manejo seguro de null/undefined
+        const customer = quotation.customer || {};
+        doc.fontSize(14).text('Customer Information');
+        doc.fontSize(10).text(`Name: ${customer.name || customer.lastname ? `${customer.name || ''} ${customer.lastname || ''}` : 'Unknown Customer'}`);
+        doc.fontSize(10).text(`Email: ${customer.email || 'N/A'}`);
+        doc.fontSize(10).text(`Phone: ${customer.phone || 'N/A'}`);
+        doc.moveDown();
+
+        // Tabla de productos
+        const tableTop = 250;
+        const tableHeaders = ['Product', 'Quantity', 'Unit Price', 'Discount', 'Tax', 'Total'];
+        const tableColumnWidths = [170, 55, 80, 70, 65, 80];
+
+        // Encabezados de tabla
+        let position = 0;
+        doc.fontSize(10);
+
+        tableHeaders.forEach((header, i) => {
+            doc.text(header, position + 50, tableTop, { width: tableColumnWidths[i], align: 'left' });
+            position += tableColumnWidths[i];
+        });
+
+        // Línea debajo de encabezados
+        doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
+
+        // Contenido de tabla (una fila por línea)
+        let rowY = tableTop + 25;
+
+        quotation.products.forEach(item => {
+            // Si la página se llena, continuar en una nueva
+            if (rowY > 650) {
+                doc.addPage();
+                rowY = 50;
+            }
+
+            const values = [
+                item.product ? item.product.name || 'Unknown Product' : 'Unknown Product',
+                (item.quantity || 0).toString(),
+                `$${(item.price || 0).toFixed(2)}`,
+                `$${(item.discount || 0).toFixed(2)}`,
+                getTaxLabel(item.taxType, item.taxRate),
+                `$${(item.total || 0).toFixed(2)}`
+            ];
+
+            position = 0;
+            values.forEach((value, i) => {
+                doc.text(value, position + 50, rowY, { width: tableColumnWidths[i], align: 'left' });
+                position += tableColumnWidths[i];
+            });
+
+            rowY += 20;
+        });
+
+        // Línea debajo de datos
+        doc.moveTo(50, rowY).lineTo(550, rowY).stroke();
+
+        // Subtotal, descuentos, impuestos discriminados por tarifa y total
+        doc.moveDown(3);
+        doc.fontSize(10).text(`Subtotal: $${(quotation.subtotal || 0).toFixed(2)}`, { align: 'right' });
+        doc.fontSize(10).text(`Discount: -$${(quotation.discountTotal || 0).toFixed(2)}`, { align: 'right' });
+        (quotation.taxes || []).forEach(tax => {
+            doc.fontSize(10).text(`${getTaxLabel(tax.taxType, tax.rate)} (base $${(tax.base || 0).toFixed(2)}): $${(tax.amount || 0).toFixed(2)}`, { align: 'right' });
+        });
+        doc.fontSize(12).text(`Total: $${(quotation.total || 0).toFixed(2)}`, { align: 'right' });
+
+        if (quotation.notes) {
+            doc.moveDown();
+            doc.fontSize(12).text('Notes', { underline: true });
+            doc.fontSize(10).text(quotation.notes);
+        }
+
+        // Condiciones
+        doc.moveDown(3);
+        doc.fontSize(10).text('Terms and Conditions', { underline: true });
+        doc.fontSize(8).text(`Prices are valid until ${formatDate(quotation.validUntil)} and subject to stock availability. This quotation is not an invoice.`);
+
+        // Finalizar PDF
+        doc.end();
+    } catch (error) {
+        console.error("Error exporting quotation to PDF:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
@@ -0,0 +1,73 @@
+import Sale from '../models/sales.js';
+import Branch from '../models/branches.js';
+import Invoice from '../models/invoice.js';
+import mongoose from 'mongoose';
+import { checkPermission } from '../utils/permissions.js';
+import { RECEIPT_WIDTHS, buildReceiptLines, createReceiptPDF, buildReceiptEscPos } from '../utils/receipts.js';
+
+// Generar el tiquete de una venta para impresoras térmicas, en PDF (por defecto) o en ESC/POS
+export const getSaleReceipt = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "print_receipts")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { branchId, format = 'pdf' } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        if (!['pdf', 'escpos'].includes(format)) {
+            return res.status(400).json({ message: "Format must be 'pdf' or 'escpos'" });
+        }
+
+        if (branchId && !mongoose.Types.ObjectId.isValid(branchId)) {
+            return res.status(400).json({ message: "Invalid branch ID format" });
+        }
+
+        const sale = await Sale.findById(id)
+            .populate("customer", "name lastname")
+            .populate("products.product", "name");
+
+        if (!sale) {
+            return res.status(404).json({ message: "Sale not found" });
+        }
+
+        // La sede define el encabezado, el logo y el ancho del papel; por defecto la de la venta
+        const branch = branchId || sale.branch ? await Branch.findById(branchId || sale.branch) : null;
+        if (branchId && !branch) {
+            return res.status(404).json({ message: "Branch not found" });
+        }
+
+        // El ancho enviado en la consulta reemplaza el de la sede
+        const width = req.query.width
+            ? parseInt(req.query.width)
+            : (branch && branch.receipt && branch.receipt.width) || 80;
+        if (!RECEIPT_WIDTHS[width]) {
+            return res.status(400).json({ message: "Width must be 58 or 80" });
+        }
+
+        const invoice = sale.invoiceID ? await Invoice.findOne({ sale: sale._id }) : null;
+        const lines = buildReceiptLines(sale, { branch, invoice });
+
+        if (format === 'escpos') {
+            res.setHeader('Content-Type', 'application/octet-stream');
+            res.setHeader('Content-Disposition', `attachment; filename=receipt_${sale.id}.bin`);
+            return res.send(buildReceiptEscPos(lines, { width }));
+        }
+
+        const logo = branch && branch.receipt ? branch.receipt.logo : null;
+        const doc = createReceiptPDF(lines, { width, logo });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename=receipt_${sale.id}.pdf`);
+
+        doc.pipe(res);
+        doc.end();
+    } catch (error) {
+        console.error("Error generating receipt:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
@@ -0,0 +1,422 @@
+import CustomerPayment from '../models/customerPayment.js';
+import Sale from '../models/sales.js';
+import Customer from '../models/customer.js';
+import mongoose from 'mongoose';
+import { checkPermission } from '../utils/permissions.js';
+import { getNextNumber } from '../utils/numbering.js';
+import { validatePayments, getPaymentMethodLabel } from '../utils/payments.js';
+import { runInTransaction } from '../utils/transactions.js';
+import { attachToOpenCashSession } from '../utils/cashSessions.js';
+import { CreditError, AGING_BUCKETS, getAgingBucket, getDaysOverdue, applySalePayment, releaseCustomerCredit, buildCustomerStatement } from '../utils/receivables.js';
+import { getIssuer } from '../utils/einvoice.js';
+import PDFDocument from 'pdfkit';
+
+// Formatear fecha para mostrar
+const formatDate = (date) => {
+  if (!date) return null;
+  try {
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return "Invalid Date";
+    const day = d.getDate().toString().padStart(2, '0');
+    const month = (d.getMonth() + 1).toString().padStart(2, '0');
+    const year = d.getFullYear();
+    return `${day}/${month}/${year}`;
+  } catch (error) {
+    console.error("Error formatting date:", error);
+    return "Error";
+  }
+};
+
+// Redondear a centavos los acumulados de los reportes
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Formatear un abono
+const formatCustomerPayment = (payment) => ({
+    _id: payment._id,
+    id: payment.id,
+    saleId: payment.sale ? payment.sale._id || payment.sale : null,
+    sale: payment.sale && payment.sale.id ? payment.sale.invoiceID || payment.sale.id : null,
+    customerId: payment.customer ? payment.customer._id || payment.customer : null,
+    method: payment.method,
+    methodName: getPaymentMethodLabel(payment.method),
+    amount: payment.amount || 0,
+    reference: payment.reference || null,
+    date: formatDate(payment.date),
+    notes: payment.notes || null
+});
+
+// Fecha de corte de un reporte; sin fecha se usa el día actual
+const parseAsOfDate = (date) => {
+    const asOf = date ? new Date(date) : new Date();
+    return isNaN(asOf.getTime()) ? null : asOf;
+};
+
+// Registrar un abono a una venta a crédito
+export const recordSalePayment = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "create_customer_payments")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { method, amount, reference, date, notes } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        // El abono se valida igual que un pago de venta (medio de pago, monto y referencia)
+        const { errors, payments } = validatePayments([{ method, amount, reference }], amount);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Invalid payment", errors });
+        }
+
+        const paymentDate = date ? new Date(date) : new Date();
+        if (isNaN(paymentDate.getTime())) {
+            return res.status(400).json({ message: "Invalid payment date" });
+        }
+
+        const sale = await Sale.findById(id);
+        if (!sale) {
+            return res.status(404).json({ message: "Sale not found" });
+        }
+
+        if (!sale.credit) {
+            return res.status(409).json({ message: "Payments can only be registered on credit sales" });
+        }
+
+        if (sale.status === 'voided') {
+            return res.status(409).json({ message: "Payments cannot be registered on a voided sale" });
+        }
+
+        const newPayment = new CustomerPayment({
+            sale: sale._id,
+            customer: sale.customer,
+            method: payments[0].method,
+            amount: payments[0].amount,
+            reference: payments[0].reference,
+            date: paymentDate,
+            notes: notes || null,
+            createdBy: req.user.id
+        });
+
+        // El abono, el saldo de la venta y la cuenta del cliente se actualizan juntos
+        let updatedSale;
+        await runInTransaction(async (session) => {
+            updatedSale = await applySalePayment(sale._id, newPayment.amount, session);
+            await releaseCustomerCredit(sale.customer, newPayment.amount, session);
+
+            // El abono queda en el turno de caja abierto de quien lo recibe
+            newPayment.cashSession = await attachToOpenCashSession(req.user.id, session);
+
+            newPayment.id = await getNextNumber('customer_payment', session);
+            await newPayment.save({ session });
+        });
+
+        res.status(201).json({
+            message: "Payment registered successfully",
+            payment: formatCustomerPayment(newPayment),
+            balance: updatedSale.balance
+        });
+    } catch (error) {
+        if (error instanceof CreditError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        console.error("Error registering payment:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Obtener los abonos de una venta
+export const getSalePayments = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_receivables")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        const sale = await Sale.findById(id);
+        if (!sale) {
+            return res.status(404).json({ message: "Sale not found" });
+        }
+
+        const payments = await CustomerPayment.find({ sale: id })
+            .populate("sale", "id invoiceID")
+            .sort({ date: 1 });
+
+        res.status(200).json({
+            sale: sale.invoiceID || sale.id,
+            credit: Boolean(sale.credit),
+            total: sale.total || 0,
+            dueDate: formatDate(sale.dueDate),
+            balance: sale.balance || 0,
+            payments: payments.map(formatCustomerPayment)
+        });
+    } catch (error) {
+        console.error("Error fetching sale payments:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Reporte de cartera por edades: saldo pendiente de cada cliente por rango de vencimiento
+export const getAgingReport = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_receivables")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { date, customerId } = req.query;
+
+        const asOf = parseAsOfDate(date);
+        if (!asOf) {
+            return res.status(400).json({ message: "Invalid report date" });
+        }
+
+        let filter = { credit: true, status: 'completed', balance: { $gt: 0 } };
+
+        if (customerId && mongoose.Types.ObjectId.isValid(customerId)) {
+            filter.customer = customerId;
+        }
+
+        const sales = await Sale.find(filter)
+            .populate("customer", "name lastname email phone creditLimit")
+            .sort({ dueDate: 1 });
+
+        const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+        const customers = new Map();
+        const totals = { ...emptyBuckets(), total: 0 };
+
+        sales.forEach(sale => {
+            const key = sale.customer ? sale.customer._id.toString() : 'unknown';
+            if (!customers.has(key)) {
+                customers.set(key, {
+                    customerId: sale.customer ? sale.customer._id : null,
+                    customer: sale.customer ? `${sale.customer.name || ''} ${sale.customer.lastname || ''}`.trim() : 'Unknown Customer',
+                    email: sale.customer ? sale.customer.email || null : null,
+                    phone: sale.customer ? sale.customer.phone || null : null,
+                    creditLimit: sale.customer ? sale.customer.creditLimit || 0 : 0,
+                    ...emptyBuckets(),
+                    total: 0,
+                    sales: []
+                });
+            }
+
+            const bucket = getAgingBucket(sale.dueDate, asOf);
+            const entry = customers.get(key);
+            entry[bucket.key] = roundAmount(entry[bucket.key] + sale.balance);
+            entry.total = roundAmount(entry.total + sale.balance);
+            entry.sales.push({
+                saleId: sale._id,
+                sale: sale.invoiceID || sale.id,
+                date: formatDate(sale.date),
+                dueDate: formatDate(sale.dueDate),
+                daysOverdue: Math.max(getDaysOverdue(sale.dueDate, asOf), 0),
+                bucket: bucket.key,
+                total: sale.total || 0,
+                balance: sale.balance
+            });
+
+            totals[bucket.key] = roundAmount(totals[bucket.key] + sale.balance);
+            totals.total = roundAmount(totals.total + sale.balance);
+        });
+
+        res.status(200).json({
+            asOf: formatDate(asOf),
+            buckets: AGING_BUCKETS.map(bucket => ({ key: bucket.key, label: bucket.label })),
+            customers: [...customers.values()].sort((a, b) => b.total - a.total),
+            totals
+        });
+    } catch (error) {
+        console.error("Error generating aging report:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Cargar el cliente y los movimientos de su estado de cuenta según los filtros de la petición
+const loadCustomerStatement = async (req, res) => {
+    const { id } = req.params;
+    const { startDate, endDate } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        res.status(400).json({ message: "Invalid customer ID" });
+        return null;
+    }
+
+    if ((startDate && isNaN(new Date(startDate).getTime())) || (endDate && isNaN(new Date(endDate).getTime()))) {
+        res.status(400).json({ message: "Invalid date range" });
+        return null;
+    }
+
+    const customer = await Customer.findById(id);
+    if (!customer) {
+        res.status(404).json({ message: "Customer not found" });
+        return null;
+    }
+
+    const statement = await buildCustomerStatement(customer._id, { startDate, endDate });
+    return { customer, statement, startDate, endDate };
+};
+
+// Descripción de un movimiento del estado de cuenta
+const describeStatementEntry = (entry) => {
+    switch (entry.type) {
+        case 'sale':
+            return `Credit sale (due ${formatDate(entry.dueDate)})`;
+        case 'initial_payment':
+            return 'Initial payment';
+        case 'payment':
+            return `Payment ${getPaymentMethodLabel(entry.method)} - ${entry.appliesTo || ''}`;
+        case 'credit_note':
+            return `Credit note - ${entry.appliesTo || ''}`;
+        default:
+            return entry.type;
+    }
+};
+
+// Obtener el estado de cuenta de un cliente
+export const getCustomerStatement = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_receivables")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const loaded = await loadCustomerStatement(req, res);
+        if (!loaded) return;
+
+        const { customer, statement } = loaded;
+
+        res.status(200).json({
+            customerId: customer._id,
+            customer: `${customer.name || ''} ${customer.lastname || ''}`.trim(),
+            creditLimit: customer.creditLimit || 0,
+            balance: customer.balance || 0,
+            openingBalance: statement.openingBalance,
+            entries: statement.entries.map(entry => ({
+                date: formatDate(entry.date),
+                type: entry.type,
+                document: entry.document,
+                description: describeStatementEntry(entry),
+                debit: entry.debit,
+                credit: entry.credit,
+                balance: entry.balance
+            })),
+            closingBalance: statement.closingBalance
+        });
+    } catch (error) {
+        console.error("Error fetching customer statement:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Exportar el estado de cuenta de un cliente a PDF
+export const exportCustomerStatementToPDF = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_receivables")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const loaded = await loadCustomerStatement(req, res);
+        if (!loaded) return;
+
+        const { customer, statement, startDate, endDate } = loaded;
+
+        // Crear documento PDF
+        const doc = new PDFDocument({ margin: 50 });
+
+        // Configurar encabezados para descarga del archivo
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=statement_${customer._id}.pdf`);
+
+        // Pipe PDF a la respuesta
+        doc.pipe(res);
+
+        // Estilo del documento
+        doc.fontSize(20).text('Account Statement', { align: 'center' });
+        doc.fontSize(10).text(getIssuer().name, { align: 'center' });
+        doc.moveDown();
+        doc.fontSize(12).text(`Date: ${formatDate(new Date())}`, { align: 'right' });
+        if (startDate || endDate) {
+            doc.fontSize(10).text(`Period: ${startDate ? formatDate(startDate) : '-'} to ${endDate ? formatDate(endDate) : '-'}`, { align: 'right' });
+        }
+        doc.moveDown();
+
+        // Información del cliente
+        doc.fontSize(14).text('Customer Information');
+        doc.fontSize(10).text(`Name: ${customer.name || ''} ${customer.lastname || ''}`);
+        doc.fontSize(10).text(`Email: ${customer.email || 'N/A'}`);
+        doc.fontSize(10).text(`Phone: ${customer.phone || 'N/A'}`);
+        doc.fontSize(10).text(`Credit limit: $${(customer.creditLimit || 0).toFixed(2)}`);
+        doc.moveDown();
+
+        // Tabla de movimientos
+        const tableTop = doc.y + 10;
+        const tableHeaders = ['Date', 'Document', 'Description', 'Debit', 'Credit', 'Balance'];
+        const tableColumnWidths = [65, 70, 155, 70, 70, 70];
+
+        const drawHeaders = (y) => {
+            let position = 0;
+            doc.fontSize(10);
+            tableHeaders.forEach((header, i) => {
+                doc.text(header, position + 50, y, { width: tableColumnWidths[i], align: i >= 3 ? 'right' : 'left' });
+                position += tableColumnWidths[i];
+            });
+            doc.moveTo(50, y + 15).lineTo(550, y + 15).stroke();
+        };
+
+        const drawRow = (values, y) => {
+            let position = 0;
+            values.forEach((value, i) => {
+                doc.text(value, position + 50, y, { width: tableColumnWidths[i], align: i >= 3 ? 'right' : 'left' });
+                position += tableColumnWidths[i];
+            });
+        };
+
+        drawHeaders(tableTop);
+        let rowY = tableTop + 25;
+        doc.fontSize(9);
+
+        // Saldo inicial del periodo
+        drawRow(['', '', 'Opening balance', '', '', `$${statement.openingBalance.toFixed(2)}`], rowY);
+        rowY += 20;
+
+        statement.entries.forEach(entry => {
+            // Si la página se llena, continuar en una nueva con los encabezados
+            if (rowY > 680) {
+                doc.addPage();
+                drawHeaders(50);
+                rowY = 75;
+                doc.fontSize(9);
+            }
+
+            drawRow([
+                formatDate(entry.date),
+                entry.document || '',
+                describeStatementEntry(entry),
+                entry.debit ? `$${entry.debit.toFixed(2)}` : '',
+                entry.credit ? `$${entry.credit.toFixed(2)}` : '',
+                `$${entry.balance.toFixed(2)}`
+            ], rowY);
+
+            rowY += 20;
+        });
+
+        // Línea debajo de datos
+        doc.moveTo(50, rowY).lineTo(550, rowY).stroke();
+
+        // Saldo final
+        doc.text('', 50, rowY + 15);
+        doc.fontSize(12).text(`Balance due: $${statement.closingBalance.toFixed(2)}`, { align: 'right' });
+        doc.fontSize(10).text(`Available credit: $${Math.max((customer.creditLimit || 0) - (customer.balance || 0), 0).toFixed(2)}`, { align: 'right' });
+
+        // Finalizar PDF
+        doc.end();
+    } catch (error) {
+        console.error("Error exporting customer statement to PDF:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
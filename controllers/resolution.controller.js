@@ -0,0 +1,230 @@
+import Resolution from "../models/resolution.js";
+import mongoose from "mongoose";
+import { checkPermission } from "../utils/permissions.js";
+import { getRemainingNumbers, getResolutionWarning } from "../utils/resolutions.js";
+
+// Validate resolution data (merged with the existing resolution on updates)
+function validateResolutionData(data) {
+    const errors = [];
+
+    if (!data.number || typeof data.number !== "string" || data.number.trim() === "") {
+        errors.push("Resolution number is required");
+    }
+
+    if (data.prefix !== undefined && data.prefix !== null &&
+        (typeof data.prefix !== "string" || !/^[A-Za-z0-9]{0,4}$/.test(data.prefix))) {
+        errors.push("Prefix must be up to 4 letters or numbers");
+    }
+
+    if (!Number.isInteger(data.from) || data.from < 1) {
+        errors.push("Range start must be a positive integer");
+    }
+
+    if (!Number.isInteger(data.to) || data.to < 1) {
+        errors.push("Range end must be a positive integer");
+    } else if (Number.isInteger(data.from) && data.to < data.from) {
+        errors.push("Range end must be greater than or equal to range start");
+    }
+
+    const validFrom = new Date(data.validFrom);
+    const validTo = new Date(data.validTo);
+    if (!data.validFrom || isNaN(validFrom.getTime())) {
+        errors.push("Valid from date is invalid");
+    }
+    if (!data.validTo || isNaN(validTo.getTime())) {
+        errors.push("Valid to date is invalid");
+    }
+    if (validFrom > validTo) {
+        errors.push("Valid to date must be after valid from date");
+    }
+
+    if (data.warningThreshold !== undefined && (!Number.isInteger(data.warningThreshold) || data.warningThreshold < 0)) {
+        errors.push("Warning threshold must be a non-negative integer");
+    }
+
+    if (data.status && !["active", "inactive"].includes(data.status)) {
+        errors.push("Status must be 'active' or 'inactive'");
+    }
+
+    return errors;
+}
+
+// Build the stored fields from the request body
+function buildResolutionFields(data) {
+    // The resolution is valid until the end of its last day
+    const validTo = new Date(data.validTo);
+    validTo.setUTCHours(23, 59, 59, 999);
+
+    return {
+        number: data.number.trim(),
+        prefix: data.prefix ? data.prefix.trim().toUpperCase() : "",
+        from: data.from,
+        to: data.to,
+        validFrom: new Date(data.validFrom),
+        validTo,
+        technicalKey: data.technicalKey ? data.technicalKey.trim() : "",
+        warningThreshold: data.warningThreshold !== undefined ? data.warningThreshold : 100,
+        status: data.status || "active"
+    };
+}
+
+// Format a resolution with the numbers it has used and left
+function formatResolution(resolution) {
+    const now = new Date();
+    return {
+        _id: resolution._id,
+        number: resolution.number,
+        prefix: resolution.prefix,
+        from: resolution.from,
+        to: resolution.to,
+        lastNumber: resolution.current >= resolution.from ? `${resolution.prefix}${resolution.current}` : null,
+        nextNumber: resolution.current < resolution.to ? `${resolution.prefix}${resolution.current + 1}` : null,
+        remaining: getRemainingNumbers(resolution),
+        validFrom: resolution.validFrom,
+        validTo: resolution.validTo,
+        expired: resolution.validTo < now,
+        warningThreshold: resolution.warningThreshold,
+        warning: getResolutionWarning(resolution),
+        status: resolution.status,
+        createdAt: resolution.createdAt,
+        updatedAt: resolution.updatedAt
+    };
+}
+
+// Get all numbering resolutions
+export const getResolutions = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_resolutions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const filter = {};
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const resolutions = await Resolution.find(filter).sort({ validFrom: -1 });
+
+        res.status(200).json(resolutions.map(formatResolution));
+    } catch (error) {
+        console.error("Error fetching resolutions:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Get resolution by ID
+export const getResolutionById = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_resolutions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid resolution ID" });
+        }
+
+        const resolution = await Resolution.findById(id);
+
+        if (!resolution) {
+            return res.status(404).json({ message: "Resolution not found" });
+        }
+
+        res.status(200).json(formatResolution(resolution));
+    } catch (error) {
+        console.error("Error fetching resolution:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Create a new numbering resolution
+export const postResolution = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "create_resolutions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const errors = validateResolutionData(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Validation failed", errors });
+        }
+
+        const fields = buildResolutionFields(req.body);
+
+        const existingResolution = await Resolution.findOne({ number: fields.number });
+        if (existingResolution) {
+            return res.status(409).json({ message: "Resolution number already registered" });
+        }
+
+        // No number of the range has been issued yet
+        const newResolution = new Resolution({ ...fields, current: fields.from - 1 });
+
+        await newResolution.save();
+        res.status(201).json({ message: "Resolution created successfully", resolution: formatResolution(newResolution) });
+    } catch (error) {
+        console.error("Error creating resolution:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Update a numbering resolution
+export const updateResolution = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "update_resolutions")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid resolution ID" });
+        }
+
+        const resolution = await Resolution.findById(id);
+        if (!resolution) {
+            return res.status(404).json({ message: "Resolution not found" });
+        }
+
+        // Validate the resulting resolution, not just the fields being sent
+        const merged = { ...resolution.toObject(), ...req.body };
+        const errors = validateResolutionData(merged);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Validation failed", errors });
+        }
+
+        const fields = buildResolutionFields(merged);
+
+        if (fields.number !== resolution.number) {
+            const existingResolution = await Resolution.findOne({ number: fields.number, _id: { $ne: id } });
+            if (existingResolution) {
+                return res.status(409).json({ message: "Resolution number already registered" });
+            }
+        }
+
+        // Once invoices were numbered with it, the prefix and range start are fixed
+        const used = resolution.current >= resolution.from;
+        if (used && (fields.prefix !== resolution.prefix || fields.from !== resolution.from)) {
+            return res.status(409).json({ message: "Prefix and range start cannot change after invoices were issued" });
+        }
+        if (!used) {
+            fields.current = fields.from - 1;
+        }
+
+        // The range end cannot go below the last number issued, even if an invoice is issued meanwhile
+        const updatedResolution = await Resolution.findOneAndUpdate(
+            { _id: id, current: { $lte: fields.to } },
+            { $set: fields },
+            { new: true }
+        );
+
+        if (!updatedResolution) {
+            return res.status(409).json({ message: "Range end cannot be lower than the last number issued" });
+        }
+
+        res.status(200).json({ message: "Resolution updated successfully", resolution: formatResolution(updatedResolution) });
+    } catch (error) {
+        console.error("Error updating resolution:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
@@ -0,0 +1,477 @@
+import Return from '../models/return.js';
+import Sale from '../models/sales.js';
+import mongoose from 'mongoose';
+import { checkPermission } from '../utils/permissions.js';
+import { getNextNumber } from '../utils/numbering.js';
+import { getTaxLabel } from '../utils/taxes.js';
+import { runInTransaction } from '../utils/transactions.js';
+import { incrementStock } from '../utils/stock.js';
+import { releaseCustomerCredit } from '../utils/receivables.js';
+import PDFDocument from 'pdfkit';
+
+// Error lanzado dentro de la transacción cuando otra devolución ya tomó las unidades pedidas
+class ReturnError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "ReturnError";
+        this.status = 409;
+        this.details = details;
+    }
+}
+
+// Formatear fecha para mostrar
+const formatDate = (date) => {
+  if (!date) return null;
+  try {
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return "Invalid Date";
+    const day = d.getDate().toString().padStart(2, '0');
+    const month = (d.getMonth() + 1).toString().padStart(2, '0');
+    const year = d.getFullYear();
+    return `${day}/${month}/${year}`;
+  } catch (error) {
+    console.error("Error formatting date:", error);
+    return "Error";
+  }
+};
+
+// Cantidades, valor e impuesto vendidos por producto (un producto puede venir en varias líneas)
+function getSoldByProduct(sale) {
+    const sold = new Map();
+    sale.products.forEach(item => {
+        const key = item.product.toString();
+        const current = sold.get(key) || { quantity: 0, total: 0, taxType: item.taxType || 'none', taxRate: item.taxRate || 0 };
+        current.quantity += item.quantity;
+        current.total += item.total;
+        sold.set(key, current);
+    });
+    return sold;
+}
+
+// Cantidades ya devueltas por producto en notas crédito anteriores
+async function getReturnedByProduct(saleId, session = null) {
+    const returned = new Map();
+    const previousReturns = await Return.find({ sale: saleId }).session(session);
+    previousReturns.forEach(saleReturn => {
+        saleReturn.products.forEach(item => {
+            const key = item.product.toString();
+            returned.set(key, (returned.get(key) || 0) + item.quantity);
+        });
+    });
+    return returned;
+}
+
+// Formatear una devolución con manejo seguro de null/undefined
+const formatReturn = (saleReturn) => ({
+    _id: saleReturn._id,
+    id: saleReturn.id || '',
+    sale: saleReturn.sale ? saleReturn.sale.id : null,
+    saleId: saleReturn.sale ? saleReturn.sale._id : null,
+    invoiceID: saleReturn.sale && saleReturn.sale.invoiceID ? saleReturn.sale.invoiceID : null,
+    customer: saleReturn.customer ? `${saleReturn.customer.name || ''} ${saleReturn.customer.lastname || ''}` : 'Unknown Customer',
+    customerId: saleReturn.customer ? saleReturn.customer._id : null,
+    products: (saleReturn.products || []).map(item => ({
+        productId: item.product ? item.product._id : null,
+        product: item.product ? item.product.name || 'Unknown Product' : 'Unknown Product',
+        quantity: item.quantity || 0,
+        price: item.price || 0,
+        total: item.total || 0,
+        taxType: item.taxType || 'none',
+        taxRate: item.taxRate || 0,
+        tax: item.tax || 0,
+        restock: item.restock !== false
+    })),
+    reason: saleReturn.reason || '',
+    date: formatDate(saleReturn.date),
+    subtotal: saleReturn.subtotal || saleReturn.total || 0,
+    taxTotal: saleReturn.taxTotal || 0,
+    total: saleReturn.total || 0,
+    creditApplied: saleReturn.creditApplied || 0
+});
+
+// Registrar una devolución total o parcial de una venta
+export const createSaleReturn = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "create_returns")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { products, reason, restock = true, date } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        if (!reason || typeof reason !== "string" || reason.trim() === "") {
+            return res.status(400).json({ message: "A reason for the return is required" });
+        }
+
+        const sale = await Sale.findById(id);
+        if (!sale) {
+            return res.status(404).json({ message: "Sale not found" });
+        }
+
+        if (sale.status === 'voided') {
+            return res.status(409).json({ message: "Returns cannot be registered on a voided sale" });
+        }
+
+        const sold = getSoldByProduct(sale);
+        const returned = await getReturnedByProduct(sale._id);
+
+        // Sin líneas explícitas se devuelve todo lo pendiente de la venta
+        let requestedLines = products;
+        if (requestedLines === undefined) {
+            requestedLines = [...sold.keys()]
+                .map(productId => ({
+                    product: productId,
+                    quantity: sold.get(productId).quantity - (returned.get(productId) || 0)
+                }))
+                .filter(item => item.quantity > 0);
+
+            if (requestedLines.length === 0) {
+                return res.status(400).json({ message: "All products of this sale have already been returned" });
+            }
+        }
+
+        if (!Array.isArray(requestedLines) || requestedLines.length === 0) {
+            return res.status(400).json({ message: "At least one product is required" });
+        }
+
+        // Validar cada línea contra lo vendido y lo ya devuelto
+        const requestedQuantities = new Map();
+        const returnLines = [];
+        for (let i = 0; i < requestedLines.length; i++) {
+            const item = requestedLines[i];
+
+            if (!item || !item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
+                return res.status(400).json({ message: `Invalid product ID at index ${i}` });
+            }
+
+            if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+                return res.status(400).json({ message: `Invalid quantity at index ${i}` });
+            }
+
+            const key = item.product.toString();
+            const soldItem = sold.get(key);
+            if (!soldItem) {
+                return res.status(400).json({ message: `Product at index ${i} is not part of this sale` });
+            }
+
+            const alreadyRequested = (returned.get(key) || 0) + (requestedQuantities.get(key) || 0);
+            const returnable = soldItem.quantity - alreadyRequested;
+            if (item.quantity > returnable) {
+                return res.status(400).json({
+                    message: `Return quantity exceeds the quantity sold at index ${i}`,
+                    returnable,
+                    requested: item.quantity
+                });
+            }
+            requestedQuantities.set(key, (requestedQuantities.get(key) || 0) + item.quantity);
+
+            // Se devuelve al precio unitario de la venta con el mismo impuesto cobrado
+            const price = soldItem.total / soldItem.quantity;
+            returnLines.push({
+                product: item.product,
+                quantity: item.quantity,
+                price,
+                total: price * item.quantity,
+                taxType: soldItem.taxType,
+                taxRate: soldItem.taxRate,
+                restock: item.restock !== undefined ? Boolean(item.restock) : Boolean(restock)
+            });
+        }
+
+        const newReturn = new Return({
+            sale: sale._id,
+            customer: sale.customer,
+            products: returnLines,
+            reason: reason.trim(),
+            date: date || new Date(),
+            createdBy: req.user.id
+        });
+
+        // La nota crédito, el reingreso de stock y el acumulado de la venta se guardan juntos
+        await runInTransaction(async (session) => {
+            // Volver a verificar lo devuelto dentro de la transacción: dos devoluciones simultáneas
+            // actualizan la misma venta, así que la segunda se reintenta y aquí ve la primera
+            const returnedNow = await getReturnedByProduct(sale._id, session);
+            for (const [productId, quantity] of requestedQuantities) {
+                const returnable = sold.get(productId).quantity - (returnedNow.get(productId) || 0);
+                if (quantity > returnable) {
+                    throw new ReturnError("Return quantity exceeds the quantity still returnable", { product: productId, returnable, requested: quantity });
+                }
+            }
+
+            // Reingresar al inventario solo las líneas marcadas para reabastecer
+            for (const item of returnLines) {
+                if (item.restock) {
+                    await incrementStock(item.product, item.quantity, session);
+                }
+            }
+
+            newReturn.id = await getNextNumber('credit_note', session);
+            await newReturn.save({ session });
+
+            // Acumular el valor devuelto en la venta para los reportes netos; en una venta a
+            // crédito la nota crédito también descuenta el saldo pendiente hasta dejarlo en cero
+            const previous = await Sale.findOneAndUpdate(
+                { _id: sale._id },
+                [{
+                    $set: {
+                        returnedTotal: { $add: [{ $ifNull: ["$returnedTotal", 0] }, newReturn.total] },
+                        balance: { $max: [{ $subtract: [{ $ifNull: ["$balance", 0] }, newReturn.total] }, 0] }
+                    }
+                }],
+                { session }
+            );
+
+            const creditApplied = previous.credit ? Math.min(previous.balance || 0, newReturn.total) : 0;
+            if (creditApplied > 0) {
+                await releaseCustomerCredit(sale.customer, creditApplied, session);
+                newReturn.creditApplied = creditApplied;
+                await newReturn.save({ session });
+            }
+        });
+
+        const savedReturn = await Return.findById(newReturn._id)
+            .populate("sale", "id invoiceID")
+            .populate("customer", "name lastname")
+            .populate("products.product", "name");
+
+        res.status(201).json({
+            message: "Return registered successfully",
+            return: formatReturn(savedReturn)
+        });
+    } catch (error) {
+        if (error instanceof ReturnError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        console.error("Error creating sale return:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Obtener todas las devoluciones
+export const getReturns = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_returns")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        let filter = {};
+
+        // Filtro por fecha si se especifica
+        if (req.query.startDate && req.query.endDate) {
+            filter.date = {
+                $gte: new Date(req.query.startDate),
+                $lte: new Date(req.query.endDate)
+            };
+        }
+
+        // Filtro por venta si se especifica
+        if (req.query.saleId && mongoose.Types.ObjectId.isValid(req.query.saleId)) {
+            filter.sale = req.query.saleId;
+        }
+
+        // Filtro por cliente si se especifica
+        if (req.query.customerId && mongoose.Types.ObjectId.isValid(req.query.customerId)) {
+            filter.customer = req.query.customerId;
+        }
+
+        const returns = await Return.find(filter)
+            .sort({ createdAt: -1 })
+            .populate("sale", "id invoiceID")
+            .populate("customer", "name lastname")
+            .populate("products.product", "name");
+
+        res.status(200).json(returns.map(saleReturn => formatReturn(saleReturn)));
+    } catch (error) {
+        console.error("Error fetching returns:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Obtener las devoluciones de una venta
+export const getSaleReturns = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_returns")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        const returns = await Return.find({ sale: id })
+            .sort({ createdAt: -1 })
+            .populate("sale", "id invoiceID")
+            .populate("customer", "name lastname")
+            .populate("products.product", "name");
+
+        res.status(200).json(returns.map(saleReturn => formatReturn(saleReturn)));
+    } catch (error) {
+        console.error("Error fetching sale returns:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Obtener devolución por ID
+export const getReturnById = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_returns")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid return ID format" });
+        }
+
+        const saleReturn = await Return.findById(id)
+            .populate("sale", "id invoiceID")
+            .populate("customer", "name lastname")
+            .populate("products.product", "name");
+
+        if (!saleReturn) {
+            return res.status(404).json({ message: "Return not found" });
+        }
+
+        res.status(200).json(formatReturn(saleReturn));
+    } catch (error) {
+        console.error("Error fetching return:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Generar la nota crédito en PDF de una devolución
+export const generateCreditNote = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_returns")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid return ID format" });
+        }
+
+        const saleReturn = await Return.findById(id)
+            .populate("sale", "id invoiceID date")
+            .populate("customer", "name lastname email phone")
+            .populate("products.product", "name");
+
+        if (!saleReturn) {
+            return res.status(404).json({ message: "Return not found" });
+        }
+
+        // Crear PDF de la nota crédito
+        const doc = new PDFDocument({ margin: 50 });
+
+        // Configurar encabezados para descarga del archivo
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=credit_note_${saleReturn.id}.pdf`);
+
+        // Pipe PDF a la respuesta
+        doc.pipe(res);
+
+        // Estilo del documento
+        doc.fontSize(20).text('CREDIT NOTE', { align: 'center' });
+        doc.moveDown();
+
+        // Información de la nota crédito y del documento que afecta
+        doc.fontSize(12).text(`Credit Note #: ${saleReturn.id}`, { align: 'right' });
+        doc.fontSize(12).text(`Date: ${formatDate(saleReturn.date) || new Date().toLocaleDateString()}`, { align: 'right' });
+        doc.fontSize(10).text(`Sale: ${saleReturn.sale ? saleReturn.sale.id : 'N/A'}`, { align: 'right' });
+        doc.fontSize(10).text(`Invoice: ${saleReturn.sale && saleReturn.sale.invoiceID ? saleReturn.sale.invoiceID : 'N/A'}`, { align: 'right' });
+        doc.moveDown();
+
+        // Información del cliente con manejo seguro de null/undefined
+        doc.fontSize(14).text('Customer Information');
+        doc.fontSize(10).text(`Name: ${saleReturn.customer ? `${saleReturn.customer.name || ''} ${saleReturn.customer.lastname || ''}` : 'Unknown Customer'}`);
+        doc.fontSize(10).text(`Email: ${saleReturn.customer && saleReturn.customer.email ? saleReturn.customer.email : 'N/A'}`);
+        doc.fontSize(10).text(`Phone: ${saleReturn.customer && saleReturn.customer.phone ? saleReturn.customer.phone : 'N/A'}`);
+        doc.moveDown();
+
+        // Motivo de la devolución
+        doc.fontSize(14).text('Return Details');
+        doc.fontSize(10).text(`Reason: ${saleReturn.reason}`);
+        doc.moveDown();
+
+        // Tabla de productos
+        const tableTop = 300;
+        const tableHeaders = ['Product', 'Quantity', 'Unit Price', 'Tax', 'Total', 'Restocked'];
+        const tableColumnWidths = [170, 55, 80, 75, 80, 60];
+
+        // Encabezados de tabla
+        let position = 0;
+        doc.fontSize(10);
+
+        tableHeaders.forEach((header, i) => {
+            doc.text(header, position + 50, tableTop, { width: tableColumnWidths[i], align: 'left' });
+            position += tableColumnWidths[i];
+        });
+
+        // Línea debajo de encabezados
+        doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
+
+        // Contenido de tabla con manejo seguro de null/undefined (una fila por línea)
+        let rowY = tableTop + 25;
+
+        (saleReturn.products || []).forEach(item => {
+            // Si la página se llena, continuar en una nueva
+            if (rowY > 650) {
+                doc.addPage();
+                rowY = 50;
+            }
+
+            position = 0;
+
+            doc.text(item.product ? item.product.name || 'Unknown Product' : 'Unknown Product', position + 50, rowY, { width: tableColumnWidths[0], align: 'left' });
+            position += tableColumnWidths[0];
+
+            doc.text(item.quantity ? item.quantity.toString() : '0', position + 50, rowY, { width: tableColumnWidths[1], align: 'left' });
+            position += tableColumnWidths[1];
+
+            doc.text(`$${item.price ? item.price.toFixed(2) : '0.00'}`, position + 50, rowY, { width: tableColumnWidths[2], align: 'left' });
+            position += tableColumnWidths[2];
+
+            doc.text(getTaxLabel(item.taxType, item.taxRate), position + 50, rowY, { width: tableColumnWidths[3], align: 'left' });
+            position += tableColumnWidths[3];
+
+            doc.text(`$${item.total ? item.total.toFixed(2) : '0.00'}`, position + 50, rowY, { width: tableColumnWidths[4], align: 'left' });
+            position += tableColumnWidths[4];
+
+            doc.text(item.restock !== false ? 'Yes' : 'No', position + 50, rowY, { width: tableColumnWidths[5], align: 'left' });
+
+            rowY += 20;
+        });
+
+        // Línea debajo de datos
+        doc.moveTo(50, rowY).lineTo(550, rowY).stroke();
+
+        // Subtotal, impuestos y total
+        doc.moveDown(3);
+        doc.fontSize(10).text(`Subtotal: $${(saleReturn.subtotal || saleReturn.total || 0).toFixed(2)}`, { align: 'right' });
+        doc.fontSize(10).text(`Tax: $${(saleReturn.taxTotal || 0).toFixed(2)}`, { align: 'right' });
+        doc.fontSize(12).text(`Total Credited: $${saleReturn.total ? saleReturn.total.toFixed(2) : '0.00'}`, { align: 'right' });
+
+        // Términos y condiciones
+        doc.moveDown(3);
+        doc.fontSize(10).text('Terms and Conditions', { underline: true });
+        doc.fontSize(8).text('This credit note reverses the amounts listed above from the referenced sale.');
+
+        // Footer
+        doc.fontSize(8).text('Thank you for your business!', 50, 700, { align: 'center' });
+
+        // Finalizar PDF
+        doc.end();
+    } catch (error) {
+        console.error("Error generating credit note:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
@@ -1,56 +1,32 @@
 import Sale from '../models/sales.js';
 import Product from '../models/product.js';
 import Customer from '../models/customer.js';
+import Return from '../models/return.js';
+import CustomerPayment from '../models/customerPayment.js';
+import Invoice from '../models/invoice.js';
 import mongoose from 'mongoose';
 import { checkPermission } from '../utils/permissions.js';
+import { validatePayments, getPaymentMethodLabel, sumPaymentsByMethod } from '../utils/payments.js';
+import { getTaxLabel, TAX_TYPES } from '../utils/taxes.js';
+import { runInTransaction } from '../utils/transactions.js';
+import { ResolutionError, getNextInvoiceNumber } from '../utils/resolutions.js';
+import { issueInvoice, renderInvoicePDF } from '../utils/invoices.js';
+import { getInvoiceQRCode } from '../utils/einvoice.js';
+import { submitElectronicInvoice } from '../utils/dian.js';
+import { StockError, applyStockChanges, incrementStock, findProductsWithStock } from '../utils/stock.js';
+import { validateSaleProducts, groupQuantitiesByProduct, calculateSaleTotal, buildSaleLines, prepareSalePayments, registerSale } from '../utils/sales.js';
+import { CreditError, releaseCustomerCredit } from '../utils/receivables.js';
+import { resolveBranch, groupByBranchStages } from '../utils/branches.js';
+import { resolveCustomerPriceList } from '../utils/priceLists.js';
+import { PeriodLockError, checkPeriodLock, logPeriodOverrides } from '../utils/periods.js';
+import Branch from '../models/branches.js';
+import { sendMail, validateRecipients, collectPDF } from '../utils/mail.js';
+import { reportEmail } from '../utils/mailTemplates.js';
 import PDFDocument from 'pdfkit';
 import Excel from 'exceljs';
 import fs from 'fs';
 import path from 'path';
 
-// Función para generar ID de venta automáticamente
-async function generateSaleId() {
-    try {
-        const lastSale = await Sale.findOne().sort({ createdAt: -1 });
-        
-        // Si no hay venta previa o el formato no coincide, comenzar desde 01
-        if (!lastSale || !/^Sa\d{2}$/.test(lastSale.id)) {
-            return "Sa01";
-        }
-
-        // Extraer el número, incrementarlo y formatearlo
-        const lastNumber = parseInt(lastSale.id.substring(2), 10);
-        const nextNumber = (lastNumber + 1).toString().padStart(2, "0");
-        return `Sa${nextNumber}`;
-    } catch (error) {
-        console.error("Error generating sale ID:", error);
-        // En caso de error, devolver un valor por defecto
-        return "Sa01";
-    }
-}
-
-// Función para generar ID de factura automáticamente
-async function generateInvoiceId() {
-    try {
-        const lastInvoice = await Sale.findOne({ invoiceID: { $exists: true, $ne: null } })
-            .sort({ invoiceID: -1 });
-        
-        // Si no hay factura previa o el formato no coincide, comenzar desde 001
-        if (!lastInvoice || !/^Inv\d{3}$/.test(lastInvoice.invoiceID)) {
-            return "Inv001";
-        }
-
-        // Extraer el número, incrementarlo y formatearlo
-        const lastNumber = parseInt(lastInvoice.invoiceID.substring(3), 10);
-        const nextNumber = (lastNumber + 1).toString().padStart(3, "0");
-        return `Inv${nextNumber}`;
-    } catch (error) {
-        console.error("Error generating invoice ID:", error);
-        // En caso de error, devolver un valor por defecto
-        return "Inv001";
-    }
-}
-
 // Formatear fecha para mostrar
 const formatDate = (date) => {
   if (!date) return null;
@@ -67,6 +43,102 @@ const formatDate = (date) => {
   }
 };
 
+// Totales de base e impuesto por tipo y tarifa de un conjunto de ventas
+function sumTaxesByRate(sales) {
+    const totals = [];
+    sales.forEach(sale => {
+        (sale.taxes || []).forEach(tax => {
+            let entry = totals.find(item => item.taxType === tax.taxType && item.rate === tax.rate);
+            if (!entry) {
+                entry = { taxType: tax.taxType, rate: tax.rate, base: 0, amount: 0 };
+                totals.push(entry);
+            }
+            entry.base += tax.base || 0;
+            entry.amount += tax.amount || 0;
+        });
+    });
+    return totals;
+}
+
+// Formatear el desglose de impuestos de una venta
+const formatSaleTaxes = (sale) => (sale.taxes || []).map(tax => ({
+    taxType: tax.taxType,
+    rate: tax.rate,
+    name: getTaxLabel(tax.taxType, tax.rate),
+    base: tax.base || 0,
+    amount: tax.amount || 0
+}));
+
+// Cantidades ya devueltas por producto en las notas crédito de una venta
+async function getReturnedQuantities(saleId) {
+    const returned = new Map();
+    const returns = await Return.find({ sale: saleId });
+    returns.forEach(saleReturn => {
+        saleReturn.products.forEach(item => {
+            const key = item.product.toString();
+            returned.set(key, (returned.get(key) || 0) + item.quantity);
+        });
+    });
+    return returned;
+}
+
+// Formatear los pagos de una venta
+const formatSalePayments = (sale) => (sale.payments || []).map(payment => ({
+    method: payment.method,
+    methodName: getPaymentMethodLabel(payment.method),
+    amount: payment.amount || 0,
+    received: payment.received !== undefined ? payment.received : null,
+    change: payment.change !== undefined ? payment.change : null,
+    reference: payment.reference || null
+}));
+
+// Formatear las líneas de una venta con manejo seguro de null/undefined
+const formatSaleProducts = (sale) => (sale.products || []).map(item => ({
+    productId: item.product ? item.product._id : null,
+    product: item.product ? item.product.name || 'Unknown Product' : 'Unknown Product',
+    quantity: item.quantity || 0,
+    price: item.price || 0,
+    listPrice: item.listPrice !== undefined ? item.listPrice : null,
+    discount: item.discount || 0,
+    promotion: item.promotion ? item.promotion.name || item.promotion : null,
+    total: item.total || 0,
+    taxType: item.taxType || 'none',
+    taxRate: item.taxRate || 0,
+    tax: item.tax || 0
+}));
+
+// Formatear una venta para las respuestas de listado, creación y actualización
+const formatSale = (sale) => ({
+    _id: sale._id, // Incluir MongoDB ID para facilitar operaciones
+    id: sale.id || '',
+    invoiceID: sale.invoiceID || null,
+    customer: sale.customer ? `${sale.customer.name || ''} ${sale.customer.lastname || ''}` : 'Unknown Customer',
+    customerId: sale.customer ? sale.customer._id : null,
+    products: formatSaleProducts(sale),
+    payments: formatSalePayments(sale),
+    priceListId: sale.priceList || null,
+    couponCode: sale.couponCode || null,
+    date: formatDate(sale.date),
+    subtotal: sale.subtotal || sale.total || 0,
+    discountTotal: sale.discountTotal || 0,
+    taxes: formatSaleTaxes(sale),
+    taxTotal: sale.taxTotal || 0,
+    total: sale.total || 0,
+    seller: sale.seller && sale.seller.name !== undefined ? `${sale.seller.name || ''} ${sale.seller.lastname || ''}`.trim() : null,
+    sellerId: sale.seller ? sale.seller._id || sale.seller : null,
+    branch: sale.branch && sale.branch.name !== undefined ? sale.branch.name : null,
+    branchId: sale.branch ? sale.branch._id || sale.branch : null,
+    cashSessionId: sale.cashSession || null,
+    credit: Boolean(sale.credit),
+    dueDate: formatDate(sale.dueDate),
+    balance: sale.balance || 0,
+    returnedTotal: sale.returnedTotal || 0,
+    netTotal: (sale.total || 0) - (sale.returnedTotal || 0),
+    status: sale.status || 'completed',
+    voidedAt: sale.voidedAt || null,
+    voidReason: sale.voidReason || null
+});
+
 // Obtener todas las ventas
 export const getSales = async (req, res) => {
     try {
@@ -90,9 +162,26 @@ export const getSales = async (req, res) => {
             filter.customer = req.query.customerId;
         }
         
-        // Filtro por producto si se especifica
+        // Filtro por producto si se especifica (ventas que lo incluyan en alguna línea)
         if (req.query.productId && mongoose.Types.ObjectId.isValid(req.query.productId)) {
-            filter.product = req.query.productId;
+            filter["products.product"] = req.query.productId;
+        }
+
+        // Filtro por vendedor si se especifica
+        if (req.query.sellerId && mongoose.Types.ObjectId.isValid(req.query.sellerId)) {
+            filter.seller = req.query.sellerId;
+        }
+
+        // Filtro por sucursal si se especifica
+        if (req.query.branchId && mongoose.Types.ObjectId.isValid(req.query.branchId)) {
+            filter.branch = req.query.branchId;
+        }
+
+        // Por defecto solo ventas vigentes; status=voided o status=all muestran las anuladas
+        if (req.query.status === 'voided') {
+            filter.status = 'voided';
+        } else if (req.query.status !== 'all') {
+            filter.status = { $ne: 'voided' };
         }
 
         // Implementar paginación opcional
@@ -109,22 +198,12 @@ export const getSales = async (req, res) => {
             .limit(limit)
             .sort({ createdAt: -1 }) // Ordenar por fecha de creación, más recientes primero
             .populate("customer", "name lastname")
-            .populate("product", "name price");
+            .populate("products.product", "name price")
+            .populate("seller", "name lastname")
+            .populate("branch", "name");
 
         // Formatear respuesta con manejo seguro de null/undefined
-        const formattedSales = sales.map(sale => ({
-            _id: sale._id, // Incluir MongoDB ID para facilitar operaciones
-            id: sale.id || '',
-            invoiceID: sale.invoiceID || null,
-            customer: sale.customer ? `${sale.customer.name || ''} ${sale.customer.lastname || ''}` : 'Unknown Customer',
-            customerId: sale.customer ? sale.customer._id : null,
-            product: sale.product ? sale.product.name : 'Unknown Product',
-            productId: sale.product ? sale.product._id : null,
-            date: formatDate(sale.date),
-            price: sale.price || 0,
-            quantity: sale.quantity || 0,
-            total: sale.total || 0
-        }));
+        const formattedSales = sales.map(sale => formatSale(sale));
 
         // Incluir información de paginación en la respuesta
         res.status(200).json({
@@ -157,7 +236,11 @@ export const getSaleById = async (req, res) => {
 
         const sale = await Sale.findById(id)
             .populate("customer", "name lastname email phone")
-            .populate("product", "name price");
+            .populate("products.product", "name price")
+            .populate("products.promotion", "name")
+            .populate("seller", "name lastname")
+            .populate("branch", "name address")
+            .populate("voidedBy", "name lastname");
 
         if (!sale) {
             return res.status(404).json({ message: "Sale not found" });
@@ -175,15 +258,50 @@ export const getSaleById = async (req, res) => {
                 email: sale.customer.email || '',
                 phone: sale.customer.phone || ''
             } : { id: null, name: 'Unknown', lastname: '', email: '', phone: '' },
-            product: sale.product ? {
-                id: sale.product._id,
-                name: sale.product.name || '',
-                price: sale.product.price || 0
-            } : { id: null, name: 'Unknown Product', price: 0 },
+            products: (sale.products || []).map(item => ({
+                product: item.product ? {
+                    id: item.product._id,
+                    name: item.product.name || '',
+                    price: item.product.price || 0
+                } : { id: null, name: 'Unknown Product', price: 0 },
+                quantity: item.quantity || 0,
+                price: item.price || 0,
+                discount: item.discount || 0,
+                promotion: item.promotion ? {
+                    id: item.promotion._id,
+                    name: item.promotion.name || ''
+                } : null,
+                total: item.total || 0,
+                taxType: item.taxType || 'none',
+                taxRate: item.taxRate || 0,
+                tax: item.tax || 0
+            })),
+            payments: formatSalePayments(sale),
+            couponCode: sale.couponCode || null,
             date: formatDate(sale.date),
-            price: sale.price || 0,
-            quantity: sale.quantity || 0,
+            seller: sale.seller ? {
+                id: sale.seller._id,
+                name: `${sale.seller.name || ''} ${sale.seller.lastname || ''}`.trim()
+            } : null,
+            branch: sale.branch ? {
+                id: sale.branch._id,
+                name: sale.branch.name || '',
+                address: sale.branch.address || ''
+            } : null,
+            subtotal: sale.subtotal || sale.total || 0,
+            discountTotal: sale.discountTotal || 0,
+            taxes: formatSaleTaxes(sale),
+            taxTotal: sale.taxTotal || 0,
             total: sale.total || 0,
+            returnedTotal: sale.returnedTotal || 0,
+            netTotal: (sale.total || 0) - (sale.returnedTotal || 0),
+            status: sale.status || 'completed',
+            voided: sale.status === 'voided' ? {
+                by: sale.voidedBy ? `${sale.voidedBy.name || ''} ${sale.voidedBy.lastname || ''}`.trim() : null,
+                byId: sale.voidedBy ? sale.voidedBy._id : null,
+                at: sale.voidedAt || null,
+                reason: sale.voidReason || ''
+            } : null,
             createdAt: sale.createdAt,
             updatedAt: sale.updatedAt
         };
@@ -202,19 +320,20 @@ export const createSale = async (req, res) => {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const { customer, product, quantity, price, date, createInvoice } = req.body;
+        const { customer, products, payments, couponCode, date, createInvoice, credit, dueDate, branchId } = req.body;
 
         // Validar datos
-        if (!customer || !product || !quantity || !price) {
-            return res.status(400).json({ message: "Customer, product, quantity and price are required" });
+        if (!customer) {
+            return res.status(400).json({ message: "Customer is required" });
         }
 
         if (!mongoose.Types.ObjectId.isValid(customer)) {
             return res.status(400).json({ message: "Invalid customer ID" });
         }
 
-        if (!mongoose.Types.ObjectId.isValid(product)) {
-            return res.status(400).json({ message: "Invalid product ID" });
+        const validationErrors = validateSaleProducts(products);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ message: "Validation failed", errors: validationErrors });
         }
 
         // Verificar que el cliente existe
@@ -223,75 +342,77 @@ export const createSale = async (req, res) => {
             return res.status(404).json({ message: "Customer not found" });
         }
 
-        // Verificar que el producto existe y tiene stock
-        const productData = await Product.findById(product);
-        if (!productData) {
-            return res.status(404).json({ message: "Product not found" });
+        // La venta queda en la sucursal enviada, la del turno de caja o la del usuario
+        const { branch, status: branchStatus, error: branchError } = await resolveBranch(branchId, req.user.id, { useCashSession: true });
+        if (branchError) {
+            return res.status(branchStatus).json({ message: branchError });
         }
 
-        if (productData.stock < quantity) {
-            return res.status(400).json({ 
-                message: "Not enough stock available", 
-                available: productData.stock,
-                requested: quantity
-            });
+        // Verificar que cada producto existe y tiene stock suficiente para todas sus líneas
+        const requestedQuantities = groupQuantitiesByProduct(products);
+        const productsData = await findProductsWithStock(requestedQuantities);
+
+        // Una venta con fecha en un periodo cerrado solo la registra quien puede reabrirlo
+        const saleDate = date ? new Date(date) : new Date();
+        const lockedPeriods = await checkPeriodLock([saleDate], req.user);
+
+        // Precios de la lista del cliente (cambiarlos a mano requiere permiso) y promociones vigentes
+        const priceList = await resolveCustomerPriceList(customerExists);
+        const canOverride = await checkPermission(req.user.roleId, "override_prices");
+        const { lines, error: linesError, status: linesStatus, productId: linesProductId } = await buildSaleLines(products, productsData, saleDate, couponCode, { priceList, canOverride });
+        if (linesError) {
+            return res.status(linesStatus).json({ message: linesError, ...(linesProductId ? { productId: linesProductId } : {}) });
         }
 
-        // Generar ID para la venta
-        const saleId = await generateSaleId();
-        
-        // Generar ID de factura si se solicita
-        let invoiceID = null;
-        if (createInvoice) {
-            invoiceID = await generateInvoiceId();
+        // Los pagos deben cubrir exactamente el total de la venta con descuentos e impuestos,
+        // salvo en las ventas a crédito donde el saldo queda en la cuenta del cliente
+        const paymentValidation = prepareSalePayments({ payments, credit, dueDate }, calculateSaleTotal(lines), customerExists, saleDate);
+        if (paymentValidation.errors.length > 0) {
+            return res.status(400).json({ message: "Invalid payments", errors: paymentValidation.errors });
         }
 
-        // Crear nueva venta
+        // Crear nueva venta (los consecutivos se asignan dentro de la transacción)
         const newSale = new Sale({
-            id: saleId,
-            invoiceID,
             customer,
-            product,
-            date: date || new Date(),
-            price,
-            quantity,
-            total: price * quantity
+            products: lines,
+            couponCode: couponCode || undefined,
+            priceList: priceList ? priceList._id : null,
+            payments: paymentValidation.payments,
+            credit: paymentValidation.credit,
+            dueDate: paymentValidation.dueDate,
+            balance: paymentValidation.balance,
+            seller: req.user.id,
+            branch: branch._id,
+            date: saleDate
         });
 
-        // Reducir stock del producto
-        productData.stock -= quantity;
-        await productData.save();
+        // Descontar stock, numerar y guardar la venta (y su factura) como una sola unidad
+        const { numberingWarning } = await registerSale({
+            sale: newSale,
+            customer: customerExists,
+            productsData,
+            requestedQuantities,
+            createInvoice,
+            userId: req.user.id
+        });
 
-        // Guardar la venta
-        await newSale.save();
+        await logPeriodOverrides(lockedPeriods, { action: 'create', documentType: 'sale', document: newSale._id, reference: newSale.id, userId: req.user.id });
 
         // Formatear respuesta
         const savedSale = await Sale.findById(newSale._id)
             .populate("customer", "name lastname")
-            .populate("product", "name");
-
-        // Formatear con manejo seguro de null/undefined
-        const formattedSale = {
-            _id: savedSale._id,
-            id: savedSale.id || '',
-            invoiceID: savedSale.invoiceID || null,
-            customer: savedSale.customer 
-                ? `${savedSale.customer.name || ''} ${savedSale.customer.lastname || ''}` 
-                : 'Unknown Customer',
-            customerId: savedSale.customer ? savedSale.customer._id : null,
-            product: savedSale.product ? savedSale.product.name : 'Unknown Product',
-            productId: savedSale.product ? savedSale.product._id : null,
-            date: formatDate(savedSale.date),
-            price: savedSale.price || 0,
-            quantity: savedSale.quantity || 0,
-            total: savedSale.total || 0
-        };
+            .populate("products.product", "name")
+            .populate("branch", "name");
 
         res.status(201).json({ 
             message: "Sale created successfully", 
-            sale: formattedSale 
+            sale: formatSale(savedSale),
+            ...(numberingWarning ? { numberingWarning } : {})
         });
     } catch (error) {
+        if (error instanceof StockError || error instanceof ResolutionError || error instanceof CreditError || error instanceof PeriodLockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
         console.error("Error creating sale:", error);
         res.status(500).json({ message: "Server error" });
     }
@@ -305,7 +426,7 @@ export const updateSale = async (req, res) => {
         }
 
         const { id } = req.params;
-        const { customer, product, quantity, price, date, invoiceID } = req.body;
+        const { customer, products, payments, date } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ message: "Invalid sale ID format" });
@@ -317,269 +438,340 @@ export const updateSale = async (req, res) => {
             return res.status(404).json({ message: "Sale not found" });
         }
 
-        // Verificar cambios en el producto o cantidad para ajustar el stock
-        let stockAdjustment = 0;
-        let newProductId = sale.product;
+        if (sale.status === 'voided') {
+            return res.status(409).json({ message: "A voided sale cannot be modified" });
+        }
 
-        // Si cambia el producto
-        if (product && product !== sale.product.toString()) {
-            if (!mongoose.Types.ObjectId.isValid(product)) {
-                return res.status(400).json({ message: "Invalid product ID" });
-            }
+        // El saldo de una venta a crédito ya está cargado a la cuenta del cliente
+        if (sale.credit && (customer !== undefined || products !== undefined || payments !== undefined)) {
+            return res.status(409).json({ message: "Customer, products and payments of a credit sale cannot be changed; register a return or a payment instead" });
+        }
 
-            // Verificar que el nuevo producto existe
-            const newProduct = await Product.findById(product);
-            if (!newProduct) {
-                return res.status(404).json({ message: "New product not found" });
-            }
+        // La factura emitida (snapshot, XML y CUFE) refleja las líneas y pagos actuales
+        if ((products !== undefined || payments !== undefined) && (sale.invoiceID || await Invoice.exists({ sale: sale._id }))) {
+            return res.status(400).json({ message: "Products and payments of an invoiced sale cannot be changed; register a return or a credit note instead" });
+        }
 
-            // Devolver stock al producto anterior
-            const oldProduct = await Product.findById(sale.product);
-            if (oldProduct) {
-                oldProduct.stock += sale.quantity;
-                await oldProduct.save();
-            }
+        const saleDate = date ? new Date(date) : null;
+        if (saleDate && isNaN(saleDate.getTime())) {
+            return res.status(400).json({ message: "Sale date is invalid" });
+        }
 
-            // Reducir stock del nuevo producto
-            const quantityToUse = quantity !== undefined ? quantity : sale.quantity;
-            if (newProduct.stock < quantityToUse) {
-                return res.status(400).json({ 
-                    message: "Not enough stock in new product",
-                    available: newProduct.stock,
-                    requested: quantityToUse
-                });
+        // Ni la fecha actual ni la nueva pueden estar en un periodo cerrado
+        const lockedPeriods = await checkPeriodLock([sale.date, saleDate], req.user);
+
+        // Verificar cliente si se proporciona
+        if (customer && !mongoose.Types.ObjectId.isValid(customer)) {
+            return res.status(400).json({ message: "Invalid customer ID" });
+        }
+
+        const saleCustomer = await Customer.findById(customer || sale.customer);
+        if (customer && !saleCustomer) {
+            return res.status(404).json({ message: "Customer not found" });
+        }
+
+        // Si cambian las líneas, calcular el ajuste de stock neto por producto
+        const stockChanges = new Map();
+        let lines;
+        let priceList;
+        if (products !== undefined) {
+            // Las devoluciones se calcularon sobre las líneas actuales
+            if (sale.returnedTotal > 0) {
+                return res.status(409).json({ message: "Products of a sale with returns cannot be changed" });
             }
 
-            newProduct.stock -= quantityToUse;
-            await newProduct.save();
-            newProductId = newProduct._id;
-        } 
-        // Si solo cambia la cantidad
-        else if (quantity !== undefined && quantity !== sale.quantity) {
-            stockAdjustment = sale.quantity - quantity;
-            
-            const currentProduct = await Product.findById(sale.product);
-            if (!currentProduct) {
-                return res.status(404).json({ message: "Product not found" });
+            const validationErrors = validateSaleProducts(products);
+            if (validationErrors.length > 0) {
+                return res.status(400).json({ message: "Validation failed", errors: validationErrors });
             }
 
-            if (stockAdjustment < 0 && currentProduct.stock < Math.abs(stockAdjustment)) {
-                return res.status(400).json({ 
-                    message: "Not enough stock available",
-                    available: currentProduct.stock,
-                    requested: Math.abs(stockAdjustment)
-                });
+            const previousQuantities = groupQuantitiesByProduct(sale.products);
+            const newQuantities = groupQuantitiesByProduct(products);
+            const productIds = new Set([...previousQuantities.keys(), ...newQuantities.keys()]);
+            const productsData = await Product.find({ _id: { $in: [...productIds] } });
+
+            for (const productId of productIds) {
+                // Positivo: hay que descontar más stock; negativo: se devuelve stock
+                const difference = (newQuantities.get(productId) || 0) - (previousQuantities.get(productId) || 0);
+                if (difference === 0) continue;
+
+                const productData = productsData.find(p => p._id.toString() === productId);
+                if (!productData) {
+                    // Un producto eliminado solo puede quitarse de la venta, no agregarse
+                    if (newQuantities.has(productId)) {
+                        return res.status(404).json({ message: "Product not found", productId });
+                    }
+                    continue;
+                }
+
+                if (difference > 0 && productData.stock < difference) {
+                    return res.status(400).json({ 
+                        message: "Not enough stock available",
+                        product: productData.name,
+                        available: productData.stock,
+                        requested: difference
+                    });
+                }
+
+                stockChanges.set(productId, difference);
             }
 
-            currentProduct.stock += stockAdjustment;
-            await currentProduct.save();
+            // Recalcular precios de lista, descuentos e impuestos con las promociones vigentes en la fecha de la venta
+            priceList = await resolveCustomerPriceList(saleCustomer);
+            const canOverride = await checkPermission(req.user.roleId, "override_prices");
+            const built = await buildSaleLines(products, productsData, saleDate || sale.date, sale.couponCode, { priceList, canOverride });
+            if (built.error) {
+                return res.status(built.status).json({ message: built.error, ...(built.productId ? { productId: built.productId } : {}) });
+            }
+            lines = built.lines;
         }
 
-        // Verificar cliente si se proporciona
-        if (customer && !mongoose.Types.ObjectId.isValid(customer)) {
-            return res.status(400).json({ message: "Invalid customer ID" });
+        // Los pagos (nuevos o existentes) deben seguir cuadrando con el total de la venta
+        let validatedPayments;
+        if (products !== undefined || payments !== undefined) {
+            const newTotal = lines ? calculateSaleTotal(lines) : sale.total;
+            const paymentValidation = validatePayments(payments !== undefined ? payments : sale.payments, newTotal);
+            if (paymentValidation.errors.length > 0) {
+                return res.status(400).json({ message: "Invalid payments", errors: paymentValidation.errors });
+            }
+            validatedPayments = paymentValidation.payments;
         }
 
-        if (customer) {
-            const customerExists = await Customer.findById(customer);
-            if (!customerExists) {
-                return res.status(404).json({ message: "Customer not found" });
-            }
+        // Actualizar venta (los totales se recalculan al validar el documento)
+        if (customer) sale.customer = customer;
+        if (lines) {
+            sale.products = lines;
+            sale.priceList = priceList ? priceList._id : null;
         }
+        if (validatedPayments) sale.payments = validatedPayments;
+        if (saleDate) sale.date = saleDate;
 
-        // Calcular nuevo total
-        const newPrice = price !== undefined ? price : sale.price;
-        const newQuantity = quantity !== undefined ? quantity : sale.quantity;
-        const newTotal = newPrice * newQuantity;
+        // Ajustar stock y guardar la venta una vez validado todo, en una sola transacción
+        await runInTransaction(async (session) => {
+            await applyStockChanges(stockChanges, session);
+            await sale.save({ session });
+        });
 
-        // Actualizar venta
-        const updatedSale = await Sale.findByIdAndUpdate(
-            id,
-            {
-                customer: customer || sale.customer,
-                product: newProductId,
-                quantity: newQuantity,
-                price: newPrice,
-                total: newTotal,
-                date: date || sale.date,
-                invoiceID: invoiceID !== undefined ? invoiceID : sale.invoiceID
-            },
-            { new: true, runValidators: true }
-        )
-        .populate("customer", "name lastname")
-        .populate("product", "name");
+        await logPeriodOverrides(lockedPeriods, { action: 'update', documentType: 'sale', document: sale._id, reference: sale.id, userId: req.user.id });
 
-        // Formatear respuesta con manejo seguro de null/undefined
-        const formattedSale = {
-            _id: updatedSale._id,
-            id: updatedSale.id || '',
-            invoiceID: updatedSale.invoiceID || null,
-            customer: updatedSale.customer 
-                ? `${updatedSale.customer.name || ''} ${updatedSale.customer.lastname || ''}` 
-                : 'Unknown Customer',
-            customerId: updatedSale.customer ? updatedSale.customer._id : null,
-            product: updatedSale.product ? updatedSale.product.name : 'Unknown Product',
-            productId: updatedSale.product ? updatedSale.product._id : null,
-            date: formatDate(updatedSale.date),
-            price: updatedSale.price || 0,
-            quantity: updatedSale.quantity || 0,
-            total: updatedSale.total || 0
-        };
+        const updatedSale = await Sale.findById(id)
+            .populate("customer", "name lastname")
+            .populate("products.product", "name");
 
         res.status(200).json({ 
             message: "Sale updated successfully", 
-            sale: formattedSale 
+            sale: formatSale(updatedSale) 
         });
     } catch (error) {
+        if (error instanceof StockError || error instanceof PeriodLockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
         console.error("Error updating sale:", error);
         res.status(500).json({ message: "Server error" });
     }
 };
 
-// Eliminar una venta
-export const deleteSale = async (req, res) => {
+// Anular una venta conservándola para auditoría
+export const voidSale = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "delete_sales")) {
+        if (!checkPermission(req.user.role, "void_sales")) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
         const { id } = req.params;
+        const { reason, restock = true } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ message: "Invalid sale ID format" });
         }
 
-        // Buscar la venta para obtener datos del producto
+        if (!reason || typeof reason !== "string" || reason.trim() === "") {
+            return res.status(400).json({ message: "A reason is required to void a sale" });
+        }
+
         const sale = await Sale.findById(id);
         if (!sale) {
             return res.status(404).json({ message: "Sale not found" });
         }
 
-        // Devolver stock al producto
-        if (sale.product) {
-            const product = await Product.findById(sale.product);
-            if (product) {
-                product.stock += sale.quantity;
-                await product.save();
-            }
+        if (sale.status === 'voided') {
+            return res.status(409).json({ message: "Sale is already voided" });
         }
 
-        // Eliminar la venta
-        await Sale.findByIdAndDelete(id);
+        // Anular equivale a eliminar la venta del periodo en que se registró
+        const lockedPeriods = await checkPeriodLock([sale.date], req.user);
 
-        res.status(200).json({ message: "Sale deleted successfully" });
-    } catch (error) {
-        console.error("Error deleting sale:", error);
-        res.status(500).json({ message: "Server error" });
-    }
-};
+        // Una venta facturada solo se anula cuando notas crédito reversan todo su valor
+        const pendingAmount = Math.round((sale.total - (sale.returnedTotal || 0)) * 100) / 100;
+        if (sale.invoiceID && pendingAmount > 0) {
+            return res.status(409).json({
+                message: "An invoiced sale requires a credit note for its full amount before it can be voided",
+                invoiceID: sale.invoiceID,
+                pendingAmount
+            });
+        }
 
-// Exportar ventas a PDF
-export const exportSalesToPDF = async (req, res) => {
-    try {
-        if (!checkPermission(req.user.role, "export_sales")) {
-            return res.status(403).json({ message: "Unauthorized access" });
+        // Los abonos recibidos quedarían sin venta a la que aplicarse
+        if (sale.credit && await CustomerPayment.exists({ sale: sale._id })) {
+            return res.status(409).json({ message: "A credit sale with registered payments cannot be voided" });
         }
 
-        const { startDate, endDate, customerId, productId } = req.query;
+        // El saldo pendiente de una venta a crédito se descuenta de la cuenta del cliente
+        const releasedBalance = sale.credit ? sale.balance || 0 : 0;
+
+        // Registrar quién anuló la venta, cuándo y por qué
+        sale.status = 'voided';
+        sale.voidedBy = req.user.id;
+        sale.voidedAt = new Date();
+        sale.voidReason = reason.trim();
+
+        const returned = restock ? await getReturnedQuantities(sale._id) : new Map();
+
+        await runInTransaction(async (session) => {
+            // Devolver al inventario lo vendido que no haya entrado ya con una devolución
+            if (restock) {
+                for (const [productId, quantity] of groupQuantitiesByProduct(sale.products)) {
+                    const pending = quantity - (returned.get(productId) || 0);
+                    if (pending > 0) {
+                        await incrementStock(productId, pending, session);
+                    }
+                }
+            }
 
-        // Construir filtro
-        let filter = {};
-        
-        // Filtro por fechas
-        if (startDate && endDate) {
-            filter.date = {
-                $gte: new Date(startDate),
-                $lte: new Date(endDate)
-            };
-        }
-        
-        // Filtro por cliente
-        if (customerId && mongoose.Types.ObjectId.isValid(customerId)) {
-            filter.customer = customerId;
-        }
-        
-        // Filtro por producto
-        if (productId && mongoose.Types.ObjectId.isValid(productId)) {
-            filter.product = productId;
-        }
+            if (releasedBalance > 0) {
+                await releaseCustomerCredit(sale.customer, releasedBalance, session);
+                sale.balance = 0;
+            }
 
-        // Obtener ventas con filtro
-        const sales = await Sale.find(filter)
+            await sale.save({ session });
+        });
+
+        await logPeriodOverrides(lockedPeriods, { action: 'delete', documentType: 'sale', document: sale._id, reference: sale.id, userId: req.user.id });
+
+        const voidedSale = await Sale.findById(id)
             .populate("customer", "name lastname")
-            .populate("product", "name price")
-            .sort({ date: -1 });
+            .populate("products.product", "name");
 
-        if (sales.length === 0) {
-            return res.status(404).json({ message: "No sales found for the specified criteria" });
+        res.status(200).json({
+            message: "Sale voided successfully",
+            sale: formatSale(voidedSale)
+        });
+    } catch (error) {
+        if (error instanceof PeriodLockError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
         }
+        console.error("Error voiding sale:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
 
-        // Crear documento PDF
-        const doc = new PDFDocument({ margin: 50 });
-        
-        // Configurar encabezados para descarga del archivo
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename=sales_report_${Date.now()}.pdf`);
-        
-        // Pipe PDF a la respuesta
-        doc.pipe(res);
+// Ventas no anuladas del reporte según los filtros (fechas, cliente, producto y sucursal)
+const findReportSales = async ({ startDate, endDate, customerId, productId, branchId }) => {
+    // Construir filtro
+    let filter = {};
+    
+    // Filtro por fechas
+    if (startDate && endDate) {
+        filter.date = {
+            $gte: new Date(startDate),
+            $lte: new Date(endDate)
+        };
+    }
+    
+    // Filtro por cliente
+    if (customerId && mongoose.Types.ObjectId.isValid(customerId)) {
+        filter.customer = customerId;
+    }
+    
+    // Filtro por producto
+    if (productId && mongoose.Types.ObjectId.isValid(productId)) {
+        filter["products.product"] = productId;
+    }
 
-        // Estilo del documento
-        doc.fontSize(20).text('Sales Report', { align: 'center' });
-        doc.moveDown();
-        doc.fontSize(12).text(`Generated: ${new Date().toLocaleDateString()}`, { align: 'center' });
-        doc.moveDown();
+    // Filtro por sucursal
+    if (branchId && mongoose.Types.ObjectId.isValid(branchId)) {
+        filter.branch = branchId;
+    }
 
-        // Filtros aplicados
-        if (startDate && endDate) {
-            doc.fontSize(12).text(`Period: ${new Date(startDate).toLocaleDateString()} - ${new Date(endDate).toLocaleDateString()}`, { align: 'center' });
-        }
-        
-        if (customerId) {
-            const customer = await Customer.findById(customerId);
-            if (customer) {
-                doc.fontSize(12).text(`Customer: ${customer.name} ${customer.lastname}`, { align: 'center' });
-            }
+    // Las ventas anuladas no suman en los reportes
+    filter.status = { $ne: 'voided' };
+
+    // Obtener ventas con filtro
+    return Sale.find(filter)
+        .populate("customer", "name lastname")
+        .populate("products.product", "name price")
+        .populate("branch", "name")
+        .sort({ date: -1 });
+};
+
+// Dibujar el reporte de ventas en el documento PDF
+const renderSalesReportPDF = async (doc, sales, { startDate, endDate, customerId, productId, branchId }) => {
+    // Estilo del documento
+    doc.fontSize(20).text('Sales Report', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(12).text(`Generated: ${new Date().toLocaleDateString()}`, { align: 'center' });
+    doc.moveDown();
+
+    // Filtros aplicados
+    if (startDate && endDate) {
+        doc.fontSize(12).text(`Period: ${new Date(startDate).toLocaleDateString()} - ${new Date(endDate).toLocaleDateString()}`, { align: 'center' });
+    }
+    
+    if (customerId) {
+        const customer = await Customer.findById(customerId);
+        if (customer) {
+            doc.fontSize(12).text(`Customer: ${customer.name} ${customer.lastname}`, { align: 'center' });
         }
-        
-        if (productId) {
-            const product = await Product.findById(productId);
-            if (product) {
-                doc.fontSize(12).text(`Product: ${product.name}`, { align: 'center' });
-            }
+    }
+    
+    if (productId) {
+        const product = await Product.findById(productId);
+        if (product) {
+            doc.fontSize(12).text(`Product: ${product.name}`, { align: 'center' });
         }
-        
-        doc.moveDown();
-
-        // Tabla de ventas
-        doc.moveDown();
-        const tableTop = 170; // Ajustado para acomodar filtros adicionales
-        const tableHeaders = ['ID', 'Invoice', 'Date', 'Customer', 'Product', 'Quantity', 'Price', 'Total'];
-        const tableColumnWidths = [30, 40, 60, 100, 100, 50, 60, 60];
-        
-        // Encabezados de tabla
-        let position = 0;
-        doc.fontSize(10);
-        
-        tableHeaders.forEach((header, i) => {
-            doc.text(header, position + 50, tableTop, { width: tableColumnWidths[i], align: 'left' });
-            position += tableColumnWidths[i];
-        });
+    }
 
-        // Línea debajo de encabezados
-        doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
-        
-        // Contenido de tabla
-        let tableRow = 0;
-        let totalSales = 0;
-        
-        sales.forEach((sale, i) => {
-            const y = tableTop + 25 + (tableRow * 20);
+    if (branchId && mongoose.Types.ObjectId.isValid(branchId)) {
+        const branch = await Branch.findById(branchId);
+        if (branch) {
+            doc.fontSize(12).text(`Branch: ${branch.name}`, { align: 'center' });
+        }
+    }
+    
+    doc.moveDown();
+
+    // Tabla de ventas
+    doc.moveDown();
+    const tableTop = Math.max(170, doc.y); // Ajustado para acomodar filtros adicionales
+    const tableHeaders = ['ID', 'Invoice', 'Date', 'Customer', 'Product', 'Qty', 'Price', 'Discount', 'Total', 'Tax'];
+    const tableColumnWidths = [30, 40, 50, 75, 75, 30, 50, 50, 50, 50];
+    
+    // Encabezados de tabla
+    let position = 0;
+    doc.fontSize(10);
+    
+    tableHeaders.forEach((header, i) => {
+        doc.text(header, position + 50, tableTop, { width: tableColumnWidths[i], align: 'left' });
+        position += tableColumnWidths[i];
+    });
+
+    // Línea debajo de encabezados
+    doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
+    
+    // Contenido de tabla: una fila por cada línea de la venta
+    let tableRow = 0;
+    let rowsTop = tableTop + 25;
+    let totalSales = 0;
+    
+    sales.forEach((sale) => {
+        (sale.products || []).forEach((item, lineIndex) => {
+            const y = rowsTop + (tableRow * 20);
             
             // Si la página se llena, crear nueva página
             if (y > 700) {
                 doc.addPage();
                 tableRow = 0;
+                rowsTop = 115;
                 doc.text('Sales Report (Continued)', 50, 50, { align: 'center' });
                 doc.moveTo(50, 70).lineTo(550, 70).stroke();
                 
@@ -592,41 +784,98 @@ export const exportSalesToPDF = async (req, res) => {
                 doc.moveTo(50, 105).lineTo(550, 105).stroke();
             }
             
-            const rowY = tableTop + 25 + (tableRow * 20);
+            const rowY = rowsTop + (tableRow * 20);
             position = 0;
             
+            // Los datos de la venta solo se escriben en su primera línea
+            const isFirstLine = lineIndex === 0;
+            
             // Escribir datos de venta con manejo seguro de null/undefined
-            doc.text(sale.id ? sale.id.toString() : '', position + 50, rowY, { width: tableColumnWidths[0], align: 'left' });
+            doc.text(isFirstLine && sale.id ? sale.id.toString() : '', position + 50, rowY, { width: tableColumnWidths[0], align: 'left' });
             position += tableColumnWidths[0];
             
-            doc.text(sale.invoiceID ? sale.invoiceID.toString() : '-', position + 50, rowY, { width: tableColumnWidths[1], align: 'left' });
+            doc.text(isFirstLine ? (sale.invoiceID ? sale.invoiceID.toString() : '-') : '', position + 50, rowY, { width: tableColumnWidths[1], align: 'left' });
             position += tableColumnWidths[1];
             
-            doc.text(formatDate(sale.date) || '-', position + 50, rowY, { width: tableColumnWidths[2], align: 'left' });
+            doc.text(isFirstLine ? formatDate(sale.date) || '-' : '', position + 50, rowY, { width: tableColumnWidths[2], align: 'left' });
             position += tableColumnWidths[2];
             
-            doc.text(sale.customer ? `${sale.customer.name || ''} ${sale.customer.lastname || ''}` : 'Unknown', position + 50, rowY, { width: tableColumnWidths[3], align: 'left' });
+            doc.text(isFirstLine ? (sale.customer ? `${sale.customer.name || ''} ${sale.customer.lastname || ''}` : 'Unknown') : '', position + 50, rowY, { width: tableColumnWidths[3], align: 'left' });
             position += tableColumnWidths[3];
             
-            doc.text(sale.product ? sale.product.name || 'Unknown' : 'Unknown', position + 50, rowY, { width: tableColumnWidths[4], align: 'left' });
+            doc.text(item.product ? item.product.name || 'Unknown' : 'Unknown', position + 50, rowY, { width: tableColumnWidths[4], align: 'left' });
             position += tableColumnWidths[4];
             
-            doc.text(sale.quantity ? sale.quantity.toString() : '0', position + 50, rowY, { width: tableColumnWidths[5], align: 'left' });
+            doc.text(item.quantity ? item.quantity.toString() : '0', position + 50, rowY, { width: tableColumnWidths[5], align: 'left' });
             position += tableColumnWidths[5];
             
-            doc.text(`$${sale.price ? sale.price.toFixed(2) : '0.00'}`, position + 50, rowY, { width: tableColumnWidths[6], align: 'left' });
+            doc.text(`$${item.price ? item.price.toFixed(2) : '0.00'}`, position + 50, rowY, { width: tableColumnWidths[6], align: 'left' });
             position += tableColumnWidths[6];
             
-            doc.text(`$${sale.total ? sale.total.toFixed(2) : '0.00'}`, position + 50, rowY, { width: tableColumnWidths[7], align: 'left' });
+            doc.text(`$${item.discount ? item.discount.toFixed(2) : '0.00'}`, position + 50, rowY, { width: tableColumnWidths[7], align: 'left' });
+            position += tableColumnWidths[7];
+            
+            doc.text(`$${item.total ? item.total.toFixed(2) : '0.00'}`, position + 50, rowY, { width: tableColumnWidths[8], align: 'left' });
+            position += tableColumnWidths[8];
+            
+            doc.text(`$${item.tax ? item.tax.toFixed(2) : '0.00'}`, position + 50, rowY, { width: tableColumnWidths[9], align: 'left' });
             
-            totalSales += sale.total || 0;
             tableRow++;
         });
+        
+        totalSales += sale.total || 0;
+    });
+
+    // Valor bruto, descuentos, impuestos, total de ventas, devoluciones y neto
+    const grossSales = sales.reduce((sum, sale) => sum + (sale.subtotal || sale.total || 0), 0);
+    const totalDiscounts = sales.reduce((sum, sale) => sum + (sale.discountTotal || 0), 0);
+    const totalReturns = sales.reduce((sum, sale) => sum + (sale.returnedTotal || 0), 0);
+    doc.moveDown(2);
+    doc.fontSize(12).text(`Gross Sales: $${grossSales.toFixed(2)}`, { align: 'right' });
+    doc.fontSize(12).text(`Discounts: -$${totalDiscounts.toFixed(2)}`, { align: 'right' });
+    sumTaxesByRate(sales).forEach(tax => {
+        doc.fontSize(12).text(`${getTaxLabel(tax.taxType, tax.rate)} (base $${tax.base.toFixed(2)}): $${tax.amount.toFixed(2)}`, { align: 'right' });
+    });
+    doc.fontSize(12).text(`Total Sales: $${totalSales.toFixed(2)}`, { align: 'right' });
+    doc.fontSize(12).text(`Returns: -$${totalReturns.toFixed(2)}`, { align: 'right' });
+    doc.fontSize(12).text(`Net Sales: $${(totalSales - totalReturns).toFixed(2)}`, { align: 'right' });
+    doc.fontSize(10).text(`Number of Sales: ${sales.length}`, { align: 'right' });
+
+    // Totales por medio de pago
+    const paymentTotals = sumPaymentsByMethod(sales);
+    if (Object.keys(paymentTotals).length > 0) {
+        doc.moveDown();
+        doc.fontSize(12).text('Totals by Payment Method', { align: 'right', underline: true });
+        Object.entries(paymentTotals).forEach(([method, amount]) => {
+            doc.fontSize(10).text(`${getPaymentMethodLabel(method)}: $${amount.toFixed(2)}`, { align: 'right' });
+        });
+    }
+};
+
+// Exportar ventas a PDF
+export const exportSalesToPDF = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "export_sales")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const sales = await findReportSales(req.query);
+
+        if (sales.length === 0) {
+            return res.status(404).json({ message: "No sales found for the specified criteria" });
+        }
+
+        // Crear documento PDF
+        const doc = new PDFDocument({ margin: 50 });
+        
+        // Configurar encabezados para descarga del archivo
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=sales_report_${Date.now()}.pdf`);
+        
+        // Pipe PDF a la respuesta
+        doc.pipe(res);
 
-        // Total de ventas
-        doc.moveDown(2);
-        doc.fontSize(12).text(`Total Sales: $${totalSales.toFixed(2)}`, { align: 'right' });
-        doc.fontSize(10).text(`Number of Sales: ${sales.length}`, { align: 'right' });
+        await renderSalesReportPDF(doc, sales, req.query);
 
         // Finalizar PDF
         doc.end();
@@ -636,41 +885,76 @@ export const exportSalesToPDF = async (req, res) => {
     }
 };
 
-// Exportar ventas a Excel
-export const exportSalesToExcel = async (req, res) => {
+// Enviar el reporte de ventas en PDF a una lista de destinatarios
+export const sendSalesReport = async (req, res) => {
     try {
         if (!checkPermission(req.user.role, "export_sales")) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const { startDate, endDate, customerId, productId } = req.query;
+        const { recipients, message, ...filters } = req.body;
 
-        // Construir filtro
-        let filter = {};
-        
-        // Filtro por fechas
-        if (startDate && endDate) {
-            filter.date = {
-                $gte: new Date(startDate),
-                $lte: new Date(endDate)
-            };
+        const recipientsError = validateRecipients(recipients);
+        if (recipientsError) {
+            return res.status(400).json({ message: recipientsError });
         }
-        
-        // Filtro por cliente
-        if (customerId && mongoose.Types.ObjectId.isValid(customerId)) {
-            filter.customer = customerId;
+
+        const sales = await findReportSales(filters);
+
+        if (sales.length === 0) {
+            return res.status(404).json({ message: "No sales found for the specified criteria" });
         }
-        
-        // Filtro por producto
-        if (productId && mongoose.Types.ObjectId.isValid(productId)) {
-            filter.product = productId;
+
+        // Generar el PDF en memoria para adjuntarlo
+        const doc = new PDFDocument({ margin: 50 });
+        const pdf = collectPDF(doc);
+        await renderSalesReportPDF(doc, sales, filters);
+        doc.end();
+
+        const period = filters.startDate && filters.endDate
+            ? `${formatDate(filters.startDate)} - ${formatDate(filters.endDate)}`
+            : null;
+        const { subject, html } = reportEmail({ title: 'Sales Report', period, message });
+
+        const log = await sendMail({
+            type: 'sales_report',
+            reference: period ? `Sales report ${period}` : 'Sales report',
+            to: recipients,
+            subject,
+            html,
+            attachments: [{ filename: `sales_report_${Date.now()}.pdf`, content: await pdf, contentType: 'application/pdf' }],
+            userId: req.user.id
+        });
+
+        if (log.status === 'failed') {
+            return res.status(502).json({ message: "Sales report email could not be sent", error: log.error, logId: log._id });
         }
 
-        // Obtener ventas con filtro
-        const sales = await Sale.find(filter)
-            .populate("customer", "name lastname")
-            .populate("product", "name price")
-            .sort({ date: -1 });
+        res.status(200).json({
+            message: log.status === 'logged'
+                ? `Sales report was not delivered: the ${log.transport} mail transport only logs messages`
+                : "Sales report sent successfully",
+            status: log.status,
+            to: log.to,
+            logId: log._id
+        });
+    } catch (error) {
+        console.error("Error sending sales report:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Exportar ventas a Excel
+export const exportSalesToExcel = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "export_sales")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { startDate, endDate, customerId, productId, branchId } = req.query;
+
+        // Obtener ventas con los mismos filtros del reporte PDF
+        const sales = await findReportSales(req.query);
 
         if (sales.length === 0) {
             return res.status(404).json({ message: "No sales found for the specified criteria" });
@@ -688,7 +972,7 @@ export const exportSalesToExcel = async (req, res) => {
         const worksheet = workbook.addWorksheet('Sales Report');
 
         // Añadir título y filtros aplicados
-        worksheet.mergeCells('A1:H1');
+        worksheet.mergeCells('A1:K1');
         const titleCell = worksheet.getCell('A1');
         titleCell.value = 'Sales Report';
         titleCell.font = { size: 16, bold: true };
@@ -697,13 +981,13 @@ export const exportSalesToExcel = async (req, res) => {
         // Añadir filtros como subtítulos
         let currentRow = 2;
         
-        worksheet.mergeCells(`A${currentRow}:H${currentRow}`);
+        worksheet.mergeCells(`A${currentRow}:K${currentRow}`);
         worksheet.getCell(`A${currentRow}`).value = `Generated: ${new Date().toLocaleDateString()}`;
         worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'center' };
         currentRow++;
         
         if (startDate && endDate) {
-            worksheet.mergeCells(`A${currentRow}:H${currentRow}`);
+            worksheet.mergeCells(`A${currentRow}:K${currentRow}`);
             worksheet.getCell(`A${currentRow}`).value = `Period: ${new Date(startDate).toLocaleDateString()} - ${new Date(endDate).toLocaleDateString()}`;
             worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'center' };
             currentRow++;
@@ -712,7 +996,7 @@ export const exportSalesToExcel = async (req, res) => {
         if (customerId) {
             const customer = await Customer.findById(customerId);
             if (customer) {
-                worksheet.mergeCells(`A${currentRow}:H${currentRow}`);
+                worksheet.mergeCells(`A${currentRow}:K${currentRow}`);
                 worksheet.getCell(`A${currentRow}`).value = `Customer: ${customer.name} ${customer.lastname}`;
                 worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'center' };
                 currentRow++;
@@ -722,12 +1006,22 @@ export const exportSalesToExcel = async (req, res) => {
         if (productId) {
             const product = await Product.findById(productId);
             if (product) {
-                worksheet.mergeCells(`A${currentRow}:H${currentRow}`);
+                worksheet.mergeCells(`A${currentRow}:K${currentRow}`);
                 worksheet.getCell(`A${currentRow}`).value = `Product: ${product.name}`;
                 worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'center' };
                 currentRow++;
             }
         }
+
+        if (branchId && mongoose.Types.ObjectId.isValid(branchId)) {
+            const branch = await Branch.findById(branchId);
+            if (branch) {
+                worksheet.mergeCells(`A${currentRow}:K${currentRow}`);
+                worksheet.getCell(`A${currentRow}`).value = `Branch: ${branch.name}`;
+                worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'center' };
+                currentRow++;
+            }
+        }
         
         // Espacio antes de la tabla
         currentRow++;
@@ -735,7 +1029,7 @@ export const exportSalesToExcel = async (req, res) => {
         // Configurar encabezados de tabla (comenzando en fila 6)
         const headerRow = currentRow;
         worksheet.getRow(headerRow).values = [
-            'Sale ID', 'Invoice ID', 'Date', 'Customer', 'Product', 'Quantity', 'Price', 'Total'
+            'Sale ID', 'Invoice ID', 'Date', 'Customer', 'Product', 'Quantity', 'Price', 'Discount', 'Total', 'Tax Rate', 'Tax'
         ];
 
         // Estilo para encabezados
@@ -768,49 +1062,187 @@ export const exportSalesToExcel = async (req, res) => {
             { key: 'product', width: 25 },
             { key: 'quantity', width: 10 },
             { key: 'price', width: 12 },
-            { key: 'total', width: 12 }
+            { key: 'discount', width: 12 },
+            { key: 'total', width: 12 },
+            { key: 'taxRate', width: 15 },
+            { key: 'tax', width: 12 }
         ];
 
-        // Añadir datos con manejo seguro de null/undefined
+        // Añadir datos con manejo seguro de null/undefined (una fila por línea de venta)
         currentRow++;
         sales.forEach(sale => {
-            worksheet.addRow({
-                id: sale.id || '',
-                invoiceID: sale.invoiceID || '-',
-                date: formatDate(sale.date) || '-',
-                customer: sale.customer ? `${sale.customer.name || ''} ${sale.customer.lastname || ''}` : 'Unknown',
-                product: sale.product ? sale.product.name || 'Unknown' : 'Unknown',
-                quantity: sale.quantity || 0,
-                price: sale.price || 0,
-                total: sale.total || 0
+            (sale.products || []).forEach(item => {
+                worksheet.addRow({
+                    id: sale.id || '',
+                    invoiceID: sale.invoiceID || '-',
+                    date: formatDate(sale.date) || '-',
+                    customer: sale.customer ? `${sale.customer.name || ''} ${sale.customer.lastname || ''}` : 'Unknown',
+                    product: item.product ? item.product.name || 'Unknown' : 'Unknown',
+                    quantity: item.quantity || 0,
+                    price: item.price || 0,
+                    discount: item.discount || 0,
+                    total: item.total || 0,
+                    taxRate: getTaxLabel(item.taxType, item.taxRate),
+                    tax: item.tax || 0
+                });
+                currentRow++;
             });
-            currentRow++;
         });
 
         // Formato para columnas numéricas
         worksheet.getColumn('price').numFmt = '$#,##0.00';
+        worksheet.getColumn('discount').numFmt = '$#,##0.00';
         worksheet.getColumn('total').numFmt = '$#,##0.00';
+        worksheet.getColumn('tax').numFmt = '$#,##0.00';
+
+        // Añadir valor bruto y descuentos antes del total
+        currentRow++;
+        worksheet.mergeCells(`A${currentRow}:J${currentRow}`);
+        worksheet.getCell(`A${currentRow}`).value = 'Gross Sales:';
+        worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'right' };
+        worksheet.getCell(`K${currentRow}`).value = sales.reduce((sum, sale) => sum + (sale.subtotal || sale.total || 0), 0);
+        worksheet.getCell(`K${currentRow}`).numFmt = '$#,##0.00';
+        
+        currentRow++;
+        worksheet.mergeCells(`A${currentRow}:J${currentRow}`);
+        worksheet.getCell(`A${currentRow}`).value = 'Discounts:';
+        worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'right' };
+        worksheet.getCell(`K${currentRow}`).value = -sales.reduce((sum, sale) => sum + (sale.discountTotal || 0), 0);
+        worksheet.getCell(`K${currentRow}`).numFmt = '$#,##0.00';
+
+        // Añadir el impuesto por tipo y tarifa
+        sumTaxesByRate(sales).forEach(tax => {
+            currentRow++;
+            worksheet.mergeCells(`A${currentRow}:J${currentRow}`);
+            worksheet.getCell(`A${currentRow}`).value = `${getTaxLabel(tax.taxType, tax.rate)} (base $${tax.base.toFixed(2)}):`;
+            worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'right' };
+            worksheet.getCell(`K${currentRow}`).value = tax.amount;
+            worksheet.getCell(`K${currentRow}`).numFmt = '$#,##0.00';
+        });
 
         // Añadir fila de total
         currentRow++;
         const totalRow = currentRow;
-        worksheet.mergeCells(`A${totalRow}:G${totalRow}`);
+        worksheet.mergeCells(`A${totalRow}:J${totalRow}`);
         worksheet.getCell(`A${totalRow}`).value = 'Total Sales:';
         worksheet.getCell(`A${totalRow}`).alignment = { horizontal: 'right' };
         worksheet.getCell(`A${totalRow}`).font = { bold: true };
         
-        worksheet.getCell(`H${totalRow}`).value = sales.reduce((sum, sale) => sum + (sale.total || 0), 0);
-        worksheet.getCell(`H${totalRow}`).numFmt = '$#,##0.00';
-        worksheet.getCell(`H${totalRow}`).font = { bold: true };
+        const totalSales = sales.reduce((sum, sale) => sum + (sale.total || 0), 0);
+        worksheet.getCell(`K${totalRow}`).value = totalSales;
+        worksheet.getCell(`K${totalRow}`).numFmt = '$#,##0.00';
+        worksheet.getCell(`K${totalRow}`).font = { bold: true };
+        
+        // Añadir devoluciones y ventas netas
+        const totalReturns = sales.reduce((sum, sale) => sum + (sale.returnedTotal || 0), 0);
+        currentRow++;
+        worksheet.mergeCells(`A${currentRow}:J${currentRow}`);
+        worksheet.getCell(`A${currentRow}`).value = 'Returns:';
+        worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'right' };
+        worksheet.getCell(`K${currentRow}`).value = -totalReturns;
+        worksheet.getCell(`K${currentRow}`).numFmt = '$#,##0.00';
+        
+        currentRow++;
+        worksheet.mergeCells(`A${currentRow}:J${currentRow}`);
+        worksheet.getCell(`A${currentRow}`).value = 'Net Sales:';
+        worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'right' };
+        worksheet.getCell(`A${currentRow}`).font = { bold: true };
+        worksheet.getCell(`K${currentRow}`).value = totalSales - totalReturns;
+        worksheet.getCell(`K${currentRow}`).numFmt = '$#,##0.00';
+        worksheet.getCell(`K${currentRow}`).font = { bold: true };
         
         // Añadir recuento de ventas
         currentRow++;
-        worksheet.mergeCells(`A${currentRow}:G${currentRow}`);
+        worksheet.mergeCells(`A${currentRow}:J${currentRow}`);
         worksheet.getCell(`A${currentRow}`).value = 'Number of Sales:';
         worksheet.getCell(`A${currentRow}`).alignment = { horizontal: 'right' };
         
-        worksheet.getCell(`H${currentRow}`).value = sales.length;
-        worksheet.getCell(`H${currentRow}`).font = { bold: true };
+        worksheet.getCell(`K${currentRow}`).value = sales.length;
+        worksheet.getCell(`K${currentRow}`).font = { bold: true };
+
+        // Hoja con el detalle de pagos de cada venta y los totales por medio de pago
+        const paymentsSheet = workbook.addWorksheet('Payments');
+        paymentsSheet.columns = [
+            { header: 'Sale ID', key: 'id', width: 10 },
+            { header: 'Invoice ID', key: 'invoiceID', width: 12 },
+            { header: 'Date', key: 'date', width: 15 },
+            { header: 'Method', key: 'method', width: 15 },
+            { header: 'Amount', key: 'amount', width: 12 },
+            { header: 'Received', key: 'received', width: 12 },
+            { header: 'Change', key: 'change', width: 12 },
+            { header: 'Reference', key: 'reference', width: 20 }
+        ];
+
+        paymentsSheet.getRow(1).eachCell((cell) => {
+            cell.fill = headerStyle.fill;
+            cell.font = headerStyle.font;
+            cell.border = headerStyle.border;
+            cell.alignment = headerStyle.alignment;
+        });
+
+        sales.forEach(sale => {
+            (sale.payments || []).forEach(payment => {
+                paymentsSheet.addRow({
+                    id: sale.id || '',
+                    invoiceID: sale.invoiceID || '-',
+                    date: formatDate(sale.date) || '-',
+                    method: getPaymentMethodLabel(payment.method),
+                    amount: payment.amount || 0,
+                    received: payment.received !== undefined ? payment.received : null,
+                    change: payment.change !== undefined ? payment.change : null,
+                    reference: payment.reference || '-'
+                });
+            });
+        });
+
+        paymentsSheet.getColumn('amount').numFmt = '$#,##0.00';
+        paymentsSheet.getColumn('received').numFmt = '$#,##0.00';
+        paymentsSheet.getColumn('change').numFmt = '$#,##0.00';
+
+        paymentsSheet.addRow([]);
+        const methodTitleRow = paymentsSheet.addRow(['Totals by Payment Method']);
+        methodTitleRow.font = { bold: true };
+        Object.entries(sumPaymentsByMethod(sales)).forEach(([method, amount]) => {
+            const row = paymentsSheet.addRow(['', '', '', getPaymentMethodLabel(method), amount]);
+            row.getCell(5).numFmt = '$#,##0.00';
+        });
+
+        // Hoja con los totales por sucursal para comparar los puntos de venta
+        const branchesSheet = workbook.addWorksheet('By Branch');
+        branchesSheet.columns = [
+            { header: 'Branch', key: 'branch', width: 25 },
+            { header: 'Sales', key: 'count', width: 10 },
+            { header: 'Total', key: 'total', width: 15 },
+            { header: 'Returns', key: 'returns', width: 15 },
+            { header: 'Net', key: 'net', width: 15 }
+        ];
+
+        branchesSheet.getRow(1).eachCell((cell) => {
+            cell.fill = headerStyle.fill;
+            cell.font = headerStyle.font;
+            cell.border = headerStyle.border;
+            cell.alignment = headerStyle.alignment;
+        });
+
+        const byBranch = new Map();
+        sales.forEach(sale => {
+            const key = sale.branch ? sale.branch._id.toString() : 'none';
+            if (!byBranch.has(key)) {
+                byBranch.set(key, { branch: sale.branch ? sale.branch.name : 'No Branch', count: 0, total: 0, returns: 0 });
+            }
+            const row = byBranch.get(key);
+            row.count += 1;
+            row.total += sale.total || 0;
+            row.returns += sale.returnedTotal || 0;
+        });
+
+        [...byBranch.values()]
+            .sort((a, b) => b.total - a.total)
+            .forEach(row => branchesSheet.addRow({ ...row, net: row.total - row.returns }));
+
+        branchesSheet.getColumn('total').numFmt = '$#,##0.00';
+        branchesSheet.getColumn('returns').numFmt = '$#,##0.00';
+        branchesSheet.getColumn('net').numFmt = '$#,##0.00';
 
         // Configurar encabezados para descarga del archivo
         res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
@@ -840,109 +1272,598 @@ export const generateInvoice = async (req, res) => {
 
         // Buscar la venta
         const sale = await Sale.findById(id)
-            .populate("customer", "name lastname email phone")
-            .populate("product", "name price");
+            .populate("customer", "name lastname email phone documentType documentNumber")
+            .populate("products.product", "name price");
 
         if (!sale) {
             return res.status(404).json({ message: "Sale not found" });
         }
 
-        // Si la venta ya tiene factura, devolver error o la factura existente
+        if (sale.status === 'voided') {
+            return res.status(409).json({ message: "A voided sale cannot be invoiced" });
+        }
+
+        // Si la venta ya tiene factura, se descarga de nuevo con GET /api/sales/:id/invoice
         if (sale.invoiceID) {
             return res.status(409).json({ 
-                message: "Invoice already exists for this sale", 
+                message: "Invoice already exists for this sale, use GET to reprint it", 
                 invoiceID: sale.invoiceID 
             });
         }
 
-        // Generar ID de factura
-        const invoiceID = await generateInvoiceId();
+        // Tomar el número de la resolución vigente y registrar la factura con la copia de sus datos;
+        // si el rango se agotó o la resolución venció no se factura
+        let numberingWarning = null;
+        const invoice = await runInTransaction(async (session) => {
+            const numbering = await getNextInvoiceNumber(session);
+            numberingWarning = numbering.warning;
+            sale.invoiceID = numbering.number;
+            await sale.save({ session });
+            return issueInvoice(sale, sale.customer, [], req.user.id, session, numbering.resolution);
+        });
 
-        // Actualizar venta con ID de factura
-        sale.invoiceID = invoiceID;
-        await sale.save();
+        // Enviar la factura electrónica a la DIAN y preparar el QR para el PDF
+        const submitted = await submitElectronicInvoice(invoice);
+        const qrCode = await getInvoiceQRCode(submitted);
 
         // Crear PDF de factura
         const doc = new PDFDocument({ margin: 50 });
 
         // Configurar encabezados para descarga del archivo
         res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename=invoice_${invoiceID}.pdf`);
+        res.setHeader('Content-Disposition', `attachment; filename=invoice_${invoice.number}.pdf`);
+        if (numberingWarning) {
+            res.setHeader('X-Numbering-Warning', numberingWarning);
+        }
         
         // Pipe PDF a la respuesta
         doc.pipe(res);
 
-        // Estilo del documento
-        doc.fontSize(20).text('INVOICE', { align: 'center' });
-        doc.moveDown();
+        renderInvoicePDF(doc, submitted, { qrCode });
 
-        // Información de la factura
-        doc.fontSize(12).text(`Invoice #: ${invoiceID}`, { align: 'right' });
-        doc.fontSize(12).text(`Date: ${formatDate(sale.date) || new Date().toLocaleDateString()}`, { align: 'right' });
-        doc.moveDown();
+        // Finalizar PDF
+        doc.end();
+    } catch (error) {
+        if (error instanceof ResolutionError) {
+            return res.status(error.status).json({ message: error.message, ...error.details });
+        }
+        console.error("Error generating invoice:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
 
-        // Información del cliente con manejo seguro de null/undefined
-        doc.fontSize(14).text('Customer Information');
-        doc.fontSize(10).text(`Name: ${sale.customer ? `${sale.customer.name || ''} ${sale.customer.lastname || ''}` : 'Unknown Customer'}`);
-        doc.fontSize(10).text(`Email: ${sale.customer && sale.customer.email ? sale.customer.email : 'N/A'}`);
-        doc.fontSize(10).text(`Phone: ${sale.customer && sale.customer.phone ? sale.customer.phone : 'N/A'}`);
-        doc.moveDown();
+// Obtener estadísticas de ventas
+export const getSalesStatistics = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_sales")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
 
-        // Detalle de compra
-        doc.fontSize(14).text('Purchase Details');
-        doc.moveDown();
+        // Filtros opcionales, los mismos que acepta getSales
+        const { startDate, endDate, customerId, productId, branchId, period = 'monthly' } = req.query;
+
+        // Construir filtro de rango de fechas
+        let dateFilter = {};
+        if (startDate || endDate) {
+            if (startDate) dateFilter.$gte = new Date(startDate);
+            if (endDate) dateFilter.$lte = new Date(endDate);
+        } else {
+            // Por defecto los últimos 12 meses si no se especifica rango
+            const endDateDefault = new Date();
+            const startDateDefault = new Date();
+            startDateDefault.setMonth(startDateDefault.getMonth() - 11);
+            startDateDefault.setDate(1);
+            dateFilter = { $gte: startDateDefault, $lte: endDateDefault };
+        }
+
+        // En agregaciones los ObjectId no se convierten automáticamente; las anuladas no suman
+        const match = { date: dateFilter, status: { $ne: 'voided' } };
+        if (customerId && mongoose.Types.ObjectId.isValid(customerId)) {
+            match.customer = new mongoose.Types.ObjectId(customerId);
+        }
+        if (productId && mongoose.Types.ObjectId.isValid(productId)) {
+            match["products.product"] = new mongoose.Types.ObjectId(productId);
+        }
+        if (branchId && mongoose.Types.ObjectId.isValid(branchId)) {
+            match.branch = new mongoose.Types.ObjectId(branchId);
+        }
+
+        // Al filtrar por producto, las cifras por línea solo cuentan ese producto
+        const lineMatch = match["products.product"]
+            ? [{ $match: { "products.product": match["products.product"] } }]
+            : [];
+
+        // Determinar el formato de agrupación según el período
+        let dateField;
+        if (period === 'daily') {
+            dateField = { $dateToString: { format: '%Y-%m-%d', date: '$date' } };
+        } else if (period === 'weekly') {
+            // Para semanal se usa el número de semana del año
+            dateField = {
+                $concat: [
+                    { $dateToString: { format: '%Y-W', date: '$date' } },
+                    { $toString: { $week: '$date' } }
+                ]
+            };
+        } else if (period === 'yearly') {
+            dateField = { $dateToString: { format: '%Y', date: '$date' } };
+        } else {
+            // Por defecto mensual
+            dateField = { $dateToString: { format: '%Y-%m', date: '$date' } };
+        }
+
+        // Estadísticas por período
+        const statistics = await Sale.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: dateField,
+                    count: { $sum: 1 },
+                    discounts: { $sum: { $ifNull: ['$discountTotal', 0] } },
+                    revenue: { $sum: '$total' },
+                    returns: { $sum: { $ifNull: ['$returnedTotal', 0] } },
+                    units: { $sum: { $sum: '$products.quantity' } },
+                    avgTicket: { $avg: '$total' }
+                }
+            },
+            { $sort: { _id: 1 } },
+            {
+                $project: {
+                    _id: 0,
+                    period: '$_id',
+                    count: 1,
+                    units: 1,
+                    discounts: { $round: ['$discounts', 2] },
+                    revenue: { $round: ['$revenue', 2] },
+                    returns: { $round: ['$returns', 2] },
+                    netRevenue: { $round: [{ $subtract: ['$revenue', '$returns'] }, 2] },
+                    avgTicket: { $round: ['$avgTicket', 2] }
+                }
+            }
+        ]);
+
+        // Estadísticas generales
+        const overall = await Sale.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: null,
+                    totalSales: { $sum: 1 },
+                    gross: { $sum: { $ifNull: ['$subtotal', '$total'] } },
+                    discounts: { $sum: { $ifNull: ['$discountTotal', 0] } },
+                    taxes: { $sum: { $ifNull: ['$taxTotal', 0] } },
+                    revenue: { $sum: '$total' },
+                    returns: { $sum: { $ifNull: ['$returnedTotal', 0] } },
+                    units: { $sum: { $sum: '$products.quantity' } },
+                    avgTicket: { $avg: '$total' },
+                    minTicket: { $min: '$total' },
+                    maxTicket: { $max: '$total' }
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    totalSales: 1,
+                    units: 1,
+                    gross: { $round: ['$gross', 2] },
+                    discounts: { $round: ['$discounts', 2] },
+                    taxes: { $round: ['$taxes', 2] },
+                    revenue: { $round: ['$revenue', 2] },
+                    returns: { $round: ['$returns', 2] },
+                    netRevenue: { $round: [{ $subtract: ['$revenue', '$returns'] }, 2] },
+                    avgTicket: { $round: ['$avgTicket', 2] },
+                    minTicket: { $round: ['$minTicket', 2] },
+                    maxTicket: { $round: ['$maxTicket', 2] }
+                }
+            }
+        ]);
+
+        // Las unidades con filtro de producto se cuentan solo sobre sus líneas
+        if (lineMatch.length > 0) {
+            const productUnits = await Sale.aggregate([
+                { $match: match },
+                { $unwind: '$products' },
+                ...lineMatch,
+                { $group: { _id: null, units: { $sum: '$products.quantity' } } }
+            ]);
+            if (overall.length > 0) {
+                overall[0].units = productUnits.length > 0 ? productUnits[0].units : 0;
+            }
+        }
+
+        // Productos más vendidos por ingresos
+        const topProducts = await Sale.aggregate([
+            { $match: match },
+            { $unwind: '$products' },
+            ...lineMatch,
+            {
+                $group: {
+                    _id: '$products.product',
+                    units: { $sum: '$products.quantity' },
+                    count: { $sum: 1 },
+                    revenue: { $sum: '$products.total' }
+                }
+            },
+            { $sort: { revenue: -1 } },
+            { $limit: 5 },
+            {
+                $lookup: {
+                    from: 'products',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'productInfo'
+                }
+            },
+            {
+                $unwind: {
+                    path: '$productInfo',
+                    preserveNullAndEmptyArrays: true
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    productId: '$_id',
+                    productName: { $ifNull: ['$productInfo.name', 'Unknown'] },
+                    units: 1,
+                    count: 1,
+                    revenue: { $round: ['$revenue', 2] }
+                }
+            }
+        ]);
+
+        // Totales por medio de pago
+        const paymentMethods = await Sale.aggregate([
+            { $match: match },
+            { $unwind: '$payments' },
+            {
+                $group: {
+                    _id: '$payments.method',
+                    count: { $sum: 1 },
+                    amount: { $sum: '$payments.amount' }
+                }
+            },
+            { $sort: { amount: -1 } },
+            {
+                $project: {
+                    _id: 0,
+                    method: '$_id',
+                    count: 1,
+                    amount: { $round: ['$amount', 2] }
+                }
+            }
+        ]);
+
+        // Mejores clientes por ingresos
+        const topCustomers = await Sale.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$customer',
+                    count: { $sum: 1 },
+                    revenue: { $sum: '$total' },
+                    returns: { $sum: { $ifNull: ['$returnedTotal', 0] } }
+                }
+            },
+            { $sort: { revenue: -1 } },
+            { $limit: 5 },
+            {
+                $lookup: {
+                    from: 'customers',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'customerInfo'
+                }
+            },
+            {
+                $unwind: {
+                    path: '$customerInfo',
+                    preserveNullAndEmptyArrays: true
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    customerId: '$_id',
+                    customerName: {
+                        $ifNull: [
+                            { $concat: ['$customerInfo.name', ' ', '$customerInfo.lastname'] },
+                            'Unknown'
+                        ]
+                    },
+                    count: 1,
+                    revenue: { $round: ['$revenue', 2] },
+                    netRevenue: { $round: [{ $subtract: ['$revenue', '$returns'] }, 2] }
+                }
+            }
+        ]);
+
+        // Totales por sucursal para comparar los puntos de venta
+        const salesByBranch = await Sale.aggregate([
+            { $match: match },
+            ...groupByBranchStages({
+                revenue: { $sum: '$total' },
+                returns: { $sum: { $ifNull: ['$returnedTotal', 0] } },
+                avgTicket: { $avg: '$total' }
+            }),
+            {
+                $addFields: {
+                    revenue: { $round: ['$revenue', 2] },
+                    returns: { $round: ['$returns', 2] },
+                    netRevenue: { $round: [{ $subtract: ['$revenue', '$returns'] }, 2] },
+                    avgTicket: { $round: ['$avgTicket', 2] }
+                }
+            },
+            { $sort: { revenue: -1 } }
+        ]);
+
+        // Devolver las estadísticas completas
+        res.status(200).json({
+            overall: overall.length > 0 ? overall[0] : {
+                totalSales: 0,
+                units: 0,
+                gross: 0,
+                discounts: 0,
+                taxes: 0,
+                revenue: 0,
+                returns: 0,
+                netRevenue: 0,
+                avgTicket: 0,
+                minTicket: 0,
+                maxTicket: 0
+            },
+            periodStats: statistics,
+            topProducts,
+            topCustomers,
+            salesByBranch,
+            paymentMethods: paymentMethods.map(item => ({
+                ...item,
+                methodName: getPaymentMethodLabel(item.method)
+            })),
+            period,
+            dateRange: {
+                startDate: dateFilter.$gte ? dateFilter.$gte.toISOString().split('T')[0] : null,
+                endDate: dateFilter.$lte ? dateFilter.$lte.toISOString().split('T')[0] : null
+            }
+        });
+    } catch (error) {
+        console.error("Error generating sales statistics:", error);
+        res.status(500).json({ message: "Error generating statistics", error: error.message });
+    }
+};
+
+// Rango de fechas del resumen de impuestos (por defecto el mes en curso)
+function getTaxSummaryRange(query) {
+    const now = new Date();
+    const start = query.startDate ? new Date(query.startDate) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const end = query.endDate ? new Date(query.endDate) : now;
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return { error: "Invalid date range" };
+    }
+
+    if (start > end) {
+        return { error: "End date must be after start date" };
+    }
+
+    return { start, end };
+}
+
+// Bases e impuestos por tipo y tarifa de las ventas y devoluciones de un rango de fechas,
+// opcionalmente de una sola sucursal
+async function buildTaxSummary(start, end, branchId = null) {
+    const dateMatch = { date: { $gte: start, $lte: end } };
+    const branch = branchId && mongoose.Types.ObjectId.isValid(branchId) ? new mongoose.Types.ObjectId(branchId) : null;
+    const groupByTax = [
+        { $unwind: '$products' },
+        {
+            $group: {
+                _id: {
+                    taxType: { $ifNull: ['$products.taxType', 'none'] },
+                    rate: { $ifNull: ['$products.taxRate', 0] }
+                },
+                base: { $sum: '$products.total' },
+                tax: { $sum: { $ifNull: ['$products.tax', 0] } }
+            }
+        }
+    ];
+
+    // Las ventas anuladas y sus notas crédito se excluyen del resumen
+    const salesMatch = { ...dateMatch, status: { $ne: 'voided' }, ...(branch ? { branch } : {}) };
+    const returnsMatch = [
+        { $match: dateMatch },
+        { $lookup: { from: 'sales', localField: 'sale', foreignField: '_id', as: 'saleInfo' } },
+        { $match: { 'saleInfo.status': { $ne: 'voided' }, ...(branch ? { 'saleInfo.branch': branch } : {}) } }
+    ];
+
+    const salesTaxes = await Sale.aggregate([{ $match: salesMatch }, ...groupByTax]);
+    const returnTaxes = await Return.aggregate([...returnsMatch, ...groupByTax]);
+    const returnsCount = await Return.aggregate([...returnsMatch, { $count: 'count' }]);
+
+    // Unir ventas y devoluciones en una fila por tipo y tarifa
+    const rows = new Map();
+    const getRow = ({ taxType, rate }) => {
+        const key = `${taxType}-${rate}`;
+        if (!rows.has(key)) {
+            rows.set(key, {
+                taxType,
+                rate,
+                name: getTaxLabel(taxType, rate),
+                salesBase: 0,
+                salesTax: 0,
+                returnsBase: 0,
+                returnsTax: 0
+            });
+        }
+        return rows.get(key);
+    };
+
+    salesTaxes.forEach(item => {
+        const row = getRow(item._id);
+        row.salesBase += item.base;
+        row.salesTax += item.tax;
+    });
+
+    returnTaxes.forEach(item => {
+        const row = getRow(item._id);
+        row.returnsBase += item.base;
+        row.returnsTax += item.tax;
+    });
+
+    const round = (amount) => Math.round(amount * 100) / 100;
+    const taxTypeOrder = Object.keys(TAX_TYPES);
+    const taxes = [...rows.values()]
+        .sort((a, b) => taxTypeOrder.indexOf(a.taxType) - taxTypeOrder.indexOf(b.taxType) || b.rate - a.rate)
+        .map(row => ({
+            ...row,
+            salesBase: round(row.salesBase),
+            salesTax: round(row.salesTax),
+            returnsBase: round(row.returnsBase),
+            returnsTax: round(row.returnsTax),
+            netBase: round(row.salesBase - row.returnsBase),
+            netTax: round(row.salesTax - row.returnsTax)
+        }));
+
+    const totals = ['salesBase', 'salesTax', 'returnsBase', 'returnsTax', 'netBase', 'netTax']
+        .reduce((result, field) => ({ ...result, [field]: round(taxes.reduce((sum, row) => sum + row[field], 0)) }), {});
+
+    return {
+        taxes,
+        totals,
+        salesCount: await Sale.countDocuments(salesMatch),
+        returnsCount: returnsCount.length > 0 ? returnsCount[0].count : 0
+    };
+}
+
+// Obtener el resumen de impuestos de un rango de fechas
+export const getTaxSummary = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "view_sales")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { start, end, error } = getTaxSummaryRange(req.query);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const summary = await buildTaxSummary(start, end, req.query.branchId);
+
+        res.status(200).json({
+            ...summary,
+            dateRange: {
+                startDate: start.toISOString().split('T')[0],
+                endDate: end.toISOString().split('T')[0]
+            }
+        });
+    } catch (error) {
+        console.error("Error generating tax summary:", error);
+        res.status(500).json({ message: "Server error" });
+    }
+};
+
+// Exportar el resumen de impuestos a Excel
+export const exportTaxSummaryToExcel = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, "export_sales")) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { start, end, error } = getTaxSummaryRange(req.query);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const summary = await buildTaxSummary(start, end, req.query.branchId);
+
+        // Crear libro Excel
+        const workbook = new Excel.Workbook();
+        workbook.creator = 'IceSoft';
+        workbook.created = new Date();
+        workbook.modified = new Date();
+
+        const worksheet = workbook.addWorksheet('Tax Summary');
+
+        // Título y período
+        worksheet.mergeCells('A1:H1');
+        worksheet.getCell('A1').value = 'Tax Summary';
+        worksheet.getCell('A1').font = { size: 16, bold: true };
+        worksheet.getCell('A1').alignment = { horizontal: 'center' };
+
+        worksheet.mergeCells('A2:H2');
+        worksheet.getCell('A2').value = `Period: ${formatDate(start)} - ${formatDate(end)}`;
+        worksheet.getCell('A2').alignment = { horizontal: 'center' };
+
+        worksheet.mergeCells('A3:H3');
+        worksheet.getCell('A3').value = `Sales: ${summary.salesCount} - Returns: ${summary.returnsCount}`;
+        worksheet.getCell('A3').alignment = { horizontal: 'center' };
+
+        if (req.query.branchId && mongoose.Types.ObjectId.isValid(req.query.branchId)) {
+            const branch = await Branch.findById(req.query.branchId);
+            if (branch) {
+                worksheet.mergeCells('A4:H4');
+                worksheet.getCell('A4').value = `Branch: ${branch.name}`;
+                worksheet.getCell('A4').alignment = { horizontal: 'center' };
+            }
+        }
 
-        // Tabla de productos
-        const tableTop = 250;
-        const tableHeaders = ['Product', 'Quantity', 'Unit Price', 'Total'];
-        const tableColumnWidths = [250, 70, 100, 100];
-        
         // Encabezados de tabla
-        let position = 0;
-        doc.fontSize(10);
-        
-        tableHeaders.forEach((header, i) => {
-            doc.text(header, position + 50, tableTop, { width: tableColumnWidths[i], align: 'left' });
-            position += tableColumnWidths[i];
+        const headerRow = 5;
+        worksheet.getRow(headerRow).values = [
+            'Tax', 'Rate', 'Sales Base', 'Sales Tax', 'Returns Base', 'Returns Tax', 'Net Base', 'Net Tax'
+        ];
+        worksheet.getRow(headerRow).eachCell((cell) => {
+            cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4F81BD' } };
+            cell.border = {
+                top: { style: 'thin' },
+                left: { style: 'thin' },
+                bottom: { style: 'thin' },
+                right: { style: 'thin' }
+            };
+            cell.alignment = { horizontal: 'center' };
         });
 
-        // Línea debajo de encabezados
-        doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
-        
-        // Contenido de tabla con manejo seguro de null/undefined
-        const rowY = tableTop + 25;
-        position = 0;
-        
-        doc.text(sale.product ? sale.product.name || 'Unknown Product' : 'Unknown Product', position + 50, rowY, { width: tableColumnWidths[0], align: 'left' });
-        position += tableColumnWidths[0];
-        
-        doc.text(sale.quantity ? sale.quantity.toString() : '0', position + 50, rowY, { width: tableColumnWidths[1], align: 'left' });
-        position += tableColumnWidths[1];
-        
-        doc.text(`$${sale.price ? sale.price.toFixed(2) : '0.00'}`, position + 50, rowY, { width: tableColumnWidths[2], align: 'left' });
-        position += tableColumnWidths[2];
-        
-        doc.text(`$${sale.total ? sale.total.toFixed(2) : '0.00'}`, position + 50, rowY, { width: tableColumnWidths[3], align: 'left' });
-        
-        // Línea debajo de datos
-        doc.moveTo(50, rowY + 20).lineTo(550, rowY + 20).stroke();
-        
-        // Total
-        doc.moveDown(3);
-        doc.fontSize(12).text(`Total: $${sale.total ? sale.total.toFixed(2) : '0.00'}`, { align: 'right' });
+        worksheet.columns = [
+            { key: 'tax', width: 15 },
+            { key: 'rate', width: 8 },
+            { key: 'salesBase', width: 15 },
+            { key: 'salesTax', width: 15 },
+            { key: 'returnsBase', width: 15 },
+            { key: 'returnsTax', width: 15 },
+            { key: 'netBase', width: 15 },
+            { key: 'netTax', width: 15 }
+        ];
 
-        // Términos y condiciones
-        doc.moveDown(3);
-        doc.fontSize(10).text('Terms and Conditions', { underline: true });
-        doc.fontSize(8).text('This invoice is a legal document and proof of purchase. Payment terms as agreed.');
+        summary.taxes.forEach(row => {
+            worksheet.addRow({
+                tax: TAX_TYPES[row.taxType] || row.taxType,
+                rate: `${row.rate}%`,
+                salesBase: row.salesBase,
+                salesTax: row.salesTax,
+                returnsBase: row.returnsBase,
+                returnsTax: row.returnsTax,
+                netBase: row.netBase,
+                netTax: row.netTax
+            });
+        });
 
-        // Footer
-        doc.fontSize(8).text('Thank you for your business!', 50, 700, { align: 'center' });
+        // Fila de totales
+        const totalRow = worksheet.addRow({ tax: 'Total', ...summary.totals });
+        totalRow.font = { bold: true };
 
-        // Finalizar PDF
-        doc.end();
+        ['salesBase', 'salesTax', 'returnsBase', 'returnsTax', 'netBase', 'netTax'].forEach(key => {
+            worksheet.getColumn(key).numFmt = '$#,##0.00';
+        });
+
+        // Configurar encabezados para descarga del archivo
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename=tax_summary_${Date.now()}.xlsx`);
+
+        await workbook.xlsx.write(res);
+        res.end();
     } catch (error) {
-        console.error("Error generating invoice:", error);
+        console.error("Error exporting tax summary to Excel:", error);
         res.status(500).json({ message: "Server error" });
     }
-};
\ No newline at end of file
+};
@@ -1,11 +1,18 @@
 import User from "../models/user.js";
 import Role from "../models/role.js";
+import Branch from "../models/branches.js";
 import mongoose from "mongoose";
 
 // Get all users
 export const getUsers = async (req, res) => {
     try {
-        const users = await User.find().select("-password").populate("role", "name");
+        // Filtro opcional por sucursal de trabajo
+        const filter = {};
+        if (req.query.branchId && mongoose.Types.ObjectId.isValid(req.query.branchId)) {
+            filter.branch = req.query.branchId;
+        }
+
+        const users = await User.find(filter).select("-password").populate("role", "name").populate("branch", "name");
         res.status(200).json({ users });
     } catch (error) {
         res.status(500).json({ message: "Error fetching users", error: error.message });
@@ -21,7 +28,7 @@ export const getOneUser = async (req, res) => {
             return res.status(400).json({ message: "Invalid user ID" });
         }
 
-        const user = await User.findById(id).select("-password").populate("role", "name");
+        const user = await User.findById(id).select("-password").populate("role", "name").populate("branch", "name");
         if (!user) {
             return res.status(404).json({ message: "User not found" });
         }
@@ -36,7 +43,7 @@ export const getOneUser = async (req, res) => {
 export const putUser = async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, lastname, contact_number, email, role, status } = req.body;
+        const { name, lastname, contact_number, email, role, status, branch } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ message: "Invalid user ID" });
@@ -85,6 +92,16 @@ export const putUser = async (req, res) => {
             updateData.role = role;
         }
 
+        // Solo el administrador asigna la sucursal de trabajo (null la quita)
+        if (isAdmin && branch !== undefined) {
+            if (branch !== null) {
+                if (!mongoose.Types.ObjectId.isValid(branch) || !(await Branch.findById(branch))) {
+                    return res.status(400).json({ message: "Invalid branch ID" });
+                }
+            }
+            updateData.branch = branch;
+        }
+
         // Solo permitir actualizar el estado si es administrador
         if (isAdmin && status) {
             if (!['active', 'inactive'].includes(status)) {
@@ -102,7 +119,7 @@ export const putUser = async (req, res) => {
             id,
             updateData,
             { new: true, runValidators: true }
-        ).select("-password").populate("role", "name");
+        ).select("-password").populate("role", "name").populate("branch", "name");
 
         if (!updatedUser) {
             return res.status(404).json({ message: "User not found" });
@@ -2,6 +2,7 @@ import express from "express";
 import cors from "cors";
 import connectDB from "./config/db.js";
 import "dotenv/config";
+import { syncCounters } from "./utils/numbering.js";
 
 import userRoutes from "./routes/user.routes.js";
 import roleRoutes from "./routes/role.routes.js";
@@ -13,12 +14,27 @@ import purchaseRoutes from "./routes/purchase.routes.js";
 import salesRoutes from './routes/sales.routes.js';
 import customerRoutes from "./routes/customer.routes.js";
 import branchesRoutes from "./routes/branches.routes.js";
+import returnRoutes from "./routes/return.routes.js";
+import promotionRoutes from "./routes/promotion.routes.js";
+import numberingRoutes from "./routes/numbering.routes.js";
+import invoiceRoutes from "./routes/invoice.routes.js";
+import resolutionRoutes from "./routes/resolution.routes.js";
+import mailRoutes from "./routes/mail.routes.js";
+import quotationRoutes from "./routes/quotation.routes.js";
+import receivableRoutes from "./routes/receivable.routes.js";
+import cashSessionRoutes from "./routes/cashSession.routes.js";
+import commissionRoutes from "./routes/commission.routes.js";
+import priceListRoutes from "./routes/priceList.routes.js";
+import periodRoutes from "./routes/period.routes.js";
+import purchaseOrderRoutes from "./routes/purchaseOrder.routes.js";
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB and create the document counters from the existing records
+connectDB()
+  .then(syncCounters)
+  .catch(error => console.error("Error syncing document counters:", error));
 
 // Middleware
 app.use(cors());
@@ -32,9 +48,22 @@ app.use("/api/categories", categoryRoutes);
 app.use("/api/products", productRoutes);
 app.use("/api/providers", providerRoutes);
 app.use("/api/purchases", purchaseRoutes);
+app.use("/api/purchase-orders", purchaseOrderRoutes);
 app.use("/api/sales", salesRoutes);
 app.use("/api/customers", customerRoutes);
 app.use("/api/branches", branchesRoutes);
+app.use("/api/returns", returnRoutes);
+app.use("/api/promotions", promotionRoutes);
+app.use("/api/numbering", numberingRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/resolutions", resolutionRoutes);
+app.use("/api/mail", mailRoutes);
+app.use("/api/quotations", quotationRoutes);
+app.use("/api/receivables", receivableRoutes);
+app.use("/api/cash-sessions", cashSessionRoutes);
+app.use("/api/commissions", commissionRoutes);
+app.use("/api/price-lists", priceListRoutes);
+app.use("/api/periods", periodRoutes);
 
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+// Mes contable. Cerrado, no se pueden crear, modificar ni eliminar ventas o compras con fecha
+// en él, salvo usuarios con permiso para reabrir periodos (esos cambios quedan en overrides)
+const AccountingPeriodSchema = new mongoose.Schema({
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'closed'
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  reopenedAt: {
+    type: Date,
+    default: null
+  },
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  overrides: [
+    {
+      _id: false,
+      action: {
+        type: String,
+        enum: ['create', 'update', 'delete'],
+        required: true
+      },
+      documentType: {
+        type: String,
+        enum: ['sale', 'purchase'],
+        required: true
+      },
+      document: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      // Número de la venta o compra
+      reference: {
+        type: String,
+        default: null
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+      },
+      date: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ]
+}, { timestamps: true });
+
+AccountingPeriodSchema.index({ year: 1, month: 1 }, { unique: true });
+
+const AccountingPeriod = mongoose.model('AccountingPeriod', AccountingPeriodSchema);
+
+export default AccountingPeriod;
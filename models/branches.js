@@ -4,7 +4,15 @@ const BranchSchema = new mongoose.Schema({
   idBranch: { type: mongoose.Schema.Types.ObjectId, auto: true },
   name: { type: String, required: true },
   address: { type: String, required: true },
-  phone: { type: String, required: true }
+  phone: { type: String, required: true },
+  // Tiquete de la impresora térmica: ancho del papel en mm, logo (imagen PNG o JPEG como
+  // data URI) y textos adicionales del encabezado y el pie
+  receipt: {
+    width: { type: Number, enum: [58, 80], default: 80 },
+    logo: { type: String, default: null },
+    header: { type: String, trim: true, default: "" },
+    footer: { type: String, trim: true, default: "" }
+  }
 });
 
 export default mongoose.model('Branch', BranchSchema);
\ No newline at end of file
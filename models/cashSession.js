@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS } from '../utils/payments.js';
+
+// Turno de caja: un usuario abre la caja de una sede con una base, registra ventas, abonos y
+// movimientos de efectivo, y al cerrar cuenta el efectivo del cajón
+const CashSessionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Base de efectivo con la que se abre el cajón
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Entradas y salidas de efectivo que no son ventas (base adicional, caja menor, retiros)
+  movements: [
+    {
+      type: {
+        type: String,
+        enum: ['in', 'out'],
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      reason: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      date: {
+        type: Date,
+        default: Date.now
+      },
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+      }
+    }
+  ],
+  // Última venta o abono registrado en el turno
+  lastActivityAt: {
+    type: Date,
+    default: null
+  },
+  // Cierre: efectivo esperado y contado, diferencia y totales por medio de pago al cerrar
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  expectedCash: {
+    type: Number,
+    default: null
+  },
+  countedCash: {
+    type: Number,
+    default: null
+  },
+  difference: {
+    type: Number,
+    default: null
+  },
+  paymentTotals: [
+    {
+      _id: false,
+      method: {
+        type: String,
+        enum: Object.keys(PAYMENT_METHODS),
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true
+      }
+    }
+  ],
+  closingNotes: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { timestamps: true });
+
+// Un usuario solo puede tener un turno abierto a la vez
+CashSessionSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+const CashSession = mongoose.model('CashSession', CashSessionSchema);
+
+export default CashSession;
@@ -1,9 +1,13 @@
 import mongoose from "mongoose";
+import { TAX_TYPES } from "../utils/taxes.js";
 
 const CategorySchema = new mongoose.Schema({
   id: { type: String, unique: true, required: true, trim: true },
   name: { type: String, required: true, trim: true },
   description: { type: String, required: true, trim: true },
+  // Impuesto por defecto de los productos de la categoría
+  taxType: { type: String, enum: Object.keys(TAX_TYPES), default: "none" },
+  taxRate: { type: Number, min: 0, max: 100, default: 0 },
   status: { type: String, enum: ["active", "inactive"], default: "active" }
 });
 
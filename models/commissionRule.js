@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Regla de comisión de un rol o de un usuario: porcentaje sobre las ventas (antes de
+// impuestos), con porcentajes distintos por categoría si se configuran. La regla del usuario
+// reemplaza la de su rol
+const CommissionRuleSchema = new mongoose.Schema({
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Role",
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  categoryRates: [
+    {
+      _id: false,
+      category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+        required: true
+      },
+      rate: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      }
+    }
+  ],
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  }
+}, { timestamps: true });
+
+// Una sola regla por rol y por usuario
+CommissionRuleSchema.index({ role: 1 }, { unique: true, partialFilterExpression: { role: { $type: 'objectId' } } });
+CommissionRuleSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+
+const CommissionRule = mongoose.model('CommissionRule', CommissionRuleSchema);
+
+export default CommissionRule;
@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+// Consecutivo de un tipo de documento (venta, factura, producto...)
+const CounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, trim: true },
+  prefix: { type: String, default: "", trim: true },
+  // Cantidad mínima de dígitos; los números más largos no se recortan
+  padding: { type: Number, min: 1, default: 2 },
+  // Último número emitido
+  seq: { type: Number, min: 0, default: 0 }
+}, { timestamps: true });
+
+export default mongoose.model("Counter", CounterSchema);
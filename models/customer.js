@@ -1,10 +1,20 @@
 import mongoose from "mongoose";
+import { DOCUMENT_TYPES } from "../utils/einvoice.js";
 
 const CustomerSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   lastname: { type: String, required: true, trim: true },
   phone: { type: String, required: true, trim: true },
   email: { type: String, unique: true, required: true, trim: true },
+  // Identificación para la factura electrónica; sin ella se factura como consumidor final
+  documentType: { type: String, enum: [...Object.keys(DOCUMENT_TYPES), null], default: null },
+  documentNumber: { type: String, trim: true, default: null },
+  // Cupo de crédito, plazo en días de las ventas a crédito y saldo pendiente por cobrar
+  creditLimit: { type: Number, default: 0, min: 0 },
+  creditDays: { type: Number, default: 30, min: 0 },
+  balance: { type: Number, default: 0 },
+  // Lista de precios del cliente; sin ella se usa la lista por defecto
+  priceList: { type: mongoose.Schema.Types.ObjectId, ref: "PriceList", default: null },
   createdAt: { type: Date, default: Date.now },
   status: { type: String, enum: ['active', 'inactive'], default: 'active' }
 });
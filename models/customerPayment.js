@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS } from '../utils/payments.js';
+
+// Recibo de caja: abono de un cliente a una venta a crédito
+const CustomerPaymentSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sale",
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true
+  },
+  method: {
+    type: String,
+    enum: Object.keys(PAYMENT_METHODS),
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Número de aprobación de tarjeta o referencia de la transferencia
+  reference: {
+    type: String,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Turno de caja en el que se recibió el abono
+  cashSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CashSession",
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  }
+}, { timestamps: true });
+
+const CustomerPayment = mongoose.model('CustomerPayment', CustomerPaymentSchema);
+
+export default CustomerPayment;
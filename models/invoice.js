@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import { PAYMENT_METHODS } from '../utils/payments.js';
+import { TAX_TYPES } from '../utils/taxes.js';
+import { DOCUMENT_TYPES } from '../utils/einvoice.js';
+
+// Factura emitida: guarda una copia de los datos tal como se facturaron para poder
+// reimprimirla igual aunque la venta, el cliente o los productos cambien después
+const InvoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sale",
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Resolución de numeración de la que se tomó el número
+  resolution: {
+    number: String,
+    prefix: String,
+    from: Number,
+    to: Number,
+    validFrom: Date,
+    validTo: Date
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  snapshot: {
+    saleId: String,
+    date: Date,
+    customer: {
+      name: String,
+      lastname: String,
+      email: String,
+      phone: String,
+      documentType: {
+        type: String,
+        enum: [...Object.keys(DOCUMENT_TYPES), null]
+      },
+      documentNumber: String
+    },
+    products: [
+      {
+        _id: false,
+        name: String,
+        quantity: Number,
+        price: Number,
+        discount: Number,
+        taxType: {
+          type: String,
+          enum: Object.keys(TAX_TYPES)
+        },
+        taxRate: Number,
+        tax: Number,
+        total: Number
+      }
+    ],
+    subtotal: Number,
+    discountTotal: Number,
+    taxes: [
+      {
+        _id: false,
+        taxType: String,
+        rate: Number,
+        base: Number,
+        amount: Number
+      }
+    ],
+    taxTotal: Number,
+    total: Number,
+    // Venta a crédito y su fecha de vencimiento
+    credit: Boolean,
+    dueDate: Date,
+    payments: [
+      {
+        _id: false,
+        method: {
+          type: String,
+          enum: Object.keys(PAYMENT_METHODS)
+        },
+        amount: Number,
+        received: Number,
+        change: Number,
+        reference: String
+      }
+    ]
+  },
+  // Factura electrónica: CUFE, contenido del QR y XML UBL 2.1 tal como se generaron,
+  // y el resultado del envío a la DIAN
+  electronic: {
+    cufe: String,
+    qrData: String,
+    xml: String,
+    environment: String,
+    issuerNit: String,
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected'],
+      default: 'pending'
+    },
+    trackId: String,
+    message: String,
+    submittedAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Cada reimpresión queda registrada con su fecha y usuario
+  reprints: [
+    {
+      _id: false,
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+      }
+    }
+  ],
+  reprintCount: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+const Invoice = mongoose.model('Invoice', InvoiceSchema);
+
+export default Invoice;
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// Registro de cada correo enviado (o que falló) con su destinatario y estado. "logged" indica
+// que el transporte solo guardó o mostró el mensaje, sin entregarlo
+const MailLogSchema = new mongoose.Schema({
+  type: { type: String, enum: ["invoice", "sales_report", "purchase_report", "purchase_order"], required: true },
+  // Número de factura o descripción del reporte enviado
+  reference: { type: String, trim: true, default: null },
+  to: [{ type: String, trim: true }],
+  subject: { type: String, required: true, trim: true },
+  attachments: [{ type: String, trim: true }],
+  transport: { type: String, required: true },
+  status: { type: String, enum: ["sent", "logged", "failed"], required: true },
+  messageId: { type: String, default: null },
+  error: { type: String, default: null },
+  sentBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+}, { timestamps: true });
+
+export default mongoose.model("MailLog", MailLogSchema);
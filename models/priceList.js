@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// Precio de un producto o de un escalón: un precio fijo o un porcentaje del precio base
+// del producto (uno de los dos)
+const priceRule = {
+  price: { type: Number, min: 0, default: null },
+  percentage: { type: Number, min: 0, default: null }
+};
+
+// Lista de precios (detal, mayorista, distribuidor...) que se asigna a los clientes
+const PriceListSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true, trim: true },
+  name: { type: String, unique: true, required: true, trim: true },
+  description: { type: String, trim: true, default: "" },
+  // Porcentaje del precio base para los productos que no tienen precio propio en la lista
+  percentage: { type: Number, min: 0, default: 100 },
+  items: [
+    {
+      _id: false,
+      product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+      ...priceRule,
+      // Escalones por cantidad: desde minQuantity unidades de la venta aplica su precio
+      tiers: [
+        {
+          _id: false,
+          minQuantity: { type: Number, required: true, min: 2 },
+          ...priceRule
+        }
+      ]
+    }
+  ],
+  // Lista que se usa para los clientes que no tienen una asignada
+  isDefault: { type: Boolean, default: false },
+  status: { type: String, enum: ["active", "inactive"], default: "active" }
+}, { timestamps: true });
+
+// Solo una lista por defecto
+PriceListSchema.index({ isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+export default mongoose.model("PriceList", PriceListSchema);
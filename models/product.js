@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { TAX_TYPES } from "../utils/taxes.js";
 
 const ProductSchema = new mongoose.Schema({
   id: { type: String, unique: true, required: true, trim: true },
@@ -6,6 +7,11 @@ const ProductSchema = new mongoose.Schema({
   category: { type: mongoose.Schema.Types.ObjectId, ref: "Category", required: true },
   provider: { type: mongoose.Schema.Types.ObjectId, ref: "Provider", required: true },
   price: { type: Number, required: true },
+  // Costo promedio ponderado del stock recibido (solo lo ven los roles con view_costs)
+  cost: { type: Number, min: 0, default: 0 },
+  // Si se definen, reemplazan el impuesto de la categoría
+  taxType: { type: String, enum: [...Object.keys(TAX_TYPES), null], default: null },
+  taxRate: { type: Number, min: 0, max: 100, default: null },
   batchDate: { type: Date, required: true, get: function(date) { return date ? date.toISOString().split('T')[0] : null;}},
   expirationDate: { type: Date, required: true, get: function(date) { return date ? date.toISOString().split('T')[0] : null;}},
   stock: { type: Number, required: true },
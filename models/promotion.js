@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+const PromotionSchema = new mongoose.Schema({
+  id: { type: String, unique: true, required: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  // percentage: % off the line; fixed_amount: amount off each unit;
+  // buy_x_get_y: for every buyQuantity units paid, freeQuantity more are free (2x1 = buy 1 get 1)
+  type: { type: String, enum: ["percentage", "fixed_amount", "buy_x_get_y"], required: true },
+  value: { type: Number, min: 0, default: 0 },
+  buyQuantity: { type: Number, min: 1 },
+  freeQuantity: { type: Number, min: 1 },
+  // When set, the promotion only applies to sales that send this coupon code
+  couponCode: { type: String, trim: true, uppercase: true, unique: true, sparse: true },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  // Empty lists mean the promotion applies to every product
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+  status: { type: String, enum: ["active", "inactive"], default: "active" }
+}, { timestamps: true });
+
+export default mongoose.model("Promotion", PromotionSchema);
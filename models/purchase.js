@@ -14,6 +14,7 @@ const PurchaseSchema = new mongoose.Schema({
         required: true,
         min: 1
       },
+      // Unit cost paid to the provider
       price: {
         type: Number,
         required: true,
@@ -33,7 +34,53 @@ const PurchaseSchema = new mongoose.Schema({
   purchaseDate: {
     type: Date,
     default: Date.now
+  },
+  // Branch that received the purchase
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  // Supplier the goods were bought from
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    default: null
+  },
+  // Number and date of the supplier's own invoice
+  invoiceNumber: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  invoiceDate: {
+    type: Date,
+    default: null
+  },
+  // Purchase order whose goods receipt created this purchase
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null
+  },
+  // Whether the purchase added its quantities to stock; purchases recorded before stock
+  // receiving never did, so their edits and deletes leave stock untouched
+  stockReceived: {
+    type: Boolean,
+    default: false
+  },
+  // Whether the line prices are the unit cost paid and entered the weighted average cost;
+  // older purchases were priced at the sale price
+  costTracked: {
+    type: Boolean,
+    default: false
   }
 }, { timestamps: true });
 
+// A provider can't bill two purchases with the same invoice number
+PurchaseSchema.index(
+  { provider: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: "string" } } }
+);
+
 export default mongoose.model("Purchase", PurchaseSchema);
\ No newline at end of file
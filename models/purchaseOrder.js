@@ -0,0 +1,129 @@
+import mongoose from "mongoose";
+
+// Order sent to a provider; goods receipts bring in what actually arrived
+const PurchaseOrderSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    required: true
+  },
+  // Branch that receives the goods
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    default: null
+  },
+  products: [
+    {
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      receivedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Unit price agreed with the provider
+      price: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      total: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    }
+  ],
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  orderDate: {
+    type: Date,
+    default: Date.now
+  },
+  expectedDate: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'partially_received', 'received', 'closed', 'cancelled'],
+    default: 'draft'
+  },
+  sentAt: { type: Date, default: null },
+  closedAt: { type: Date, default: null },
+  cancelledAt: { type: Date, default: null },
+  // Each goods receipt creates a purchase with the quantities that arrived
+  receipts: [
+    {
+      purchase: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Purchase',
+        required: true
+      },
+      date: {
+        type: Date,
+        default: Date.now
+      },
+      invoiceNumber: {
+        type: String,
+        trim: true,
+        default: null
+      },
+      products: [
+        {
+          _id: false,
+          product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product',
+            required: true
+          },
+          quantity: {
+            type: Number,
+            required: true,
+            min: 1
+          }
+        }
+      ],
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      }
+    }
+  ],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+// Calculate the line totals and the order total before saving
+PurchaseOrderSchema.pre('validate', function(next) {
+  this.total = 0;
+  this.products.forEach(item => {
+    item.total = item.price * item.quantity;
+    this.total += item.total;
+  });
+  next();
+});
+
+export default mongoose.model("PurchaseOrder", PurchaseOrderSchema);
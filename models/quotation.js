@@ -0,0 +1,168 @@
+import mongoose from 'mongoose';
+import { TAX_TYPES, calculateTax, summarizeTaxes } from '../utils/taxes.js';
+
+// Cotización para un cliente; al aceptarse se convierte en venta con los precios cotizados
+const QuotationSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true
+  },
+  products: [
+    {
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      price: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      // Precio de la lista del cliente; si difiere de price el precio se cambió a mano
+      listPrice: {
+        type: Number,
+        default: null
+      },
+      discount: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Promotion",
+        default: null
+      },
+      // Valor de la línea después del descuento y antes de impuestos
+      total: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      taxType: {
+        type: String,
+        enum: Object.keys(TAX_TYPES),
+        default: 'none'
+      },
+      taxRate: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      tax: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    }
+  ],
+  // Lista de precios con la que se calcularon los precios
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PriceList",
+    default: null
+  },
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Fecha hasta la que se respetan los precios cotizados
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  taxes: [
+    {
+      _id: false,
+      taxType: {
+        type: String,
+        enum: Object.keys(TAX_TYPES),
+        required: true
+      },
+      rate: Number,
+      base: Number,
+      amount: Number
+    }
+  ],
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'accepted', 'expired'],
+    default: 'draft'
+  },
+  // Venta generada al convertir la cotización
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sale",
+    default: null
+  },
+  convertedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  }
+}, { timestamps: true });
+
+// Middleware para calcular los totales de cada línea y de la cotización antes de guardar
+QuotationSchema.pre('validate', function(next) {
+  this.subtotal = 0;
+  this.discountTotal = 0;
+  this.taxTotal = 0;
+  this.products.forEach(item => {
+    const gross = item.price * item.quantity;
+    item.total = gross - (item.discount || 0);
+    item.tax = calculateTax(item.total, item.taxRate);
+    this.subtotal += gross;
+    this.discountTotal += item.discount || 0;
+    this.taxTotal += item.tax;
+  });
+  this.taxes = summarizeTaxes(this.products);
+  this.total = this.subtotal - this.discountTotal + this.taxTotal;
+  next();
+});
+
+const Quotation = mongoose.model('Quotation', QuotationSchema);
+
+export default Quotation;
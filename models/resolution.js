@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// Resolución de numeración de facturas autorizada por la DIAN
+const ResolutionSchema = new mongoose.Schema({
+  number: { type: String, required: true, unique: true, trim: true },
+  prefix: { type: String, default: "", trim: true },
+  // Rango autorizado y último número emitido (from - 1 mientras no se haya usado)
+  from: { type: Number, required: true, min: 1 },
+  to: { type: Number, required: true, min: 1 },
+  current: { type: Number, required: true, min: 0 },
+  validFrom: { type: Date, required: true },
+  validTo: { type: Date, required: true },
+  // Clave técnica que entrega la DIAN con la resolución (se usa en el CUFE)
+  technicalKey: { type: String, trim: true, default: "" },
+  // Se avisa cuando quedan menos de estos números disponibles
+  warningThreshold: { type: Number, min: 0, default: 100 },
+  status: { type: String, enum: ["active", "inactive"], default: "active" }
+}, { timestamps: true });
+
+export default mongoose.model("Resolution", ResolutionSchema);
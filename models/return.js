@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import { TAX_TYPES, calculateTax } from '../utils/taxes.js';
+
+const ReturnSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Sale",
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true
+  },
+  products: [
+    {
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      price: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      total: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      // Se devuelve el mismo impuesto cobrado en la venta
+      taxType: {
+        type: String,
+        enum: Object.keys(TAX_TYPES),
+        default: 'none'
+      },
+      taxRate: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      tax: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Falso cuando el producto vuelve derretido o dañado y no se reingresa al inventario
+      restock: {
+        type: Boolean,
+        default: true
+      }
+    }
+  ],
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  // Parte de la nota crédito que se descontó del saldo pendiente de una venta a crédito
+  creditApplied: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, { timestamps: true });
+
+// Middleware para calcular los totales de cada línea y de la devolución
+ReturnSchema.pre('validate', function(next) {
+  this.subtotal = 0;
+  this.taxTotal = 0;
+  this.products.forEach(item => {
+    item.total = item.price * item.quantity;
+    item.tax = calculateTax(item.total, item.taxRate);
+    this.subtotal += item.total;
+    this.taxTotal += item.tax;
+  });
+  this.total = this.subtotal + this.taxTotal;
+  next();
+});
+
+const Return = mongoose.model('Return', ReturnSchema);
+
+export default Return;
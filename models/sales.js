@@ -1,46 +1,243 @@
 import mongoose from 'mongoose';
+import { PAYMENT_METHODS } from '../utils/payments.js';
+import { TAX_TYPES, calculateTax, summarizeTaxes } from '../utils/taxes.js';
 
 const SaleSchema = new mongoose.Schema({
-  id: { 
+  id: {
     type: String,
     required: true,
-    unique: true 
-  },
-  customer: { 
-    type: mongoose.Schema.Types.ObjectId, 
-    ref: "Customer", 
-    required: true 
-  },
-  product: { 
-    type: mongoose.Schema.Types.ObjectId, 
-    ref: "Product", 
-    required: true 
-  },
-  date: { 
-    type: Date, 
-    required: true, 
-    default: Date.now 
-  },
-  price: { 
-    type: Number, 
-    required: true 
-  },
-  quantity: { 
-    type: Number, 
-    required: true 
-  },
-  total: { 
-    type: Number, 
-    required: true 
+    unique: true
+  },
+  invoiceID: {
+    type: String,
+    default: null
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Customer",
+    required: true
+  },
+  products: [
+    {
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      price: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      // Precio de la lista del cliente; si difiere de price el precio se cambió a mano
+      listPrice: {
+        type: Number,
+        default: null
+      },
+      // Descuento aplicado a la línea y la promoción que lo originó
+      discount: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Promotion",
+        default: null
+      },
+      // Valor de la línea después del descuento y antes de impuestos
+      total: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      // Impuesto vigente del producto al momento de la venta
+      taxType: {
+        type: String,
+        enum: Object.keys(TAX_TYPES),
+        default: 'none'
+      },
+      taxRate: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      tax: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    }
+  ],
+  // Lista de precios con la que se calcularon los precios
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PriceList",
+    default: null
+  },
+  // Cupón enviado al crear la venta
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  payments: [
+    {
+      method: {
+        type: String,
+        enum: Object.keys(PAYMENT_METHODS),
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      // Solo para efectivo: valor recibido y cambio entregado
+      received: {
+        type: Number,
+        min: 0
+      },
+      change: {
+        type: Number,
+        min: 0
+      },
+      // Número de aprobación de tarjeta o referencia de la transferencia
+      reference: {
+        type: String,
+        trim: true
+      }
+    }
+  ],
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Usuario que registró la venta (base de las comisiones)
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  // Sucursal donde se registró la venta
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Branch",
+    default: null
+  },
+  // Turno de caja abierto del usuario que registró la venta
+  cashSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CashSession",
+    default: null
+  },
+  // Venta a crédito: los pagos iniciales pueden ser parciales y el resto queda en la cuenta
+  // del cliente hasta la fecha de vencimiento
+  credit: {
+    type: Boolean,
+    default: false
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  // Saldo pendiente por cobrar de una venta a crédito
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Valor bruto (precio por cantidad), descuentos, impuestos y total a pagar
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  // Base gravable e impuesto agrupados por tipo y tarifa
+  taxes: [
+    {
+      taxType: {
+        type: String,
+        enum: Object.keys(TAX_TYPES),
+        required: true
+      },
+      rate: {
+        type: Number,
+        required: true
+      },
+      base: {
+        type: Number,
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true
+      }
+    }
+  ],
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  // Valor acumulado de las devoluciones (notas crédito) de la venta
+  returnedTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Las ventas anuladas se conservan para auditoría y se excluyen de los totales
+  status: {
+    type: String,
+    enum: ['completed', 'voided'],
+    default: 'completed'
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    default: null
   }
-});
+}, { timestamps: true });
 
-// Middleware para calcular el total antes de guardar
-SaleSchema.pre('save', function(next) {
-  this.total = this.price * this.quantity;
+// Middleware para calcular los totales de cada línea y de la venta antes de guardar
+SaleSchema.pre('validate', function(next) {
+  this.subtotal = 0;
+  this.discountTotal = 0;
+  this.taxTotal = 0;
+  this.products.forEach(item => {
+    const gross = item.price * item.quantity;
+    item.total = gross - (item.discount || 0);
+    item.tax = calculateTax(item.total, item.taxRate);
+    this.subtotal += gross;
+    this.discountTotal += item.discount || 0;
+    this.taxTotal += item.tax;
+  });
+  this.taxes = summarizeTaxes(this.products);
+  this.total = this.subtotal - this.discountTotal + this.taxTotal;
   next();
 });
 
 const Sale = mongoose.model('Sale', SaleSchema);
 
-export default Sale;
\ No newline at end of file
+export default Sale;
@@ -7,6 +7,8 @@ const userSchema = new mongoose.Schema({
     email: { type: String, unique: true },
     password: String,
     role: { type: mongoose.Schema.Types.ObjectId, ref: "Role"},
+    // Sucursal de trabajo: se usa por defecto en las ventas y compras que registra
+    branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", default: null },
     status: { type: String, enum: ['active', 'inactive'], default: 'active' }
 });
 
@@ -0,0 +1,16 @@
+import { Router } from "express";
+import { getCashSessions, getCurrentCashSession, getCashSessionById, openCashSession, addCashMovement, closeCashSession, exportCashSessionReportToPDF } from "../controllers/cashSession.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.get("/", authenticateUser, authorizePermission("view_cash_sessions"), getCashSessions);
+// Debe declararse antes de "/:id" para que no se tome como un ID de turno
+router.get("/current", authenticateUser, authorizePermission("operate_cash_sessions"), getCurrentCashSession);
+router.get("/:id", authenticateUser, authorizePermission("view_cash_sessions"), getCashSessionById);
+router.get("/:id/report/pdf", authenticateUser, authorizePermission("view_cash_sessions"), exportCashSessionReportToPDF);
+router.post("/", authenticateUser, authorizePermission("operate_cash_sessions"), openCashSession);
+router.post("/:id/movements", authenticateUser, authorizePermission("operate_cash_sessions"), addCashMovement);
+router.post("/:id/close", authenticateUser, authorizePermission("operate_cash_sessions"), closeCashSession);
+
+export default router;
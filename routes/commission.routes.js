@@ -0,0 +1,17 @@
+import { Router } from "express";
+import { getCommissionRules, createCommissionRule, updateCommissionRule, deleteCommissionRule, getCommissionReport, exportCommissionReportToExcel } from "../controllers/commission.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+// Reglas de comisión por rol o por usuario
+router.get("/rules", authenticateUser, authorizePermission("view_commissions"), getCommissionRules);
+router.post("/rules", authenticateUser, authorizePermission("manage_commissions"), createCommissionRule);
+router.put("/rules/:id", authenticateUser, authorizePermission("manage_commissions"), updateCommissionRule);
+router.delete("/rules/:id", authenticateUser, authorizePermission("manage_commissions"), deleteCommissionRule);
+
+// Reporte de ventas y comisiones por vendedor
+router.get("/report", authenticateUser, authorizePermission("view_commissions"), getCommissionReport);
+router.get("/report/excel", authenticateUser, authorizePermission("view_commissions"), exportCommissionReportToExcel);
+
+export default router;
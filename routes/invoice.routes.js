@@ -0,0 +1,10 @@
+import express from "express";
+import { getInvoices } from "../controllers/invoice.controller.js";
+
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/", authenticateUser, authorizePermission("view_invoices"), getInvoices);
+
+export default router;
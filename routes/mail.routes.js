@@ -0,0 +1,10 @@
+import express from "express";
+import { getMailLogs } from "../controllers/mail.controller.js";
+
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/logs", authenticateUser, authorizePermission("view_mail_logs"), getMailLogs);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from "express";
+import { getCounters, updateCounter } from "../controllers/numbering.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/", authenticateUser, authorizePermission("view_numbering"), getCounters);
+router.put("/:key", authenticateUser, authorizePermission("update_numbering"), updateCounter);
+
+export default router;
@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { getAccountingPeriods, getAccountingPeriod, closeAccountingPeriod, reopenAccountingPeriod } from "../controllers/period.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.get("/", authenticateUser, authorizePermission("view_periods"), getAccountingPeriods);
+router.get("/:year/:month", authenticateUser, authorizePermission("view_periods"), getAccountingPeriod);
+router.post("/:year/:month/close", authenticateUser, authorizePermission("close_periods"), closeAccountingPeriod);
+router.post("/:year/:month/reopen", authenticateUser, authorizePermission("reopen_periods"), reopenAccountingPeriod);
+
+export default router;
@@ -0,0 +1,14 @@
+import { Router } from "express";
+import { getPriceLists, getPriceListById, getPriceListPrices, postPriceList, updatePriceList, deletePriceList } from "../controllers/priceList.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.get("/", authenticateUser, authorizePermission("view_price_lists"), getPriceLists);
+router.get("/:id", authenticateUser, authorizePermission("view_price_lists"), getPriceListById);
+router.get("/:id/prices", authenticateUser, authorizePermission("view_price_lists"), getPriceListPrices);
+router.post("/", authenticateUser, authorizePermission("manage_price_lists"), postPriceList);
+router.put("/:id", authenticateUser, authorizePermission("manage_price_lists"), updatePriceList);
+router.delete("/:id", authenticateUser, authorizePermission("manage_price_lists"), deletePriceList);
+
+export default router;
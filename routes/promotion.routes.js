@@ -0,0 +1,13 @@
+import { Router } from "express";
+import { getPromotions, getPromotionById, postPromotion, updatePromotion, deletePromotion } from "../controllers/promotion.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.get("/", authenticateUser, authorizePermission("view_promotions"), getPromotions);
+router.get("/:id", authenticateUser, authorizePermission("view_promotions"), getPromotionById);
+router.post("/", authenticateUser, authorizePermission("create_promotions"), postPromotion);
+router.put("/:id", authenticateUser, authorizePermission("update_promotions"), updatePromotion);
+router.delete("/:id", authenticateUser, authorizePermission("delete_promotions"), deletePromotion);
+
+export default router;
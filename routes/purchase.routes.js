@@ -6,6 +6,7 @@ import {
   updatePurchase, 
   deletePurchase, 
   generatePdfReport,
+  sendPdfReport,
   generateExcelReport,
   getPurchaseStatistics
 } from "../controllers/purchase.controller.js";
@@ -15,13 +16,15 @@ const router = Router();
 
 // Rutas existentes
 router.get("/", authenticateUser, authorizePermission("view_purchases"), getPurchases);
+// Debe declararse antes de "/:id" para que no se tome como un ID de compra
+router.get("/statistics", authenticateUser, authorizePermission("view_purchases"), getPurchaseStatistics);
 router.get("/:id", authenticateUser, authorizePermission("view_purchases_id"), getPurchaseById);
 router.post("/", authenticateUser, authorizePermission("create_purchases"), postPurchase);
 router.put("/:id", authenticateUser, authorizePermission("update_purchases"), updatePurchase);
 router.delete("/:id", authenticateUser, authorizePermission("delete_purchases"), deletePurchase);
 
 router.get("/reports/pdf", authenticateUser, authorizePermission("view_purchases"), generatePdfReport);
+router.post("/reports/pdf/send", authenticateUser, authorizePermission("view_purchases"), sendPdfReport);
 router.get("/reports/excel", authenticateUser, authorizePermission("view_purchases"), generateExcelReport);
-router.get("/statistics", authenticateUser, authorizePermission("view_purchases"), getPurchaseStatistics);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,16 @@
+import { Router } from "express";
+import { getPurchaseOrders, getPurchaseOrderById, createPurchaseOrder, updatePurchaseOrder, updatePurchaseOrderStatus, receivePurchaseOrder, exportPurchaseOrderToPDF, sendPurchaseOrder } from "../controllers/purchaseOrder.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.get("/", authenticateUser, authorizePermission("view_purchase_orders"), getPurchaseOrders);
+router.get("/:id", authenticateUser, authorizePermission("view_purchase_orders"), getPurchaseOrderById);
+router.get("/:id/pdf", authenticateUser, authorizePermission("view_purchase_orders"), exportPurchaseOrderToPDF);
+router.post("/", authenticateUser, authorizePermission("manage_purchase_orders"), createPurchaseOrder);
+router.put("/:id", authenticateUser, authorizePermission("manage_purchase_orders"), updatePurchaseOrder);
+router.patch("/:id/status", authenticateUser, authorizePermission("manage_purchase_orders"), updatePurchaseOrderStatus);
+router.post("/:id/send", authenticateUser, authorizePermission("manage_purchase_orders"), sendPurchaseOrder);
+router.post("/:id/receipts", authenticateUser, authorizePermission("receive_purchase_orders"), receivePurchaseOrder);
+
+export default router;
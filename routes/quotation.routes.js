@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { getQuotations, getQuotationById, createQuotation, updateQuotation, updateQuotationStatus, convertQuotation, exportQuotationToPDF } from "../controllers/quotation.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.get("/", authenticateUser, authorizePermission("view_quotations"), getQuotations);
+router.get("/:id", authenticateUser, authorizePermission("view_quotations"), getQuotationById);
+router.get("/:id/pdf", authenticateUser, authorizePermission("view_quotations"), exportQuotationToPDF);
+router.post("/", authenticateUser, authorizePermission("create_quotations"), createQuotation);
+router.put("/:id", authenticateUser, authorizePermission("update_quotations"), updateQuotation);
+router.patch("/:id/status", authenticateUser, authorizePermission("update_quotations"), updateQuotationStatus);
+router.post("/:id/convert", authenticateUser, authorizePermission("convert_quotations"), convertQuotation);
+
+export default router;
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { getAgingReport, getCustomerStatement, exportCustomerStatementToPDF } from "../controllers/receivable.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.get("/aging", authenticateUser, authorizePermission("view_receivables"), getAgingReport);
+router.get("/customers/:id/statement", authenticateUser, authorizePermission("view_receivables"), getCustomerStatement);
+router.get("/customers/:id/statement/pdf", authenticateUser, authorizePermission("view_receivables"), exportCustomerStatementToPDF);
+
+export default router;
@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { getResolutions, getResolutionById, postResolution, updateResolution } from "../controllers/resolution.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.get("/", authenticateUser, authorizePermission("view_resolutions"), getResolutions);
+router.get("/:id", authenticateUser, authorizePermission("view_resolutions"), getResolutionById);
+router.post("/", authenticateUser, authorizePermission("create_resolutions"), postResolution);
+router.put("/:id", authenticateUser, authorizePermission("update_resolutions"), updateResolution);
+
+export default router;
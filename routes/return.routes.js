@@ -0,0 +1,16 @@
+import express from "express";
+import {
+    getReturns,
+    getReturnById,
+    generateCreditNote
+} from "../controllers/return.controller.js";
+
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+
+const router = express.Router();
+
+router.get("/", authenticateUser, authorizePermission("view_returns"), getReturns);
+router.get("/:id", authenticateUser, authorizePermission("view_returns"), getReturnById);
+router.get("/:id/credit-note", authenticateUser, authorizePermission("view_returns"), generateCreditNote);
+
+export default router;
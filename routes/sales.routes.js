@@ -4,11 +4,19 @@ import {
     getSaleById,
     createSale,
     updateSale,
-    deleteSale,
+    voidSale,
     exportSalesToPDF,
     exportSalesToExcel,
-    generateInvoice
+    sendSalesReport,
+    generateInvoice,
+    getSalesStatistics,
+    getTaxSummary,
+    exportTaxSummaryToExcel
 } from "../controllers/sales.controller.js";
+import { createSaleReturn, getSaleReturns } from "../controllers/return.controller.js";
+import { getSaleReceipt } from "../controllers/receipt.controller.js";
+import { recordSalePayment, getSalePayments } from "../controllers/receivable.controller.js";
+import { reprintInvoice, downloadInvoiceXML, submitInvoice, sendInvoice } from "../controllers/invoice.controller.js";
 
 import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
 
@@ -16,12 +24,35 @@ const router = express.Router();
 
 // Rutas CRUD básicas
 router.get("/", authenticateUser, authorizePermission("view_sales"), getSales);
+// Debe declararse antes de "/:id" para que no se tome como un ID de venta
+router.get("/statistics", authenticateUser, authorizePermission("view_sales"), getSalesStatistics);
+router.get("/tax-summary", authenticateUser, authorizePermission("view_sales"), getTaxSummary);
 router.get("/:id", authenticateUser, authorizePermission("view_sales_id"), getSaleById);
 router.post("/", authenticateUser, authorizePermission("create_sales"), createSale);
 router.put("/:id", authenticateUser, authorizePermission("update_sales"), updateSale);
-router.delete("/:id", authenticateUser, authorizePermission("delete_sales"), deleteSale);
 router.get("/export/pdf", authenticateUser, authorizePermission("export_sales"), exportSalesToPDF);
 router.get("/export/excel", authenticateUser, authorizePermission("export_sales"), exportSalesToExcel);
+router.post("/export/pdf/send", authenticateUser, authorizePermission("export_sales"), sendSalesReport);
+router.get("/export/tax-summary", authenticateUser, authorizePermission("export_sales"), exportTaxSummaryToExcel);
 router.post("/:id/invoice", authenticateUser, authorizePermission("generate_invoice"), generateInvoice);
+router.get("/:id/invoice", authenticateUser, authorizePermission("view_invoices"), reprintInvoice);
+// Factura electrónica: XML UBL 2.1 y reenvío a la DIAN
+router.get("/:id/invoice/xml", authenticateUser, authorizePermission("view_invoices"), downloadInvoiceXML);
+router.post("/:id/invoice/submit", authenticateUser, authorizePermission("generate_invoice"), submitInvoice);
+router.post("/:id/invoice/send", authenticateUser, authorizePermission("send_invoices"), sendInvoice);
+
+// Tiquete para impresoras térmicas (PDF de 58/80 mm o ESC/POS)
+router.get("/:id/receipt", authenticateUser, authorizePermission("print_receipts"), getSaleReceipt);
+
+// Las ventas no se eliminan: se anulan conservando quién, cuándo y por qué
+router.post("/:id/void", authenticateUser, authorizePermission("void_sales"), voidSale);
+
+// Abonos a ventas a crédito
+router.post("/:id/payments", authenticateUser, authorizePermission("create_customer_payments"), recordSalePayment);
+router.get("/:id/payments", authenticateUser, authorizePermission("view_receivables"), getSalePayments);
+
+// Devoluciones y notas crédito
+router.post("/:id/returns", authenticateUser, authorizePermission("create_returns"), createSaleReturn);
+router.get("/:id/returns", authenticateUser, authorizePermission("view_returns"), getSaleReturns);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,61 @@
+import { test, after, before, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import Role from "../models/role.js";
+import Purchase from "../models/purchase.js";
+import purchaseRoutes from "../routes/purchase.routes.js";
+
+// Sin base de datos: se simulan el usuario, el rol y las agregaciones de compras
+process.env.JWT_SECRET = "test-secret";
+const userId = new mongoose.Types.ObjectId();
+const roleId = new mongoose.Types.ObjectId();
+const token = jwt.sign({ id: userId.toString(), role: roleId.toString() }, process.env.JWT_SECRET);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  mock.method(User, "findById", async () => ({ _id: userId, status: "active" }));
+  mock.method(Role, "findById", async () => ({ _id: roleId, name: "admin", permissions: [] }));
+
+  const app = express();
+  app.use(express.json());
+  app.use("/purchases", purchaseRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+test("GET /purchases/statistics reaches the statistics and not the purchase by ID", async () => {
+  const aggregate = mock.method(Purchase, "aggregate", async () => []);
+
+  const res = await fetch(`${baseUrl}/purchases/statistics`, { headers: { Authorization: `Bearer ${token}` } });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(body.purchasesByBranch, []);
+  assert.deepEqual(body.purchasesByProvider, []);
+  assert.equal(aggregate.mock.callCount(), 5);
+  aggregate.mock.restore();
+});
+
+test("GET /purchases/statistics filters by branch and groups the totals by branch", async () => {
+  const branchId = new mongoose.Types.ObjectId();
+  const aggregate = mock.method(Purchase, "aggregate", async () => []);
+
+  const res = await fetch(`${baseUrl}/purchases/statistics?branchId=${branchId}`, { headers: { Authorization: `Bearer ${token}` } });
+
+  assert.equal(res.status, 200);
+  const pipelines = aggregate.mock.calls.map(call => call.arguments[0]);
+  pipelines.forEach(pipeline => assert.ok(pipeline[0].$match.branch.equals(branchId)));
+  assert.ok(pipelines.some(pipeline => pipeline.some(stage => stage.$group && stage.$group._id === "$branch")));
+  aggregate.mock.restore();
+});
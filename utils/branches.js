@@ -0,0 +1,69 @@
+// utils/branches.js
+import mongoose from "mongoose";
+import Branch from "../models/branches.js";
+import User from "../models/user.js";
+import { findOpenCashSession } from "./cashSessions.js";
+
+// Sucursal de una operación: la enviada, si no la del turno de caja abierto del usuario y si no
+// su sucursal de trabajo. Con un turno abierto la venta debe quedar en la sucursal del turno.
+// Devuelve { branch } o { status, error }
+export const resolveBranch = async (branchId, userId, { useCashSession = false } = {}) => {
+  if (branchId && !mongoose.Types.ObjectId.isValid(branchId)) {
+    return { status: 400, error: "Invalid branch ID format" };
+  }
+
+  const cashSession = useCashSession && userId ? await findOpenCashSession(userId) : null;
+  if (cashSession && branchId && cashSession.branch.toString() !== branchId.toString()) {
+    return { status: 400, error: "The branch must match the branch of your open cash session" };
+  }
+
+  let resolvedId = branchId || (cashSession ? cashSession.branch : null);
+  if (!resolvedId && userId) {
+    const user = await User.findById(userId).select("branch");
+    resolvedId = user ? user.branch : null;
+  }
+
+  if (!resolvedId) {
+    return { status: 400, error: "Branch is required: send a branch ID or assign a home branch to the user" };
+  }
+
+  const branch = await Branch.findById(resolvedId);
+  if (!branch) {
+    return { status: 404, error: "Branch not found" };
+  }
+
+  return { branch };
+};
+
+// Etapas de agregación que agrupan documentos por su sucursal con el nombre de cada una.
+// fields son los acumuladores del $group (además del conteo)
+export const groupByBranchStages = (fields) => [
+  {
+    $group: {
+      _id: "$branch",
+      count: { $sum: 1 },
+      ...fields
+    }
+  },
+  {
+    $lookup: {
+      from: "branches",
+      localField: "_id",
+      foreignField: "_id",
+      as: "branchInfo"
+    }
+  },
+  {
+    $unwind: {
+      path: "$branchInfo",
+      preserveNullAndEmptyArrays: true
+    }
+  },
+  {
+    $addFields: {
+      branchId: "$_id",
+      branchName: { $ifNull: ["$branchInfo.name", "No Branch"] }
+    }
+  },
+  { $project: { _id: 0, branchInfo: 0 } }
+];
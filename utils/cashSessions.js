@@ -0,0 +1,69 @@
+// utils/cashSessions.js
+import CashSession from "../models/cashSession.js";
+import Sale from "../models/sales.js";
+import CustomerPayment from "../models/customerPayment.js";
+import { PAYMENT_METHODS } from "./payments.js";
+
+// Redondear a centavos los acumulados del turno
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Turno abierto de un usuario (o null)
+export const findOpenCashSession = (userId) => CashSession.findOne({ user: userId, status: "open" });
+
+// Asociar una operación al turno abierto del usuario dentro de la transacción. La escritura
+// sobre el turno hace que un cierre simultáneo entre en conflicto con la operación, así
+// ninguna venta o abono queda asociado a un turno ya cerrado. Devuelve el ID del turno o null
+export const attachToOpenCashSession = async (userId, session) => {
+  if (!userId) return null;
+
+  const cashSession = await CashSession.findOneAndUpdate(
+    { user: userId, status: "open" },
+    { $set: { lastActivityAt: new Date() } },
+    { new: true, session }
+  );
+
+  return cashSession ? cashSession._id : null;
+};
+
+// Totales del turno: pagos de las ventas no anuladas y abonos por medio de pago, movimientos
+// de efectivo y efectivo que debería haber en el cajón
+export const summarizeCashSession = async (cashSession, session = null) => {
+  const sales = await Sale.find({ cashSession: cashSession._id, status: "completed" }).session(session);
+  const payments = await CustomerPayment.find({ cashSession: cashSession._id }).session(session);
+
+  const byMethod = {};
+  const cashBySource = { sales: 0, customerPayments: 0 };
+
+  sales.forEach(sale => {
+    (sale.payments || []).forEach(payment => {
+      byMethod[payment.method] = (byMethod[payment.method] || 0) + (payment.amount || 0);
+      if (payment.method === "cash") cashBySource.sales += payment.amount || 0;
+    });
+  });
+
+  payments.forEach(payment => {
+    byMethod[payment.method] = (byMethod[payment.method] || 0) + (payment.amount || 0);
+    if (payment.method === "cash") cashBySource.customerPayments += payment.amount || 0;
+  });
+
+  const cashIn = (cashSession.movements || [])
+    .filter(movement => movement.type === "in")
+    .reduce((sum, movement) => sum + movement.amount, 0);
+  const cashOut = (cashSession.movements || [])
+    .filter(movement => movement.type === "out")
+    .reduce((sum, movement) => sum + movement.amount, 0);
+
+  return {
+    salesCount: sales.length,
+    salesTotal: roundAmount(sales.reduce((sum, sale) => sum + (sale.total || 0), 0)),
+    customerPaymentsCount: payments.length,
+    paymentTotals: Object.keys(PAYMENT_METHODS)
+      .filter(method => byMethod[method])
+      .map(method => ({ method, amount: roundAmount(byMethod[method]) })),
+    cashSales: roundAmount(cashBySource.sales),
+    cashCustomerPayments: roundAmount(cashBySource.customerPayments),
+    cashIn: roundAmount(cashIn),
+    cashOut: roundAmount(cashOut),
+    expectedCash: roundAmount((cashSession.openingFloat || 0) + cashBySource.sales + cashBySource.customerPayments + cashIn - cashOut)
+  };
+};
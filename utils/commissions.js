@@ -0,0 +1,152 @@
+// utils/commissions.js
+import Sale from "../models/sales.js";
+import Return from "../models/return.js";
+import User from "../models/user.js";
+import Category from "../models/category.js";
+import CommissionRule from "../models/commissionRule.js";
+
+// Redondear a centavos los acumulados del reporte
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Regla que aplica a un vendedor: la propia si tiene, si no la de su rol
+export const resolveCommissionRule = (rules, seller) => {
+  const sellerId = seller._id.toString();
+  const roleId = seller.role ? (seller.role._id || seller.role).toString() : null;
+  return rules.find(rule => rule.user && rule.user.toString() === sellerId)
+    || rules.find(rule => rule.role && roleId && rule.role.toString() === roleId)
+    || null;
+};
+
+// Porcentaje de la regla para una categoría (el general si la categoría no tiene uno propio)
+export const getCommissionRate = (rule, categoryId) => {
+  if (!rule) return 0;
+  const categoryRate = categoryId
+    ? (rule.categoryRates || []).find(item => item.category.toString() === categoryId.toString())
+    : null;
+  return categoryRate ? categoryRate.rate : rule.rate;
+};
+
+// Comisiones por vendedor en un periodo. La base es el valor de las líneas antes de impuestos
+// menos lo devuelto con notas crédito; las ventas anuladas no comisionan
+export const buildCommissionReport = async ({ startDate = null, endDate = null, sellerId = null, branchId = null } = {}) => {
+  let filter = { status: "completed", seller: { $ne: null } };
+
+  if (startDate && endDate) {
+    filter.date = { $gte: new Date(startDate), $lte: new Date(endDate) };
+  }
+
+  if (sellerId) {
+    filter.seller = sellerId;
+  }
+
+  if (branchId) {
+    filter.branch = branchId;
+  }
+
+  const sales = await Sale.find(filter).populate("products.product", "name category");
+  const [returns, sellers, rules, categories] = await Promise.all([
+    Return.find({ sale: { $in: sales.map(sale => sale._id) } }),
+    User.find({ _id: { $in: [...new Set(sales.map(sale => sale.seller.toString()))] } }).populate("role", "name"),
+    CommissionRule.find({ status: "active" }),
+    Category.find()
+  ]);
+
+  // Categoría de cada producto vendido (se toma la actual del producto)
+  const productCategories = new Map();
+  sales.forEach(sale => {
+    sale.products.forEach(item => {
+      if (item.product && item.product._id) {
+        productCategories.set(item.product._id.toString(), item.product.category ? item.product.category.toString() : null);
+      }
+    });
+  });
+
+  const categoryNames = new Map(categories.map(category => [category._id.toString(), category.name]));
+  const rows = new Map();
+
+  // Agregar a la fila del vendedor el valor de una línea vendida (positivo) o devuelta (negativo)
+  const addLine = (row, rule, productId, amount) => {
+    const categoryId = productId ? productCategories.get(productId.toString()) || null : null;
+    const key = categoryId || "none";
+    const rate = getCommissionRate(rule, categoryId);
+
+    if (!row.categories.has(key)) {
+      row.categories.set(key, {
+        categoryId,
+        category: categoryId ? categoryNames.get(categoryId) || "Unknown Category" : "No Category",
+        rate,
+        base: 0,
+        commission: 0
+      });
+    }
+
+    const entry = row.categories.get(key);
+    entry.base += amount;
+    entry.commission += amount * rate / 100;
+  };
+
+  sales.forEach(sale => {
+    const key = sale.seller.toString();
+    const seller = sellers.find(user => user._id.toString() === key);
+
+    if (!rows.has(key)) {
+      const rule = seller ? resolveCommissionRule(rules, seller) : null;
+      rows.set(key, {
+        sellerId: sale.seller,
+        seller: seller ? `${seller.name || ""} ${seller.lastname || ""}`.trim() : "Unknown User",
+        role: seller && seller.role ? seller.role.name : null,
+        rule,
+        salesCount: 0,
+        salesTotal: 0,
+        returnsTotal: 0,
+        categories: new Map()
+      });
+    }
+
+    const row = rows.get(key);
+    row.salesCount += 1;
+    row.salesTotal += sale.total || 0;
+    row.returnsTotal += sale.returnedTotal || 0;
+
+    sale.products.forEach(item => {
+      addLine(row, row.rule, item.product ? item.product._id || item.product : null, item.total || 0);
+    });
+
+    returns
+      .filter(saleReturn => saleReturn.sale.toString() === sale._id.toString())
+      .forEach(saleReturn => {
+        saleReturn.products.forEach(item => addLine(row, row.rule, item.product, -(item.total || 0)));
+      });
+  });
+
+  const sellersReport = [...rows.values()].map(({ rule, categories: byCategory, ...row }) => {
+    const categoriesReport = [...byCategory.values()].map(entry => ({
+      ...entry,
+      base: roundAmount(entry.base),
+      commission: roundAmount(entry.commission)
+    }));
+
+    return {
+      ...row,
+      ruleId: rule ? rule._id : null,
+      ruleScope: rule ? (rule.user ? "user" : "role") : null,
+      rate: rule ? rule.rate : 0,
+      salesTotal: roundAmount(row.salesTotal),
+      returnsTotal: roundAmount(row.returnsTotal),
+      commissionBase: roundAmount(categoriesReport.reduce((sum, entry) => sum + entry.base, 0)),
+      commission: roundAmount(categoriesReport.reduce((sum, entry) => sum + entry.commission, 0)),
+      categories: categoriesReport
+    };
+  }).sort((a, b) => b.commission - a.commission);
+
+  return {
+    sellers: sellersReport,
+    totals: {
+      salesCount: sellersReport.reduce((sum, row) => sum + row.salesCount, 0),
+      salesTotal: roundAmount(sellersReport.reduce((sum, row) => sum + row.salesTotal, 0)),
+      returnsTotal: roundAmount(sellersReport.reduce((sum, row) => sum + row.returnsTotal, 0)),
+      commissionBase: roundAmount(sellersReport.reduce((sum, row) => sum + row.commissionBase, 0)),
+      commission: roundAmount(sellersReport.reduce((sum, row) => sum + row.commission, 0))
+    }
+  };
+};
@@ -0,0 +1,58 @@
+// utils/dian.js
+import crypto from "crypto";
+import Invoice from "../models/invoice.js";
+
+// Adaptadores para enviar la factura electrónica a la DIAN. Cada adaptador recibe la factura
+// y responde { accepted, trackId, message }. El adaptador "mock" acepta todo localmente;
+// uno real (directo al web service o a un proveedor tecnológico) se registra con registerDianAdapter
+const adapters = {
+  mock: async (invoice) => ({
+    accepted: true,
+    trackId: crypto.createHash("sha1").update(invoice.electronic.cufe).digest("hex"),
+    message: "Accepted by the local mock adapter"
+  })
+};
+
+// Registrar un adaptador de envío
+export const registerDianAdapter = (name, adapter) => {
+  adapters[name] = adapter;
+};
+
+// Adaptador configurado con DIAN_ADAPTER (por defecto el mock local)
+const getAdapter = () => {
+  const name = process.env.DIAN_ADAPTER || "mock";
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown DIAN adapter: ${name}`);
+  }
+  return adapter;
+};
+
+// Enviar la factura y guardar el resultado. Un error de envío no anula la factura:
+// queda pendiente para reenviarla después
+export const submitElectronicInvoice = async (invoice) => {
+  let update;
+  try {
+    const result = await getAdapter()(invoice);
+    update = {
+      "electronic.status": result.accepted ? "accepted" : "rejected",
+      "electronic.trackId": result.trackId || null,
+      "electronic.message": result.message || null
+    };
+  } catch (error) {
+    console.error("Error submitting electronic invoice:", error);
+    update = {
+      "electronic.status": "pending",
+      "electronic.message": error.message
+    };
+  }
+
+  return Invoice.findByIdAndUpdate(
+    invoice._id,
+    {
+      $set: { ...update, "electronic.submittedAt": new Date() },
+      $inc: { "electronic.attempts": 1 }
+    },
+    { new: true }
+  );
+};
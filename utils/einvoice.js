@@ -0,0 +1,347 @@
+// utils/einvoice.js
+import crypto from "crypto";
+import QRCode from "qrcode";
+
+// Tipos de documento de identificación del adquiriente (tabla 13.2.1 del anexo técnico DIAN)
+export const DOCUMENT_TYPES = {
+  "13": "Cédula de ciudadanía",
+  "31": "NIT",
+  "22": "Cédula de extranjería",
+  "41": "Pasaporte",
+  "42": "Documento de identificación extranjero"
+};
+
+// Consumidor final: se usa cuando el cliente no tiene documento registrado
+export const FINAL_CONSUMER = { documentType: "13", documentNumber: "222222222222" };
+
+// Códigos de los tributos en la DIAN
+const DIAN_TAX_CODES = {
+  iva: { code: "01", name: "IVA" },
+  impoconsumo: { code: "04", name: "INC" }
+};
+
+// Datos del emisor y del software de facturación. Se leen del entorno
+// (DIAN_ISSUER_NIT, DIAN_TECHNICAL_KEY, DIAN_ENVIRONMENT...); el ambiente "2" es el de pruebas
+export const getIssuer = () => ({
+  nit: process.env.DIAN_ISSUER_NIT || "900000000",
+  dv: process.env.DIAN_ISSUER_DV || "0",
+  name: process.env.DIAN_ISSUER_NAME || "Icesoft",
+  address: process.env.DIAN_ISSUER_ADDRESS || "",
+  city: process.env.DIAN_ISSUER_CITY || "Medellín",
+  cityCode: process.env.DIAN_ISSUER_CITY_CODE || "05001",
+  department: process.env.DIAN_ISSUER_DEPARTMENT || "Antioquia",
+  departmentCode: process.env.DIAN_ISSUER_DEPARTMENT_CODE || "05",
+  softwareId: process.env.DIAN_SOFTWARE_ID || "",
+  softwarePin: process.env.DIAN_SOFTWARE_PIN || "",
+  technicalKey: process.env.DIAN_TECHNICAL_KEY || "",
+  environment: process.env.DIAN_ENVIRONMENT === "1" ? "1" : "2"
+});
+
+// Rango de numeración de la factura: el de la resolución con la que se emitió o, para las
+// facturas anteriores a las resoluciones, el configurado en el entorno
+const getNumberingRange = (resolution) => {
+  if (resolution && resolution.number) {
+    return {
+      resolution: resolution.number,
+      prefix: resolution.prefix || "",
+      from: resolution.from,
+      to: resolution.to,
+      validFrom: resolution.validFrom ? new Date(resolution.validFrom).toISOString().slice(0, 10) : null,
+      validTo: resolution.validTo ? new Date(resolution.validTo).toISOString().slice(0, 10) : null
+    };
+  }
+
+  return {
+    resolution: process.env.DIAN_RESOLUTION_NUMBER || "",
+    prefix: process.env.DIAN_RESOLUTION_PREFIX || "",
+    from: parseInt(process.env.DIAN_RESOLUTION_FROM) || 1,
+    to: parseInt(process.env.DIAN_RESOLUTION_TO) || 999999,
+    validFrom: process.env.DIAN_RESOLUTION_VALID_FROM || null,
+    validTo: process.env.DIAN_RESOLUTION_VALID_TO || null
+  };
+};
+
+// Valores con dos decimales como los exige la DIAN
+const formatAmount = (amount) => (amount || 0).toFixed(2);
+
+// Fecha y hora de Colombia (UTC-5) en el formato del documento
+const toColombiaTime = (date) => {
+  const local = new Date(new Date(date).getTime() - 5 * 60 * 60 * 1000).toISOString();
+  return { date: local.slice(0, 10), time: `${local.slice(11, 19)}-05:00` };
+};
+
+// Escapar texto para usarlo dentro del XML
+const escapeXml = (value) => String(value === undefined || value === null ? "" : value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&apos;");
+
+// Valor total de un tributo en la factura
+const getTaxAmount = (data, taxType) => (data.taxes || [])
+  .filter(tax => tax.taxType === taxType)
+  .reduce((sum, tax) => sum + (tax.amount || 0), 0);
+
+// Totales monetarios del documento
+const getTotals = (data) => {
+  const lineExtension = (data.subtotal || 0) - (data.discountTotal || 0);
+  const taxExclusive = (data.taxes || []).reduce((sum, tax) => sum + (tax.base || 0), 0);
+  return {
+    lineExtension,
+    taxExclusive,
+    taxInclusive: lineExtension + (data.taxTotal || 0),
+    payable: data.total || 0
+  };
+};
+
+// Calcular el CUFE: SHA-384 de los datos de la factura concatenados en el orden del anexo técnico
+export const computeCUFE = ({ number, issuedAt, data, issuer, buyer }) => {
+  const { date, time } = toColombiaTime(issuedAt);
+  const totals = getTotals(data);
+  const source = [
+    number,
+    date,
+    time,
+    formatAmount(totals.lineExtension),
+    "01", formatAmount(getTaxAmount(data, "iva")),
+    "04", formatAmount(getTaxAmount(data, "impoconsumo")),
+    "03", formatAmount(0),
+    formatAmount(totals.payable),
+    issuer.nit,
+    buyer.documentNumber,
+    issuer.technicalKey,
+    issuer.environment
+  ].join("");
+
+  return crypto.createHash("sha384").update(source).digest("hex");
+};
+
+// Texto del código QR con los datos de verificación y el enlace de consulta en la DIAN
+export const buildQRData = ({ number, issuedAt, data, issuer, buyer, cufe }) => {
+  const { date, time } = toColombiaTime(issuedAt);
+  const totals = getTotals(data);
+  const host = issuer.environment === "1" ? "catalogo-vpfe.dian.gov.co" : "catalogo-vpfe-hab.dian.gov.co";
+  return [
+    `NumFac: ${number}`,
+    `FecFac: ${date}`,
+    `HorFac: ${time}`,
+    `NitFac: ${issuer.nit}`,
+    `DocAdq: ${buyer.documentNumber}`,
+    `ValFac: ${formatAmount(totals.lineExtension)}`,
+    `ValIva: ${formatAmount(getTaxAmount(data, "iva"))}`,
+    `ValOtroIm: ${formatAmount(getTaxAmount(data, "impoconsumo"))}`,
+    `ValTolFac: ${formatAmount(totals.payable)}`,
+    `CUFE: ${cufe}`,
+    `https://${host}/document/searchqr?documentkey=${cufe}`
+  ].join("\n");
+};
+
+// Bloque de totales de un tributo (TaxTotal) con sus subtotales por tarifa
+const buildTaxTotalXML = (taxType, taxes, indent) => {
+  const dianTax = DIAN_TAX_CODES[taxType];
+  const amount = taxes.reduce((sum, tax) => sum + (tax.amount || 0), 0);
+  const subtotals = taxes.map(tax => `${indent}  <cac:TaxSubtotal>
+${indent}    <cbc:TaxableAmount currencyID="COP">${formatAmount(tax.base)}</cbc:TaxableAmount>
+${indent}    <cbc:TaxAmount currencyID="COP">${formatAmount(tax.amount)}</cbc:TaxAmount>
+${indent}    <cac:TaxCategory>
+${indent}      <cbc:Percent>${formatAmount(tax.rate)}</cbc:Percent>
+${indent}      <cac:TaxScheme>
+${indent}        <cbc:ID>${dianTax.code}</cbc:ID>
+${indent}        <cbc:Name>${dianTax.name}</cbc:Name>
+${indent}      </cac:TaxScheme>
+${indent}    </cac:TaxCategory>
+${indent}  </cac:TaxSubtotal>`).join("\n");
+
+  return `${indent}<cac:TaxTotal>
+${indent}  <cbc:TaxAmount currencyID="COP">${formatAmount(amount)}</cbc:TaxAmount>
+${subtotals}
+${indent}</cac:TaxTotal>`;
+};
+
+// Agrupar los impuestos por tributo para generar un TaxTotal por cada uno
+const groupTaxesByType = (taxes) => Object.keys(DIAN_TAX_CODES)
+  .map(taxType => ({ taxType, taxes: taxes.filter(tax => tax.taxType === taxType) }))
+  .filter(group => group.taxes.length > 0);
+
+// Construir el documento UBL 2.1 de la factura electrónica
+export const buildInvoiceXML = ({ number, issuedAt, data, issuer, buyer, range, cufe, qrData }) => {
+  const { date, time } = toColombiaTime(issuedAt);
+  const totals = getTotals(data);
+  const customer = data.customer || {};
+  const buyerName = `${customer.name || ""} ${customer.lastname || ""}`.trim() || "Consumidor Final";
+  const lines = data.products || [];
+
+  const taxTotals = groupTaxesByType(data.taxes || [])
+    .map(group => buildTaxTotalXML(group.taxType, group.taxes, "  "))
+    .join("\n");
+
+  const invoiceLines = lines.map((item, index) => {
+    const lineTaxes = item.taxType && item.taxType !== "none"
+      ? [{ taxType: item.taxType, rate: item.taxRate, base: item.total, amount: item.tax }]
+      : [];
+    const lineTaxTotals = groupTaxesByType(lineTaxes)
+      .map(group => buildTaxTotalXML(group.taxType, group.taxes, "    "))
+      .join("\n");
+    const discount = item.discount > 0 ? `
+    <cac:AllowanceCharge>
+      <cbc:ID>1</cbc:ID>
+      <cbc:ChargeIndicator>false</cbc:ChargeIndicator>
+      <cbc:MultiplierFactorNumeric>${formatAmount(item.discount * 100 / ((item.price || 0) * (item.quantity || 1) || 1))}</cbc:MultiplierFactorNumeric>
+      <cbc:Amount currencyID="COP">${formatAmount(item.discount)}</cbc:Amount>
+      <cbc:BaseAmount currencyID="COP">${formatAmount((item.price || 0) * (item.quantity || 0))}</cbc:BaseAmount>
+    </cac:AllowanceCharge>` : "";
+
+    return `  <cac:InvoiceLine>
+    <cbc:ID>${index + 1}</cbc:ID>
+    <cbc:InvoicedQuantity unitCode="94">${item.quantity || 0}</cbc:InvoicedQuantity>
+    <cbc:LineExtensionAmount currencyID="COP">${formatAmount(item.total)}</cbc:LineExtensionAmount>${discount}
+${lineTaxTotals ? `${lineTaxTotals}\n` : ""}    <cac:Item>
+      <cbc:Description>${escapeXml(item.name)}</cbc:Description>
+    </cac:Item>
+    <cac:Price>
+      <cbc:PriceAmount currencyID="COP">${formatAmount(item.price)}</cbc:PriceAmount>
+      <cbc:BaseQuantity unitCode="94">1</cbc:BaseQuantity>
+    </cac:Price>
+  </cac:InvoiceLine>`;
+  }).join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
+  xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+  xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2"
+  xmlns:ext="urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2"
+  xmlns:sts="dian:gov:co:facturaelectronica:Structures-2-1">
+  <ext:UBLExtensions>
+    <ext:UBLExtension>
+      <ext:ExtensionContent>
+        <sts:DianExtensions>
+          <sts:InvoiceControl>
+            <sts:InvoiceAuthorization>${escapeXml(range.resolution)}</sts:InvoiceAuthorization>
+            <sts:AuthorizationPeriod>
+              <cbc:StartDate>${escapeXml(range.validFrom)}</cbc:StartDate>
+              <cbc:EndDate>${escapeXml(range.validTo)}</cbc:EndDate>
+            </sts:AuthorizationPeriod>
+            <sts:AuthorizedInvoices>
+              <sts:Prefix>${escapeXml(range.prefix)}</sts:Prefix>
+              <sts:From>${range.from}</sts:From>
+              <sts:To>${range.to}</sts:To>
+            </sts:AuthorizedInvoices>
+          </sts:InvoiceControl>
+          <sts:InvoiceSource>
+            <cbc:IdentificationCode listAgencyID="6" listAgencyName="United Nations Economic Commission for Europe" listSchemeURI="urn:oasis:names:specification:ubl:codelist:gc:CountryIdentificationCode-2.1">CO</cbc:IdentificationCode>
+          </sts:InvoiceSource>
+          <sts:SoftwareProvider>
+            <sts:ProviderID schemeAgencyID="195" schemeID="${escapeXml(issuer.dv)}" schemeName="31">${escapeXml(issuer.nit)}</sts:ProviderID>
+            <sts:SoftwareID schemeAgencyID="195">${escapeXml(issuer.softwareId)}</sts:SoftwareID>
+          </sts:SoftwareProvider>
+          <sts:QRCode>${escapeXml(qrData)}</sts:QRCode>
+        </sts:DianExtensions>
+      </ext:ExtensionContent>
+    </ext:UBLExtension>
+  </ext:UBLExtensions>
+  <cbc:UBLVersionID>UBL 2.1</cbc:UBLVersionID>
+  <cbc:CustomizationID>10</cbc:CustomizationID>
+  <cbc:ProfileID>DIAN 2.1: Factura Electrónica de Venta</cbc:ProfileID>
+  <cbc:ProfileExecutionID>${issuer.environment}</cbc:ProfileExecutionID>
+  <cbc:ID>${escapeXml(number)}</cbc:ID>
+  <cbc:UUID schemeID="${issuer.environment}" schemeName="CUFE-SHA384">${cufe}</cbc:UUID>
+  <cbc:IssueDate>${date}</cbc:IssueDate>
+  <cbc:IssueTime>${time}</cbc:IssueTime>
+  <cbc:InvoiceTypeCode>01</cbc:InvoiceTypeCode>
+  <cbc:DocumentCurrencyCode>COP</cbc:DocumentCurrencyCode>
+  <cbc:LineCountNumeric>${lines.length}</cbc:LineCountNumeric>
+  <cac:AccountingSupplierParty>
+    <cbc:AdditionalAccountID>1</cbc:AdditionalAccountID>
+    <cac:Party>
+      <cac:PartyName>
+        <cbc:Name>${escapeXml(issuer.name)}</cbc:Name>
+      </cac:PartyName>
+      <cac:PhysicalLocation>
+        <cac:Address>
+          <cbc:ID>${escapeXml(issuer.cityCode)}</cbc:ID>
+          <cbc:CityName>${escapeXml(issuer.city)}</cbc:CityName>
+          <cbc:CountrySubentity>${escapeXml(issuer.department)}</cbc:CountrySubentity>
+          <cbc:CountrySubentityCode>${escapeXml(issuer.departmentCode)}</cbc:CountrySubentityCode>
+          <cac:AddressLine>
+            <cbc:Line>${escapeXml(issuer.address)}</cbc:Line>
+          </cac:AddressLine>
+          <cac:Country>
+            <cbc:IdentificationCode>CO</cbc:IdentificationCode>
+          </cac:Country>
+        </cac:Address>
+      </cac:PhysicalLocation>
+      <cac:PartyTaxScheme>
+        <cbc:RegistrationName>${escapeXml(issuer.name)}</cbc:RegistrationName>
+        <cbc:CompanyID schemeAgencyID="195" schemeID="${escapeXml(issuer.dv)}" schemeName="31">${escapeXml(issuer.nit)}</cbc:CompanyID>
+        <cac:TaxScheme>
+          <cbc:ID>01</cbc:ID>
+          <cbc:Name>IVA</cbc:Name>
+        </cac:TaxScheme>
+      </cac:PartyTaxScheme>
+    </cac:Party>
+  </cac:AccountingSupplierParty>
+  <cac:AccountingCustomerParty>
+    <cbc:AdditionalAccountID>${buyer.documentType === "31" ? "1" : "2"}</cbc:AdditionalAccountID>
+    <cac:Party>
+      <cac:PartyTaxScheme>
+        <cbc:RegistrationName>${escapeXml(buyerName)}</cbc:RegistrationName>
+        <cbc:CompanyID schemeAgencyID="195" schemeName="${escapeXml(buyer.documentType)}">${escapeXml(buyer.documentNumber)}</cbc:CompanyID>
+        <cac:TaxScheme>
+          <cbc:ID>ZZ</cbc:ID>
+          <cbc:Name>No aplica</cbc:Name>
+        </cac:TaxScheme>
+      </cac:PartyTaxScheme>
+      <cac:Contact>
+        <cbc:Telephone>${escapeXml(customer.phone)}</cbc:Telephone>
+        <cbc:ElectronicMail>${escapeXml(customer.email)}</cbc:ElectronicMail>
+      </cac:Contact>
+    </cac:Party>
+  </cac:AccountingCustomerParty>
+  <cac:PaymentMeans>
+    <cbc:ID>${data.credit ? "2" : "1"}</cbc:ID>
+    <cbc:PaymentMeansCode>${data.credit ? "1" : "10"}</cbc:PaymentMeansCode>${data.credit && data.dueDate ? `
+    <cbc:PaymentDueDate>${toColombiaTime(data.dueDate).date}</cbc:PaymentDueDate>` : ""}
+  </cac:PaymentMeans>
+${taxTotals ? `${taxTotals}\n` : ""}  <cac:LegalMonetaryTotal>
+    <cbc:LineExtensionAmount currencyID="COP">${formatAmount(totals.lineExtension)}</cbc:LineExtensionAmount>
+    <cbc:TaxExclusiveAmount currencyID="COP">${formatAmount(totals.taxExclusive)}</cbc:TaxExclusiveAmount>
+    <cbc:TaxInclusiveAmount currencyID="COP">${formatAmount(totals.taxInclusive)}</cbc:TaxInclusiveAmount>
+    <cbc:PayableAmount currencyID="COP">${formatAmount(totals.payable)}</cbc:PayableAmount>
+  </cac:LegalMonetaryTotal>
+${invoiceLines}
+</Invoice>
+`;
+};
+
+// Generar los datos de la factura electrónica (CUFE, QR y XML) a partir de la copia guardada;
+// la clave técnica de la resolución reemplaza la del entorno
+export const buildElectronicInvoice = (invoice, technicalKey = null) => {
+  const data = invoice.snapshot || {};
+  const customer = data.customer || {};
+  const issuer = getIssuer();
+  if (technicalKey) issuer.technicalKey = technicalKey;
+  const range = getNumberingRange(invoice.resolution);
+  const buyer = customer.documentNumber
+    ? { documentType: customer.documentType || FINAL_CONSUMER.documentType, documentNumber: customer.documentNumber }
+    : FINAL_CONSUMER;
+  const document = { number: invoice.number, issuedAt: invoice.issuedAt, data, issuer, buyer, range };
+
+  const cufe = computeCUFE(document);
+  const qrData = buildQRData({ ...document, cufe });
+
+  return {
+    cufe,
+    qrData,
+    xml: buildInvoiceXML({ ...document, cufe, qrData }),
+    environment: issuer.environment,
+    issuerNit: issuer.nit,
+    status: "pending"
+  };
+};
+
+// Imagen PNG del código QR para dibujarla en el PDF
+export const getInvoiceQRCode = (invoice) => {
+  if (!invoice.electronic || !invoice.electronic.qrData) return Promise.resolve(null);
+  return QRCode.toBuffer(invoice.electronic.qrData, { margin: 1, width: 160 });
+};
@@ -0,0 +1,246 @@
+// utils/invoices.js
+import Invoice from "../models/invoice.js";
+import { getPaymentMethodLabel } from "./payments.js";
+import { getTaxLabel } from "./taxes.js";
+import { buildElectronicInvoice } from "./einvoice.js";
+
+// Formatear fecha para mostrar
+const formatDate = (date) => {
+  if (!date) return null;
+  const d = new Date(date);
+  if (isNaN(d.getTime())) return "Invalid Date";
+  const day = d.getDate().toString().padStart(2, '0');
+  const month = (d.getMonth() + 1).toString().padStart(2, '0');
+  const year = d.getFullYear();
+  return `${day}/${month}/${year}`;
+};
+
+// Copiar los datos de la venta tal como se facturan; productsData se usa cuando las
+// líneas de la venta no vienen pobladas
+export const buildInvoiceSnapshot = (sale, customer, productsData = []) => ({
+  saleId: sale.id,
+  date: sale.date,
+  customer: {
+    name: customer ? customer.name || '' : '',
+    lastname: customer ? customer.lastname || '' : '',
+    email: customer ? customer.email || '' : '',
+    phone: customer ? customer.phone || '' : '',
+    documentType: customer ? customer.documentType || null : null,
+    documentNumber: customer ? customer.documentNumber || '' : ''
+  },
+  products: (sale.products || []).map(item => {
+    const product = item.product && item.product.name !== undefined
+      ? item.product
+      : productsData.find(p => item.product && p._id.toString() === item.product.toString());
+    return {
+      name: product ? product.name || 'Unknown Product' : 'Unknown Product',
+      quantity: item.quantity || 0,
+      price: item.price || 0,
+      discount: item.discount || 0,
+      taxType: item.taxType || 'none',
+      taxRate: item.taxRate || 0,
+      tax: item.tax || 0,
+      total: item.total || 0
+    };
+  }),
+  subtotal: sale.subtotal || sale.total || 0,
+  discountTotal: sale.discountTotal || 0,
+  taxes: (sale.taxes || []).map(tax => ({
+    taxType: tax.taxType,
+    rate: tax.rate,
+    base: tax.base,
+    amount: tax.amount
+  })),
+  taxTotal: sale.taxTotal || 0,
+  total: sale.total || 0,
+  credit: Boolean(sale.credit),
+  dueDate: sale.dueDate || null,
+  payments: (sale.payments || []).map(payment => ({
+    method: payment.method,
+    amount: payment.amount,
+    received: payment.received,
+    change: payment.change,
+    reference: payment.reference
+  }))
+});
+
+// Registrar la factura emitida de una venta con la copia de sus datos y su XML electrónico;
+// resolution es la resolución de numeración de la que se tomó el número
+export const issueInvoice = async (sale, customer, productsData, userId, session = null, resolution = null) => {
+  const invoice = new Invoice({
+    number: sale.invoiceID,
+    sale: sale._id,
+    customer: customer ? customer._id : sale.customer,
+    resolution: resolution ? {
+      number: resolution.number,
+      prefix: resolution.prefix,
+      from: resolution.from,
+      to: resolution.to,
+      validFrom: resolution.validFrom,
+      validTo: resolution.validTo
+    } : undefined,
+    issuedAt: new Date(),
+    issuedBy: userId || null,
+    snapshot: buildInvoiceSnapshot(sale, customer, productsData)
+  });
+  invoice.electronic = buildElectronicInvoice(invoice, resolution ? resolution.technicalKey : null);
+
+  await invoice.save({ session });
+  return invoice;
+};
+
+// Facturas emitidas antes de la facturación electrónica: generar su XML con la copia guardada
+export const ensureElectronicInvoice = async (invoice) => {
+  if (invoice.electronic && invoice.electronic.cufe) return invoice;
+  return Invoice.findByIdAndUpdate(
+    invoice._id,
+    { $set: { electronic: buildElectronicInvoice(invoice) } },
+    { new: true }
+  );
+};
+
+// Marca de agua "COPY" en diagonal sobre todas las páginas (el documento debe crearse con bufferPages)
+const drawCopyWatermark = (doc) => {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    doc.save();
+    doc.rotate(-45, { origin: [doc.page.width / 2, doc.page.height / 2] });
+    doc.fontSize(120).fillColor('#999999').opacity(0.3)
+      .text('COPY', 0, doc.page.height / 2 - 60, { width: doc.page.width, align: 'center', lineBreak: false });
+    doc.restore();
+  }
+};
+
+// Dibujar la factura en el documento PDF a partir de la copia guardada al emitirla;
+// las reimpresiones (copy) se marcan como copia y qrCode es la imagen del QR de la DIAN
+export const renderInvoicePDF = (doc, invoice, { copy = false, qrCode = null } = {}) => {
+  const data = invoice.snapshot || {};
+
+  // Estilo del documento
+  doc.fontSize(20).text(copy ? 'INVOICE (COPY)' : 'INVOICE', { align: 'center' });
+  if (qrCode) {
+    doc.image(qrCode, 50, 40, { width: 80 });
+  }
+  doc.moveDown();
+
+  // Información de la factura
+  doc.fontSize(12).text(`Invoice #: ${invoice.number}`, { align: 'right' });
+  doc.fontSize(12).text(`Date: ${formatDate(data.date || invoice.issuedAt)}`, { align: 'right' });
+  if (copy) {
+    doc.fontSize(10).text(`Issued: ${formatDate(invoice.issuedAt)} - Reprinted: ${formatDate(new Date())}`, { align: 'right' });
+  }
+  doc.moveDown();
+
+  // Información del cliente con manejo seguro de null/undefined
+  const customer = data.customer || {};
+  doc.fontSize(14).text('Customer Information');
+  doc.fontSize(10).text(`Name: ${customer.name || customer.lastname ? `${customer.name || ''} ${customer.lastname || ''}` : 'Unknown Customer'}`);
+  doc.fontSize(10).text(`Email: ${customer.email || 'N/A'}`);
+  doc.fontSize(10).text(`Phone: ${customer.phone || 'N/A'}`);
+  if (customer.documentNumber) {
+    doc.fontSize(10).text(`ID: ${customer.documentNumber}`);
+  }
+  doc.moveDown();
+
+  // Detalle de compra
+  doc.fontSize(14).text('Purchase Details');
+  doc.moveDown();
+
+  // Tabla de productos
+  const tableTop = 250;
+  const tableHeaders = ['Product', 'Quantity', 'Unit Price', 'Discount', 'Tax', 'Total'];
+  const tableColumnWidths = [170, 55, 80, 70, 65, 80];
+
+  // Encabezados de tabla
+  let position = 0;
+  doc.fontSize(10);
+
+  tableHeaders.forEach((header, i) => {
+    doc.text(header, position + 50, tableTop, { width: tableColumnWidths[i], align: 'left' });
+    position += tableColumnWidths[i];
+  });
+
+  // Línea debajo de encabezados
+  doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
+
+  // Contenido de tabla (una fila por línea)
+  let rowY = tableTop + 25;
+
+  (data.products || []).forEach(item => {
+    // Si la página se llena, continuar en una nueva
+    if (rowY > 650) {
+      doc.addPage();
+      rowY = 50;
+    }
+
+    const values = [
+      item.name || 'Unknown Product',
+      (item.quantity || 0).toString(),
+      `$${(item.price || 0).toFixed(2)}`,
+      `$${(item.discount || 0).toFixed(2)}`,
+      getTaxLabel(item.taxType, item.taxRate),
+      `$${(item.total || 0).toFixed(2)}`
+    ];
+
+    position = 0;
+    values.forEach((value, i) => {
+      doc.text(value, position + 50, rowY, { width: tableColumnWidths[i], align: 'left' });
+      position += tableColumnWidths[i];
+    });
+
+    rowY += 20;
+  });
+
+  // Línea debajo de datos
+  doc.moveTo(50, rowY).lineTo(550, rowY).stroke();
+
+  // Subtotal, descuentos, impuestos discriminados por tarifa y total
+  doc.moveDown(3);
+  doc.fontSize(10).text(`Subtotal: $${(data.subtotal || 0).toFixed(2)}`, { align: 'right' });
+  doc.fontSize(10).text(`Discount: -$${(data.discountTotal || 0).toFixed(2)}`, { align: 'right' });
+  (data.taxes || []).forEach(tax => {
+    doc.fontSize(10).text(`${getTaxLabel(tax.taxType, tax.rate)} (base $${(tax.base || 0).toFixed(2)}): $${(tax.amount || 0).toFixed(2)}`, { align: 'right' });
+  });
+  doc.fontSize(12).text(`Total: $${(data.total || 0).toFixed(2)}`, { align: 'right' });
+
+  // Detalle de pagos
+  if (data.payments && data.payments.length > 0) {
+    doc.moveDown();
+    doc.fontSize(12).text('Payment', { underline: true });
+    data.payments.forEach(payment => {
+      let line = `${getPaymentMethodLabel(payment.method)}: $${(payment.amount || 0).toFixed(2)}`;
+      if (payment.reference) line += ` (Ref. ${payment.reference})`;
+      doc.fontSize(10).text(line);
+      if (payment.method === 'cash' && payment.received !== undefined && payment.received !== null) {
+        doc.fontSize(10).text(`Cash received: $${payment.received.toFixed(2)} - Change: $${(payment.change || 0).toFixed(2)}`);
+      }
+    });
+  }
+
+  // Condiciones de la venta a crédito
+  if (data.credit) {
+    const paid = (data.payments || []).reduce((sum, payment) => sum + (payment.amount || 0), 0);
+    doc.moveDown();
+    doc.fontSize(12).text('Credit Sale', { underline: true });
+    doc.fontSize(10).text(`Due date: ${formatDate(data.dueDate)}`);
+    doc.fontSize(10).text(`Balance due: $${((data.total || 0) - paid).toFixed(2)}`);
+  }
+
+  // Términos y condiciones
+  doc.moveDown(3);
+  doc.fontSize(10).text('Terms and Conditions', { underline: true });
+  doc.fontSize(8).text('This invoice is a legal document and proof of purchase. Payment terms as agreed.');
+
+  // CUFE de la factura electrónica
+  if (invoice.electronic && invoice.electronic.cufe) {
+    doc.fontSize(6).text(`CUFE: ${invoice.electronic.cufe}`, 50, 685, { width: 500, align: 'center' });
+  }
+
+  // Footer
+  doc.fontSize(8).text('Thank you for your business!', 50, 700, { align: 'center' });
+
+  if (copy) {
+    drawCopyWatermark(doc);
+  }
+};
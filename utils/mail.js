@@ -0,0 +1,130 @@
+// utils/mail.js
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+import MailLog from "../models/mailLog.js";
+
+// Transportes de correo. Cada uno crea un transporte de nodemailer: "smtp" envía de verdad,
+// "file" guarda cada mensaje como .eml en MAIL_OUTPUT_DIR y "console" solo lo muestra en el log
+// (para desarrollo y pruebas). Otros se agregan con registerMailTransport
+const transports = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  }),
+  file: () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const outputDir = process.env.MAIL_OUTPUT_DIR || "mail-outbox";
+    return {
+      sendMail: async (message) => {
+        const info = await transporter.sendMail(message);
+        await fs.promises.mkdir(outputDir, { recursive: true });
+        const file = path.join(outputDir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, "")}.eml`);
+        await fs.promises.writeFile(file, info.message);
+        return info;
+      }
+    };
+  },
+  console: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      sendMail: async (message) => {
+        const info = await transporter.sendMail(message);
+        console.log("Email (console transport):", {
+          to: message.to,
+          subject: message.subject,
+          attachments: (message.attachments || []).map(attachment => attachment.filename)
+        });
+        return info;
+      }
+    };
+  }
+};
+
+// Transportes que no entregan el correo: sus envíos quedan con estado "logged" y no "sent"
+const localTransports = new Set(["file", "console"]);
+
+// Registrar un transporte de correo (delivers en false si solo guarda o muestra los mensajes)
+export const registerMailTransport = (name, factory, { delivers = true } = {}) => {
+  transports[name] = factory;
+  if (delivers) {
+    localTransports.delete(name);
+  } else {
+    localTransports.add(name);
+  }
+};
+
+// Nombre del transporte configurado con MAIL_TRANSPORT (por defecto la consola)
+const getTransportName = () => process.env.MAIL_TRANSPORT || "console";
+
+// Validar una lista de destinatarios
+export const validateRecipients = (recipients) => {
+  const list = Array.isArray(recipients) ? recipients : [recipients];
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  if (!recipients || list.length === 0) {
+    return "At least one recipient is required";
+  }
+
+  if (list.length > 20) {
+    return "No more than 20 recipients are allowed";
+  }
+
+  if (list.some(email => typeof email !== "string" || !emailRegex.test(email.trim()))) {
+    return "Every recipient must be a valid email address";
+  }
+
+  return null;
+};
+
+// Reunir en un buffer el PDF que se va a generar (llamar antes de dibujar y de doc.end())
+export const collectPDF = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on("data", chunk => chunks.push(chunk));
+  doc.on("end", () => resolve(Buffer.concat(chunks)));
+  doc.on("error", reject);
+});
+
+// Enviar un correo y registrar el resultado. Devuelve el registro: un error del transporte no
+// se lanza, queda con estado "failed", y con los transportes "file" y "console" queda "logged"
+export const sendMail = async ({ type, reference = null, to, subject, html, attachments = [], userId = null }) => {
+  const recipients = (Array.isArray(to) ? to : [to]).map(email => email.trim());
+  const transportName = getTransportName();
+  const log = {
+    type,
+    reference,
+    to: recipients,
+    subject,
+    attachments: attachments.map(attachment => attachment.filename),
+    transport: transportName,
+    sentBy: userId
+  };
+
+  try {
+    const factory = transports[transportName];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    const info = await factory().sendMail({
+      from: process.env.MAIL_FROM || "Icesoft <no-reply@icesoft.local>",
+      to: recipients.join(", "),
+      subject,
+      html,
+      attachments
+    });
+
+    return MailLog.create({
+      ...log,
+      status: localTransports.has(transportName) ? "logged" : "sent",
+      messageId: info.messageId || null
+    });
+  } catch (error) {
+    console.error("Error sending email:", error);
+    return MailLog.create({ ...log, status: "failed", error: error.message });
+  }
+};
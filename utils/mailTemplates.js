@@ -0,0 +1,75 @@
+// utils/mailTemplates.js
+
+// Escapar texto para insertarlo en el HTML
+const escapeHtml = (value) => String(value === undefined || value === null ? "" : value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+// Plantilla base de todos los correos
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:0;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif;color:#333333;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+      <tr>
+        <td align="center">
+          <table width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border:1px solid #cccccc;">
+            <tr>
+              <td style="background:#336699;color:#ffffff;padding:20px;font-size:22px;font-weight:bold;">Icesoft</td>
+            </tr>
+            <tr>
+              <td style="padding:24px;">
+                <h2 style="margin-top:0;font-size:18px;">${escapeHtml(title)}</h2>
+                ${body}
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:12px 24px;font-size:11px;color:#999999;border-top:1px solid #cccccc;">
+                This message was sent automatically, please do not reply.
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+// Correo con la factura de una venta adjunta
+export const invoiceEmail = ({ customerName, number, date, total }) => ({
+  subject: `Invoice ${number}`,
+  html: layout(`Invoice ${number}`, `
+                <p>Hello ${escapeHtml(customerName || "customer")},</p>
+                <p>Thank you for your purchase. Your invoice is attached to this email.</p>
+                <table cellpadding="4" cellspacing="0" style="font-size:14px;">
+                  <tr><td><strong>Invoice:</strong></td><td>${escapeHtml(number)}</td></tr>
+                  <tr><td><strong>Date:</strong></td><td>${escapeHtml(date)}</td></tr>
+                  <tr><td><strong>Total:</strong></td><td>$${(total || 0).toFixed(2)}</td></tr>
+                </table>`)
+});
+
+// Correo al proveedor con una orden de compra adjunta
+export const purchaseOrderEmail = ({ providerName, number, date, expectedDate, total, message }) => ({
+  subject: `Purchase order ${number}`,
+  html: layout(`Purchase order ${number}`, `
+                <p>Hello ${escapeHtml(providerName || "provider")},</p>
+                <p>Please find attached our purchase order.</p>
+                <table cellpadding="4" cellspacing="0" style="font-size:14px;">
+                  <tr><td><strong>Order:</strong></td><td>${escapeHtml(number)}</td></tr>
+                  <tr><td><strong>Date:</strong></td><td>${escapeHtml(date)}</td></tr>
+                  ${expectedDate ? `<tr><td><strong>Expected delivery:</strong></td><td>${escapeHtml(expectedDate)}</td></tr>` : ""}
+                  <tr><td><strong>Total:</strong></td><td>$${(total || 0).toFixed(2)}</td></tr>
+                </table>
+                ${message ? `<p>${escapeHtml(message)}</p>` : ""}`)
+});
+
+// Correo con un reporte en PDF adjunto
+export const reportEmail = ({ title, period, message }) => ({
+  subject: title,
+  html: layout(title, `
+                <p>The report <strong>${escapeHtml(title)}</strong> is attached to this email.</p>
+                <p>Period: ${escapeHtml(period || "All dates")}</p>
+                ${message ? `<p>${escapeHtml(message)}</p>` : ""}`)
+});
@@ -0,0 +1,91 @@
+// utils/numbering.js
+import mongoose from "mongoose";
+import Counter from "../models/counter.js";
+
+// Configuración por defecto de cada consecutivo: prefijo, dígitos, número inicial y
+// la colección y el campo donde se guarda (para migrar los registros existentes).
+// Las facturas no están aquí: se numeran con las resoluciones de la DIAN (utils/resolutions.js)
+export const DOCUMENT_SEQUENCES = {
+  sale: { prefix: "Sa", padding: 2, start: 1, collection: "sales", field: "id" },
+  quotation: { prefix: "Qt", padding: 2, start: 1, collection: "quotations", field: "id" },
+  credit_note: { prefix: "Cn", padding: 2, start: 1, collection: "returns", field: "id" },
+  customer_payment: { prefix: "Rc", padding: 2, start: 1, collection: "customerpayments", field: "id" },
+  cash_session: { prefix: "Cs", padding: 2, start: 1, collection: "cashsessions", field: "id" },
+  purchase: { prefix: "Pu", padding: 2, start: 1, collection: "purchases", field: "id" },
+  purchase_order: { prefix: "Po", padding: 2, start: 1, collection: "purchaseorders", field: "id" },
+  product: { prefix: "Pr", padding: 2, start: 1, collection: "products", field: "id" },
+  category: { prefix: "Ca", padding: 2, start: 1, collection: "categories", field: "id" },
+  provider: { prefix: "Pr", padding: 2, start: 1, collection: "providers", field: "id" },
+  branch: { prefix: "Br", padding: 2, start: 1, collection: "branches", field: "id" },
+  promotion: { prefix: "Pm", padding: 2, start: 1, collection: "promotions", field: "id" },
+  price_list: { prefix: "Pl", padding: 2, start: 1, collection: "pricelists", field: "id" }
+};
+
+// Dar formato a un número con el prefijo y los dígitos del consecutivo
+export const formatNumber = (counter, number) => {
+  return `${counter.prefix || ""}${number.toString().padStart(counter.padding || 1, "0")}`;
+};
+
+// Escapar el prefijo para usarlo dentro de una expresión regular
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Mayor número ya usado en la colección con el prefijo dado
+const findHighestNumber = async (collection, field, prefix) => {
+  const pattern = new RegExp(`^${escapeRegex(prefix)}(\\d+)$`);
+  const documents = await mongoose.connection.db.collection(collection)
+    .find({ [field]: { $regex: pattern } }, { projection: { [field]: 1 } })
+    .toArray();
+
+  return documents.reduce((highest, doc) => {
+    const number = parseInt(doc[field].match(pattern)[1], 10);
+    return number > highest ? number : highest;
+  }, 0);
+};
+
+// Crear el contador si no existe, continuando después del mayor número ya emitido
+const ensureCounter = async (key) => {
+  const existing = await Counter.findOne({ key });
+  if (existing) return existing;
+
+  const config = DOCUMENT_SEQUENCES[key];
+  if (!config) {
+    throw new Error(`Unknown document sequence: ${key}`);
+  }
+
+  const highest = await findHighestNumber(config.collection, config.field, config.prefix);
+
+  // Si dos peticiones lo crean a la vez, $setOnInsert deja uno solo
+  return Counter.findOneAndUpdate(
+    { key },
+    {
+      $setOnInsert: {
+        prefix: config.prefix,
+        padding: config.padding,
+        seq: Math.max(highest, config.start - 1)
+      }
+    },
+    { new: true, upsert: true }
+  );
+};
+
+// Obtener el siguiente número de un tipo de documento. El incremento es atómico, así que dos
+// peticiones simultáneas nunca reciben el mismo número; dentro de una transacción, el número
+// se libera si la transacción se revierte
+export const getNextNumber = async (key, session = null) => {
+  await ensureCounter(key);
+
+  const counter = await Counter.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, session }
+  );
+
+  return formatNumber(counter, counter.seq);
+};
+
+// Migrar los registros existentes: crear los contadores que falten a partir de los datos actuales
+export const syncCounters = async () => {
+  for (const key of Object.keys(DOCUMENT_SEQUENCES)) {
+    await ensureCounter(key);
+  }
+};
@@ -0,0 +1,99 @@
+// utils/payments.js
+
+// Medios de pago aceptados en una venta y su nombre para mostrar en reportes y facturas
+export const PAYMENT_METHODS = {
+  cash: "Cash",
+  debit_card: "Debit Card",
+  credit_card: "Credit Card",
+  nequi: "Nequi",
+  daviplata: "Daviplata",
+  gift_balance: "Gift Balance"
+};
+
+// Los pagos con tarjeta deben registrar el número de referencia del datáfono
+const CARD_METHODS = ["debit_card", "credit_card"];
+
+// Nombre para mostrar de un medio de pago
+export const getPaymentMethodLabel = (method) => {
+  return PAYMENT_METHODS[method] || method || "Unknown";
+};
+
+// Redondear a centavos para comparar montos sin errores de punto flotante
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Validar los pagos de una venta contra su total y calcular el cambio de los pagos en efectivo.
+// En una venta a crédito (allowPartial) los pagos son el abono inicial: pueden omitirse o
+// sumar menos que el total
+export const validatePayments = (payments, total, { allowPartial = false } = {}) => {
+  const errors = [];
+  const normalized = [];
+
+  if (allowPartial && (payments === undefined || (Array.isArray(payments) && payments.length === 0))) {
+    return { errors, payments: normalized };
+  }
+
+  if (!Array.isArray(payments) || payments.length === 0) {
+    errors.push("At least one payment is required");
+    return { errors, payments: normalized };
+  }
+
+  payments.forEach((payment, i) => {
+    if (!payment || !PAYMENT_METHODS[payment.method]) {
+      errors.push(`Invalid payment method at index ${i}. Must be: ${Object.keys(PAYMENT_METHODS).join(", ")}`);
+      return;
+    }
+
+    if (typeof payment.amount !== "number" || payment.amount <= 0) {
+      errors.push(`Invalid payment amount at index ${i}`);
+      return;
+    }
+
+    const item = { method: payment.method, amount: roundAmount(payment.amount) };
+
+    if (payment.method === "cash") {
+      // Si no se indica el efectivo recibido se asume el valor exacto
+      const received = payment.received !== undefined ? payment.received : payment.amount;
+      if (typeof received !== "number" || received < payment.amount) {
+        errors.push(`Cash received at index ${i} must be at least the payment amount`);
+        return;
+      }
+      item.received = roundAmount(received);
+      item.change = roundAmount(received - payment.amount);
+    }
+
+    if (CARD_METHODS.includes(payment.method) && (!payment.reference || String(payment.reference).trim() === "")) {
+      errors.push(`Card reference number is required at index ${i}`);
+      return;
+    }
+
+    if (payment.reference) {
+      item.reference = String(payment.reference).trim();
+    }
+
+    normalized.push(item);
+  });
+
+  if (errors.length === 0) {
+    const paid = roundAmount(normalized.reduce((sum, payment) => sum + payment.amount, 0));
+    if (allowPartial) {
+      if (paid >= roundAmount(total)) {
+        errors.push(`Initial payments (${paid}) of a credit sale must be less than the sale total (${roundAmount(total)})`);
+      }
+    } else if (paid !== roundAmount(total)) {
+      errors.push(`Payments (${paid}) must add up to the sale total (${roundAmount(total)})`);
+    }
+  }
+
+  return { errors, payments: normalized };
+};
+
+// Totales por medio de pago de un conjunto de ventas
+export const sumPaymentsByMethod = (sales) => {
+  const totals = {};
+  sales.forEach(sale => {
+    (sale.payments || []).forEach(payment => {
+      totals[payment.method] = (totals[payment.method] || 0) + (payment.amount || 0);
+    });
+  });
+  return totals;
+};
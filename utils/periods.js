@@ -0,0 +1,55 @@
+// utils/periods.js
+import AccountingPeriod from "../models/accountingPeriod.js";
+import { checkPermission } from "./permissions.js";
+
+// Error lanzado cuando una venta o compra cae en un periodo cerrado
+export class PeriodLockError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "PeriodLockError";
+    this.status = 409;
+    this.details = details;
+  }
+}
+
+// Año y mes contable de una fecha
+export const getPeriodOf = (date) => {
+  const value = new Date(date);
+  return { year: value.getFullYear(), month: value.getMonth() + 1 };
+};
+
+// Periodo en formato AAAA-MM para los mensajes
+export const formatPeriod = ({ year, month }) => `${year}-${String(month).padStart(2, "0")}`;
+
+// Verificar que las fechas de un documento (la actual y la nueva al editarlo) no caen en un
+// periodo cerrado. Quien tiene el permiso reopen_periods puede continuar: se devuelven los
+// periodos cerrados afectados para registrar el cambio con logPeriodOverrides una vez guardado
+export const checkPeriodLock = async (dates, user) => {
+  const periods = new Map();
+  dates.filter(Boolean).forEach(date => {
+    const period = getPeriodOf(date);
+    if (!isNaN(period.year)) periods.set(formatPeriod(period), period);
+  });
+
+  if (periods.size === 0) return [];
+
+  const closed = await AccountingPeriod.find({ status: "closed", $or: [...periods.values()] });
+  if (closed.length === 0) return [];
+
+  if (!(await checkPermission(user.roleId, "reopen_periods"))) {
+    const period = formatPeriod(closed[0]);
+    throw new PeriodLockError(`The accounting period ${period} is closed`, { period });
+  }
+
+  return closed;
+};
+
+// Registrar en los periodos cerrados el cambio hecho por un usuario con permiso para reabrirlos
+export const logPeriodOverrides = async (periods, { action, documentType, document, reference = null, userId }) => {
+  if (!periods || periods.length === 0) return;
+
+  await AccountingPeriod.updateMany(
+    { _id: { $in: periods.map(period => period._id) } },
+    { $push: { overrides: { action, documentType, document, reference, user: userId, date: new Date() } } }
+  );
+};
@@ -6,12 +6,24 @@ export const ALL_PERMISSIONS = [
   "view_roles", "view_roles_id", "create_roles", "update_roles", "delete_roles",
   "create_users", "view_users", "view_users_id", "update_users", "delete_users",
   "view_categories", "view_categories_id", "create_categories", "update_categories", "delete_categories",
-  "view_products", "view_products_id", "create_products", "edit_products", "delete_products",
+  "view_products", "view_products_id", "create_products", "edit_products", "delete_products", "view_costs",
   "view_providers", "view_providers_id", "create_providers", "update_providers", "delete_providers",
   "view_purchases", "view_purchases_id", "create_purchases", "update_purchases", "delete_purchases",
+  "view_purchase_orders", "manage_purchase_orders", "receive_purchase_orders",
   "view_branches", "create_branches", "update_branches", "delete_branches",
   "view_customers", "view_customers_id", "create_customers", "update_customers", "delete_customers",
-  "view_sales", "view_sales_id", "create_sales", "update_sales", "delete_sales"
+  "view_sales", "view_sales_id", "create_sales", "update_sales", "void_sales", "print_receipts",
+  "view_quotations", "create_quotations", "update_quotations", "convert_quotations",
+  "view_receivables", "create_customer_payments",
+  "view_cash_sessions", "operate_cash_sessions",
+  "view_commissions", "manage_commissions",
+  "view_invoices", "send_invoices", "view_mail_logs",
+  "view_returns", "create_returns",
+  "view_promotions", "create_promotions", "update_promotions", "delete_promotions",
+  "view_price_lists", "manage_price_lists", "override_prices",
+  "view_periods", "close_periods", "reopen_periods",
+  "view_numbering", "update_numbering",
+  "view_resolutions", "create_resolutions", "update_resolutions"
 ];
 
 // Permisos por defecto para los roles predefinidos
@@ -20,25 +32,49 @@ const DEFAULT_PERMISSIONS = {
     "view_roles", "view_roles_id", "create_roles", "update_roles", "delete_roles", 
     "create_users", "view_users", "view_users_id", "update_users", "delete_users", "update_user_status",
     "view_categories", "view_categories_id", "create_categories", "update_categories", "delete_categories",
-    "view_products", "view_products_id", "create_products", "edit_products", "delete_products",
+    "view_products", "view_products_id", "create_products", "edit_products", "delete_products", "view_costs",
     "view_providers", "view_providers_id", "create_providers", "update_providers", "delete_providers",
     "view_purchases", "view_purchases_id", "create_purchases", "update_purchases", "delete_purchases",
+    "view_purchase_orders", "manage_purchase_orders", "receive_purchase_orders",
     "view_branches", "create_branches", "update_branches", "delete_branches", 
     "view_customers", "view_customers_id", "create_customers", "update_customers", "delete_customers",
-    "view_sales", "view_sales_id", "create_sales", "update_sales", "delete_sales"
+    "view_sales", "view_sales_id", "create_sales", "update_sales", "void_sales", "print_receipts",
+    "view_quotations", "create_quotations", "update_quotations", "convert_quotations",
+    "view_receivables", "create_customer_payments",
+    "view_cash_sessions", "operate_cash_sessions",
+    "view_commissions", "manage_commissions",
+    "view_invoices", "send_invoices", "view_mail_logs",
+    "view_returns", "create_returns",
+    "view_promotions", "create_promotions", "update_promotions", "delete_promotions",
+    "view_price_lists", "manage_price_lists", "override_prices",
+    "view_periods", "close_periods", "reopen_periods",
+    "view_numbering", "update_numbering",
+    "view_resolutions", "create_resolutions", "update_resolutions"
   ],
   assistant: [
     "view_roles", "create_users", "view_users", "view_users_id", "update_users",
     "view_categories", "view_categories_id","create_categories", "view_customers",
-    "view_products", "view_products_id", "create_products", "edit_products", "delete_products",
+    "view_products", "view_products_id", "create_products", "edit_products", "delete_products", "view_costs",
     "view_providers", "view_providers_id", "create_providers", "update_providers",
     "view_purchases", "view_purchases_id", "create_purchases", "update_purchases",
+    "view_purchase_orders", "manage_purchase_orders", "receive_purchase_orders",
     "view_customers", "view_customers_id", "create_customers", "update_customers",
-    "view_sales", "view_sales_id", "view_sales", "view_sales_id", "create_sales", "update_sales"
+    "view_sales", "view_sales_id", "view_sales", "view_sales_id", "create_sales", "update_sales", "print_receipts",
+    "view_quotations", "create_quotations", "update_quotations", "convert_quotations",
+    "view_receivables", "create_customer_payments",
+    "view_cash_sessions", "operate_cash_sessions",
+    "view_commissions",
+    "view_invoices", "send_invoices",
+    "view_returns", "create_returns",
+    "view_promotions", "create_promotions", "update_promotions",
+    "view_price_lists", "override_prices",
+    "view_periods"
   ],
   employee: [
     "view_categories", "view_products", "view_products_id","create_products", "edit_products", "delete_products",
-     "view_customers", "view_sales", "view_customers_id", "create_sales", "update_sales"
+     "view_customers", "view_sales", "view_customers_id", "create_sales", "update_sales", "print_receipts",
+     "view_quotations", "create_quotations", "create_customer_payments", "operate_cash_sessions",
+     "view_promotions", "view_price_lists"
   ]
 };
 
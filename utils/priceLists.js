@@ -0,0 +1,74 @@
+// utils/priceLists.js
+import PriceList from "../models/priceList.js";
+
+// Redondear a centavos los precios calculados con porcentajes
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Una regla define precio si trae precio fijo o porcentaje
+const hasPrice = (rule) => rule && ((rule.price !== null && rule.price !== undefined) ||
+  (rule.percentage !== null && rule.percentage !== undefined));
+
+// Lista de precios de un cliente: la asignada si está activa, si no la lista por defecto (o null)
+export const resolveCustomerPriceList = async (customer) => {
+  if (customer && customer.priceList) {
+    const assigned = await PriceList.findOne({ _id: customer.priceList, status: "active" });
+    if (assigned) return assigned;
+  }
+  return PriceList.findOne({ isDefault: true, status: "active" });
+};
+
+// Precio unitario de un producto en una lista para la cantidad total que se vende de él:
+// el del mayor escalón alcanzado, si no el del producto en la lista y si no el porcentaje
+// general de la lista. Sin lista se usa el precio base
+export const getListPrice = (priceList, product, quantity) => {
+  const basePrice = product.price || 0;
+  if (!priceList) return basePrice;
+
+  const item = (priceList.items || [])
+    .find(entry => (entry.product._id || entry.product).toString() === product._id.toString());
+  const tier = item
+    ? [...(item.tiers || [])].sort((a, b) => b.minQuantity - a.minQuantity).find(entry => quantity >= entry.minQuantity)
+    : null;
+  const rule = [tier, item].find(hasPrice);
+
+  if (!rule) {
+    return roundAmount(basePrice * (priceList.percentage !== undefined ? priceList.percentage : 100) / 100);
+  }
+
+  return rule.price !== null && rule.price !== undefined
+    ? rule.price
+    : roundAmount(basePrice * rule.percentage / 100);
+};
+
+// Poner a cada línea el precio de la lista. Un precio enviado distinto al de la lista es un
+// cambio manual y solo se acepta si canOverride. Devuelve { lines } (con el precio de lista de
+// cada línea en listPrice) o { error, status, productId }
+export const applyPriceList = (products, productsData, priceList, { canOverride = false } = {}) => {
+  // Los escalones se evalúan con la cantidad total del producto en todas sus líneas
+  const quantities = new Map();
+  products.forEach(item => {
+    const key = item.product.toString();
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+  });
+
+  const lines = [];
+  for (const item of products) {
+    const key = item.product.toString();
+    const product = productsData.find(p => p._id.toString() === key);
+    // Un producto eliminado no tiene precio que calcular
+    if (!product) {
+      return { error: "Product not found", status: 404, productId: key };
+    }
+
+    const listPrice = getListPrice(priceList, product, quantities.get(key));
+    const requested = item.price !== undefined && item.price !== null ? item.price : listPrice;
+
+    if (Math.abs(requested - listPrice) >= 0.005 && !canOverride) {
+      return { error: "Changing the list price requires the override_prices permission", status: 403, productId: key };
+    }
+
+    lines.push({ product: item.product, quantity: item.quantity, price: requested, listPrice });
+  }
+
+  return { lines };
+};
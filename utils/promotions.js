@@ -0,0 +1,82 @@
+// utils/promotions.js
+import Promotion from "../models/promotion.js";
+
+// Redondear a centavos
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Obtener las promociones vigentes en una fecha; las de cupón solo si se envía su código
+export const getApplicablePromotions = async (date, couponCode) => {
+  const couponFilter = [{ couponCode: null }];
+  if (couponCode) {
+    couponFilter.push({ couponCode: couponCode.trim().toUpperCase() });
+  }
+
+  return Promotion.find({
+    status: "active",
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+    $or: couponFilter
+  });
+};
+
+// Verificar si una promoción aplica a un producto (sin productos ni categorías aplica a todos)
+const isEligible = (promotion, product) => {
+  const hasProducts = promotion.products && promotion.products.length > 0;
+  const hasCategories = promotion.categories && promotion.categories.length > 0;
+
+  if (!hasProducts && !hasCategories) {
+    return true;
+  }
+
+  if (hasProducts && promotion.products.some(id => id.toString() === product._id.toString())) {
+    return true;
+  }
+
+  return Boolean(hasCategories && product.category &&
+    promotion.categories.some(id => id.toString() === product.category.toString()));
+};
+
+// Calcular el descuento de una promoción sobre una línea
+export const calculateLineDiscount = (promotion, price, quantity) => {
+  const gross = price * quantity;
+  let discount = 0;
+
+  if (promotion.type === "percentage") {
+    discount = gross * Math.min(promotion.value, 100) / 100;
+  } else if (promotion.type === "fixed_amount") {
+    discount = Math.min(promotion.value, price) * quantity;
+  } else if (promotion.type === "buy_x_get_y" && promotion.buyQuantity && promotion.freeQuantity) {
+    // Por cada grupo completo (pagadas + gratis) se descuentan las unidades gratis
+    const groups = Math.floor(quantity / (promotion.buyQuantity + promotion.freeQuantity));
+    discount = groups * promotion.freeQuantity * price;
+  }
+
+  return roundAmount(Math.min(discount, gross));
+};
+
+// Aplicar a cada línea la promoción elegible con mayor descuento (las promociones no se acumulan)
+export const applyPromotions = (lines, productsData, promotions) => lines.map(item => {
+  const product = productsData.find(p => p._id.toString() === item.product.toString());
+  let bestPromotion = null;
+  let bestDiscount = 0;
+
+  if (product) {
+    promotions.forEach(promotion => {
+      if (!isEligible(promotion, product)) return;
+      const discount = calculateLineDiscount(promotion, item.price, item.quantity);
+      if (discount > bestDiscount) {
+        bestDiscount = discount;
+        bestPromotion = promotion;
+      }
+    });
+  }
+
+  return {
+    product: item.product,
+    quantity: item.quantity,
+    price: item.price,
+    discount: bestDiscount,
+    promotion: bestPromotion ? bestPromotion._id : null,
+    total: roundAmount(item.price * item.quantity - bestDiscount)
+  };
+});
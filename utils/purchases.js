@@ -0,0 +1,50 @@
+// utils/purchases.js
+import mongoose from "mongoose";
+import Purchase from "../models/purchase.js";
+import Provider from "../models/provider.js";
+
+// Buscar el proveedor de una compra u orden de compra; solo los activos reciben documentos nuevos.
+// Devuelve { provider } o { status, error }
+export const findPurchaseProvider = async (providerId) => {
+  if (!providerId || !mongoose.Types.ObjectId.isValid(providerId)) {
+    return { status: 400, error: "A valid provider ID is required" };
+  }
+
+  const provider = await Provider.findById(providerId);
+  if (!provider) {
+    return { status: 404, error: "Provider not found" };
+  }
+
+  if (provider.status !== "active") {
+    return { status: 400, error: "Provider is inactive" };
+  }
+
+  return { provider };
+};
+
+// Sumar por producto las unidades y su valor al costo de las líneas de una compra
+export const groupReceivedByProduct = (lines) => {
+  const received = new Map();
+  lines.forEach(item => {
+    const key = item.product._id ? item.product._id.toString() : item.product.toString();
+    const current = received.get(key) || { quantity: 0, value: 0 };
+    received.set(key, {
+      quantity: current.quantity + item.quantity,
+      value: current.value + item.quantity * item.price
+    });
+  });
+  return received;
+};
+
+// Indicar si el proveedor ya facturó otra compra con el mismo número de factura
+export const isDuplicateInvoice = async (providerId, invoiceNumber, excludeId = null) => {
+  if (!providerId || !invoiceNumber) return false;
+
+  const existing = await Purchase.findOne({
+    provider: providerId,
+    invoiceNumber: invoiceNumber.trim(),
+    ...(excludeId ? { _id: { $ne: excludeId } } : {})
+  });
+
+  return Boolean(existing);
+};
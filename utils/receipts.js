@@ -0,0 +1,235 @@
+// utils/receipts.js
+import PDFDocument from "pdfkit";
+import { getPaymentMethodLabel } from "./payments.js";
+import { getTaxLabel } from "./taxes.js";
+import { getIssuer } from "./einvoice.js";
+
+// Anchos de papel de las impresoras térmicas: ancho de página en puntos y caracteres por
+// línea en ESC/POS (fuente A)
+export const RECEIPT_WIDTHS = {
+  80: { points: 226.77, columns: 48 },
+  58: { points: 164.41, columns: 32 }
+};
+
+// Formatear fecha y hora para el tiquete
+const formatDateTime = (date) => {
+  if (!date) return "";
+  const d = new Date(date);
+  if (isNaN(d.getTime())) return "";
+  const day = d.getDate().toString().padStart(2, '0');
+  const month = (d.getMonth() + 1).toString().padStart(2, '0');
+  const hours = d.getHours().toString().padStart(2, '0');
+  const minutes = d.getMinutes().toString().padStart(2, '0');
+  return `${day}/${month}/${d.getFullYear()} ${hours}:${minutes}`;
+};
+
+// Formatear un valor con dos decimales
+const formatMoney = (amount) => `$${(amount || 0).toFixed(2)}`;
+
+// Contenido del tiquete como una lista de renglones que luego se dibujan en PDF o ESC/POS:
+// text (con alineación y negrita), row (texto a la izquierda y valor a la derecha) y separator
+export const buildReceiptLines = (sale, { branch = null, invoice = null } = {}) => {
+  const lines = [];
+  const issuer = getIssuer();
+  const receipt = branch && branch.receipt ? branch.receipt : {};
+
+  // Encabezado de la sede
+  lines.push({ type: "text", text: branch ? branch.name : issuer.name, align: "center", bold: true, large: true });
+  lines.push({ type: "text", text: `NIT ${issuer.nit}-${issuer.dv}`, align: "center" });
+  if (branch) {
+    if (branch.address) lines.push({ type: "text", text: branch.address, align: "center" });
+    if (branch.phone) lines.push({ type: "text", text: `Tel. ${branch.phone}`, align: "center" });
+  }
+  (receipt.header ? receipt.header.split("\n") : []).forEach(text => {
+    lines.push({ type: "text", text, align: "center" });
+  });
+  lines.push({ type: "separator" });
+
+  // Datos de la venta
+  lines.push({ type: "row", left: "Sale", right: sale.id || "" });
+  if (sale.invoiceID) lines.push({ type: "row", left: "Invoice", right: sale.invoiceID });
+  lines.push({ type: "row", left: "Date", right: formatDateTime(sale.date) });
+  if (sale.customer && sale.customer.name !== undefined) {
+    lines.push({ type: "row", left: "Customer", right: `${sale.customer.name || ""} ${sale.customer.lastname || ""}`.trim() });
+  }
+  if (sale.status === "voided") {
+    lines.push({ type: "text", text: "*** VOIDED ***", align: "center", bold: true });
+  }
+  lines.push({ type: "separator" });
+
+  // Productos: nombre y debajo cantidad por precio con el total de la línea
+  (sale.products || []).forEach(item => {
+    const name = item.product ? item.product.name || "Unknown Product" : "Unknown Product";
+    lines.push({ type: "text", text: name });
+    lines.push({ type: "row", left: `  ${item.quantity || 0} x ${formatMoney(item.price)}`, right: formatMoney((item.price || 0) * (item.quantity || 0)) });
+    if (item.discount > 0) {
+      lines.push({ type: "row", left: "  Discount", right: `-${formatMoney(item.discount)}` });
+    }
+  });
+  lines.push({ type: "separator" });
+
+  // Totales e impuestos discriminados por tarifa
+  lines.push({ type: "row", left: "Subtotal", right: formatMoney(sale.subtotal || sale.total) });
+  if (sale.discountTotal > 0) {
+    lines.push({ type: "row", left: "Discount", right: `-${formatMoney(sale.discountTotal)}` });
+  }
+  (sale.taxes || []).forEach(tax => {
+    lines.push({ type: "row", left: getTaxLabel(tax.taxType, tax.rate), right: formatMoney(tax.amount) });
+  });
+  lines.push({ type: "row", left: "TOTAL", right: formatMoney(sale.total), bold: true });
+  lines.push({ type: "separator" });
+
+  // Pagos
+  (sale.payments || []).forEach(payment => {
+    lines.push({ type: "row", left: getPaymentMethodLabel(payment.method), right: formatMoney(payment.amount) });
+    if (payment.method === "cash" && payment.received !== undefined && payment.received !== null) {
+      lines.push({ type: "row", left: "  Received", right: formatMoney(payment.received) });
+      lines.push({ type: "row", left: "  Change", right: formatMoney(payment.change) });
+    }
+    if (payment.reference) {
+      lines.push({ type: "row", left: "  Ref.", right: payment.reference });
+    }
+  });
+
+  // Saldo de la venta a crédito
+  if (sale.credit) {
+    lines.push({ type: "row", left: "Balance due", right: formatMoney(sale.balance), bold: true });
+    lines.push({ type: "row", left: "Due date", right: formatDateTime(sale.dueDate).slice(0, 10) });
+  }
+
+  // CUFE de la factura electrónica
+  if (invoice && invoice.electronic && invoice.electronic.cufe) {
+    lines.push({ type: "separator" });
+    lines.push({ type: "text", text: "CUFE:", align: "center" });
+    lines.push({ type: "text", text: invoice.electronic.cufe, align: "center", small: true });
+  }
+
+  // Pie de página
+  lines.push({ type: "separator" });
+  (receipt.footer || "Thank you for your purchase!").split("\n").forEach(text => {
+    lines.push({ type: "text", text, align: "center" });
+  });
+
+  return lines;
+};
+
+// Dibujar los renglones en un documento PDF del ancho del papel
+const drawReceipt = (doc, lines, logo) => {
+  const margin = 8;
+  const width = doc.page.width - margin * 2;
+
+  if (logo) {
+    const logoWidth = Math.min(width, 120);
+    doc.image(logo, (doc.page.width - logoWidth) / 2, margin, { fit: [logoWidth, 60], align: "center" });
+    doc.y = margin + 64;
+  }
+
+  lines.forEach(line => {
+    doc.font(line.bold ? "Helvetica-Bold" : "Helvetica").fontSize(line.large ? 11 : line.small ? 6 : 8);
+
+    if (line.type === "separator") {
+      const y = doc.y + 3;
+      doc.moveTo(margin, y).lineTo(doc.page.width - margin, y).dash(2, { space: 2 }).stroke().undash();
+      doc.y = y + 4;
+    } else if (line.type === "row") {
+      const y = doc.y;
+      doc.text(line.left, margin, y, { width: width * 0.6 });
+      const leftBottom = doc.y;
+      doc.text(line.right, margin + width * 0.4, y, { width: width * 0.6, align: "right" });
+      doc.y = Math.max(leftBottom, doc.y);
+    } else {
+      doc.text(line.text, margin, doc.y, { width, align: line.align || "left" });
+    }
+  });
+};
+
+// Crear el PDF del tiquete. El alto de la página se ajusta al contenido: se dibuja una vez en
+// un documento de prueba para medirlo y luego en el definitivo
+export const createReceiptPDF = (lines, { width = 80, logo = null } = {}) => {
+  const paper = RECEIPT_WIDTHS[width] || RECEIPT_WIDTHS[80];
+
+  const draft = new PDFDocument({ size: [paper.points, 10000], margin: 8 });
+  drawReceipt(draft, lines, logo);
+  const height = draft.y + 16;
+  draft.end();
+
+  const doc = new PDFDocument({ size: [paper.points, height], margin: 8 });
+  drawReceipt(doc, lines, logo);
+  return doc;
+};
+
+// Comandos ESC/POS
+const ESC = "\x1b";
+const GS = "\x1d";
+
+// Partir un texto en renglones del ancho dado, conservando la sangría inicial
+const wrapText = (text, columns) => {
+  const indent = String(text).match(/^ */)[0];
+  columns -= indent.length;
+  const rows = [];
+  let current = "";
+  String(text).trim().split(/\s+/).forEach(word => {
+    while (word.length > columns) {
+      if (current) {
+        rows.push(current);
+        current = "";
+      }
+      rows.push(word.slice(0, columns));
+      word = word.slice(columns);
+    }
+    if (!word) return;
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= columns) {
+      current += ` ${word}`;
+    } else {
+      rows.push(current);
+      current = word;
+    }
+  });
+  if (current || rows.length === 0) rows.push(current);
+  return rows.map(row => `${indent}${row}`);
+};
+
+// Generar los comandos ESC/POS del tiquete (página de códigos Windows-1252 para las tildes).
+// El logo no se envía: las impresoras lo imprimen desde su memoria si lo tienen cargado
+export const buildReceiptEscPos = (lines, { width = 80 } = {}) => {
+  const paper = RECEIPT_WIDTHS[width] || RECEIPT_WIDTHS[80];
+  const columns = paper.columns;
+  const alignments = { left: 0, center: 1, right: 2 };
+  let output = `${ESC}@${ESC}t\x10`;
+
+  lines.forEach(line => {
+    if (line.type === "separator") {
+      output += `${ESC}a\x00${"-".repeat(columns)}\n`;
+      return;
+    }
+
+    output += line.bold ? `${ESC}E\x01` : `${ESC}E\x00`;
+
+    if (line.type === "row") {
+      const right = String(line.right);
+      const leftColumns = Math.max(columns - right.length - 1, 1);
+      const leftRows = wrapText(line.left, leftColumns);
+      output += `${ESC}a\x00`;
+      leftRows.forEach((row, index) => {
+        output += index === leftRows.length - 1
+          ? `${row.padEnd(columns - right.length)}${right}\n`
+          : `${row}\n`;
+      });
+    } else {
+      // Los títulos van a doble alto
+      output += `${ESC}a${String.fromCharCode(alignments[line.align] || 0)}`;
+      output += line.large ? `${GS}!\x01` : `${GS}!\x00`;
+      wrapText(line.text, columns).forEach(row => {
+        output += `${row}\n`;
+      });
+      output += `${GS}!\x00`;
+    }
+  });
+
+  // Avanzar el papel y cortar
+  output += `${ESC}E\x00${ESC}d\x04${GS}V\x42\x00`;
+
+  return Buffer.from(output, "latin1");
+};
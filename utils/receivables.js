@@ -0,0 +1,181 @@
+// utils/receivables.js
+import Customer from "../models/customer.js";
+import Sale from "../models/sales.js";
+import Return from "../models/return.js";
+import CustomerPayment from "../models/customerPayment.js";
+
+// Error lanzado dentro de una transacción cuando una venta supera el cupo del cliente o un
+// abono supera el saldo pendiente de la venta
+export class CreditError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "CreditError";
+    this.status = 409;
+    this.details = details;
+  }
+}
+
+// Redondear a centavos para comparar montos sin errores de punto flotante
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Rangos de vencimiento de la cartera según los días transcurridos desde la fecha de vencimiento
+export const AGING_BUCKETS = [
+  { key: "current", label: "Current", maxDays: 0 },
+  { key: "days_30", label: "1-30 days", maxDays: 30 },
+  { key: "days_60", label: "31-60 days", maxDays: 60 },
+  { key: "days_90", label: "61-90 days", maxDays: 90 },
+  { key: "over_90", label: "90+ days", maxDays: Infinity }
+];
+
+// Días de mora de una venta a la fecha dada (cero o negativo si aún no vence)
+export const getDaysOverdue = (dueDate, asOf = new Date()) => {
+  return Math.floor((new Date(asOf) - new Date(dueDate)) / (24 * 60 * 60 * 1000));
+};
+
+// Rango de vencimiento que corresponde a una venta
+export const getAgingBucket = (dueDate, asOf = new Date()) => {
+  const days = getDaysOverdue(dueDate, asOf);
+  return AGING_BUCKETS.find(bucket => days <= bucket.maxDays);
+};
+
+// Cargar el saldo de una venta a crédito a la cuenta del cliente solo si no supera su cupo;
+// la condición y el cargo se aplican en una sola escritura
+export const chargeCustomerCredit = async (customerId, amount, session) => {
+  const customer = await Customer.findOneAndUpdate(
+    { _id: customerId, $expr: { $lte: [{ $add: ["$balance", amount] }, "$creditLimit"] } },
+    { $inc: { balance: amount } },
+    { new: true, session }
+  );
+
+  if (!customer) {
+    const current = await Customer.findById(customerId).session(session);
+    throw new CreditError("Credit limit exceeded", {
+      creditLimit: current ? current.creditLimit || 0 : 0,
+      balance: current ? roundAmount(current.balance || 0) : 0,
+      available: current ? roundAmount(Math.max((current.creditLimit || 0) - (current.balance || 0), 0)) : 0,
+      requested: roundAmount(amount)
+    });
+  }
+
+  return customer;
+};
+
+// Descontar de la cuenta del cliente un abono, una nota crédito o el saldo de una venta anulada
+export const releaseCustomerCredit = async (customerId, amount, session) => {
+  return Customer.findByIdAndUpdate(
+    customerId,
+    { $inc: { balance: -amount } },
+    { new: true, session }
+  );
+};
+
+// Abonar a una venta a crédito solo si el abono no supera su saldo pendiente
+export const applySalePayment = async (saleId, amount, session) => {
+  const sale = await Sale.findOneAndUpdate(
+    { _id: saleId, credit: true, status: "completed", balance: { $gte: amount } },
+    { $inc: { balance: -amount } },
+    { new: true, session }
+  );
+
+  if (!sale) {
+    const current = await Sale.findById(saleId).session(session);
+    throw new CreditError("Payment exceeds the pending balance of the sale", {
+      balance: current ? roundAmount(current.balance || 0) : 0,
+      requested: roundAmount(amount)
+    });
+  }
+
+  return sale;
+};
+
+// Movimientos de la cuenta de un cliente: cargos por ventas a crédito y abonos (pagos iniciales,
+// recibos de caja y notas crédito) con el saldo acumulado. Los movimientos anteriores a startDate
+// se resumen en el saldo inicial. Las ventas anuladas y sus movimientos no se incluyen
+export const buildCustomerStatement = async (customerId, { startDate = null, endDate = null } = {}) => {
+  const sales = await Sale.find({ customer: customerId, credit: true, status: "completed" });
+  const saleIds = sales.map(sale => sale._id);
+
+  const [payments, returns] = await Promise.all([
+    CustomerPayment.find({ sale: { $in: saleIds } }),
+    Return.find({ sale: { $in: saleIds }, creditApplied: { $gt: 0 } })
+  ]);
+
+  const saleNumbers = new Map(sales.map(sale => [sale._id.toString(), sale.invoiceID || sale.id]));
+  const movements = [];
+
+  sales.forEach(sale => {
+    movements.push({
+      date: sale.date,
+      order: 0,
+      type: "sale",
+      document: sale.invoiceID || sale.id,
+      saleId: sale._id,
+      dueDate: sale.dueDate,
+      debit: sale.total || 0,
+      credit: 0
+    });
+
+    const initialPayment = (sale.payments || []).reduce((sum, payment) => sum + (payment.amount || 0), 0);
+    if (initialPayment > 0) {
+      movements.push({
+        date: sale.date,
+        order: 1,
+        type: "initial_payment",
+        document: sale.invoiceID || sale.id,
+        saleId: sale._id,
+        debit: 0,
+        credit: initialPayment
+      });
+    }
+  });
+
+  payments.forEach(payment => {
+    movements.push({
+      date: payment.date,
+      order: 2,
+      type: "payment",
+      document: payment.id,
+      saleId: payment.sale,
+      appliesTo: saleNumbers.get(payment.sale.toString()),
+      method: payment.method,
+      debit: 0,
+      credit: payment.amount || 0
+    });
+  });
+
+  returns.forEach(saleReturn => {
+    movements.push({
+      date: saleReturn.date,
+      order: 3,
+      type: "credit_note",
+      document: saleReturn.id,
+      saleId: saleReturn.sale,
+      appliesTo: saleNumbers.get(saleReturn.sale.toString()),
+      debit: 0,
+      credit: saleReturn.creditApplied || 0
+    });
+  });
+
+  movements.sort((a, b) => new Date(a.date) - new Date(b.date) || a.order - b.order);
+
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
+  let openingBalance = 0;
+  let balance = 0;
+  const entries = [];
+
+  movements.forEach(({ order, ...movement }) => {
+    const date = new Date(movement.date);
+    if (end && date > end) return;
+
+    balance = roundAmount(balance + movement.debit - movement.credit);
+    if (start && date < start) {
+      openingBalance = balance;
+      return;
+    }
+
+    entries.push({ ...movement, balance });
+  });
+
+  return { openingBalance, entries, closingBalance: balance };
+};
@@ -0,0 +1,87 @@
+// utils/resolutions.js
+import Resolution from "../models/resolution.js";
+
+// Error lanzado cuando no hay una resolución vigente con números disponibles
+export class ResolutionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "ResolutionError";
+    this.status = 409;
+    this.details = details;
+  }
+}
+
+// Números que quedan disponibles en una resolución
+export const getRemainingNumbers = (resolution) => Math.max(resolution.to - resolution.current, 0);
+
+// Aviso cuando a la resolución le quedan menos números que su umbral
+export const getResolutionWarning = (resolution) => {
+  const remaining = getRemainingNumbers(resolution);
+  if (resolution.status !== "active" || remaining >= resolution.warningThreshold) return null;
+  return `Only ${remaining} invoice numbers remain in resolution ${resolution.number}`;
+};
+
+// Explicar por qué no se puede facturar con las resoluciones activas
+const findResolutionProblem = async (now) => {
+  const resolutions = await Resolution.find({ status: "active" }).sort({ validFrom: 1 });
+
+  if (resolutions.length === 0) {
+    return new ResolutionError("There is no active invoice numbering resolution");
+  }
+
+  const pending = resolutions.find(resolution => resolution.validFrom > now);
+  const expired = resolutions.find(resolution => resolution.validTo < now);
+  const exhausted = resolutions.find(resolution => resolution.current >= resolution.to);
+
+  if (exhausted) {
+    return new ResolutionError("The invoice numbering range is exhausted", {
+      resolution: exhausted.number,
+      to: exhausted.to
+    });
+  }
+
+  if (expired) {
+    return new ResolutionError("The invoice numbering resolution has expired", {
+      resolution: expired.number,
+      validTo: expired.validTo
+    });
+  }
+
+  return new ResolutionError("The invoice numbering resolution is not valid yet", {
+    resolution: pending.number,
+    validFrom: pending.validFrom
+  });
+};
+
+// Tomar el siguiente número de factura de la resolución vigente. La condición de rango y el
+// incremento se aplican en una sola escritura, así que dos facturas nunca reciben el mismo número
+// ni se sale del rango autorizado. Si hay varias vigentes se agota primero la más antigua
+export const getNextInvoiceNumber = async (session = null) => {
+  const now = new Date();
+
+  const resolution = await Resolution.findOneAndUpdate(
+    {
+      status: "active",
+      validFrom: { $lte: now },
+      validTo: { $gte: now },
+      $expr: { $lt: ["$current", "$to"] }
+    },
+    { $inc: { current: 1 } },
+    { new: true, sort: { validFrom: 1, createdAt: 1 }, session }
+  );
+
+  if (!resolution) {
+    throw await findResolutionProblem(now);
+  }
+
+  const warning = getResolutionWarning(resolution);
+  if (warning) {
+    console.warn(warning);
+  }
+
+  return {
+    number: `${resolution.prefix}${resolution.current}`,
+    resolution,
+    warning
+  };
+};
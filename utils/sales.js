@@ -0,0 +1,158 @@
+// utils/sales.js
+import mongoose from "mongoose";
+import Category from "../models/category.js";
+import { getApplicablePromotions, applyPromotions } from "./promotions.js";
+import { applyTaxes } from "./taxes.js";
+import { applyPriceList } from "./priceLists.js";
+import { runInTransaction } from "./transactions.js";
+import { getNextNumber } from "./numbering.js";
+import { getNextInvoiceNumber } from "./resolutions.js";
+import { issueInvoice } from "./invoices.js";
+import { applyStockChanges } from "./stock.js";
+import { submitElectronicInvoice } from "./dian.js";
+import { validatePayments } from "./payments.js";
+import { chargeCustomerCredit } from "./receivables.js";
+import { attachToOpenCashSession } from "./cashSessions.js";
+
+// Validar las líneas de producto de una venta (o cotización). El precio es opcional: si no se
+// envía se toma de la lista de precios del cliente
+export const validateSaleProducts = (products) => {
+  const errors = [];
+
+  if (!Array.isArray(products) || products.length === 0) {
+    errors.push("At least one product is required");
+    return errors;
+  }
+
+  products.forEach((item, i) => {
+    if (!item || !item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
+      errors.push(`Invalid product ID at index ${i}`);
+    }
+    if (!item || !Number.isInteger(item.quantity) || item.quantity <= 0) {
+      errors.push(`Invalid quantity at index ${i}`);
+    }
+    if (item && item.price !== undefined && item.price !== null && (typeof item.price !== "number" || item.price <= 0)) {
+      errors.push(`Invalid price at index ${i}`);
+    }
+  });
+
+  return errors;
+};
+
+// Agrupar cantidades por producto (un mismo producto puede venir en varias líneas)
+export const groupQuantitiesByProduct = (lines) => {
+  const quantities = new Map();
+  lines.forEach(item => {
+    const key = item.product._id ? item.product._id.toString() : item.product.toString();
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+  });
+  return quantities;
+};
+
+// Calcular el total a pagar de una venta a partir de sus líneas ya descontadas e impuestos
+export const calculateSaleTotal = (lines) => lines.reduce((sum, item) => sum + item.total + (item.tax || 0), 0);
+
+// Construir las líneas de la venta con los precios de la lista del cliente, las promociones
+// vigentes en su fecha y los impuestos. canOverride permite precios distintos a los de la lista
+export const buildSaleLines = async (products, productsData, date, couponCode, { priceList = null, canOverride = false } = {}) => {
+  const promotions = await getApplicablePromotions(date, couponCode);
+
+  // Un cupón enviado debe corresponder a una promoción vigente
+  if (couponCode && !promotions.some(p => p.couponCode === couponCode.trim().toUpperCase())) {
+    return { error: "Invalid or expired coupon code", status: 400 };
+  }
+
+  const priced = applyPriceList(products, productsData, priceList, { canOverride });
+  if (priced.error) {
+    return priced;
+  }
+
+  // Las promociones se calculan sobre el precio final de cada línea
+  const lines = applyPromotions(priced.lines, productsData, promotions)
+    .map((line, i) => ({ ...line, listPrice: priced.lines[i].listPrice }));
+
+  // El impuesto de cada producto se toma de su categoría salvo que el producto lo reemplace
+  const categories = await Category.find({ _id: { $in: productsData.map(p => p.category).filter(Boolean) } });
+
+  return { lines: applyTaxes(lines, productsData, categories) };
+};
+
+// Validar los pagos y las condiciones de pago de una venta nueva. En una venta a crédito los
+// pagos son un abono inicial opcional, el resto queda como saldo y el vencimiento por defecto
+// es el plazo de crédito del cliente
+export const prepareSalePayments = ({ payments, credit, dueDate }, total, customer, saleDate) => {
+  if (!credit) {
+    const { errors, payments: validated } = validatePayments(payments, total);
+    return { errors, payments: validated, credit: false, dueDate: null, balance: 0 };
+  }
+
+  const errors = [];
+  let due = new Date(saleDate);
+  if (dueDate !== undefined && dueDate !== null) {
+    due = new Date(dueDate);
+    if (isNaN(due.getTime())) {
+      errors.push("Due date is invalid");
+    } else if (due < saleDate) {
+      errors.push("Due date must be on or after the sale date");
+    }
+  } else {
+    due.setDate(due.getDate() + (customer.creditDays !== undefined ? customer.creditDays : 30));
+  }
+
+  const { errors: paymentErrors, payments: validated } = validatePayments(payments, total, { allowPartial: true });
+  errors.push(...paymentErrors);
+
+  const paid = validated.reduce((sum, payment) => sum + payment.amount, 0);
+  const balance = Math.round((total - paid) * 100) / 100;
+
+  return { errors, payments: validated, credit: true, dueDate: due, balance };
+};
+
+// Guardar una venta nueva: descontar stock, asignar los consecutivos y emitir la factura si se
+// pide, todo como una sola unidad; si una venta concurrente agotó el stock o el cupo de crédito
+// del cliente la transacción se revierte completa. afterSave permite agregar escrituras a la
+// misma transacción. Devuelve la factura emitida (o null) y el aviso de la resolución de numeración
+export const registerSale = async ({ sale, customer, productsData, requestedQuantities, createInvoice, userId, afterSave = null }) => {
+  let numberingWarning = null;
+
+  const invoice = await runInTransaction(async (session) => {
+    await applyStockChanges(requestedQuantities, session);
+
+    // El saldo de una venta a crédito se carga a la cuenta del cliente dentro de su cupo
+    if (sale.credit && sale.balance > 0) {
+      await chargeCustomerCredit(customer._id, sale.balance, session);
+    }
+
+    // La venta queda en el turno de caja abierto del usuario que la registra
+    sale.cashSession = await attachToOpenCashSession(userId, session);
+
+    // Si la transacción se revierte, los números de venta y factura no se pierden
+    sale.id = await getNextNumber("sale", session);
+    sale.invoiceID = null;
+
+    // El número de factura sale de la resolución de numeración vigente
+    let numbering = null;
+    if (createInvoice) {
+      numbering = await getNextInvoiceNumber(session);
+      sale.invoiceID = numbering.number;
+      numberingWarning = numbering.warning;
+    }
+
+    await sale.save({ session });
+
+    if (afterSave) {
+      await afterSave(session);
+    }
+
+    return numbering
+      ? issueInvoice(sale, customer, productsData, userId, session, numbering.resolution)
+      : null;
+  });
+
+  // La factura electrónica se envía a la DIAN una vez confirmada la venta
+  if (invoice) {
+    await submitElectronicInvoice(invoice);
+  }
+
+  return { invoice, numberingWarning };
+};
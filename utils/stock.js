@@ -0,0 +1,128 @@
+// utils/stock.js
+import Product from "../models/product.js";
+
+// Error lanzado dentro de una transacción cuando un producto no existe o no tiene stock suficiente
+export class StockError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "StockError";
+    this.status = message === "Product not found" ? 404 : 400;
+    this.details = details;
+  }
+}
+
+// Cargar los productos pedidos verificando que existan y que su stock alcance para las cantidades
+// pedidas (la verificación definitiva se hace al descontar dentro de la transacción)
+export const findProductsWithStock = async (requestedQuantities) => {
+  const productsData = await Product.find({ _id: { $in: [...requestedQuantities.keys()] } });
+
+  for (const [productId, requested] of requestedQuantities) {
+    const productData = productsData.find(p => p._id.toString() === productId);
+    if (!productData) {
+      throw new StockError("Product not found", { productId });
+    }
+
+    if (productData.stock < requested) {
+      throw new StockError("Not enough stock available", {
+        product: productData.name,
+        available: productData.stock,
+        requested
+      });
+    }
+  }
+
+  return productsData;
+};
+
+// Descontar stock solo si alcanza; la condición y el descuento se aplican en una sola escritura
+export const decrementStock = async (productId, quantity, session) => {
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } },
+    { new: true, session }
+  );
+
+  if (!product) {
+    const current = await Product.findById(productId).session(session);
+    if (!current) {
+      throw new StockError("Product not found", { productId });
+    }
+    throw new StockError("Not enough stock available", {
+      product: current.name,
+      available: current.stock,
+      requested: quantity
+    });
+  }
+
+  return product;
+};
+
+// Reingresar stock de un producto (si fue eliminado no hay nada que actualizar)
+export const incrementStock = async (productId, quantity, session) => {
+  return Product.findByIdAndUpdate(
+    productId,
+    { $inc: { stock: quantity } },
+    { new: true, session }
+  );
+};
+
+// Registrar una entrada de mercancía (o su reversión) actualizando el stock y el costo promedio
+// ponderado: quantity son las unidades y value su valor al costo, ambos negativos si salen.
+// Con value null solo cambia el stock (compras registradas antes de llevar costos). Si salen
+// unidades solo se aplica si el stock alcanza. Stock y costo se calculan en una sola escritura
+// a partir de los valores guardados
+export const receiveStock = async (productId, quantity, value, session) => {
+  const newStock = { $add: ["$stock", quantity] };
+  const currentCost = { $ifNull: ["$cost", 0] };
+  const update = { stock: newStock };
+
+  if (value !== null && value !== undefined) {
+    update.cost = {
+      $switch: {
+        branches: [
+          // Sin stock restante se conserva el último costo
+          { case: { $lte: [newStock, 0] }, then: currentCost },
+          // Un costo en 0 es desconocido (productos anteriores a los costos): el stock existente
+          // no se promedia a costo cero, se toma el costo unitario que entra
+          {
+            case: { $and: [quantity > 0, { $or: [{ $lte: [currentCost, 0] }, { $lte: ["$stock", 0] }] }] },
+            then: quantity > 0 ? value / quantity : 0
+          }
+        ],
+        default: { $max: [{ $divide: [{ $add: [{ $multiply: ["$stock", currentCost] }, value] }, newStock] }, 0] }
+      }
+    };
+  }
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, ...(quantity < 0 ? { stock: { $gte: -quantity } } : {}) },
+    [{ $set: update }],
+    { new: true, session }
+  );
+
+  // Igual que incrementStock, una entrada a un producto eliminado no tiene nada que actualizar
+  if (!product && quantity < 0) {
+    const current = await Product.findById(productId).session(session);
+    if (!current) {
+      throw new StockError("Product not found", { productId });
+    }
+    throw new StockError("Not enough stock available", {
+      product: current.name,
+      available: current.stock,
+      requested: -quantity
+    });
+  }
+
+  return product;
+};
+
+// Aplicar ajustes por producto: positivo descuenta stock, negativo lo reingresa
+export const applyStockChanges = async (changes, session) => {
+  for (const [productId, difference] of changes) {
+    if (difference > 0) {
+      await decrementStock(productId, difference, session);
+    } else if (difference < 0) {
+      await incrementStock(productId, -difference, session);
+    }
+  }
+};
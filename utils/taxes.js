@@ -0,0 +1,80 @@
+// utils/taxes.js
+
+// Impuestos que se discriminan en ventas y facturas y su nombre para mostrar
+export const TAX_TYPES = {
+  iva: "IVA",
+  impoconsumo: "Impoconsumo",
+  none: "No Tax"
+};
+
+// Redondear a centavos
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Nombre para mostrar de un impuesto, por ejemplo "IVA 19%"
+export const getTaxLabel = (taxType, rate) => {
+  if (!taxType || taxType === "none") return TAX_TYPES.none;
+  return `${TAX_TYPES[taxType] || taxType} ${rate || 0}%`;
+};
+
+// Validar el tipo y la tarifa de impuesto enviados para una categoría o producto
+export const validateTax = (taxType, taxRate) => {
+  if (taxType !== undefined && taxType !== null && !TAX_TYPES[taxType]) {
+    return `Tax type must be: ${Object.keys(TAX_TYPES).join(", ")}`;
+  }
+
+  if (taxRate !== undefined && taxRate !== null && (typeof taxRate !== "number" || taxRate < 0 || taxRate > 100)) {
+    return "Tax rate must be a number between 0 and 100";
+  }
+
+  if (taxType && taxType !== "none" && (taxRate === undefined || taxRate === null)) {
+    return "Tax rate is required for the selected tax type";
+  }
+
+  return null;
+};
+
+// Calcular el impuesto sobre una base gravable
+export const calculateTax = (base, rate) => roundAmount(base * (rate || 0) / 100);
+
+// Impuesto que aplica a un producto: el propio si lo tiene, si no el de su categoría
+export const resolveProductTax = (product, category) => {
+  const source = product && product.taxType ? product : category;
+
+  if (!source || !source.taxType || source.taxType === "none") {
+    return { taxType: "none", taxRate: 0 };
+  }
+
+  return { taxType: source.taxType, taxRate: source.taxRate || 0 };
+};
+
+// Agregar a cada línea (ya descontada) el impuesto de su producto
+export const applyTaxes = (lines, productsData, categories) => lines.map(item => {
+  const product = productsData.find(p => p._id.toString() === item.product.toString());
+  const category = product && product.category
+    ? categories.find(c => c._id.toString() === product.category.toString())
+    : null;
+  const { taxType, taxRate } = resolveProductTax(product, category);
+
+  return {
+    ...item,
+    taxType,
+    taxRate,
+    tax: calculateTax(item.total, taxRate)
+  };
+});
+
+// Agrupar la base y el impuesto de unas líneas por tipo y tarifa
+export const summarizeTaxes = (lines) => {
+  const taxes = [];
+  lines.forEach(item => {
+    if (!item.taxType || item.taxType === "none") return;
+    let entry = taxes.find(tax => tax.taxType === item.taxType && tax.rate === item.taxRate);
+    if (!entry) {
+      entry = { taxType: item.taxType, rate: item.taxRate, base: 0, amount: 0 };
+      taxes.push(entry);
+    }
+    entry.base = roundAmount(entry.base + item.total);
+    entry.amount = roundAmount(entry.amount + (item.tax || 0));
+  });
+  return taxes;
+};
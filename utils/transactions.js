@@ -0,0 +1,14 @@
+// utils/transactions.js
+import mongoose from "mongoose";
+
+// Ejecutar varias escrituras como una sola unidad: si alguna falla no queda ningún cambio.
+// MongoDB solo admite transacciones en un replica set (Atlas lo es por defecto).
+export const runInTransaction = async (operation) => {
+  let result;
+  // Mongoose reintenta la operación completa ante errores transitorios y restablece
+  // el estado de los documentos nuevos entre intentos
+  await mongoose.connection.transaction(async (session) => {
+    result = await operation(session);
+  });
+  return result;
+};